@@ -1,50 +1,52 @@
-// ESLint configuration for production-ready code quality
-import js from '@eslint/js';
-
-export default [
-  js.configs.recommended,
-  {
-    files: ['src/**/*.js'],
-    languageOptions: {
-      ecmaVersion: 'latest',
-      sourceType: 'module',
-      globals: {
-        console: 'readonly',
-        process: 'readonly',
-        setTimeout: 'readonly',
-        setInterval: 'readonly',
-        clearTimeout: 'readonly',
-        clearInterval: 'readonly',
-        Buffer: 'readonly',
-        __dirname: 'readonly',
-        __filename: 'readonly'
-      }
-    },
-    rules: {
-      // Code quality rules
-      'no-unused-vars': ['warn', { argsIgnorePattern: '^_' }],
-      'no-console': 'off', // Allow console for logging in Discord bot
-      'prefer-const': 'warn',
-      'no-var': 'error',
-      
-      // Best practices
-      'eqeqeq': ['error', 'always'],
-      'curly': ['error', 'all'],
-      'no-throw-literal': 'error',
-      
-      // Style consistency
-      'semi': ['error', 'always'],
-      'quotes': ['error', 'single', { avoidEscape: true }],
-      'indent': ['error', 2],
-      'comma-dangle': ['error', 'never']
-    }
-  },
-  {
-    // Ignore patterns
-    ignores: [
-      'node_modules/**',
-      'tests/**',
-      '*.config.js'
-    ]
-  }
-];
+// ESLint configuration for production-ready code quality
+import js from '@eslint/js';
+
+export default [
+  js.configs.recommended,
+  {
+    files: ['src/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: {
+        console: 'readonly',
+        process: 'readonly',
+        setTimeout: 'readonly',
+        setInterval: 'readonly',
+        clearTimeout: 'readonly',
+        clearInterval: 'readonly',
+        Buffer: 'readonly',
+        structuredClone: 'readonly',
+        fetch: 'readonly',
+        __dirname: 'readonly',
+        __filename: 'readonly'
+      }
+    },
+    rules: {
+      // Code quality rules
+      'no-unused-vars': ['warn', { argsIgnorePattern: '^_' }],
+      'no-console': 'off', // Allow console for logging in Discord bot
+      'prefer-const': 'warn',
+      'no-var': 'error',
+      
+      // Best practices
+      'eqeqeq': ['error', 'always'],
+      'curly': ['error', 'all'],
+      'no-throw-literal': 'error',
+      
+      // Style consistency
+      'semi': ['error', 'always'],
+      'quotes': ['error', 'single', { avoidEscape: true }],
+      'indent': ['error', 2],
+      'comma-dangle': ['error', 'never']
+    }
+  },
+  {
+    // Ignore patterns
+    ignores: [
+      'node_modules/**',
+      'tests/**',
+      '*.config.js'
+    ]
+  }
+];
@@ -0,0 +1,183 @@
+/**
+ * Attach Reaction Roles Command
+ * Turns an existing message (rules post, hand-written roles post) into a reaction role panel
+ */
+
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  MessageFlags,
+  ChannelType,
+  RESTJSONErrorCodes
+} from 'discord.js';
+import { saveReactionRoleConfig, getReactionRoleConfig } from '../data/storage.js';
+import { log } from '../utils/colors.js';
+import { formatEmoji } from '../utils/emoji.js';
+import {
+  panelModeOption,
+  panelLimitOption,
+  validatePanelInput,
+  buildPanelConfig,
+  getPanelPermissionWarning
+} from './setupReactionRoles.js';
+
+// https://discord.com/channels/<guild>/<channel>/<message> (also ptb., canary. and discordapp.com)
+const MESSAGE_LINK_PATTERN =
+  /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(\d+)\/(\d+)\/(\d+)\/?$/;
+
+const MESSAGE_ID_PATTERN = /^\d{17,20}$/;
+
+export const attachReactionRolesCommand = {
+  data: new SlashCommandBuilder()
+    .setName('attach-reaction-roles')
+    .setDescription('Turn an existing message into a reaction role panel')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption((option) =>
+      option.setName('message').setDescription('Message link or message ID').setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName('roles')
+        .setDescription('Format: emoji:roleID,emoji:roleID (e.g., 🔴:123456,<:pepe:1234>:789012)')
+        .setRequired(true)
+    )
+    .addChannelOption((option) =>
+      option
+        .setName('channel')
+        .setDescription('Channel of the message (speeds up lookups by message ID)')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+    )
+    .addStringOption(panelModeOption)
+    .addIntegerOption(panelLimitOption),
+
+  /**
+   * Execute the attach-reaction-roles command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const messageInput = interaction.options.getString('message').trim();
+    const rolesInput = interaction.options.getString('roles');
+    const channelOption = interaction.options.getChannel('channel');
+    const mode = interaction.options.getString('mode') || 'normal';
+    const limit = interaction.options.getInteger('limit');
+
+    const target = parseMessageReference(messageInput);
+    if (!target) {
+      return interaction.editReply({
+        content:
+          'Give a message link (Right click the message > Copy Message Link) or a message ID.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    if (target.guildId && target.guildId !== interaction.guildId) {
+      return interaction.editReply({
+        content: 'That message is in another server. Link a message from this server.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    if (getReactionRoleConfig(target.messageId)) {
+      return interaction.editReply({
+        content:
+          'That message already has reaction roles. Remove them first with `/remove-reaction-roles`.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const message = await findMessage(
+      interaction.guild,
+      target.messageId,
+      target.channelId || channelOption?.id
+    );
+    if (!message) {
+      return interaction.editReply({
+        content:
+          "Couldn't find that message. Check the link or ID and that the bot can view the channel and read its message history.",
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const channel = message.channel;
+    log.info(`Attaching reaction roles to message ${message.id} in #${channel.name}`);
+
+    const { roleConfig, error } = validatePanelInput(interaction, channel, rolesInput, mode, limit);
+    if (error) {
+      return interaction.editReply({ content: error, flags: MessageFlags.Ephemeral });
+    }
+
+    try {
+      const panelConfig = buildPanelConfig(roleConfig, channel, { mode, limit, attached: true });
+
+      // Add all reaction emojis to the message
+      for (const config of panelConfig) {
+        await message.react(formatEmoji(config));
+      }
+
+      // Save configuration to memory for reaction handler
+      saveReactionRoleConfig(message.id, panelConfig);
+
+      await interaction.editReply({
+        content:
+          `Reaction roles attached to ${message.url}\nMessage ID: ${message.id}` +
+          getPanelPermissionWarning(channel, mode),
+        flags: MessageFlags.Ephemeral
+      });
+
+      log.success(`Reaction roles attached in #${channel.name} by ${interaction.user.tag}`);
+      log.info(`Message ID: ${message.id}, Roles: ${roleConfig.length}, Mode: ${mode}`);
+    } catch (error) {
+      log.error('Failed to attach reaction roles', error);
+      await interaction.editReply({
+        content:
+          'Failed to add reactions to that message. Check that the bot can add reactions in that channel!',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+};
+
+/**
+ * Parse a message link or ID
+ * @param {string} input - Message link or message ID
+ * @returns {{guildId?: string, channelId?: string, messageId: string}|null} Message reference
+ */
+export function parseMessageReference(input) {
+  const link = input.match(MESSAGE_LINK_PATTERN);
+  if (link) {
+    return { guildId: link[1], channelId: link[2], messageId: link[3] };
+  }
+
+  return MESSAGE_ID_PATTERN.test(input) ? { messageId: input } : null;
+}
+
+/**
+ * Find a message in a guild
+ * Without a channel, every text channel the bot can view is searched
+ * @param {Guild} guild - Discord guild
+ * @param {string} messageId - Message ID
+ * @param {string} [channelId] - Channel of the message, if known
+ * @returns {Promise<Message|null>} The message, or null if not found
+ */
+async function findMessage(guild, messageId, channelId) {
+  const channels = channelId
+    ? [guild.channels.cache.get(channelId)]
+    : [...guild.channels.cache.values()];
+
+  for (const channel of channels) {
+    if (!channel?.isTextBased() || !channel.viewable) {
+      continue;
+    }
+
+    try {
+      return await channel.messages.fetch(messageId);
+    } catch (error) {
+      if (error.code !== RESTJSONErrorCodes.UnknownMessage) {
+        log.warn(`Could not search #${channel.name} for message ${messageId}: ${error.message}`);
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,191 @@
+/**
+ * Audit Log Command - Review who changed the bot configuration and what changed
+ * Entries are recorded automatically by storage for every configuration change
+ */
+
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle
+} from 'discord.js';
+import { getAuditLog, getAuditRetention, setAuditRetention } from '../data/storage.js';
+import { AUDIT_MODULES } from '../data/audit.js';
+import log from '../utils/colors.js';
+
+const PAGE_SIZE = 5;
+const MAX_CHANGES_SHOWN = 4;
+const ACTION_SYMBOLS = { create: '➕', update: '✏️', delete: '➖' };
+
+export const auditLogCommand = {
+  data: new SlashCommandBuilder()
+    .setName('audit-log')
+    .setDescription('View or configure the configuration audit log')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('view')
+        .setDescription('View recent configuration changes')
+        .addStringOption((option) =>
+          option
+            .setName('module')
+            .setDescription('Only show changes to this module')
+            .addChoices(
+              ...Object.values(AUDIT_MODULES).map((module) => ({ name: module, value: module }))
+            )
+        )
+        .addUserOption((option) =>
+          option.setName('user').setDescription('Only show changes made by this user')
+        )
+        .addIntegerOption((option) =>
+          option.setName('page').setDescription('Page number').setMinValue(1)
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('retention')
+        .setDescription('Set how long audit entries are kept')
+        .addIntegerOption((option) =>
+          option
+            .setName('days')
+            .setDescription('Number of days to keep entries (1-365)')
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(365)
+        )
+    ),
+
+  /**
+   * Execute the audit-log command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    try {
+      if (interaction.options.getSubcommand() === 'retention') {
+        const days = interaction.options.getInteger('days');
+        setAuditRetention(interaction.guildId, days);
+
+        return interaction.editReply({
+          content: `✅ Audit log entries will now be kept for **${days}** day(s).`
+        });
+      }
+
+      const filters = {
+        module: interaction.options.getString('module'),
+        userId: interaction.options.getUser('user')?.id || null
+      };
+      const page = interaction.options.getInteger('page') || 1;
+
+      await interaction.editReply(buildAuditLogPage(interaction.guildId, filters, page));
+      log.command(`Audit log viewed by ${interaction.user.tag}`);
+    } catch (error) {
+      log.error('Error in audit-log command', error);
+      throw error;
+    }
+  }
+};
+
+/**
+ * Handle the Previous/Next buttons of an audit log page
+ * Filters and page number are carried in the custom ID
+ * @param {ButtonInteraction} interaction - Button interaction
+ */
+export async function handleAuditLogPage(interaction) {
+  const [page, module, userId] = interaction.customId.replace('audit_page_', '').split('_');
+  const filters = {
+    module: module === 'all' ? null : module,
+    userId: userId === 'all' ? null : userId
+  };
+
+  await interaction.update(buildAuditLogPage(interaction.guildId, filters, parseInt(page, 10)));
+}
+
+/**
+ * Build one page of the audit log
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} filters - Module and user filters
+ * @param {number} page - Page number (1-based)
+ * @returns {Object} Message payload with embed and paging buttons
+ */
+function buildAuditLogPage(guildId, filters, page) {
+  const entries = getAuditLog(guildId, filters);
+  const totalPages = Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 1), totalPages);
+  const pageEntries = entries.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+
+  const filterText = [
+    filters.module && `module: ${filters.module}`,
+    filters.userId && `user: <@${filters.userId}>`
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+  const embed = new EmbedBuilder()
+    .setTitle('📜 Configuration Audit Log')
+    .setColor(0x0099ff)
+    .setDescription(
+      pageEntries.length > 0
+        ? `${filterText ? `Filtered by ${filterText}\n\n` : ''}${pageEntries.map(formatEntry).join('\n\n')}`
+        : 'No configuration changes recorded yet.'
+    )
+    .setFooter({
+      text: `Page ${currentPage}/${totalPages} • ${entries.length} entries • Kept for ${getAuditRetention(guildId)} days`
+    });
+
+  const idSuffix = `${filters.module || 'all'}_${filters.userId || 'all'}`;
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`audit_page_${currentPage - 1}_${idSuffix}`)
+      .setLabel('Previous')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage <= 1),
+    new ButtonBuilder()
+      .setCustomId(`audit_page_${currentPage + 1}_${idSuffix}`)
+      .setLabel('Next')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage >= totalPages)
+  );
+
+  return { embeds: [embed], components: totalPages > 1 ? [row] : [] };
+}
+
+/**
+ * Format one audit entry for display
+ * @param {Object} entry - Audit entry
+ * @returns {string} Formatted entry
+ */
+function formatEntry(entry) {
+  const time = Math.floor(Date.parse(entry.timestamp) / 1000);
+  const actor = entry.actorId ? `<@${entry.actorId}>` : entry.actorTag;
+  const command = entry.command ? ` via \`/${entry.command}\`` : '';
+  const target = entry.target ? ` \`${entry.target}\`` : '';
+
+  const changes = entry.changes.slice(0, MAX_CHANGES_SHOWN).map(({ field, from, to }) => {
+    const label = field ? `${field}: ` : '';
+    return `  • ${label}${formatValue(from)} → ${formatValue(to)}`;
+  });
+  if (entry.changes.length > MAX_CHANGES_SHOWN) {
+    changes.push(`  • …and ${entry.changes.length - MAX_CHANGES_SHOWN} more`);
+  }
+
+  return (
+    `${ACTION_SYMBOLS[entry.action]} **${entry.module}**${target} by ${actor}${command} <t:${time}:R>\n` +
+    changes.join('\n')
+  );
+}
+
+/**
+ * Shorten a stored value for display
+ * @param {*} value - Value from an audit entry
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '*none*';
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return `\`${text.length > 60 ? `${text.slice(0, 60)}…` : text}\``.replace(/\n/g, ' ');
+}
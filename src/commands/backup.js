@@ -0,0 +1,51 @@
+/**
+ * Backup Command - Download this server's configuration as a JSON file
+ * The file can be restored later with /restore
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, AttachmentBuilder } from 'discord.js';
+import { exportGuildConfig } from '../data/storage.js';
+import { MESSAGE_KEYED_COLLECTIONS, GUILD_KEYED_COLLECTIONS } from '../data/guildBackup.js';
+import log from '../utils/colors.js';
+
+export const backupCommand = {
+  data: new SlashCommandBuilder()
+    .setName('backup')
+    .setDescription("Download this server's bot configuration as a backup file")
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false),
+
+  /**
+   * Execute the backup command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    try {
+      const backup = exportGuildConfig(interaction.guildId);
+      backup.guildName = interaction.guild.name;
+
+      const date = backup.exportedAt.slice(0, 10);
+      const file = new AttachmentBuilder(Buffer.from(JSON.stringify(backup, null, 2)), {
+        name: `role-guardian-backup-${interaction.guildId}-${date}.json`
+      });
+
+      const configured = GUILD_KEYED_COLLECTIONS.filter((name) => backup[name].length > 0).length;
+      const panels = MESSAGE_KEYED_COLLECTIONS.reduce((sum, name) => sum + backup[name].length, 0);
+
+      await interaction.editReply({
+        content:
+          '**💾 Configuration Backup**\n\n' +
+          `• Configured modules: ${configured}\n` +
+          `• Role panels: ${panels}\n\n` +
+          'Keep this file safe. Use `/restore` with it to bring this configuration back.\n' +
+          '⚠️ Member XP and ticket history are not included.',
+        files: [file]
+      });
+
+      log.success(`Configuration backup exported for guild: ${interaction.guild.name}`);
+    } catch (error) {
+      log.error('Error exporting configuration backup', error);
+      await interaction.editReply({ content: 'Failed to create a backup. Please try again.' });
+    }
+  }
+};
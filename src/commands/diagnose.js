@@ -0,0 +1,80 @@
+/**
+ * Diagnose Command - Find stored configs that point at deleted messages, channels or roles
+ * Reports each dangling entry with a suggested fix, and can prune them
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { getDiagnoseConfig, saveDiagnoseConfig } from '../data/storage.js';
+import { reconcileGuild } from '../handlers/reconciliation.js';
+import log from '../utils/colors.js';
+
+const MAX_ISSUES_SHOWN = 15;
+
+export const diagnoseCommand = {
+  data: new SlashCommandBuilder()
+    .setName('diagnose')
+    .setDescription('Check bot configurations for deleted messages, channels and roles')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addBooleanOption((option) =>
+      option.setName('prune').setDescription('Remove dangling entries that can be fixed safely')
+    )
+    .addBooleanOption((option) =>
+      option
+        .setName('auto-prune')
+        .setDescription('Remove dangling entries automatically during scheduled checks')
+    ),
+
+  /**
+   * Execute the diagnose command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    try {
+      const prune = interaction.options.getBoolean('prune') ?? false;
+      const autoPrune = interaction.options.getBoolean('auto-prune');
+
+      if (autoPrune !== null) {
+        saveDiagnoseConfig(interaction.guildId, {
+          ...getDiagnoseConfig(interaction.guildId),
+          autoPrune
+        });
+      }
+
+      const { issues, unchecked, pruned } = await reconcileGuild(interaction.guild, { prune });
+
+      const lines = issues.slice(0, MAX_ISSUES_SHOWN).map((issue) => {
+        const status = issue.pruned ? '🧹 Pruned' : `💡 ${issue.suggestion}`;
+        return `**${issue.module}** - ${issue.problem}\n${status}`;
+      });
+      if (issues.length > MAX_ISSUES_SHOWN) {
+        lines.push(`…and ${issues.length - MAX_ISSUES_SHOWN} more`);
+      }
+      for (const { module, reason } of unchecked) {
+        lines.push(`⚠️ Could not check **${module}**: ${reason}`);
+      }
+
+      const fixable = issues.filter((issue) => issue.fix && !issue.pruned).length;
+      const autoPruneEnabled = getDiagnoseConfig(interaction.guildId)?.autoPrune === true;
+
+      const embed = new EmbedBuilder()
+        .setTitle('🩺 Configuration Diagnosis')
+        .setColor(issues.length === 0 ? 0x57f287 : 0xfee75c)
+        .setDescription(
+          lines.length > 0 ? lines.join('\n\n') : '✅ All stored configurations are valid.'
+        )
+        .setFooter({
+          text:
+            `${issues.length} issue(s) • ${pruned} pruned` +
+            (fixable > 0 ? ` • Run /diagnose prune:true to fix ${fixable}` : '') +
+            ` • Auto-prune ${autoPruneEnabled ? 'on' : 'off'}`
+        });
+
+      await interaction.editReply({ embeds: [embed] });
+      log.command(`Diagnosis run by ${interaction.user.tag}: ${issues.length} issue(s)`);
+    } catch (error) {
+      log.error('Error in diagnose command', error);
+      throw error;
+    }
+  }
+};
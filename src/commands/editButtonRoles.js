@@ -0,0 +1,349 @@
+/**
+ * Edit Button Roles Command
+ * Change an existing button role panel in place - its action rows are rebuilt
+ * on the same message, so the message ID and links to it keep working
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, MessageFlags } from 'discord.js';
+import {
+  getButtonRoleConfig,
+  saveButtonRoleConfig,
+  getAllButtonRoleConfigs
+} from '../data/storage.js';
+import { getButtonPanelMode } from '../handlers/buttonRoles.js';
+import {
+  BUTTON_FIELDS,
+  BUTTON_MODE_HINTS,
+  buttonModeOption,
+  buildButtonRows
+} from './setupButtonRoles.js';
+import { log } from '../utils/colors.js';
+import { parseEmoji, toEmojiConfig, checkEmojiUsable } from '../utils/emoji.js';
+
+const MAX_BUTTONS = 25; // 5 rows of 5 buttons
+
+// Typed as the emoji to take a button's emoji away
+const NO_EMOJI = 'none';
+
+const BUTTON_STYLES = ['primary', 'secondary', 'success', 'danger'];
+
+/**
+ * Options shared by the subcommands
+ */
+function messageIdOption(option) {
+  return option
+    .setName('message-id')
+    .setDescription('ID of the button role message')
+    .setRequired(true)
+    .setAutocomplete(true);
+}
+
+function styleOption(option) {
+  return option
+    .setName('style')
+    .setDescription('Button color')
+    .addChoices(...BUTTON_STYLES.map((style) => ({ name: style, value: style })));
+}
+
+export const editButtonRolesCommand = {
+  data: new SlashCommandBuilder()
+    .setName('edit-button-roles')
+    .setDescription('Edit a button role panel without recreating it')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('add')
+        .setDescription('Add a button to the panel')
+        .addStringOption(messageIdOption)
+        .addStringOption((option) =>
+          option.setName('label').setDescription('Button text').setRequired(true).setMaxLength(80)
+        )
+        .addRoleOption((option) =>
+          option.setName('role').setDescription('Role the button gives').setRequired(true)
+        )
+        .addStringOption(styleOption)
+        .addStringOption((option) =>
+          option.setName('emoji').setDescription('Unicode or custom emoji shown on the button')
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a button from the panel')
+        .addStringOption(messageIdOption)
+        .addRoleOption((option) =>
+          option.setName('role').setDescription('Role of the button').setRequired(true)
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('restyle')
+        .setDescription('Change the label, color or emoji of a button')
+        .addStringOption(messageIdOption)
+        .addRoleOption((option) =>
+          option.setName('role').setDescription('Role of the button').setRequired(true)
+        )
+        .addStringOption((option) =>
+          option.setName('label').setDescription('New button text').setMaxLength(80)
+        )
+        .addStringOption(styleOption)
+        .addStringOption((option) =>
+          option.setName('emoji').setDescription('New emoji, or "none" to remove it')
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('mode')
+        .setDescription('Change how the buttons hand out roles')
+        .addStringOption(messageIdOption)
+        .addStringOption((option) => buttonModeOption(option).setRequired(true))
+    ),
+
+  /**
+   * Suggest the button role panels of this server
+   * @param {AutocompleteInteraction} interaction - Autocomplete interaction
+   */
+  async autocomplete(interaction) {
+    try {
+      const focused = interaction.options.getFocused();
+      const choices = [];
+
+      for (const [messageId, config] of getAllButtonRoleConfigs()) {
+        if (config[0]?.guildId !== interaction.guildId || !messageId.includes(focused)) {
+          continue;
+        }
+
+        const channel = interaction.guild.channels.cache.get(config[0].channelId);
+        choices.push({
+          name: `#${channel?.name || 'deleted-channel'} - ${config.length} button(s), ${getButtonPanelMode(config)} (${messageId})`,
+          value: messageId
+        });
+      }
+
+      await interaction.respond(choices.slice(0, 25)); // Discord limits to 25 choices
+    } catch (error) {
+      log.error('Error in edit-button-roles autocomplete', error);
+      await interaction.respond([]);
+    }
+  },
+
+  /**
+   * Execute the edit-button-roles command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const messageId = interaction.options.getString('message-id');
+    const config = getButtonRoleConfig(messageId);
+
+    if (!config || config[0]?.guildId !== interaction.guildId) {
+      return interaction.editReply({
+        content: `No button role panel found with message ID: ${messageId}`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const channel = interaction.guild.channels.cache.get(config[0].channelId);
+    const message = channel ? await channel.messages.fetch(messageId).catch(() => null) : null;
+
+    if (!message) {
+      return interaction.editReply({
+        content:
+          'The panel message could not be found. Run `/diagnose` to clean up panels whose message was deleted.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    log.info(`Editing button role panel ${messageId} (${subcommand})`);
+
+    try {
+      let result;
+      if (subcommand === 'add') {
+        result = await addButton(interaction, message, config);
+      } else if (subcommand === 'remove') {
+        result = await removeButton(interaction, message, config);
+      } else if (subcommand === 'restyle') {
+        result = await restyleButton(interaction, message, config);
+      } else {
+        result = await changeMode(interaction, message, config);
+      }
+
+      await interaction.editReply({ content: result, flags: MessageFlags.Ephemeral });
+    } catch (error) {
+      log.error(`Failed to edit button role panel ${messageId}`, error);
+      await interaction.editReply({
+        content: 'Failed to edit the button role panel. Check bot permissions!',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+};
+
+/**
+ * Rebuild the buttons of a panel and save the new entries
+ * @param {Message} message - Panel message
+ * @param {Array} config - New button entries
+ */
+async function savePanel(message, config) {
+  await message.edit({ components: buildButtonRows(config) });
+  saveButtonRoleConfig(message.id, config);
+}
+
+/**
+ * Read the emoji option
+ * @returns {{emoji: ?Object, error: ?string}} Parsed emoji, or the reason it can't be used
+ */
+function readEmoji(interaction, message) {
+  const input = interaction.options.getString('emoji');
+  if (!input) {
+    return { emoji: null };
+  }
+
+  const emoji = parseEmoji(input);
+  if (!emoji) {
+    return {
+      error: 'That is not a valid emoji. Use a unicode emoji or a custom emoji like <:pepe:1234>.'
+    };
+  }
+
+  const unusable = checkEmojiUsable(message.channel, emoji);
+  return unusable ? { error: `The bot can't use that emoji: ${unusable}` } : { emoji };
+}
+
+/**
+ * Add a button
+ * @returns {Promise<string>} Reply content
+ */
+async function addButton(interaction, message, config) {
+  const label = interaction.options.getString('label');
+  const role = interaction.options.getRole('role');
+
+  if (config.length >= MAX_BUTTONS) {
+    return `A panel can have at most ${MAX_BUTTONS} buttons. Use \`/setup-select-roles\` for larger role lists.`;
+  }
+
+  if (config.some((entry) => entry.roleId === role.id)) {
+    return `${role} already has a button on this panel. Use \`/edit-button-roles restyle\` to change it.`;
+  }
+
+  const { emoji, error } = readEmoji(interaction, message);
+  if (error) {
+    return error;
+  }
+
+  const panelSettings = Object.fromEntries(
+    Object.entries(config[0]).filter(([field]) => !BUTTON_FIELDS.includes(field))
+  );
+  const entry = {
+    label,
+    roleId: role.id,
+    style: interaction.options.getString('style') || 'primary',
+    ...(emoji && toEmojiConfig(emoji)),
+    ...panelSettings
+  };
+
+  await savePanel(message, [...config, entry]);
+
+  log.success(`Added button ${label} → ${role.name} to panel ${message.id}`);
+  return `Added the **${label}** button for ${role} to the panel.`;
+}
+
+/**
+ * Remove a button
+ * Members keep the role, the panel just no longer hands it out
+ * @returns {Promise<string>} Reply content
+ */
+async function removeButton(interaction, message, config) {
+  const role = interaction.options.getRole('role');
+  const entry = config.find((candidate) => candidate.roleId === role.id);
+
+  if (!entry) {
+    return `${role} has no button on this panel.`;
+  }
+
+  if (config.length === 1) {
+    return 'This is the last button on the panel. Use `/remove-button-roles` to remove the whole panel.';
+  }
+
+  await savePanel(
+    message,
+    config.filter((candidate) => candidate !== entry)
+  );
+
+  log.success(`Removed button ${entry.label} from panel ${message.id}`);
+  return `Removed the **${entry.label}** button. Members keep roles they already have.`;
+}
+
+/**
+ * Change the label, style or emoji of a button
+ * @returns {Promise<string>} Reply content
+ */
+async function restyleButton(interaction, message, config) {
+  const role = interaction.options.getRole('role');
+  const label = interaction.options.getString('label');
+  const style = interaction.options.getString('style');
+  const emojiInput = interaction.options.getString('emoji');
+  const entry = config.find((candidate) => candidate.roleId === role.id);
+
+  if (!entry) {
+    return `${role} has no button on this panel.`;
+  }
+
+  if (!label && !style && !emojiInput) {
+    return 'Give a new label, style or emoji.';
+  }
+
+  const updated = { ...entry };
+  if (label) {
+    updated.label = label;
+  }
+  if (style) {
+    updated.style = style;
+  }
+
+  if (emojiInput?.trim().toLowerCase() === NO_EMOJI) {
+    delete updated.emoji;
+    delete updated.emojiName;
+    delete updated.animated;
+  } else if (emojiInput) {
+    const { emoji, error } = readEmoji(interaction, message);
+    if (error) {
+      return error;
+    }
+    delete updated.emojiName;
+    delete updated.animated;
+    Object.assign(updated, toEmojiConfig(emoji));
+  }
+
+  await savePanel(
+    message,
+    config.map((candidate) => (candidate === entry ? updated : candidate))
+  );
+
+  log.success(`Restyled button ${updated.label} on panel ${message.id}`);
+  return `Updated the **${updated.label}** button.`;
+}
+
+/**
+ * Change the mode of the panel and the hint in its footer
+ * @returns {Promise<string>} Reply content
+ */
+async function changeMode(interaction, message, config) {
+  const mode = interaction.options.getString('mode');
+
+  if (message.embeds[0]) {
+    const embed = EmbedBuilder.from(message.embeds[0]).setFooter(
+      BUTTON_MODE_HINTS[mode] ? { text: BUTTON_MODE_HINTS[mode] } : null
+    );
+    await message.edit({ embeds: [embed] });
+  }
+
+  saveButtonRoleConfig(
+    message.id,
+    config.map((entry) => ({ ...entry, mode }))
+  );
+
+  log.success(`Changed mode of panel ${message.id} to ${mode}`);
+  return `Panel mode changed to **${mode}**. Members keep the roles they already have.`;
+}
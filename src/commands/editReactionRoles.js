@@ -0,0 +1,310 @@
+/**
+ * Edit Reaction Roles Command
+ * Change an existing reaction role panel in place - the message ID and member reactions are kept
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, MessageFlags } from 'discord.js';
+import {
+  getReactionRoleConfig,
+  saveReactionRoleConfig,
+  getAllReactionRoleConfigs
+} from '../data/storage.js';
+import { getPanelMode } from '../handlers/reactionRoles.js';
+import { getPanelSettings } from './setupReactionRoles.js';
+import { log } from '../utils/colors.js';
+import {
+  parseEmoji,
+  emojiKey,
+  toEmojiConfig,
+  formatEmoji,
+  checkEmojiUsable
+} from '../utils/emoji.js';
+
+const HEX_COLOR_PATTERN = /^#?([0-9a-f]{6})$/i;
+
+/**
+ * Message ID option shared by every subcommand
+ */
+function messageIdOption(option) {
+  return option
+    .setName('message-id')
+    .setDescription('ID of the reaction role message')
+    .setRequired(true)
+    .setAutocomplete(true);
+}
+
+export const editReactionRolesCommand = {
+  data: new SlashCommandBuilder()
+    .setName('edit-reaction-roles')
+    .setDescription('Edit a reaction role panel without recreating it')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('add')
+        .setDescription('Add an emoji and role to the panel')
+        .addStringOption(messageIdOption)
+        .addStringOption((option) =>
+          option
+            .setName('emoji')
+            .setDescription('Unicode or custom emoji (e.g., 🔴 or <:pepe:1234>)')
+            .setRequired(true)
+        )
+        .addRoleOption((option) =>
+          option.setName('role').setDescription('Role the emoji gives').setRequired(true)
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove an emoji and its role from the panel')
+        .addStringOption(messageIdOption)
+        .addStringOption((option) =>
+          option.setName('emoji').setDescription('Emoji to remove').setRequired(true)
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('appearance')
+        .setDescription('Change the title, description or color of the panel')
+        .addStringOption(messageIdOption)
+        .addStringOption((option) => option.setName('title').setDescription('New title'))
+        .addStringOption((option) =>
+          option.setName('description').setDescription('New description')
+        )
+        .addStringOption((option) =>
+          option.setName('color').setDescription('New color as hex (e.g., #5865F2)')
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('reorder')
+        .setDescription('Change the order of the emojis on the panel')
+        .addStringOption(messageIdOption)
+        .addStringOption((option) =>
+          option
+            .setName('order')
+            .setDescription('Every emoji of the panel in the new order, comma separated')
+            .setRequired(true)
+        )
+    ),
+
+  /**
+   * Suggest the reaction role panels of this server
+   * @param {AutocompleteInteraction} interaction - Autocomplete interaction
+   */
+  async autocomplete(interaction) {
+    try {
+      const focused = interaction.options.getFocused();
+      const choices = [];
+
+      for (const [messageId, config] of getAllReactionRoleConfigs()) {
+        if (config[0]?.guildId !== interaction.guildId || !messageId.includes(focused)) {
+          continue;
+        }
+
+        const channel = interaction.guild.channels.cache.get(config[0].channelId);
+        choices.push({
+          name: `#${channel?.name || 'deleted-channel'} - ${config.length} role(s), ${getPanelMode(config).mode} (${messageId})`,
+          value: messageId
+        });
+      }
+
+      await interaction.respond(choices.slice(0, 25)); // Discord limits to 25 choices
+    } catch (error) {
+      log.error('Error in edit-reaction-roles autocomplete', error);
+      await interaction.respond([]);
+    }
+  },
+
+  /**
+   * Execute the edit-reaction-roles command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const messageId = interaction.options.getString('message-id');
+    const config = getReactionRoleConfig(messageId);
+
+    if (!config || config[0]?.guildId !== interaction.guildId) {
+      return interaction.editReply({
+        content: `No reaction role panel found with message ID: ${messageId}`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const channel = interaction.guild.channels.cache.get(config[0].channelId);
+    const message = channel ? await channel.messages.fetch(messageId).catch(() => null) : null;
+
+    if (!message) {
+      return interaction.editReply({
+        content:
+          'The panel message could not be found. Run `/diagnose` to clean up panels whose message was deleted.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    log.info(`Editing reaction role panel ${messageId} (${subcommand})`);
+
+    try {
+      let result;
+      if (subcommand === 'add') {
+        result = await addPair(interaction, message, config);
+      } else if (subcommand === 'remove') {
+        result = await removePair(interaction, message, config);
+      } else if (subcommand === 'appearance') {
+        result = await editAppearance(interaction, message, config);
+      } else {
+        result = await reorderPairs(interaction, message, config);
+      }
+
+      await interaction.editReply({ content: result, flags: MessageFlags.Ephemeral });
+    } catch (error) {
+      log.error(`Failed to edit reaction role panel ${messageId}`, error);
+      await interaction.editReply({
+        content: 'Failed to edit the reaction role panel. Check bot permissions!',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+};
+
+/**
+ * Add an emoji→role pair and the bot's reaction for it
+ * @returns {Promise<string>} Reply content
+ */
+async function addPair(interaction, message, config) {
+  const emoji = parseEmoji(interaction.options.getString('emoji'));
+  const role = interaction.options.getRole('role');
+
+  if (!emoji) {
+    return 'That is not a valid emoji. Use a unicode emoji or a custom emoji like <:pepe:1234>.';
+  }
+
+  const unusable = checkEmojiUsable(message.channel, emoji);
+  if (unusable) {
+    return `The bot can't react with that emoji: ${unusable}`;
+  }
+
+  if (config.some((entry) => entry.emoji === emojiKey(emoji))) {
+    return 'That emoji is already on the panel. Remove it first to map it to another role.';
+  }
+
+  const entry = { ...toEmojiConfig(emoji), roleId: role.id, ...getPanelSettings(config) };
+
+  await message.react(formatEmoji(entry));
+  saveReactionRoleConfig(message.id, [...config, entry]);
+
+  log.success(`Added ${formatEmoji(entry)} → ${role.name} to panel ${message.id}`);
+  return `Added ${formatEmoji(entry)} → ${role} to the panel.`;
+}
+
+/**
+ * Remove an emoji→role pair and the bot's reaction for it
+ * Member reactions stay, but no longer change any role
+ * @returns {Promise<string>} Reply content
+ */
+async function removePair(interaction, message, config) {
+  const emoji = parseEmoji(interaction.options.getString('emoji'));
+  const entry = emoji && config.find((candidate) => candidate.emoji === emojiKey(emoji));
+
+  if (!entry) {
+    return 'That emoji is not on the panel.';
+  }
+
+  if (config.length === 1) {
+    return 'This is the last emoji on the panel. Use `/remove-reaction-roles` to remove the whole panel.';
+  }
+
+  await message.reactions.cache.get(entry.emoji)?.users.remove(interaction.client.user.id);
+  saveReactionRoleConfig(
+    message.id,
+    config.filter((candidate) => candidate !== entry)
+  );
+
+  log.success(`Removed ${formatEmoji(entry)} from panel ${message.id}`);
+  return `Removed ${formatEmoji(entry)} from the panel. Members keep roles they already have.`;
+}
+
+/**
+ * Change the embed of a panel posted by the bot
+ * @returns {Promise<string>} Reply content
+ */
+async function editAppearance(interaction, message, config) {
+  const title = interaction.options.getString('title');
+  const description = interaction.options.getString('description');
+  const color = interaction.options.getString('color');
+
+  if (config[0].attached || !message.embeds[0]) {
+    return 'This panel uses an existing message, so the bot can only change its roles.';
+  }
+
+  if (!title && !description && !color) {
+    return 'Give a new title, description or color.';
+  }
+
+  const hex = color?.match(HEX_COLOR_PATTERN);
+  if (color && !hex) {
+    return 'Invalid color! Use a hex color like #5865F2.';
+  }
+
+  const embed = EmbedBuilder.from(message.embeds[0]);
+  if (title) {
+    embed.setTitle(title);
+  }
+  if (description) {
+    embed.setDescription(description);
+  }
+  if (hex) {
+    embed.setColor(`#${hex[1]}`);
+  }
+
+  await message.edit({ embeds: [embed] });
+
+  log.success(`Updated appearance of panel ${message.id}`);
+  return 'Panel updated.';
+}
+
+/**
+ * Reorder the pairs of a panel
+ * Bot-only reactions are re-added in the new order; emojis members already
+ * reacted with can't move without removing their reactions, so they stay put
+ * @returns {Promise<string>} Reply content
+ */
+async function reorderPairs(interaction, message, config) {
+  const order = interaction.options
+    .getString('order')
+    .split(',')
+    .map((input) => parseEmoji(input));
+
+  const keys = order.map((emoji) => emoji && emojiKey(emoji));
+  const reordered = keys.map((key) => config.find((entry) => entry.emoji === key));
+
+  const complete = keys.length === config.length && new Set(keys).size === config.length;
+  if (!complete || reordered.some((entry) => !entry)) {
+    return `List every emoji of the panel exactly once, e.g. ${config.map(formatEmoji).join(',')}`;
+  }
+
+  const botId = interaction.client.user.id;
+  const movable = reordered.filter((entry) => {
+    const reaction = message.reactions.cache.get(entry.emoji);
+    return !reaction || (reaction.me && reaction.count === 1);
+  });
+
+  for (const entry of movable) {
+    await message.reactions.cache.get(entry.emoji)?.users.remove(botId);
+  }
+  for (const entry of movable) {
+    await message.react(formatEmoji(entry));
+  }
+
+  saveReactionRoleConfig(message.id, reordered);
+
+  log.success(`Reordered panel ${message.id}`);
+  return (
+    `Panel reordered: ${reordered.map(formatEmoji).join(' ')}` +
+    (movable.length < reordered.length
+      ? '\nEmojis members already reacted with keep their place on the message.'
+      : '')
+  );
+}
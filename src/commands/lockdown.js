@@ -0,0 +1,57 @@
+/**
+ * Lockdown Command - Start a lockdown by hand
+ * Uses the /setup-anti-raid settings for new members, slowmode and alerts
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { getAntiRaidConfig, getLockdown } from '../data/storage.js';
+import { startLockdown, LOCKDOWN_ACTIONS } from '../handlers/antiRaid.js';
+import log from '../utils/colors.js';
+
+export const lockdownCommand = {
+  data: new SlashCommandBuilder()
+    .setName('lockdown')
+    .setDescription('Lock the server down: pause welcomes and quarantine or kick new members')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption((option) =>
+      option.setName('reason').setDescription('Why the server is locked down').setMaxLength(200)
+    ),
+
+  /**
+   * Execute the lockdown command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const config = getAntiRaidConfig(interaction.guildId);
+    if (!config) {
+      return interaction.editReply({
+        content: 'Run `/setup-anti-raid` first, so I know what to do with members who join.'
+      });
+    }
+
+    const running = getLockdown(interaction.guildId);
+    if (running) {
+      return interaction.editReply({
+        content: `The server is already locked down since <t:${Math.floor(Date.parse(running.startedAt) / 1000)}:R>: ${running.reason}`
+      });
+    }
+
+    const reason = interaction.options.getString('reason') || 'Started by a moderator';
+    const lockdown = await startLockdown(interaction.guild, {
+      reason,
+      startedBy: interaction.user.tag
+    });
+    const slowedChannels = Object.keys(lockdown.slowmode).length;
+
+    await interaction.editReply({
+      content:
+        '🚨 **Lockdown started**\n\n' +
+        `• New members: ${LOCKDOWN_ACTIONS[config.action]}\n` +
+        '• Welcome messages and autoroles are paused\n' +
+        (slowedChannels > 0 ? `• Slowmode raised in ${slowedChannels} channel(s)\n` : '') +
+        '\nEnd it with `/unlock`.'
+    });
+    log.command(`Lockdown started by ${interaction.user.tag} in ${interaction.guild.name}`);
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Remove Select Roles Command
+ * Delete existing select menu role configuration
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, MessageFlags } from 'discord.js';
+import { removeSelectRoleConfig } from '../data/storage.js';
+import { log } from '../utils/colors.js';
+
+export const removeSelectRolesCommand = {
+  data: new SlashCommandBuilder()
+    .setName('remove-select-roles')
+    .setDescription('Remove a select menu role message')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addStringOption((option) =>
+      option
+        .setName('message-id')
+        .setDescription('ID of the select menu role message to remove')
+        .setRequired(true)
+    ),
+
+  /**
+   * Execute the remove-select-roles command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const messageId = interaction.options.getString('message-id');
+
+    log.info(`Attempting to remove select roles for message: ${messageId}`);
+
+    // Remove configuration from storage
+    const removed = removeSelectRoleConfig(messageId);
+
+    if (removed) {
+      await interaction.editReply({
+        content: `Select role configuration removed for message ID: ${messageId}`,
+        flags: MessageFlags.Ephemeral
+      });
+      log.success(`Select roles removed for message: ${messageId}`);
+    } else {
+      await interaction.editReply({
+        content: `No select role configuration found for message ID: ${messageId}`,
+        flags: MessageFlags.Ephemeral
+      });
+      log.warn(`No configuration found for message: ${messageId}`);
+    }
+  }
+};
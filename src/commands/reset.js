@@ -1,67 +1,112 @@
 /**
- * Reset Command - Reset all bot configurations for the server
- * FIXED: Now properly clears in-memory caches by emitting events to all handlers
- * FIXED: Scheduled messages are cancelled before data deletion
+ * Reset Command - Reset bot configurations for the server
+ * Resets everything or a single module, after confirmation with a button
+ * A snapshot is saved first so the reset can be undone with /reset-undo
  */
 
 import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
-import { resetGuildConfig } from '../data/storage.js';
+import { resetGuildConfig, getResetPreview, RESET_SCOPES } from '../data/storage.js';
+import { createConfirmation } from '../handlers/confirmations.js';
 import { log } from '../utils/colors.js';
 
+/**
+ * Display names for each reset scope
+ */
+export const RESET_SCOPE_LABELS = {
+  welcome: 'Welcome messages',
+  leave: 'Leave messages',
+  autorole: 'Autoroles',
+  'sticky-roles': 'Sticky roles and saved member roles',
+  verification: 'Verification gate and members waiting to verify',
+  'anti-raid': 'Anti-raid settings and lockdown',
+  'reaction-roles': 'Reaction roles',
+  'button-roles': 'Button roles',
+  'select-roles': 'Select menu roles',
+  leveling: 'Leveling system',
+  'xp-data': 'Member XP and levels',
+  scheduled: 'Scheduled messages',
+  tickets: 'Ticket system and ticket data',
+  notifications: 'Role change notifications',
+  'role-groups': 'Exclusive role groups',
+  diagnose: 'Diagnostics settings'
+};
+
 const data = new SlashCommandBuilder()
   .setName('reset')
-  .setDescription('Reset all bot configurations for this server')
+  .setDescription('Reset bot configurations for this server')
   .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
-  .setDMPermission(false);
+  .setDMPermission(false)
+  .addStringOption((option) =>
+    option
+      .setName('scope')
+      .setDescription('What to reset (default: everything)')
+      .addChoices(
+        { name: 'Everything', value: 'all' },
+        ...Object.entries(RESET_SCOPE_LABELS).map(([value, name]) => ({ name, value }))
+      )
+  );
 
 /**
  * Execute reset command
- * FIXED: Properly clears all cached configurations immediately without restart
- * FIXED: Scheduled messages are cancelled instantly
+ * Shows what will be removed and waits for the admin to confirm
  * @param {Interaction} interaction - Discord interaction object
  */
 async function execute(interaction) {
-  try {
-    const guildId = interaction.guildId;
-    const guildName = interaction.guild.name;
+  const guildId = interaction.guildId;
+  const scope = interaction.options.getString('scope') || 'all';
+  const scopes = scope === 'all' ? Object.keys(RESET_SCOPES) : [scope];
 
-    log.command(`Reset command used in guild: ${guildName}`);
-    log.system(`[RESET] Initiating full configuration reset for guild: ${guildId}`);
+  log.command(`Reset command used in guild: ${interaction.guild.name} (scope: ${scope})`);
 
-    const result = await resetGuildConfig(guildId);
+  const preview = getResetPreview(guildId, scopes);
+  const lines = scopes.map(
+    (name) => `• ${RESET_SCOPE_LABELS[name]}: ${preview[name]} item(s) will be removed`
+  );
 
-    await new Promise((resolve) => setTimeout(resolve, 200));
+  const row = createConfirmation({
+    userId: interaction.user.id,
+    guildId,
+    command: 'reset',
+    confirmLabel: 'Reset',
+    onConfirm: () => runReset(interaction.guild, scopes)
+  });
 
-    await interaction.editReply({
-      content:
-        `**✅ Reset Complete**\n\n` +
-        `All bot configurations have been reset for this server:\n\n` +
-        `• Welcome messages: Removed ✅\n` +
-        `• Leave messages: Removed ✅\n` +
-        `• Reaction roles: Removed ${result.reactionRolesRemoved} configuration(s) ✅\n` +
-        `• Button roles: Removed ${result.buttonRolesRemoved || 0} configuration(s) ✅\n` +
-        `• Leveling system: Removed (all user XP/levels cleared: ${result.userLevelsRemoved}) ✅\n` +
-        `• Scheduled messages: ${result.scheduledMessagesRemoved ? 'Removed and cancelled ✅' : 'None configured'}\n` +
-        `• Ticket system: Removed (panel, category, staff roles) ✅\n` +
-        `• Ticket data: Removed (all open and closed tickets) ✅\n` +
-        `• Bot messages: Deleted ${result.messagesDeleted} panel message(s) 🗑️\n` +
-        `• In-memory caches: Cleared ✅\n\n` +
-        `⚠️ Note: Existing ticket channels must be deleted manually.\n\n` +
-        `✅ **No restart required!** All changes take effect immediately.\n` +
-        `🚫 **Scheduled messages stopped** - no more automated messages will be sent.\n\n` +
-        `You can now set up the bot again using the setup commands.`
-    });
+  await interaction.editReply({
+    content:
+      '**⚠️ Confirm Reset**\n\n' +
+      `${lines.join('\n')}\n\n` +
+      'Panel messages of removed role panels and the ticket panel will be deleted from the server.\n' +
+      'A snapshot is saved first, so you can bring everything back with `/reset-undo`.',
+    components: [row]
+  });
+}
+
+/**
+ * Run a confirmed reset
+ * @param {Guild} guild - Discord guild
+ * @param {Array<string>} scopes - Scopes to reset
+ * @returns {Promise<string>} Result message
+ */
+async function runReset(guild, scopes) {
+  log.system(`[RESET] Initiating configuration reset for guild: ${guild.id}`);
 
-    log.success(`[RESET] Successfully reset all configurations for guild: ${guildName}`);
-    log.success(`[RESET] Bot is now using fresh configuration without restart`);
-    log.success(`[RESET] Deleted ${result.messagesDeleted} configuration message(s)`);
-  } catch (error) {
-    log.error('[RESET] Error executing reset command', error);
+  const result = await resetGuildConfig(guild.id, scopes);
+  const undoBefore = Math.floor(Date.parse(result.undoExpiresAt) / 1000);
 
-    const errorMessage = 'Failed to reset bot configurations. Please try again.';
+  log.success(`[RESET] Successfully reset configurations for guild: ${guild.name}`);
 
-    await interaction.editReply({ content: errorMessage });
-  }
+  return (
+    '**✅ Reset Complete**\n\n' +
+    scopes
+      .map((name) => `• ${RESET_SCOPE_LABELS[name]}: Removed ${result.removed[name]} item(s) ✅`)
+      .join('\n') +
+    `\n• Bot messages: Deleted ${result.messagesDeleted} panel message(s) 🗑️\n\n` +
+    (scopes.includes('tickets')
+      ? '⚠️ Note: Existing ticket channels must be deleted manually.\n\n'
+      : '') +
+    '✅ **No restart required!** All changes take effect immediately.\n' +
+    `↩️ Changed your mind? Run \`/reset-undo\` before <t:${undoBefore}:f>.`
+  );
 }
 
 export const resetCommand = {
@@ -0,0 +1,47 @@
+/**
+ * Reset Undo Command - Bring back the data removed by the last /reset
+ * Works within the undo window and re-posts deleted panel messages where possible
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { getResetSnapshot, undoGuildReset } from '../data/storage.js';
+import { RESET_SCOPE_LABELS } from './reset.js';
+import { log } from '../utils/colors.js';
+
+export const resetUndoCommand = {
+  data: new SlashCommandBuilder()
+    .setName('reset-undo')
+    .setDescription('Undo the last /reset for this server')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false),
+
+  /**
+   * Execute the reset-undo command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const guildId = interaction.guildId;
+
+    if (!getResetSnapshot(guildId)) {
+      return interaction.editReply({
+        content: 'There is no reset to undo. Resets can only be undone for a limited time.'
+      });
+    }
+
+    // Restored scheduled messages are re-activated through the event bus
+    const result = await undoGuildReset(guildId);
+
+    await interaction.editReply({
+      content:
+        '**↩️ Reset Undone**\n\n' +
+        'Restored:\n' +
+        result.scopes.map((name) => `• ${RESET_SCOPE_LABELS[name]}`).join('\n') +
+        `\n\n• Panel messages re-posted: ${result.repostedPanels}` +
+        (result.failedPanels > 0
+          ? `\n⚠️ ${result.failedPanels} panel message(s) could not be re-posted. Set them up again if needed.`
+          : '')
+    });
+
+    log.success(`[RESET] Reset undone for guild: ${interaction.guild.name}`);
+  }
+};
@@ -0,0 +1,117 @@
+/**
+ * Restore Command - Restore this server's configuration from a /backup file
+ * Shows a dry-run of the changes and only applies them after confirmation
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { exportGuildConfig, restoreGuildConfig, getPanelGuildId } from '../data/storage.js';
+import { validateGuildBackup, diffGuildBackup, COLLECTION_LABELS } from '../data/guildBackup.js';
+import { createConfirmation } from '../handlers/confirmations.js';
+import log from '../utils/colors.js';
+
+const MAX_BACKUP_SIZE = 1024 * 1024; // 1 MB
+const CHANGE_SYMBOLS = { added: '➕', removed: '➖', changed: '✏️' };
+
+export const restoreCommand = {
+  data: new SlashCommandBuilder()
+    .setName('restore')
+    .setDescription("Restore this server's bot configuration from a backup file")
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addAttachmentOption((option) =>
+      option.setName('file').setDescription('Backup file created by /backup').setRequired(true)
+    ),
+
+  /**
+   * Execute the restore command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const attachment = interaction.options.getAttachment('file');
+    const guildId = interaction.guildId;
+
+    if (attachment.size > MAX_BACKUP_SIZE) {
+      return interaction.editReply({ content: '❌ Backup file is too large (max 1 MB).' });
+    }
+
+    let backup;
+    try {
+      const response = await fetch(attachment.url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      backup = JSON.parse(await response.text());
+    } catch (error) {
+      log.warn(`Could not read backup file ${attachment.name}: ${error.message}`);
+      return interaction.editReply({ content: '❌ Could not read the file. Is it valid JSON?' });
+    }
+
+    const { valid, errors, data } = validateGuildBackup(backup, guildId, getPanelGuildId);
+    if (!valid) {
+      return interaction.editReply({
+        content:
+          '❌ **This backup cannot be restored:**\n' +
+          errors
+            .slice(0, 10)
+            .map((error) => `• ${error}`)
+            .join('\n')
+      });
+    }
+
+    const changes = diffGuildBackup(exportGuildConfig(guildId), data);
+    if (changes.length === 0) {
+      return interaction.editReply({
+        content: '✅ This backup matches the current configuration. Nothing to restore.'
+      });
+    }
+
+    const lines = changes.map(({ collection, change, key, fields }) => {
+      const target = key === guildId ? '' : ` \`${key}\``;
+      const detail = fields.length > 0 ? ` (${fields.join(', ')})` : '';
+      return `${CHANGE_SYMBOLS[change]} ${COLLECTION_LABELS[collection]}${target}${detail}`;
+    });
+
+    let description = lines.join('\n');
+    if (description.length > 4000) {
+      description = `${description.slice(0, 3950)}\n…and more`;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('🔍 Restore Preview')
+      .setDescription(description)
+      .setColor(0xfee75c)
+      .setFooter({
+        text: `Backup from ${backup.exportedAt || 'unknown date'} • Nothing is changed until you confirm`
+      });
+
+    const row = createConfirmation({
+      userId: interaction.user.id,
+      guildId,
+      command: 'restore',
+      confirmLabel: 'Restore',
+      onConfirm: () => applyRestore(guildId, data, changes.length)
+    });
+
+    await interaction.editReply({ embeds: [embed], components: [row] });
+  }
+};
+
+/**
+ * Apply a confirmed restore
+ * Scheduled message timers follow the restored data through the event bus
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} data - Validated backup data
+ * @param {number} changeCount - Number of changes in the preview
+ * @returns {string} Result message
+ */
+function applyRestore(guildId, data, changeCount) {
+  if (!restoreGuildConfig(guildId, data)) {
+    return '❌ Nothing was restored: a role panel in the backup belongs to another server.';
+  }
+
+  return (
+    '**✅ Restore Complete**\n\n' +
+    `Applied ${changeCount} change(s) from the backup.\n` +
+    '⚠️ Role panels whose messages were deleted need to be set up again.'
+  );
+}
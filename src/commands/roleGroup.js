@@ -0,0 +1,217 @@
+/**
+ * Role Group Command
+ * Manage exclusive role groups - members hold at most one role of each group,
+ * whichever panel or reward the role comes from
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { getRoleGroups, saveRoleGroups } from '../data/storage.js';
+import log from '../utils/colors.js';
+import { parseRoleIds } from '../utils/roles.js';
+
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Group name option shared by the subcommands
+ */
+function nameOption(option) {
+  return option
+    .setName('name')
+    .setDescription('Name of the group')
+    .setRequired(true)
+    .setMaxLength(MAX_NAME_LENGTH)
+    .setAutocomplete(true);
+}
+
+function roleOption(option) {
+  return option.setName('role').setDescription('Role in the group').setRequired(true);
+}
+
+export const roleGroupCommand = {
+  data: new SlashCommandBuilder()
+    .setName('role-group')
+    .setDescription('Manage groups of roles members can only hold one of')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('create')
+        .setDescription('Create an exclusive role group')
+        .addStringOption((option) =>
+          option
+            .setName('name')
+            .setDescription('Name of the group (e.g., Colors)')
+            .setRequired(true)
+            .setMaxLength(MAX_NAME_LENGTH)
+        )
+        .addStringOption((option) =>
+          option
+            .setName('roles')
+            .setDescription('Roles of the group - mentions or IDs (e.g., @Red @Blue @Green)')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('add')
+        .setDescription('Add a role to a group')
+        .addStringOption(nameOption)
+        .addRoleOption(roleOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a role from a group')
+        .addStringOption(nameOption)
+        .addRoleOption(roleOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand.setName('delete').setDescription('Delete a group').addStringOption(nameOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand.setName('list').setDescription('Show the role groups of this server')
+    ),
+
+  /**
+   * Suggest the groups of this server
+   * @param {AutocompleteInteraction} interaction - Autocomplete interaction
+   */
+  async autocomplete(interaction) {
+    try {
+      const focused = interaction.options.getFocused().toLowerCase();
+      const choices = getRoleGroups(interaction.guildId)
+        .filter((group) => group.name.toLowerCase().includes(focused))
+        .map((group) => ({
+          name: `${group.name} (${group.roleIds.length} roles)`,
+          value: group.name
+        }));
+
+      await interaction.respond(choices.slice(0, 25)); // Discord limits to 25 choices
+    } catch (error) {
+      log.error('Error in role-group autocomplete', error);
+      await interaction.respond([]);
+    }
+  },
+
+  /**
+   * Execute the role-group command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const groups = getRoleGroups(interaction.guildId);
+
+    if (subcommand === 'list') {
+      return interaction.editReply({ embeds: [buildGroupsEmbed(groups)] });
+    }
+
+    const name = interaction.options.getString('name').trim();
+    const group = findGroup(groups, name);
+
+    if (subcommand === 'create') {
+      if (group) {
+        return interaction.editReply({
+          content: `A group named **${group.name}** already exists. Use \`/role-group add\` to add roles to it.`
+        });
+      }
+
+      const roleIds = parseRoleIds(interaction.options.getString('roles'));
+      const invalidRoles = roleIds.filter((roleId) => !interaction.guild.roles.cache.has(roleId));
+
+      if (roleIds.length < 2) {
+        return interaction.editReply({
+          content: 'A group needs at least two roles. Mention them or give their IDs.'
+        });
+      }
+      if (invalidRoles.length > 0) {
+        return interaction.editReply({
+          content: `Invalid role IDs: ${invalidRoles.join(', ')}\nMake sure all role IDs are correct!`
+        });
+      }
+
+      saveRoleGroups(interaction.guildId, [...groups, { name, roleIds }]);
+      log.command(`Role group ${name} created by ${interaction.user.tag}`);
+      return interaction.editReply({
+        content:
+          `Created **${name}**: ${roleIds.map((roleId) => `<@&${roleId}>`).join(' ')}\n` +
+          'Members who already hold several of these roles keep them until they get another one.'
+      });
+    }
+
+    if (!group) {
+      return interaction.editReply({ content: `No role group named **${name}**.` });
+    }
+
+    let updated;
+    let reply;
+
+    if (subcommand === 'delete') {
+      updated = groups.filter((candidate) => candidate !== group);
+      reply = `Deleted **${group.name}**.`;
+    } else {
+      const role = interaction.options.getRole('role');
+      const inGroup = group.roleIds.includes(role.id);
+
+      if (subcommand === 'add') {
+        if (inGroup) {
+          return interaction.editReply({ content: `${role} is already in **${group.name}**.` });
+        }
+        updated = replaceGroup(groups, group, [...group.roleIds, role.id]);
+        reply = `Added ${role} to **${group.name}**.`;
+      } else {
+        if (!inGroup) {
+          return interaction.editReply({ content: `${role} is not in **${group.name}**.` });
+        }
+        if (group.roleIds.length <= 2) {
+          return interaction.editReply({
+            content: `A group needs at least two roles. Use \`/role-group delete\` to remove **${group.name}**.`
+          });
+        }
+        updated = replaceGroup(
+          groups,
+          group,
+          group.roleIds.filter((roleId) => roleId !== role.id)
+        );
+        reply = `Removed ${role} from **${group.name}**.`;
+      }
+    }
+
+    saveRoleGroups(interaction.guildId, updated);
+    log.command(`Role group ${group.name} updated (${subcommand}) by ${interaction.user.tag}`);
+    await interaction.editReply({ content: reply });
+  }
+};
+
+/**
+ * Find a group by name, ignoring case
+ */
+function findGroup(groups, name) {
+  return groups.find((group) => group.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Copy the group list with new roles for one group
+ */
+function replaceGroup(groups, group, roleIds) {
+  return groups.map((candidate) => (candidate === group ? { ...group, roleIds } : candidate));
+}
+
+/**
+ * List the groups of a server
+ * @param {Array} groups - Role groups
+ * @returns {EmbedBuilder} Groups embed
+ */
+function buildGroupsEmbed(groups) {
+  const embed = new EmbedBuilder().setTitle('🎨 Exclusive Role Groups').setColor(0x5865f2);
+
+  if (groups.length === 0) {
+    return embed.setDescription('No role groups yet. Create one with `/role-group create`.');
+  }
+
+  return embed.setDescription('Members can hold only one role of each group.').addFields(
+    groups.slice(0, 25).map((group) => ({
+      name: group.name,
+      value: group.roleIds.map((roleId) => `<@&${roleId}>`).join(' ')
+    }))
+  );
+}
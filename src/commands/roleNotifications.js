@@ -0,0 +1,210 @@
+/**
+ * Role Notifications Command
+ * Choose when reaction and button role panels DM members, and what the DMs say
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { getNotificationConfig, saveNotificationConfig } from '../data/storage.js';
+import { DM_MODES, getNotificationSettings } from '../handlers/roleNotifications.js';
+import { findPanel } from './roleRequirements.js';
+import log from '../utils/colors.js';
+import { findTemplateError } from '../utils/templates.js';
+
+// Template value that goes back to the server or built-in text
+const DEFAULT_KEYWORD = 'default';
+
+/**
+ * Template options shared by both subcommands
+ */
+function addTemplateOption(option) {
+  return option
+    .setName('add-message')
+    .setDescription(
+      'DM when a role is given - {user}, {role} and {server} are filled in, "default" resets'
+    );
+}
+
+function removeTemplateOption(option) {
+  return option
+    .setName('remove-message')
+    .setDescription(
+      'DM when a role is removed - {user}, {role} and {server} are filled in, "default" resets'
+    );
+}
+
+function dmChoices(option) {
+  return option.addChoices(...Object.entries(DM_MODES).map(([value, name]) => ({ name, value })));
+}
+
+export const roleNotificationsCommand = {
+  data: new SlashCommandBuilder()
+    .setName('role-notifications')
+    .setDescription('Choose when role panels DM members and what the DMs say')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('server')
+        .setDescription('Settings for every panel in this server')
+        .addStringOption((option) =>
+          dmChoices(option.setName('dm').setDescription('When to DM members'))
+        )
+        .addStringOption(addTemplateOption)
+        .addStringOption(removeTemplateOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('panel')
+        .setDescription('Settings for one panel, overriding the server settings')
+        .addStringOption((option) =>
+          option
+            .setName('message-id')
+            .setDescription('ID of the reaction, button or select role message')
+            .setRequired(true)
+        )
+        .addStringOption((option) =>
+          dmChoices(option.setName('dm').setDescription('When to DM members')).addChoices({
+            name: 'Use server setting',
+            value: 'inherit'
+          })
+        )
+        .addStringOption(addTemplateOption)
+        .addStringOption(removeTemplateOption)
+        .addBooleanOption((option) =>
+          option
+            .setName('ephemeral-only')
+            .setDescription('Button and select panels: only answer in the private reply, never DM')
+        )
+    ),
+
+  /**
+   * Execute the role-notifications command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const changes = {
+      dm: interaction.options.getString('dm'),
+      addTemplate: interaction.options.getString('add-message'),
+      removeTemplate: interaction.options.getString('remove-message')
+    };
+
+    for (const template of [changes.addTemplate, changes.removeTemplate]) {
+      const error =
+        template &&
+        template.trim().toLowerCase() !== DEFAULT_KEYWORD &&
+        findTemplateError(template, 'roleNotification');
+      if (error) {
+        return interaction.editReply({ content: `Invalid message: ${error}` });
+      }
+    }
+
+    if (subcommand === 'server') {
+      const config = applyChanges(getNotificationConfig(interaction.guildId) || {}, changes);
+      saveNotificationConfig(interaction.guildId, { dm: 'all', ...config });
+
+      await interaction.editReply({
+        embeds: [
+          buildSettingsEmbed(
+            '🔔 Server Role Notifications',
+            getNotificationSettings(interaction.guildId)
+          )
+        ]
+      });
+      log.command(`Role notifications updated by ${interaction.user.tag}`);
+      return;
+    }
+
+    const messageId = interaction.options.getString('message-id');
+    const panel = findPanel(messageId);
+
+    if (!panel || panel.config[0]?.guildId !== interaction.guildId) {
+      return interaction.editReply({
+        content: `No role panel found with message ID: ${messageId}`
+      });
+    }
+
+    const ephemeralOnly = interaction.options.getBoolean('ephemeral-only');
+    const isButtonPanel = Boolean(panel.config[0].label);
+    if (ephemeralOnly !== null && !isButtonPanel) {
+      return interaction.editReply({
+        content:
+          'Only button and select menu panels can answer without a DM - use `dm: Never` instead.'
+      });
+    }
+
+    const notifications = applyChanges(
+      { ...panel.config[0].notifications },
+      { ...changes, dm: changes.dm === 'inherit' ? DEFAULT_KEYWORD : changes.dm }
+    );
+    if (ephemeralOnly !== null) {
+      notifications.ephemeralOnly = ephemeralOnly;
+    }
+    if (!notifications.ephemeralOnly) {
+      delete notifications.ephemeralOnly;
+    }
+
+    panel.save(
+      messageId,
+      panel.config.map((entry) => {
+        const updated = { ...entry, notifications };
+        if (Object.keys(notifications).length === 0) {
+          delete updated.notifications;
+        }
+        return updated;
+      })
+    );
+
+    await interaction.editReply({
+      embeds: [
+        buildSettingsEmbed(
+          '🔔 Panel Role Notifications',
+          getNotificationSettings(interaction.guildId, [{ notifications }])
+        )
+      ]
+    });
+    log.command(`Role notifications for panel ${messageId} updated by ${interaction.user.tag}`);
+  }
+};
+
+/**
+ * Apply the given options to stored settings
+ * "default" removes a setting so the next level (server, then built-in) applies
+ * @param {Object} settings - Stored settings
+ * @param {Object} changes - Option values (null when not given)
+ * @returns {Object} Updated settings
+ */
+function applyChanges(settings, changes) {
+  const updated = { ...settings };
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === null) {
+      continue;
+    }
+    if (value.trim().toLowerCase() === DEFAULT_KEYWORD) {
+      delete updated[field];
+    } else {
+      updated[field] = value;
+    }
+  }
+  return updated;
+}
+
+/**
+ * Show the settings that apply after the change
+ * @param {string} title - Embed title
+ * @param {Object} settings - Resolved notification settings
+ * @returns {EmbedBuilder} Settings embed
+ */
+function buildSettingsEmbed(title, settings) {
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setColor(0x5865f2)
+    .addFields(
+      {
+        name: 'DMs',
+        value: settings.ephemeralOnly ? 'Never (button reply only)' : DM_MODES[settings.dm]
+      },
+      { name: 'Role given', value: settings.addTemplate },
+      { name: 'Role removed', value: settings.removeTemplate }
+    );
+}
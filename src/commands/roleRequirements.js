@@ -0,0 +1,190 @@
+/**
+ * Role Requirements Command
+ * Set who may take a role from a reaction, button or select menu role panel
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import {
+  getReactionRoleConfig,
+  saveReactionRoleConfig,
+  getButtonRoleConfig,
+  saveButtonRoleConfig,
+  getSelectRoleConfig,
+  saveSelectRoleConfig
+} from '../data/storage.js';
+import { describeRequirements } from '../handlers/roleRequirements.js';
+import { formatEmoji } from '../utils/emoji.js';
+import log from '../utils/colors.js';
+
+/**
+ * Options shared by every subcommand that targets one panel
+ */
+function messageIdOption(option) {
+  return option
+    .setName('message-id')
+    .setDescription('ID of the reaction, button or select role message')
+    .setRequired(true);
+}
+
+function roleOption(option) {
+  return option.setName('role').setDescription('Role on the panel').setRequired(true);
+}
+
+export const roleRequirementsCommand = {
+  data: new SlashCommandBuilder()
+    .setName('role-requirements')
+    .setDescription('Set who can take a role from a role panel')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('set')
+        .setDescription('Add or change requirements of a panel role')
+        .addStringOption(messageIdOption)
+        .addRoleOption(roleOption)
+        .addRoleOption((option) =>
+          option.setName('required-role').setDescription('Role members must already have')
+        )
+        .addRoleOption((option) =>
+          option.setName('blocked-role').setDescription('Members with this role are refused')
+        )
+        .addIntegerOption((option) =>
+          option
+            .setName('min-level')
+            .setDescription('Minimum level in the leveling system')
+            .setMinValue(1)
+        )
+        .addIntegerOption((option) =>
+          option
+            .setName('min-account-age')
+            .setDescription('Minimum Discord account age in days')
+            .setMinValue(1)
+        )
+        .addIntegerOption((option) =>
+          option
+            .setName('min-server-days')
+            .setDescription('Minimum days in this server')
+            .setMinValue(1)
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('clear')
+        .setDescription('Remove all requirements of a panel role')
+        .addStringOption(messageIdOption)
+        .addRoleOption(roleOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('view')
+        .setDescription('Show the requirements of every role on a panel')
+        .addStringOption(messageIdOption)
+    ),
+
+  /**
+   * Execute the role-requirements command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const messageId = interaction.options.getString('message-id');
+    const panel = findPanel(messageId);
+
+    if (!panel || panel.config[0]?.guildId !== interaction.guildId) {
+      return interaction.editReply({
+        content: `No role panel found with message ID: ${messageId}`
+      });
+    }
+
+    if (subcommand === 'view') {
+      const lines = panel.config.map(
+        (entry) =>
+          `${entryLabel(entry)} <@&${entry.roleId}> - ${describeRequirements(entry.requirements)}`
+      );
+      const embed = new EmbedBuilder()
+        .setTitle('🔒 Role Requirements')
+        .setColor(0x5865f2)
+        .setDescription(lines.join('\n'));
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    const role = interaction.options.getRole('role');
+    const entry = panel.config.find((candidate) => candidate.roleId === role.id);
+    if (!entry) {
+      return interaction.editReply({ content: `${role} is not on that panel.` });
+    }
+
+    let requirements = null;
+    if (subcommand === 'set') {
+      const changes = {
+        requiredRoleId: interaction.options.getRole('required-role')?.id,
+        blockedRoleId: interaction.options.getRole('blocked-role')?.id,
+        minLevel: interaction.options.getInteger('min-level'),
+        minAccountAgeDays: interaction.options.getInteger('min-account-age'),
+        minMemberDays: interaction.options.getInteger('min-server-days')
+      };
+      const given = Object.entries(changes).filter(
+        ([, value]) => value !== null && value !== undefined
+      );
+
+      if (given.length === 0) {
+        return interaction.editReply({
+          content:
+            'Give at least one requirement, or use `/role-requirements clear` to remove them.'
+        });
+      }
+      if (changes.requiredRoleId && changes.requiredRoleId === changes.blockedRoleId) {
+        return interaction.editReply({
+          content: 'The required role and the blocked role must be different.'
+        });
+      }
+
+      requirements = { ...entry.requirements, ...Object.fromEntries(given) };
+    }
+
+    const updatedEntry = { ...entry, requirements };
+    if (!requirements) {
+      delete updatedEntry.requirements;
+    }
+    panel.save(
+      messageId,
+      panel.config.map((candidate) => (candidate === entry ? updatedEntry : candidate))
+    );
+
+    await interaction.editReply({
+      content: `**${role.name}** on that panel: ${describeRequirements(requirements)}`
+    });
+    log.command(`Role requirements for ${role.name} updated by ${interaction.user.tag}`);
+  }
+};
+
+/**
+ * Find a panel by message ID in the reaction, button and select menu role collections
+ * @param {string} messageId - Panel message ID
+ * @returns {{config: Array, save: Function}|null} Panel entries and the matching save function
+ */
+export function findPanel(messageId) {
+  const reactionConfig = getReactionRoleConfig(messageId);
+  if (reactionConfig) {
+    return { config: reactionConfig, save: saveReactionRoleConfig };
+  }
+
+  const buttonConfig = getButtonRoleConfig(messageId);
+  if (buttonConfig) {
+    return { config: buttonConfig, save: saveButtonRoleConfig };
+  }
+
+  const selectConfig = getSelectRoleConfig(messageId);
+  if (selectConfig) {
+    return { config: selectConfig, save: saveSelectRoleConfig };
+  }
+
+  return null;
+}
+
+/**
+ * Label of a panel entry - its emoji for reaction panels, its button or option label otherwise
+ */
+function entryLabel(entry) {
+  return entry.label ? `**${entry.label}**` : formatEmoji(entry);
+}
@@ -7,6 +7,7 @@
 import { SlashCommandBuilder, PermissionFlagsBits, ChannelType } from 'discord.js';
 import { saveScheduledMessage } from '../data/storage.js';
 import log from '../utils/colors.js';
+import { findTemplateError } from '../utils/templates.js';
 
 export const scheduleMessageCommand = {
   data: new SlashCommandBuilder()
@@ -41,7 +42,12 @@ export const scheduleMessageCommand = {
         .setRequired(true)
     )
     .addStringOption((option) =>
-      option.setName('message').setDescription('The message content to send').setRequired(true)
+      option
+        .setName('message')
+        .setDescription(
+          'The message content to send ({server}, {count} and {channel} are filled in)'
+        )
+        .setRequired(true)
     )
     .addIntegerOption((option) =>
       option
@@ -96,6 +102,13 @@ export const scheduleMessageCommand = {
         log.info(`No timezone specified, defaulting to UTC for user ${interaction.user.tag}`);
       }
 
+      const templateError = findTemplateError(message, 'scheduled');
+      if (templateError) {
+        return interaction.editReply({
+          content: `❌ Invalid message: ${templateError}`
+        });
+      }
+
       // Validate time format
       if (!/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(timeInput)) {
         return interaction.editReply({
@@ -134,12 +147,10 @@ export const scheduleMessageCommand = {
         createdAt: new Date().toISOString()
       };
 
-      // Save configuration to persistent storage
+      // Save configuration to persistent storage - the scheduled messages handler
+      // activates it right away through the event bus
       saveScheduledMessage(interaction.guildId, messageConfig);
 
-      // Notify the scheduled messages handler to activate this message immediately
-      interaction.client.emit('scheduleAdded', messageConfig);
-
       const timezoneStr =
         timezoneOffset === 0 ? 'UTC' : `UTC${timezoneOffset > 0 ? '+' : ''}${timezoneOffset}`;
       let scheduleDesc = '';
@@ -0,0 +1,184 @@
+/**
+ * Setup Anti-Raid Command
+ * Configure join-rate raid detection and what happens during a lockdown
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, ChannelType, EmbedBuilder } from 'discord.js';
+import { getAntiRaidConfig, saveAntiRaidConfig, removeAntiRaidConfig } from '../data/storage.js';
+import { LOCKDOWN_ACTIONS } from '../handlers/antiRaid.js';
+import log from '../utils/colors.js';
+import { checkRoleAssignable } from '../utils/roles.js';
+
+const DEFAULT_JOIN_THRESHOLD = 10;
+const DEFAULT_WINDOW_SECONDS = 10;
+// Discord's slowmode limit
+const MAX_SLOWMODE_SECONDS = 21600;
+
+export const setupAntiRaidCommand = {
+  data: new SlashCommandBuilder()
+    .setName('setup-anti-raid')
+    .setDescription('Lock the server down when too many members join at once')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addIntegerOption((option) =>
+      option
+        .setName('threshold')
+        .setDescription(`Joins that start a lockdown (default: ${DEFAULT_JOIN_THRESHOLD})`)
+        .setMinValue(2)
+        .setMaxValue(100)
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName('window')
+        .setDescription(`Seconds the joins are counted over (default: ${DEFAULT_WINDOW_SECONDS})`)
+        .setMinValue(1)
+        .setMaxValue(600)
+    )
+    .addStringOption((option) =>
+      option
+        .setName('action')
+        .setDescription('What happens to members who join during a lockdown')
+        .addChoices(...Object.entries(LOCKDOWN_ACTIONS).map(([value, name]) => ({ name, value })))
+    )
+    .addRoleOption((option) =>
+      option
+        .setName('quarantine-role')
+        .setDescription('Role given to members who join during a lockdown')
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName('slowmode')
+        .setDescription(
+          'Slowmode seconds for text channels during a lockdown (0: leave slowmode alone)'
+        )
+        .setMinValue(0)
+        .setMaxValue(MAX_SLOWMODE_SECONDS)
+    )
+    .addChannelOption((option) =>
+      option
+        .setName('alert-channel')
+        .setDescription('Mod channel alerted when a lockdown starts or ends')
+        .addChannelTypes(ChannelType.GuildText)
+    )
+    .addBooleanOption((option) =>
+      option.setName('disable').setDescription('Stop watching the join rate')
+    ),
+
+  /**
+   * Execute the setup-anti-raid command
+   * Without options, shows the current settings
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const { guild } = interaction;
+    const threshold = interaction.options.getInteger('threshold');
+    const windowSeconds = interaction.options.getInteger('window');
+    const action = interaction.options.getString('action');
+    const quarantineRole = interaction.options.getRole('quarantine-role');
+    const slowmode = interaction.options.getInteger('slowmode');
+    const alertChannel = interaction.options.getChannel('alert-channel');
+    const current = getAntiRaidConfig(interaction.guildId);
+
+    if (interaction.options.getBoolean('disable')) {
+      removeAntiRaidConfig(interaction.guildId);
+      log.command(`Anti-raid disabled by ${interaction.user.tag}`);
+      return interaction.editReply({
+        content: 'The join rate is no longer watched. A running lockdown still needs `/unlock`.'
+      });
+    }
+
+    const given = [threshold, windowSeconds, action, quarantineRole, slowmode, alertChannel];
+    if (given.every((value) => value === null)) {
+      return interaction.editReply({ embeds: [buildAntiRaidEmbed(current)] });
+    }
+
+    const config = {
+      joinThreshold: threshold ?? current?.joinThreshold ?? DEFAULT_JOIN_THRESHOLD,
+      windowSeconds: windowSeconds ?? current?.windowSeconds ?? DEFAULT_WINDOW_SECONDS,
+      action: action ?? current?.action ?? 'quarantine',
+      quarantineRoleId: quarantineRole?.id ?? current?.quarantineRoleId ?? null,
+      slowmodeSeconds: slowmode ?? current?.slowmodeSeconds ?? 0,
+      alertChannelId: alertChannel?.id ?? current?.alertChannelId ?? null
+    };
+
+    const error = checkAntiRaidConfig(guild, config);
+    if (error) {
+      return interaction.editReply({ content: error });
+    }
+
+    saveAntiRaidConfig(interaction.guildId, config);
+
+    await interaction.editReply({ embeds: [buildAntiRaidEmbed(config)] });
+    log.command(`Anti-raid configured by ${interaction.user.tag} in ${guild.name}`);
+  }
+};
+
+/**
+ * Check anti-raid settings before they are saved
+ * @param {Guild} guild - Discord guild
+ * @param {Object} config - Anti-raid settings
+ * @returns {string|null} Reason the settings can't be used, or null if they can
+ */
+function checkAntiRaidConfig(guild, config) {
+  const permissions = guild.members.me.permissions;
+
+  if (config.action === 'kick' && !permissions.has(PermissionFlagsBits.KickMembers)) {
+    return 'I need the **Kick Members** permission to kick members during a lockdown.';
+  }
+
+  if (config.action === 'quarantine') {
+    const role = guild.roles.cache.get(config.quarantineRoleId);
+    if (!role) {
+      return 'Pick a `quarantine-role` to give members who join during a lockdown.';
+    }
+
+    const problem = checkRoleAssignable(guild, role);
+    if (problem) {
+      return `I can't give ${role}: ${problem}.`;
+    }
+  }
+
+  if (config.slowmodeSeconds > 0 && !permissions.has(PermissionFlagsBits.ManageChannels)) {
+    return 'I need the **Manage Channels** permission to raise slowmode during a lockdown.';
+  }
+
+  return null;
+}
+
+/**
+ * Show the anti-raid settings of a server
+ * @param {?Object} config - Anti-raid settings
+ * @returns {EmbedBuilder} Settings embed
+ */
+function buildAntiRaidEmbed(config) {
+  const embed = new EmbedBuilder().setTitle('🛡️ Anti-Raid').setColor(0x5865f2);
+
+  if (!config) {
+    return embed.setDescription(
+      'The join rate is not watched. Turn it on with `/setup-anti-raid quarantine-role:@Quarantine`.'
+    );
+  }
+
+  return embed
+    .setDescription(
+      `A lockdown starts when **${config.joinThreshold}** members join within **${config.windowSeconds}** seconds.`
+    )
+    .addFields(
+      { name: 'New members', value: LOCKDOWN_ACTIONS[config.action], inline: true },
+      {
+        name: 'Quarantine role',
+        value: config.quarantineRoleId ? `<@&${config.quarantineRoleId}>` : 'None',
+        inline: true
+      },
+      {
+        name: 'Slowmode',
+        value: config.slowmodeSeconds ? `${config.slowmodeSeconds} seconds` : 'Unchanged',
+        inline: true
+      },
+      {
+        name: 'Alert channel',
+        value: config.alertChannelId ? `<#${config.alertChannelId}>` : 'None',
+        inline: true
+      }
+    );
+}
@@ -0,0 +1,153 @@
+/**
+ * Setup Autorole Command
+ * Configure the roles new members get when they join - one list for humans, one for bots
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { getAutoroleConfig, saveAutoroleConfig, removeAutoroleConfig } from '../data/storage.js';
+import log from '../utils/colors.js';
+import { parseRoleIds, checkRoleAssignable } from '../utils/roles.js';
+
+const MAX_ROLES = 10;
+const MAX_DELAY_SECONDS = 3600;
+
+// Typed as a role list to empty it
+const NO_ROLES = 'none';
+
+export const setupAutoroleCommand = {
+  data: new SlashCommandBuilder()
+    .setName('setup-autorole')
+    .setDescription('Give roles to new members when they join')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption((option) =>
+      option.setName('humans').setDescription('Roles for new members - mentions or IDs, or "none"')
+    )
+    .addStringOption((option) =>
+      option.setName('bots').setDescription('Roles for new bots - mentions or IDs, or "none"')
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName('delay')
+        .setDescription('Seconds to wait before giving the roles (default: 0)')
+        .setMinValue(0)
+        .setMaxValue(MAX_DELAY_SECONDS)
+    )
+    .addBooleanOption((option) =>
+      option.setName('disable').setDescription('Stop giving roles to new members')
+    ),
+
+  /**
+   * Execute the setup-autorole command
+   * Without options, shows the current settings
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const humans = interaction.options.getString('humans');
+    const bots = interaction.options.getString('bots');
+    const delay = interaction.options.getInteger('delay');
+    const current = getAutoroleConfig(interaction.guildId);
+
+    if (interaction.options.getBoolean('disable')) {
+      removeAutoroleConfig(interaction.guildId);
+      log.command(`Autoroles disabled by ${interaction.user.tag}`);
+      return interaction.editReply({ content: 'New members no longer get autoroles.' });
+    }
+
+    if (humans === null && bots === null && delay === null) {
+      return interaction.editReply({ embeds: [buildAutoroleEmbed(current)] });
+    }
+
+    const humanRoles = readRoleList(interaction.guild, humans, current?.humanRoleIds);
+    const botRoles = readRoleList(interaction.guild, bots, current?.botRoleIds);
+    const error = humanRoles.error || botRoles.error;
+    if (error) {
+      return interaction.editReply({ content: error });
+    }
+
+    if (humanRoles.roleIds.length === 0 && botRoles.roleIds.length === 0) {
+      removeAutoroleConfig(interaction.guildId);
+      return interaction.editReply({
+        content: 'No autoroles left, so new members no longer get roles.'
+      });
+    }
+
+    const config = {
+      humanRoleIds: humanRoles.roleIds,
+      botRoleIds: botRoles.roleIds,
+      delaySeconds: delay ?? current?.delaySeconds ?? 0
+    };
+    saveAutoroleConfig(interaction.guildId, config);
+
+    await interaction.editReply({ embeds: [buildAutoroleEmbed(config)] });
+    log.command(`Autoroles configured by ${interaction.user.tag}`);
+  }
+};
+
+/**
+ * Read a role list option
+ * @param {Guild} guild - Discord guild
+ * @param {?string} input - Option value, null to keep the current roles
+ * @param {Array<string>} [currentRoleIds] - Roles configured now
+ * @returns {{roleIds: Array<string>, error: ?string}} Role IDs, or the reason they can't be used
+ */
+function readRoleList(guild, input, currentRoleIds = []) {
+  if (input === null) {
+    return { roleIds: currentRoleIds };
+  }
+  if (input.trim().toLowerCase() === NO_ROLES) {
+    return { roleIds: [] };
+  }
+
+  const roleIds = parseRoleIds(input);
+  if (roleIds.length === 0) {
+    return { error: 'Mention the roles or give their IDs, or use "none" for no roles.' };
+  }
+  if (roleIds.length > MAX_ROLES) {
+    return { error: `At most ${MAX_ROLES} roles can be given to new members.` };
+  }
+
+  for (const roleId of roleIds) {
+    const role = guild.roles.cache.get(roleId);
+    if (!role || roleId === guild.id) {
+      return { error: `Invalid role ID: ${roleId}\nMake sure all role IDs are correct!` };
+    }
+
+    const problem = checkRoleAssignable(guild, role);
+    if (problem) {
+      return { error: `I can't give ${role}: ${problem}.` };
+    }
+  }
+
+  return { roleIds };
+}
+
+/**
+ * Show the autorole settings of a server
+ * @param {?Object} config - Autorole settings
+ * @returns {EmbedBuilder} Settings embed
+ */
+function buildAutoroleEmbed(config) {
+  const embed = new EmbedBuilder().setTitle('🎭 Autoroles').setColor(0x5865f2);
+
+  if (!config) {
+    return embed.setDescription(
+      'New members get no roles. Set them with `/setup-autorole humans:@Member`.'
+    );
+  }
+
+  const mentions = (roleIds) =>
+    roleIds.length > 0 ? roleIds.map((roleId) => `<@&${roleId}>`).join(' ') : 'None';
+
+  return embed
+    .setDescription('Roles are given after membership screening is passed, if the server uses it.')
+    .addFields(
+      { name: 'Humans', value: mentions(config.humanRoleIds), inline: true },
+      { name: 'Bots', value: mentions(config.botRoleIds), inline: true },
+      {
+        name: 'Delay',
+        value: config.delaySeconds ? `${config.delaySeconds} seconds` : 'None',
+        inline: true
+      }
+    );
+}
@@ -14,6 +14,31 @@ import {
 } from 'discord.js';
 import { saveButtonRoleConfig } from '../data/storage.js';
 import { log } from '../utils/colors.js';
+import { parseEmoji, toEmojiConfig, toComponentEmoji } from '../utils/emoji.js';
+import { BUTTON_PANEL_MODES } from '../handlers/buttonRoles.js';
+
+// Custom emoji at the end of an entry (<:name:id>), which contains colons itself
+const TRAILING_CUSTOM_EMOJI = /:(<a?:\w{2,32}:\d{17,20}>)$/;
+
+/**
+ * Footer shown on panels so members know how the panel behaves
+ */
+export const BUTTON_MODE_HINTS = {
+  add: 'Clicking only gives roles',
+  remove: 'Click to remove a role',
+  unique: 'Pick one role - choosing another swaps it'
+};
+
+// Fields of a single button - every other field is panel-wide
+export const BUTTON_FIELDS = [
+  'label',
+  'roleId',
+  'style',
+  'emoji',
+  'emojiName',
+  'animated',
+  'requirements'
+];
 
 export const setupButtonRolesCommand = {
   data: new SlashCommandBuilder()
@@ -39,10 +64,11 @@ export const setupButtonRolesCommand = {
       option
         .setName('roles')
         .setDescription(
-          'Format: label:roleID:style,label:roleID:style (style: primary/secondary/success/danger)'
+          'Format: label:roleID:style:emoji, comma separated (style: primary/secondary/success/danger)'
         )
         .setRequired(true)
-    ),
+    )
+    .addStringOption(buttonModeOption),
 
   /**
    * Execute the setup-button-roles command
@@ -53,6 +79,7 @@ export const setupButtonRolesCommand = {
     const title = interaction.options.getString('title');
     const description = interaction.options.getString('description');
     const rolesInput = interaction.options.getString('roles');
+    const mode = interaction.options.getString('mode') || 'toggle';
 
     log.info(`Processing button roles setup in #${channel.name}`);
 
@@ -63,7 +90,7 @@ export const setupButtonRolesCommand = {
       log.warn('Invalid role format provided by user');
       return interaction.editReply({
         content:
-          'Invalid role format! Use: label:roleID:style,label:roleID:style\nExample: Gamer:123456789:primary,Artist:987654321:success\nStyles: primary (blue), secondary (gray), success (green), danger (red)',
+          'Invalid role format! Use: label:roleID:style:emoji,label:roleID:style:emoji\nExample: Gamer:123456789:primary:🎮,Artist:987654321:success\nStyles: primary (blue), secondary (gray), success (green), danger (red)\nThe emoji is optional.',
         flags: MessageFlags.Ephemeral
       });
     }
@@ -98,37 +125,24 @@ export const setupButtonRolesCommand = {
       .setTitle(title)
       .setDescription(description);
 
-    // Create button rows (max 5 buttons per row)
-    const rows = [];
-    for (let i = 0; i < roleConfig.length; i += 5) {
-      const rowButtons = roleConfig.slice(i, i + 5);
-      const row = new ActionRowBuilder();
-
-      for (const config of rowButtons) {
-        const button = new ButtonBuilder()
-          .setCustomId(`button_role_${config.roleId}`)
-          .setLabel(config.label)
-          .setStyle(getButtonStyle(config.style));
-
-        row.addComponents(button);
-      }
-
-      rows.push(row);
+    if (BUTTON_MODE_HINTS[mode]) {
+      embed.setFooter({ text: BUTTON_MODE_HINTS[mode] });
     }
 
+    const enhancedRoleConfig = roleConfig.map((config) => ({
+      ...config,
+      guildId: interaction.guild.id,
+      channelId: channel.id,
+      mode
+    }));
+
     try {
       // Send button role message to specified channel
       const message = await channel.send({
         embeds: [embed],
-        components: rows
+        components: buildButtonRows(enhancedRoleConfig)
       });
 
-      const enhancedRoleConfig = roleConfig.map((config) => ({
-        ...config,
-        guildId: interaction.guild.id,
-        channelId: channel.id
-      }));
-
       // Save configuration to storage for button handler
       saveButtonRoleConfig(message.id, enhancedRoleConfig);
 
@@ -139,7 +153,7 @@ export const setupButtonRolesCommand = {
       });
 
       log.success(`Button roles setup in #${channel.name} by ${interaction.user.tag}`);
-      log.info(`Message ID: ${message.id}, Roles: ${roleConfig.length}`);
+      log.info(`Message ID: ${message.id}, Roles: ${roleConfig.length}, Mode: ${mode}`);
     } catch (error) {
       log.error('Failed to create button role message');
       log.error(`Error: ${error.message}`);
@@ -151,26 +165,70 @@ export const setupButtonRolesCommand = {
   }
 };
 
+/**
+ * Mode option shared by the button role panel commands
+ */
+export function buttonModeOption(option) {
+  return option
+    .setName('mode')
+    .setDescription('How the buttons hand out roles (default: toggle)')
+    .addChoices(...Object.entries(BUTTON_PANEL_MODES).map(([value, name]) => ({ name, value })));
+}
+
+/**
+ * Build the button rows of a panel (max 5 buttons per row)
+ * @param {Array} config - Stored button entries
+ * @returns {Array<ActionRowBuilder>} Action rows
+ */
+export function buildButtonRows(config) {
+  const rows = [];
+  for (let i = 0; i < config.length; i += 5) {
+    const row = new ActionRowBuilder();
+
+    for (const entry of config.slice(i, i + 5)) {
+      const button = new ButtonBuilder()
+        .setCustomId(`button_role_${entry.roleId}`)
+        .setLabel(entry.label)
+        .setStyle(getButtonStyle(entry.style));
+
+      if (entry.emoji) {
+        button.setEmoji(toComponentEmoji(entry));
+      }
+
+      row.addComponents(button);
+    }
+
+    rows.push(row);
+  }
+  return rows;
+}
+
 /**
  * Parse role configuration from user input string
- * @param {string} input - Format: label:roleID:style,label:roleID:style
- * @returns {Array<{label: string, roleId: string, style: string}>} Parsed configuration
+ * @param {string} input - Format: label:roleID:style:emoji,label:roleID:style:emoji
+ * @returns {Array<Object>|null} Parsed entries ({ label, roleId, style, emoji? }), or null if invalid
  */
-function parseRoleConfig(input) {
-  try {
-    const pairs = input.split(',').map((pair) => pair.trim());
-    return pairs.map((pair) => {
-      const parts = pair.split(':').map((part) => part.trim());
-      const label = parts[0];
-      const roleId = parts[1];
-      const style = parts[2] || 'primary'; // Default to primary if not specified
-      return { label, roleId, style };
-    });
-  } catch (error) {
-    log.error('Error parsing role configuration');
-    log.error(`Details: ${error.message}`);
-    return null;
+export function parseRoleConfig(input) {
+  const entries = [];
+
+  for (const pair of input.split(',').map((part) => part.trim())) {
+    // A trailing custom emoji has colons of its own, so split it off first
+    const customEmoji = pair.match(TRAILING_CUSTOM_EMOJI);
+    const parts = (customEmoji ? pair.slice(0, customEmoji.index) : pair)
+      .split(':')
+      .map((part) => part.trim());
+
+    const [label, roleId, style, emojiInput = customEmoji?.[1]] = parts;
+    const emoji = emojiInput ? parseEmoji(emojiInput) : null;
+
+    if (!label || !roleId || parts.length > (customEmoji ? 3 : 4) || (emojiInput && !emoji)) {
+      return null;
+    }
+
+    entries.push({ label, roleId, style: style || 'primary', ...(emoji && toEmojiConfig(emoji)) });
   }
+
+  return entries;
 }
 
 /**
@@ -178,7 +236,7 @@ function parseRoleConfig(input) {
  * @param {string} style - Style name (primary, secondary, success, danger)
  * @returns {ButtonStyle} Discord button style
  */
-function getButtonStyle(style) {
+export function getButtonStyle(style) {
   const styles = {
     primary: ButtonStyle.Primary,
     secondary: ButtonStyle.Secondary,
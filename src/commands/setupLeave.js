@@ -6,6 +6,8 @@
 import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
 import { saveLeaveConfig } from '../data/storage.js';
 import { log } from '../utils/colors.js';
+import { findTemplateError, renderTemplate } from '../utils/templates.js';
+import { leaveVariables } from '../handlers/memberEvents.js';
 
 export const setupLeaveCommand = {
   data: new SlashCommandBuilder()
@@ -18,7 +20,7 @@ export const setupLeaveCommand = {
     .addStringOption((option) =>
       option
         .setName('message')
-        .setDescription('Leave message ({user} = username, {server} = server name)')
+        .setDescription('Leave message ({user} = username, {server} = server name, {count}...)')
         .setRequired(true)
     )
     .addStringOption((option) =>
@@ -61,6 +63,15 @@ export const setupLeaveCommand = {
       });
     }
 
+    const templateError = findTemplateError(message, 'leave');
+    if (templateError) {
+      log.warn(`Invalid leave message template: ${templateError}`);
+      return interaction.editReply({
+        content: `Invalid leave message: ${templateError}`,
+        flags: 64
+      });
+    }
+
     // Save leave configuration
     saveLeaveConfig(interaction.guildId, {
       channelId: channel.id,
@@ -73,11 +84,7 @@ export const setupLeaveCommand = {
     const previewEmbed = new EmbedBuilder()
       .setColor(embedColor)
       .setTitle('Goodbye Preview')
-      .setDescription(
-        message
-          .replace('{user}', interaction.user.username)
-          .replace('{server}', interaction.guild.name)
-      )
+      .setDescription(renderTemplate(message, 'leave', leaveVariables(interaction.member, channel)))
       .setTimestamp();
 
     await interaction.editReply({
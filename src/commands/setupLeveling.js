@@ -6,6 +6,7 @@
 import { SlashCommandBuilder, PermissionFlagsBits, ChannelType } from 'discord.js';
 import { saveLevelingConfig } from '../data/storage.js';
 import log from '../utils/colors.js';
+import { findTemplateError } from '../utils/templates.js';
 
 export const setupLevelingCommand = {
   data: new SlashCommandBuilder()
@@ -60,6 +61,14 @@ export const setupLevelingCommand = {
         .setDescription('Announce when users earn XP - instant notifications (default: false)')
         .setRequired(false)
     )
+    .addStringOption((option) =>
+      option
+        .setName('level-message')
+        .setDescription(
+          'Level-up message ({user} = mention, {level} = new level, {xp} = total XP...)'
+        )
+        .setRequired(false)
+    )
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
   async execute(interaction) {
@@ -71,6 +80,7 @@ export const setupLevelingCommand = {
       const cooldown = interaction.options.getInteger('cooldown') || 60;
       const announceLevel = interaction.options.getBoolean('announce-level') ?? true;
       const announceXP = interaction.options.getBoolean('announce-xp') ?? false;
+      const levelUpMessage = interaction.options.getString('level-message');
 
       if (xpMin > xpMax) {
         return interaction.editReply({
@@ -78,6 +88,13 @@ export const setupLevelingCommand = {
         });
       }
 
+      const templateError = levelUpMessage && findTemplateError(levelUpMessage, 'levelUp');
+      if (templateError) {
+        return interaction.editReply({
+          content: `Invalid level-up message: ${templateError}`
+        });
+      }
+
       const config = {
         enabled,
         announceChannel: announceChannel?.id || null,
@@ -86,6 +103,7 @@ export const setupLevelingCommand = {
         cooldown: cooldown * 1000,
         announceLevel,
         announceXP,
+        levelUpMessage,
         levelRoles: []
       };
 
@@ -6,6 +6,18 @@
 import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, MessageFlags } from 'discord.js';
 import { saveReactionRoleConfig } from '../data/storage.js';
 import { log } from '../utils/colors.js';
+import { parseEmoji, toEmojiConfig, formatEmoji, checkEmojiUsable } from '../utils/emoji.js';
+import { REACTION_PANEL_MODES } from '../handlers/reactionRoles.js';
+
+/**
+ * Footer shown on panels so members know how the panel behaves
+ */
+const MODE_HINTS = {
+  unique: () => 'Pick one role - choosing another swaps it',
+  verify: () => 'Removing your reaction keeps the role',
+  drop: () => 'React to remove a role',
+  limit: (limit) => `Pick up to ${limit} role(s)`
+};
 
 export const setupReactionRolesCommand = {
   data: new SlashCommandBuilder()
@@ -30,9 +42,11 @@ export const setupReactionRolesCommand = {
     .addStringOption((option) =>
       option
         .setName('roles')
-        .setDescription('Format: emoji1:roleID1,emoji2:roleID2 (e.g., 🔴:123456,🔵:789012)')
+        .setDescription('Format: emoji:roleID,emoji:roleID (e.g., 🔴:123456,<:pepe:1234>:789012)')
         .setRequired(true)
-    ),
+    )
+    .addStringOption(panelModeOption)
+    .addIntegerOption(panelLimitOption),
 
   /**
    * Execute the setup-reaction-roles command
@@ -43,36 +57,14 @@ export const setupReactionRolesCommand = {
     const title = interaction.options.getString('title');
     const description = interaction.options.getString('description');
     const rolesInput = interaction.options.getString('roles');
+    const mode = interaction.options.getString('mode') || 'normal';
+    const limit = interaction.options.getInteger('limit');
 
     log.info(`Processing reaction roles setup in #${channel.name}`);
 
-    // Parse role configuration from user input
-    const roleConfig = parseRoleConfig(rolesInput);
-
-    if (!roleConfig || roleConfig.length === 0) {
-      log.warn('Invalid role format provided by user');
-      return interaction.editReply({
-        content:
-          'Invalid role format! Use: emoji:roleID,emoji:roleID\nExample: 🔴:123456789,🔵:987654321',
-        flags: MessageFlags.Ephemeral
-      });
-    }
-
-    // Validate that roles exist in the server
-    const invalidRoles = [];
-    for (const config of roleConfig) {
-      const role = interaction.guild.roles.cache.get(config.roleId);
-      if (!role) {
-        invalidRoles.push(config.roleId);
-      }
-    }
-
-    if (invalidRoles.length > 0) {
-      log.error(`Invalid role IDs detected: ${invalidRoles.join(', ')}`);
-      return interaction.editReply({
-        content: `Invalid role IDs: ${invalidRoles.join(', ')}\nMake sure all role IDs are correct!`,
-        flags: MessageFlags.Ephemeral
-      });
+    const { roleConfig, error } = validatePanelInput(interaction, channel, rolesInput, mode, limit);
+    if (error) {
+      return interaction.editReply({ content: error, flags: MessageFlags.Ephemeral });
     }
 
     // Create embed with role information
@@ -81,32 +73,34 @@ export const setupReactionRolesCommand = {
       .setTitle(title)
       .setDescription(description);
 
+    if (MODE_HINTS[mode]) {
+      embed.setFooter({ text: MODE_HINTS[mode](limit) });
+    }
+
     try {
       // Send reaction role message to specified channel
       const message = await channel.send({ embeds: [embed] });
 
+      const enhancedRoleConfig = buildPanelConfig(roleConfig, channel, { mode, limit });
+
       // Add all reaction emojis to the message
-      for (const config of roleConfig) {
-        await message.react(config.emoji);
+      for (const config of enhancedRoleConfig) {
+        await message.react(formatEmoji(config));
       }
 
-      const enhancedRoleConfig = roleConfig.map((config) => ({
-        ...config,
-        guildId: interaction.guild.id,
-        channelId: channel.id
-      }));
-
       // Save configuration to memory for reaction handler
       saveReactionRoleConfig(message.id, enhancedRoleConfig);
 
       // Confirm success to admin
       await interaction.editReply({
-        content: `Reaction role message created in ${channel}!\nMessage ID: ${message.id}`,
+        content:
+          `Reaction role message created in ${channel}!\nMessage ID: ${message.id}` +
+          getPanelPermissionWarning(channel, mode),
         flags: MessageFlags.Ephemeral
       });
 
       log.success(`Reaction roles setup in #${channel.name} by ${interaction.user.tag}`);
-      log.info(`Message ID: ${message.id}, Roles: ${roleConfig.length}`);
+      log.info(`Message ID: ${message.id}, Roles: ${roleConfig.length}, Mode: ${mode}`);
     } catch (error) {
       log.error('Failed to create reaction role message');
       log.error(`Error: ${error.message}`);
@@ -118,18 +112,155 @@ export const setupReactionRolesCommand = {
   }
 };
 
+/**
+ * Mode option shared by the reaction role panel commands
+ */
+export function panelModeOption(option) {
+  return option
+    .setName('mode')
+    .setDescription('How the panel hands out roles (default: normal)')
+    .addChoices(...Object.entries(REACTION_PANEL_MODES).map(([value, name]) => ({ name, value })));
+}
+
+/**
+ * Limit option shared by the reaction role panel commands
+ */
+export function panelLimitOption(option) {
+  return option
+    .setName('limit')
+    .setDescription('Most roles a member can hold from the panel (limit mode only)')
+    .setMinValue(1);
+}
+
+/**
+ * Validate the roles, mode and limit given for a reaction role panel
+ * @param {ChatInputCommandInteraction} interaction - Command interaction
+ * @param {TextChannel} channel - Channel of the panel
+ * @param {string} rolesInput - Format: emoji:roleID,emoji:roleID
+ * @param {string} mode - Panel mode
+ * @param {number|null} limit - Role limit (limit mode only)
+ * @returns {{roleConfig?: Array, error?: string}} Parsed roles, or the error to show
+ */
+export function validatePanelInput(interaction, channel, rolesInput, mode, limit) {
+  // Parse role configuration from user input
+  const roleConfig = parseRoleConfig(rolesInput);
+
+  if (!roleConfig || roleConfig.length === 0) {
+    log.warn('Invalid role format provided by user');
+    return {
+      error:
+        'Invalid role format! Use: emoji:roleID,emoji:roleID\n' +
+        'Example: 🔴:123456789,<:pepe:112233445566778899>:987654321'
+    };
+  }
+
+  if ((mode === 'limit') !== (limit !== null)) {
+    return { error: 'Use the `limit` option together with the Limit mode, and only with it.' };
+  }
+
+  // Validate that roles exist in the server
+  const invalidRoles = roleConfig
+    .map((config) => config.roleId)
+    .filter((roleId) => !interaction.guild.roles.cache.get(roleId));
+
+  if (invalidRoles.length > 0) {
+    log.error(`Invalid role IDs detected: ${invalidRoles.join(', ')}`);
+    return {
+      error: `Invalid role IDs: ${invalidRoles.join(', ')}\nMake sure all role IDs are correct!`
+    };
+  }
+
+  // Check custom emojis up front so a half-reacted panel is never posted
+  const unusableEmojis = roleConfig
+    .map((config) => checkEmojiUsable(channel, config.emoji))
+    .filter(Boolean);
+
+  if (unusableEmojis.length > 0) {
+    log.warn(`Unusable emojis for reaction roles: ${unusableEmojis.join('; ')}`);
+    return {
+      error: `The bot can't react with these emojis:\n${unusableEmojis.map((reason) => `• ${reason}`).join('\n')}`
+    };
+  }
+
+  return { roleConfig };
+}
+
+/**
+ * Build the stored role entries of a panel
+ * Panel-wide settings are stored on every entry, like guildId and channelId
+ * @param {Array} roleConfig - Parsed roles from validatePanelInput
+ * @param {TextChannel} channel - Channel of the panel
+ * @param {Object} settings - { mode, limit, attached }
+ * @returns {Array} Role entries for saveReactionRoleConfig
+ */
+export function buildPanelConfig(roleConfig, channel, { mode, limit, attached = false }) {
+  return roleConfig.map((config) => ({
+    ...toEmojiConfig(config.emoji),
+    roleId: config.roleId,
+    guildId: channel.guild.id,
+    channelId: channel.id,
+    mode,
+    ...(limit !== null && { limit }),
+    ...(attached && { attached })
+  }));
+}
+
+// Fields of a single emoji→role pair - every other field is panel-wide
+const PAIR_FIELDS = ['emoji', 'emojiName', 'animated', 'roleId', 'requirements'];
+
+/**
+ * Get the panel-wide fields of a panel (guildId, channelId, mode, ...)
+ * Used to give new pairs the same settings as the rest of the panel
+ * @param {Array} config - Stored role entries of the panel
+ * @returns {Object} Panel-wide fields
+ */
+export function getPanelSettings(config) {
+  return Object.fromEntries(
+    Object.entries(config[0]).filter(([field]) => !PAIR_FIELDS.includes(field))
+  );
+}
+
+/**
+ * Warn when a panel mode needs a permission the bot lacks
+ * Unique, drop and limit panels clear member reactions, which needs Manage Messages
+ * @param {TextChannel} channel - Channel of the panel
+ * @param {string} mode - Panel mode
+ * @returns {string} Warning line, or an empty string
+ */
+export function getPanelPermissionWarning(channel, mode) {
+  const clearsReactions = ['unique', 'drop', 'limit'].includes(mode);
+  const canClearReactions = channel
+    .permissionsFor(channel.guild.members.me)
+    ?.has(PermissionFlagsBits.ManageMessages);
+
+  return clearsReactions && !canClearReactions
+    ? `\n⚠️ The ${mode} mode removes member reactions - give the bot Manage Messages in ${channel}.`
+    : '';
+}
+
 /**
  * Parse role configuration from user input string
+ * The role ID follows the last colon, so custom emojis (<:name:id>) keep theirs
  * @param {string} input - Format: emoji:roleID,emoji:roleID
- * @returns {Array<{emoji: string, roleId: string}>} Parsed configuration
+ * @returns {Array<{emoji: Object, roleId: string}>|null} Parsed configuration, or null if invalid
  */
 function parseRoleConfig(input) {
   try {
     const pairs = input.split(',').map((pair) => pair.trim());
-    return pairs.map((pair) => {
-      const [emoji, roleId] = pair.split(':').map((part) => part.trim());
+    const config = pairs.map((pair) => {
+      const separator = pair.lastIndexOf(':');
+      if (separator === -1) {
+        return { emoji: null, roleId: null };
+      }
+      const emoji = parseEmoji(pair.slice(0, separator));
+      const roleId = pair.slice(separator + 1).trim();
       return { emoji, roleId };
     });
+
+    if (config.some(({ emoji, roleId }) => !emoji || !roleId)) {
+      return null;
+    }
+    return config;
   } catch (error) {
     log.error('Error parsing role configuration');
     log.error(`Details: ${error.message}`);
@@ -0,0 +1,264 @@
+/**
+ * Setup Select Roles Command
+ * Posts a select menu role panel - members pick their roles from a dropdown
+ * Each menu holds up to 25 roles and a panel up to 5 menus, so large role catalogs fit
+ */
+
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  ActionRowBuilder,
+  StringSelectMenuBuilder,
+  ChannelType,
+  MessageFlags
+} from 'discord.js';
+import { saveSelectRoleConfig } from '../data/storage.js';
+import { log } from '../utils/colors.js';
+import { parseEmoji, toEmojiConfig, toComponentEmoji } from '../utils/emoji.js';
+
+const OPTIONS_PER_MENU = 25; // Discord maximum
+const MENUS_PER_MESSAGE = 5; // One menu per action row
+const MAX_LABEL_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 100;
+
+// Custom emoji at the end of an entry (<:name:id>), which contains colons itself
+const TRAILING_CUSTOM_EMOJI = /:(<a?:\w{2,32}:\d{17,20}>)$/;
+
+export const setupSelectRolesCommand = {
+  data: new SlashCommandBuilder()
+    .setName('setup-select-roles')
+    .setDescription('Create a select menu role message')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addChannelOption((option) =>
+      option
+        .setName('channel')
+        .setDescription('Channel to send the select menu role message')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option.setName('title').setDescription('Title of the select role embed').setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName('description')
+        .setDescription('Description for the select role message')
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName('roles')
+        .setDescription(
+          'Format: label:roleID:description:emoji, comma separated (description and emoji optional)'
+        )
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName('placeholder')
+        .setDescription('Text shown before anything is selected')
+        .setMaxLength(150)
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName('min')
+        .setDescription('Fewest roles a member must pick (default: 0)')
+        .setMinValue(0)
+        .setMaxValue(OPTIONS_PER_MENU)
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName('max')
+        .setDescription('Most roles a member can pick (default: every role)')
+        .setMinValue(1)
+        .setMaxValue(OPTIONS_PER_MENU)
+    ),
+
+  /**
+   * Execute the setup-select-roles command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    const title = interaction.options.getString('title');
+    const description = interaction.options.getString('description');
+    const rolesInput = interaction.options.getString('roles');
+    const placeholder = interaction.options.getString('placeholder') || 'Choose your roles';
+    const minValues = interaction.options.getInteger('min') ?? 0;
+    const maxValues = interaction.options.getInteger('max');
+
+    log.info(`Processing select roles setup in #${channel.name}`);
+
+    const roleConfig = parseRoleConfig(rolesInput);
+
+    if (!roleConfig || roleConfig.length === 0) {
+      log.warn('Invalid role format provided by user');
+      return interaction.editReply({
+        content:
+          'Invalid role format! Use: label:roleID:description:emoji,label:roleID:description:emoji\n' +
+          'Example: Gamer:123456789:Game night pings:🎮,Artist:987654321\n' +
+          'Labels and descriptions can be up to 100 characters.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    if (roleConfig.length > OPTIONS_PER_MENU * MENUS_PER_MESSAGE) {
+      return interaction.editReply({
+        content: `Maximum ${OPTIONS_PER_MENU * MENUS_PER_MESSAGE} select roles allowed (${MENUS_PER_MESSAGE} menus of ${OPTIONS_PER_MENU} roles)!`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    if (maxValues !== null && minValues > maxValues) {
+      return interaction.editReply({
+        content: '`min` can not be larger than `max`!',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    // Each role can only be offered once - option values must be unique
+    const roleIds = roleConfig.map((config) => config.roleId);
+    if (new Set(roleIds).size !== roleIds.length) {
+      return interaction.editReply({
+        content: 'Each role can only be on the panel once!',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    // Validate that roles exist in the server
+    const invalidRoles = roleIds.filter((roleId) => !interaction.guild.roles.cache.get(roleId));
+
+    if (invalidRoles.length > 0) {
+      log.error(`Invalid role IDs detected: ${invalidRoles.join(', ')}`);
+      return interaction.editReply({
+        content: `Invalid role IDs: ${invalidRoles.join(', ')}\nMake sure all role IDs are correct!`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const enhancedRoleConfig = roleConfig.map((config) => ({
+      ...config,
+      guildId: interaction.guild.id,
+      channelId: channel.id,
+      minValues,
+      ...(maxValues !== null && { maxValues })
+    }));
+
+    const embed = new EmbedBuilder()
+      .setColor('#5865F2')
+      .setTitle(title)
+      .setDescription(description);
+
+    try {
+      // Send select role message to specified channel
+      const message = await channel.send({
+        embeds: [embed],
+        components: buildSelectMenus(enhancedRoleConfig, placeholder)
+      });
+
+      // Save configuration to storage for select menu handler
+      saveSelectRoleConfig(message.id, enhancedRoleConfig);
+
+      const menuCount = Math.ceil(roleConfig.length / OPTIONS_PER_MENU);
+      await interaction.editReply({
+        content:
+          `Select menu role message created in ${channel}!\nMessage ID: ${message.id}` +
+          (menuCount > 1
+            ? `\nThe roles are split over ${menuCount} menus - \`min\` and \`max\` apply to each menu.`
+            : ''),
+        flags: MessageFlags.Ephemeral
+      });
+
+      log.success(`Select roles setup in #${channel.name} by ${interaction.user.tag}`);
+      log.info(`Message ID: ${message.id}, Roles: ${roleConfig.length}, Menus: ${menuCount}`);
+    } catch (error) {
+      log.error('Failed to create select role message', error);
+      await interaction.editReply({
+        content: 'Failed to create select role message. Check bot permissions!',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  }
+};
+
+/**
+ * Build the select menus of a panel, 25 roles per menu
+ * min and max are capped to the number of roles in each menu
+ * @param {Array} config - Stored role entries
+ * @param {string} placeholder - Placeholder text
+ * @returns {Array<ActionRowBuilder>} One action row per menu
+ */
+export function buildSelectMenus(config, placeholder) {
+  const rows = [];
+
+  for (let i = 0; i < config.length; i += OPTIONS_PER_MENU) {
+    const entries = config.slice(i, i + OPTIONS_PER_MENU);
+    const { minValues = 0, maxValues = entries.length } = entries[0];
+
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`select_role_${i / OPTIONS_PER_MENU}`)
+      .setPlaceholder(placeholder)
+      .setMinValues(Math.min(minValues, entries.length))
+      .setMaxValues(Math.min(maxValues, entries.length))
+      .addOptions(
+        entries.map((entry) => ({
+          label: entry.label,
+          value: entry.roleId,
+          ...(entry.description && { description: entry.description }),
+          ...(entry.emoji && { emoji: toComponentEmoji(entry) })
+        }))
+      );
+
+    rows.push(new ActionRowBuilder().addComponents(menu));
+  }
+
+  return rows;
+}
+
+/**
+ * Parse role configuration from user input string
+ * @param {string} input - Format: label:roleID:description:emoji,label:roleID:description:emoji
+ * @returns {Array<Object>|null} Parsed entries ({ label, roleId, description?, emoji? }), or null if invalid
+ */
+export function parseRoleConfig(input) {
+  const entries = [];
+
+  for (const pair of input.split(',').map((part) => part.trim())) {
+    // Split off a trailing custom emoji first, then the plain colon-separated fields
+    const customEmoji = pair.match(TRAILING_CUSTOM_EMOJI);
+    const fields = (customEmoji ? pair.slice(0, customEmoji.index) : pair)
+      .split(':')
+      .map((field) => field.trim());
+
+    let emojiInput = customEmoji?.[1];
+    if (!emojiInput && fields.length > 2 && parseEmoji(fields[fields.length - 1])) {
+      emojiInput = fields.pop();
+    }
+
+    const [label, roleId, ...rest] = fields;
+    const description = rest.join(':');
+
+    if (!label || !roleId || label.length > MAX_LABEL_LENGTH) {
+      return null;
+    }
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return null;
+    }
+
+    const emoji = emojiInput ? parseEmoji(emojiInput) : null;
+    if (emojiInput && !emoji) {
+      return null;
+    }
+
+    entries.push({
+      label,
+      roleId,
+      ...(description && { description }),
+      ...(emoji && toEmojiConfig(emoji))
+    });
+  }
+
+  return entries;
+}
@@ -0,0 +1,165 @@
+/**
+ * Setup Sticky Roles Command
+ * Give members their roles back when they leave and rejoin
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import {
+  getStickyRoleConfig,
+  saveStickyRoleConfig,
+  removeStickyRoleConfig
+} from '../data/storage.js';
+import log from '../utils/colors.js';
+import { parseRoleIds } from '../utils/roles.js';
+import { STICKY_MODES } from '../handlers/memberEvents.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 365;
+const MAX_ROLES = 25;
+
+// Typed as the role list to empty it
+const NO_ROLES = 'none';
+
+export const setupStickyRolesCommand = {
+  data: new SlashCommandBuilder()
+    .setName('setup-sticky-roles')
+    .setDescription('Give members their roles back when they rejoin')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption((option) =>
+      option
+        .setName('mode')
+        .setDescription('Which roles are given back (default: every role)')
+        .addChoices(...Object.entries(STICKY_MODES).map(([value, name]) => ({ name, value })))
+    )
+    .addStringOption((option) =>
+      option
+        .setName('roles')
+        .setDescription('Roles listed for the mode - mentions or IDs, or "none"')
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName('retention-days')
+        .setDescription(
+          `Days the roles of members who left are kept (default: ${DEFAULT_RETENTION_DAYS})`
+        )
+        .setMinValue(1)
+        .setMaxValue(MAX_RETENTION_DAYS)
+    )
+    .addBooleanOption((option) =>
+      option.setName('disable').setDescription('Stop giving roles back, and forget saved roles')
+    ),
+
+  /**
+   * Execute the setup-sticky-roles command
+   * Without options, shows the current settings
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const mode = interaction.options.getString('mode');
+    const roles = interaction.options.getString('roles');
+    const retentionDays = interaction.options.getInteger('retention-days');
+    const current = getStickyRoleConfig(interaction.guildId);
+
+    if (interaction.options.getBoolean('disable')) {
+      removeStickyRoleConfig(interaction.guildId);
+      log.command(`Sticky roles disabled by ${interaction.user.tag}`);
+      return interaction.editReply({
+        content: 'Members no longer get their roles back when they rejoin.'
+      });
+    }
+
+    if (mode === null && roles === null && retentionDays === null) {
+      return interaction.editReply({ embeds: [buildStickyRolesEmbed(current)] });
+    }
+
+    const roleList = readRoleList(interaction.guild, roles, current?.roleIds);
+    if (roleList.error) {
+      return interaction.editReply({ content: roleList.error });
+    }
+
+    const config = {
+      mode: mode ?? current?.mode ?? 'all',
+      roleIds: roleList.roleIds,
+      retentionDays: retentionDays ?? current?.retentionDays ?? DEFAULT_RETENTION_DAYS
+    };
+    if (config.mode !== 'all' && config.roleIds.length === 0) {
+      return interaction.editReply({
+        content: `The "${STICKY_MODES[config.mode]}" mode needs roles - list them with \`roles\`.`
+      });
+    }
+    saveStickyRoleConfig(interaction.guildId, config);
+
+    // Leaves are only reported for cached members
+    if (!current) {
+      await interaction.guild.members
+        .fetch()
+        .catch((error) => log.warn(`Could not load members for sticky roles: ${error.message}`));
+    }
+
+    await interaction.editReply({ embeds: [buildStickyRolesEmbed(config)] });
+    log.command(`Sticky roles configured by ${interaction.user.tag}`);
+  }
+};
+
+/**
+ * Read the role list option
+ * @param {Guild} guild - Discord guild
+ * @param {?string} input - Option value, null to keep the current roles
+ * @param {Array<string>} [currentRoleIds] - Roles listed now
+ * @returns {{roleIds: Array<string>, error: ?string}} Role IDs, or the reason they can't be used
+ */
+function readRoleList(guild, input, currentRoleIds = []) {
+  if (input === null) {
+    return { roleIds: currentRoleIds };
+  }
+  if (input.trim().toLowerCase() === NO_ROLES) {
+    return { roleIds: [] };
+  }
+
+  const roleIds = parseRoleIds(input);
+  if (roleIds.length === 0) {
+    return { error: 'Mention the roles or give their IDs, or use "none" for no roles.' };
+  }
+  if (roleIds.length > MAX_ROLES) {
+    return { error: `At most ${MAX_ROLES} roles can be listed.` };
+  }
+
+  // The bot may not be able to give a role yet, so that is checked when members rejoin
+  for (const roleId of roleIds) {
+    if (!guild.roles.cache.has(roleId) || roleId === guild.id) {
+      return { error: `Invalid role ID: ${roleId}\nMake sure all role IDs are correct!` };
+    }
+  }
+
+  return { roleIds };
+}
+
+/**
+ * Show the sticky role settings of a server
+ * @param {?Object} config - Sticky role settings
+ * @returns {EmbedBuilder} Settings embed
+ */
+function buildStickyRolesEmbed(config) {
+  const embed = new EmbedBuilder().setTitle('📌 Sticky Roles').setColor(0x5865f2);
+
+  if (!config) {
+    return embed.setDescription(
+      'Members who rejoin get no roles back. Turn it on with `/setup-sticky-roles mode:Every role`.'
+    );
+  }
+
+  const roles =
+    config.roleIds.length > 0 ? config.roleIds.map((roleId) => `<@&${roleId}>`).join(' ') : 'None';
+
+  return embed
+    .setDescription(
+      'Roles of members who leave are saved, and given back if they rejoin in time. ' +
+        'Bot and booster roles are never saved.'
+    )
+    .addFields(
+      { name: 'Mode', value: STICKY_MODES[config.mode], inline: true },
+      { name: 'Kept for', value: `${config.retentionDays} days`, inline: true },
+      { name: 'Roles', value: roles }
+    );
+}
@@ -0,0 +1,280 @@
+/**
+ * Setup Verification Command
+ * Post a verify panel that new members must click before they can see the rest of the server
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, ChannelType, EmbedBuilder } from 'discord.js';
+import {
+  getVerificationConfig,
+  saveVerificationConfig,
+  removeVerificationConfig
+} from '../data/storage.js';
+import { postVerifyPanel } from '../handlers/verification.js';
+import log from '../utils/colors.js';
+import { checkRoleAssignable } from '../utils/roles.js';
+
+// Modal field labels are limited to 45 characters by Discord
+const MAX_QUESTION_LENGTH = 45;
+const MAX_ANSWER_LENGTH = 100;
+const MAX_KICK_AFTER_HOURS = 168;
+
+// Typed as the question to remove the challenge
+const NO_QUESTION = 'none';
+
+export const setupVerificationCommand = {
+  data: new SlashCommandBuilder()
+    .setName('setup-verification')
+    .setDescription('Make new members click a verify button before they can see the server')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addChannelOption((option) =>
+      option
+        .setName('channel')
+        .setDescription('Channel to post the verify panel in')
+        .addChannelTypes(ChannelType.GuildText)
+    )
+    .addRoleOption((option) =>
+      option.setName('verified-role').setDescription('Role given to members who verify')
+    )
+    .addRoleOption((option) =>
+      option
+        .setName('unverified-role')
+        .setDescription('Role given to new members until they verify (optional)')
+    )
+    .addStringOption((option) =>
+      option
+        .setName('question')
+        .setDescription('Challenge question asked when the button is clicked, or "none"')
+        .setMaxLength(MAX_QUESTION_LENGTH)
+    )
+    .addStringOption((option) =>
+      option
+        .setName('answer')
+        .setDescription('Answer to the challenge question (case does not matter)')
+        .setMaxLength(MAX_ANSWER_LENGTH)
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName('kick-after')
+        .setDescription('Kick members who have not verified after this many hours (0: never)')
+        .setMinValue(0)
+        .setMaxValue(MAX_KICK_AFTER_HOURS)
+    )
+    .addChannelOption((option) =>
+      option
+        .setName('log-channel')
+        .setDescription('Channel where verifications, wrong answers and kicks are posted')
+        .addChannelTypes(ChannelType.GuildText)
+    )
+    .addBooleanOption((option) =>
+      option.setName('disable').setDescription('Turn verification off for new members')
+    ),
+
+  /**
+   * Execute the setup-verification command
+   * Without options, shows the current settings
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const { guild } = interaction;
+    const channel = interaction.options.getChannel('channel');
+    const verifiedRole = interaction.options.getRole('verified-role');
+    const unverifiedRole = interaction.options.getRole('unverified-role');
+    const question = interaction.options.getString('question');
+    const answer = interaction.options.getString('answer');
+    const kickAfter = interaction.options.getInteger('kick-after');
+    const logChannel = interaction.options.getChannel('log-channel');
+    const current = getVerificationConfig(interaction.guildId);
+
+    if (interaction.options.getBoolean('disable')) {
+      removeVerificationConfig(interaction.guildId);
+      log.command(`Verification disabled by ${interaction.user.tag}`);
+      return interaction.editReply({
+        content:
+          'Verification is off. The panel button stops working - delete the panel message when you like.'
+      });
+    }
+
+    const options = [
+      channel,
+      verifiedRole,
+      unverifiedRole,
+      question,
+      answer,
+      kickAfter,
+      logChannel
+    ];
+    if (options.every((value) => value === null)) {
+      return interaction.editReply({ embeds: [buildVerificationEmbed(current)] });
+    }
+
+    if (!current && (!channel || !verifiedRole)) {
+      return interaction.editReply({
+        content: 'To set up verification, give a `channel` for the panel and a `verified-role`.'
+      });
+    }
+
+    const config = {
+      channelId: channel?.id ?? current.channelId,
+      messageId: current?.messageId ?? null,
+      verifiedRoleId: verifiedRole?.id ?? current.verifiedRoleId,
+      unverifiedRoleId: unverifiedRole?.id ?? current?.unverifiedRoleId ?? null,
+      question: current?.question ?? null,
+      answer: current?.answer ?? null,
+      kickAfterHours: kickAfter ?? current?.kickAfterHours ?? 0,
+      logChannelId: logChannel?.id ?? current?.logChannelId ?? null
+    };
+    if (question !== null) {
+      const removed = question.trim().toLowerCase() === NO_QUESTION;
+      config.question = removed ? null : question.trim();
+      config.answer = removed ? null : answer;
+    } else if (answer !== null) {
+      config.answer = answer;
+    }
+
+    const error = checkVerificationConfig(guild, config);
+    if (error) {
+      return interaction.editReply({ content: error });
+    }
+
+    if (channel) {
+      const problem = checkChannelAccess(guild, channel);
+      if (problem) {
+        return interaction.editReply({ content: problem });
+      }
+
+      const panel = await postVerifyPanel(channel);
+      await deleteOldPanel(guild, current);
+      config.messageId = panel.id;
+    }
+
+    saveVerificationConfig(interaction.guildId, config);
+
+    await interaction.editReply({ embeds: [buildVerificationEmbed(config)] });
+    log.command(`Verification configured by ${interaction.user.tag} in ${guild.name}`);
+  }
+};
+
+/**
+ * Check verification settings before they are saved
+ * @param {Guild} guild - Discord guild
+ * @param {Object} config - Verification settings
+ * @returns {string|null} Reason the settings can't be used, or null if they can
+ */
+function checkVerificationConfig(guild, config) {
+  if (config.verifiedRoleId === config.unverifiedRoleId) {
+    return 'The verified and unverified roles must be different roles.';
+  }
+
+  for (const roleId of [config.verifiedRoleId, config.unverifiedRoleId]) {
+    if (!roleId) {
+      continue;
+    }
+
+    const role = guild.roles.cache.get(roleId);
+    if (!role || roleId === guild.id) {
+      return `Invalid role ID: ${roleId}\nMake sure all role IDs are correct!`;
+    }
+
+    const problem = checkRoleAssignable(guild, role);
+    if (problem) {
+      return `I can't give ${role}: ${problem}.`;
+    }
+  }
+
+  if (config.question && !config.answer) {
+    return 'Give the `answer` to the challenge question too.';
+  }
+  if (config.answer && !config.question) {
+    return 'Set a challenge `question` for the answer.';
+  }
+
+  if (
+    config.kickAfterHours > 0 &&
+    !guild.members.me.permissions.has(PermissionFlagsBits.KickMembers)
+  ) {
+    return 'I need the **Kick Members** permission to kick members who do not verify.';
+  }
+
+  return null;
+}
+
+/**
+ * Check that the bot can post the panel in a channel
+ * @param {Guild} guild - Discord guild
+ * @param {TextChannel} channel - Verification channel
+ * @returns {string|null} Missing permissions, or null if the bot can post
+ */
+function checkChannelAccess(guild, channel) {
+  const permissions = channel.permissionsFor(guild.members.me);
+  if (
+    !permissions.has([
+      PermissionFlagsBits.ViewChannel,
+      PermissionFlagsBits.SendMessages,
+      PermissionFlagsBits.EmbedLinks
+    ])
+  ) {
+    return `I need these permissions in ${channel}:\n• View Channel\n• Send Messages\n• Embed Links`;
+  }
+  return null;
+}
+
+/**
+ * Delete the panel that a new one replaces
+ * @param {Guild} guild - Discord guild
+ * @param {?Object} config - Verification settings before the change
+ */
+async function deleteOldPanel(guild, config) {
+  if (!config?.messageId) {
+    return;
+  }
+
+  try {
+    const channel = await guild.channels.fetch(config.channelId);
+    const message = await channel.messages.fetch(config.messageId);
+    await message.delete();
+  } catch (error) {
+    log.warn(`Could not delete the old verify panel in ${guild.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Show the verification settings of a server
+ * @param {?Object} config - Verification settings
+ * @returns {EmbedBuilder} Settings embed
+ */
+function buildVerificationEmbed(config) {
+  const embed = new EmbedBuilder().setTitle('✅ Verification').setColor(0x57f287);
+
+  if (!config) {
+    return embed.setDescription(
+      'Verification is off. Set it up with `/setup-verification channel:#verify verified-role:@Verified`.'
+    );
+  }
+
+  return embed
+    .setDescription(
+      'New members get the unverified role and need to click the panel button to get the verified role. ' +
+        'Hide your channels from the unverified role (or from @everyone) so only the verification channel is visible.'
+    )
+    .addFields(
+      { name: 'Panel', value: `<#${config.channelId}>`, inline: true },
+      { name: 'Verified role', value: `<@&${config.verifiedRoleId}>`, inline: true },
+      {
+        name: 'Unverified role',
+        value: config.unverifiedRoleId ? `<@&${config.unverifiedRoleId}>` : 'None',
+        inline: true
+      },
+      { name: 'Challenge', value: config.question ?? 'None', inline: true },
+      {
+        name: 'Kick after',
+        value: config.kickAfterHours ? `${config.kickAfterHours} hour(s)` : 'Never',
+        inline: true
+      },
+      {
+        name: 'Log channel',
+        value: config.logChannelId ? `<#${config.logChannelId}>` : 'None',
+        inline: true
+      }
+    );
+}
@@ -6,6 +6,8 @@
 import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
 import { saveWelcomeConfig } from '../data/storage.js';
 import { log } from '../utils/colors.js';
+import { findTemplateError, renderTemplate } from '../utils/templates.js';
+import { welcomeVariables } from '../handlers/memberEvents.js';
 
 export const setupWelcomeCommand = {
   data: new SlashCommandBuilder()
@@ -19,7 +21,7 @@ export const setupWelcomeCommand = {
       option
         .setName('message')
         .setDescription(
-          'Welcome message ({user} = mention, {server} = server name, {count} = member count)'
+          'Welcome message ({user} = mention, {server} = server name, {count} = member count...)'
         )
         .setRequired(true)
     )
@@ -77,6 +79,15 @@ export const setupWelcomeCommand = {
       });
     }
 
+    const templateError = findTemplateError(message, 'welcome');
+    if (templateError) {
+      log.warn(`Invalid welcome message template: ${templateError}`);
+      return interaction.editReply({
+        content: `Invalid welcome message: ${templateError}`,
+        flags: 64
+      });
+    }
+
     // Save welcome configuration
     saveWelcomeConfig(interaction.guildId, {
       channelId: channel.id,
@@ -92,12 +103,14 @@ export const setupWelcomeCommand = {
       .setColor(embedColor)
       .setTitle('Welcome Preview')
       .setDescription(
-        message
-          .replace('{user}', interaction.user.toString())
-          .replace('{server}', interaction.guild.name)
-          .replace('{count}', interaction.guild.memberCount.toString())
-          .replace('{rules}', rulesChannel ? rulesChannel.toString() : '')
-          .replace('{role}', roleChannel ? roleChannel.toString() : '')
+        renderTemplate(
+          message,
+          'welcome',
+          welcomeVariables(interaction.member, channel, {
+            rulesChannelId: rulesChannel?.id,
+            roleChannelId: roleChannel?.id
+          })
+        )
       )
       .setThumbnail(interaction.user.displayAvatarURL())
       .setTimestamp();
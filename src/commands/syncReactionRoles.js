@@ -0,0 +1,59 @@
+/**
+ * Sync Reaction Roles Command
+ * Re-checks reaction role panels and fixes roles that drifted from the reactions
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { syncGuildReactionRoles } from '../handlers/reactionSync.js';
+import log from '../utils/colors.js';
+
+export const syncReactionRolesCommand = {
+  data: new SlashCommandBuilder()
+    .setName('sync-reaction-roles')
+    .setDescription('Give and remove roles so they match the reactions on reaction role panels')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addStringOption((option) =>
+      option.setName('message-id').setDescription('Only sync this panel (default: all panels)')
+    ),
+
+  /**
+   * Execute the sync-reaction-roles command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const messageId = interaction.options.getString('message-id') ?? undefined;
+
+    const totals = await syncGuildReactionRoles(interaction.guild, { messageId });
+
+    if (!totals) {
+      return interaction.editReply({
+        content: 'A reaction role sync is already running for this server. Try again in a minute.'
+      });
+    }
+
+    if (totals.panels === 0) {
+      return interaction.editReply({
+        content: messageId
+          ? `No reaction role panel found with message ID: ${messageId}`
+          : 'This server has no reaction role panels.'
+      });
+    }
+
+    await interaction.editReply({
+      content:
+        '**🔄 Reaction Roles Synced**\n\n' +
+        `• Panels checked: ${totals.panels - totals.skipped}\n` +
+        `• Roles added: ${totals.added}\n` +
+        `• Roles removed: ${totals.removed}\n` +
+        `• Reactions cleared: ${totals.cleared}` +
+        (totals.skipped > 0
+          ? `\n⚠️ ${totals.skipped} panel message(s) could not be found. Run /diagnose to clean them up.`
+          : '')
+    });
+
+    log.command(
+      `Reaction roles synced by ${interaction.user.tag}: +${totals.added} -${totals.removed}`
+    );
+  }
+};
@@ -44,7 +44,7 @@ export const ticketStatsCommand = {
             `**Configuration:**\n` +
             `• Panel Channel: <#${config.panelChannelId}>\n` +
             `• Ticket Category: ${interaction.guild.channels.cache.get(config.categoryId)?.name || 'Unknown'}\n` +
-            `• Staff Role: <@&${config.staffRoleId}>\n` +
+            `• Staff Roles: ${config.staffRoleIds.map((id) => `<@&${id}>`).join(', ')}\n` +
             `• Transcript Channel: ${config.transcriptChannelId ? `<#${config.transcriptChannelId}>` : 'None'}\n` +
             `• Status: ${config.enabled ? '✅ Enabled' : '❌ Disabled'}`
         )
@@ -0,0 +1,33 @@
+/**
+ * Unlock Command - End a lockdown, whether it was started by hand or by raid detection
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { endLockdown } from '../handlers/antiRaid.js';
+import log from '../utils/colors.js';
+
+export const unlockCommand = {
+  data: new SlashCommandBuilder()
+    .setName('unlock')
+    .setDescription('End the lockdown and put slowmode back')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false),
+
+  /**
+   * Execute the unlock command
+   * @param {ChatInputCommandInteraction} interaction - Command interaction
+   */
+  async execute(interaction) {
+    const lockdown = await endLockdown(interaction.guild, interaction.user.tag);
+    if (!lockdown) {
+      return interaction.editReply({ content: 'The server is not locked down.' });
+    }
+
+    await interaction.editReply({
+      content:
+        '✅ **Lockdown ended.** New members get welcome messages and autoroles again.\n' +
+        'Members quarantined during the lockdown keep the quarantine role until you remove it.'
+    });
+    log.command(`Lockdown ended by ${interaction.user.tag} in ${interaction.guild.name}`);
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * Audit Trail - Actor context and change diffs for configuration audit entries
+ * The interaction handler runs every command inside an audit context so storage
+ * can record who made a change without passing the actor through every call
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const auditContext = new AsyncLocalStorage();
+
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Audited collections and the module name shown in /audit-log
+ */
+export const AUDIT_MODULES = {
+  welcomeConfigs: 'welcome',
+  leaveConfigs: 'leave',
+  autoroleConfigs: 'autorole',
+  stickyRoleConfigs: 'sticky-roles',
+  verificationConfigs: 'verification',
+  antiRaidConfigs: 'anti-raid',
+  reactionRoles: 'reaction-roles',
+  buttonRoles: 'button-roles',
+  selectRoles: 'select-roles',
+  levelingConfigs: 'leveling',
+  scheduledMessages: 'scheduled-messages',
+  ticketConfigs: 'tickets',
+  auditConfigs: 'audit-log',
+  diagnoseConfigs: 'diagnose',
+  notificationConfigs: 'notifications',
+  roleGroups: 'role-groups'
+};
+
+/**
+ * Run a callback with an audit actor attached
+ * Nested calls inherit fields that are not overridden
+ * @param {Object} actor - Actor details ({ actorId, actorTag, command })
+ * @param {Function} callback - Function to run
+ * @returns {*} Callback result
+ */
+export function runWithAuditActor(actor, callback) {
+  return auditContext.run({ ...auditContext.getStore(), ...actor }, callback);
+}
+
+/**
+ * Run a callback as the bot itself
+ * Used by timers, which otherwise inherit the context of the command that created them
+ * @param {Function} callback - Function to run
+ * @returns {*} Callback result
+ */
+export function runAsSystem(callback) {
+  return auditContext.run({ actorId: null, actorTag: 'System', command: null }, callback);
+}
+
+/**
+ * Get the actor of the change currently being made
+ * Changes made outside an interaction are attributed to the bot itself
+ * @returns {{ actorId: string|null, actorTag: string, command: string|null }} Actor details
+ */
+export function getAuditActor() {
+  return { actorId: null, actorTag: 'System', command: null, ...auditContext.getStore() };
+}
+
+/**
+ * List the differences between two stored values
+ * Objects are compared per field; lists of items with an ID are compared per item
+ * @param {*} before - Previous value (undefined if created)
+ * @param {*} after - New value (undefined if deleted)
+ * @returns {Array<{ field: string|null, from: *, to: * }>} Changes
+ */
+export function diffValues(before, after) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields]
+      .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map((field) => ({ field, from: compact(before[field]), to: compact(after[field]) }));
+  }
+
+  if (isItemList(before) && isItemList(after)) {
+    const oldItems = new Map(before.map((item) => [itemKey(item), item]));
+    const newItems = new Map(after.map((item) => [itemKey(item), item]));
+    const keys = new Set([...oldItems.keys(), ...newItems.keys()]);
+    return [...keys]
+      .filter((key) => JSON.stringify(oldItems.get(key)) !== JSON.stringify(newItems.get(key)))
+      .map((key) => ({
+        field: itemLabel(newItems.get(key) || oldItems.get(key)),
+        from: compact(oldItems.get(key)),
+        to: compact(newItems.get(key))
+      }));
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  return [{ field: null, from: compact(before), to: compact(after) }];
+}
+
+/**
+ * Shorten large values so audit entries stay small
+ * @param {*} value - Value to store
+ * @returns {*} Value, or a truncated JSON string
+ */
+function compact(value) {
+  if (value === undefined) {
+    return null;
+  }
+  const json = JSON.stringify(value);
+  return json.length > MAX_VALUE_LENGTH ? `${json.slice(0, MAX_VALUE_LENGTH)}…` : value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isItemList(value) {
+  return Array.isArray(value) && value.every((item) => isPlainObject(item) && itemKey(item));
+}
+
+function itemKey(item) {
+  return item.id ?? item.roleId;
+}
+
+function itemLabel(item) {
+  return item.name ?? item.label ?? item.emojiName ?? item.emoji ?? itemKey(item);
+}
@@ -0,0 +1,52 @@
+/**
+ * Storage Backend Selection
+ * Picks the persistence backend used by data/storage.js from the STORAGE_BACKEND env var
+ *
+ * Every backend exposes the same interface:
+ * - name: Backend identifier shown in logs and storage stats
+ * - path: File the backend writes to
+ * - load(): Returns stored data shaped like config.json, or null when nothing is stored
+ * - write(collections, changes): Persists the collections (changes = keys touched per collection),
+ *   returns false when nothing could be written so the changes are kept for the next try
+ * - stat(): Returns { size, modified } for the storage file, throws if it does not exist
+ * - quarantine(): Moves an unreadable storage file aside and returns its new path
+ * - close(): Releases any open handles
+ */
+
+import log from '../../utils/colors.js';
+import { createJsonBackend } from './jsonBackend.js';
+import { createSqliteBackend } from './sqliteBackend.js';
+
+const backends = {
+  json: createJsonBackend,
+  sqlite: createSqliteBackend
+};
+
+/**
+ * Create the configured storage backend
+ * Falls back to the JSON backend if the requested backend is unknown or unavailable
+ * @param {string} dataDir - Directory holding the data files
+ * @returns {Object} Storage backend
+ */
+export function createStorageBackend(dataDir) {
+  const requested = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+  const factory = backends[requested];
+
+  if (!factory) {
+    log.warn(`Unknown STORAGE_BACKEND "${requested}", using JSON file storage`);
+    return createJsonBackend(dataDir);
+  }
+
+  try {
+    const backend = factory(dataDir);
+    log.system(`Using ${backend.name} storage backend: ${backend.path}`);
+    return backend;
+  } catch (error) {
+    log.error(`Failed to initialize ${requested} storage backend`, error);
+    if (requested === 'sqlite') {
+      log.warn('Install the optional better-sqlite3 dependency to use SQLite storage');
+    }
+    log.warn('Falling back to JSON file storage');
+    return createJsonBackend(dataDir);
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * JSON File Backend - Stores every collection in a single config.json file
+ * This is the original storage format and remains the default backend
+ * Simple and human-readable, but every write rewrites the whole file
+ */
+
+import log from '../../utils/colors.js';
+import fs from 'fs';
+import path from 'path';
+import { SCHEMA_VERSION } from '../migrations.js';
+
+/**
+ * Create a JSON file storage backend
+ * @param {string} dataDir - Directory holding the data files
+ * @returns {Object} Storage backend
+ */
+export function createJsonBackend(dataDir) {
+  const storageFile = path.join(dataDir, 'config.json');
+
+  /**
+   * Read the config file
+   * @returns {Object|null} Parsed file contents or null if no file exists yet
+   */
+  function load() {
+    if (!fs.existsSync(storageFile)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(storageFile, 'utf8'));
+  }
+
+  /**
+   * Write all collections to the config file
+   * The JSON format has no partial updates, so the change set is ignored
+   * Fixed: Improved Railway volume compatibility with retry mechanism
+   * @param {Object<string, Map>} collections - Collection name -> Map of entries
+   * @returns {boolean} True if the file was written
+   */
+  function write(collections) {
+    try {
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true, mode: 0o777 });
+        log.system(`Created data directory at: ${dataDir}`);
+      }
+
+      const data = {};
+      for (const [name, entries] of Object.entries(collections)) {
+        data[name] = Array.from(entries.entries());
+      }
+      data.lastSaved = new Date().toISOString();
+      data.version = SCHEMA_VERSION;
+
+      const jsonData = JSON.stringify(data, null, 2);
+
+      let writeSuccess = false;
+
+      // Strategy 1: Direct write with explicit permissions
+      if (!writeSuccess) {
+        try {
+          fs.writeFileSync(storageFile, jsonData, { encoding: 'utf8', mode: 0o666 });
+          writeSuccess = true;
+          log.system(`Saved configurations to: ${storageFile}`);
+        } catch (error) {
+          // Continue to next strategy
+        }
+      }
+
+      // Strategy 2: Temp file with rename (atomic write)
+      if (!writeSuccess) {
+        try {
+          const tempFile = `${storageFile}.tmp`;
+          fs.writeFileSync(tempFile, jsonData, { encoding: 'utf8', mode: 0o666 });
+          fs.renameSync(tempFile, storageFile);
+          writeSuccess = true;
+          log.system(`Saved configurations to: ${storageFile} (temp file method)`);
+        } catch (error) {
+          // Continue to next strategy
+        }
+      }
+
+      // Strategy 3: Write to alternative location and copy
+      if (!writeSuccess) {
+        try {
+          const altFile = path.join('/tmp', 'config.json');
+          fs.writeFileSync(altFile, jsonData, { encoding: 'utf8' });
+          fs.copyFileSync(altFile, storageFile);
+          fs.unlinkSync(altFile);
+          writeSuccess = true;
+          log.system(`Saved configurations to: ${storageFile} (alternative path method)`);
+        } catch (error) {
+          // Continue to error handling
+        }
+      }
+
+      if (writeSuccess) {
+        log.success('All configurations persisted successfully!');
+        return true;
+      } else {
+        throw new Error('All write strategies failed');
+      }
+    } catch (error) {
+      log.error('Failed to save configurations to file', error);
+      log.failed('CRITICAL: Changes may be lost on restart!');
+      log.warn('Check Railway Volume configuration and permissions in dashboard');
+
+      if (error.code === 'EACCES') {
+        log.error(`Permission denied writing to: ${storageFile}`);
+        log.warn('Railway volume may need permission adjustment');
+        log.info('Trying to fix permissions...');
+
+        try {
+          fs.chmodSync(dataDir, 0o777);
+          log.success('Fixed data directory permissions - next save should work');
+        } catch (chmodError) {
+          log.error('Could not fix permissions automatically');
+        }
+      } else {
+        log.error(`Write error: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Get file information for monitoring
+   * @returns {Object} { size, modified }
+   */
+  function stat() {
+    const stats = fs.statSync(storageFile);
+    return { size: stats.size, modified: stats.mtime };
+  }
+
+  /**
+   * Move an unreadable config file aside so it is never overwritten
+   * @returns {string|null} Path of the quarantined file, or null if there was no file
+   */
+  function quarantine() {
+    if (!fs.existsSync(storageFile)) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const quarantineFile = `${storageFile}.corrupt-${timestamp}`;
+    fs.renameSync(storageFile, quarantineFile);
+    return quarantineFile;
+  }
+
+  return {
+    name: 'json',
+    path: storageFile,
+    load,
+    write,
+    stat,
+    quarantine,
+    close() {}
+  };
+}
@@ -0,0 +1,240 @@
+/**
+ * SQLite Backend - Stores every collection entry as its own row in an embedded database
+ * Only entries that changed since the last write are touched, so large collections
+ * like userLevels no longer force a full rewrite on every save
+ * Requires the optional better-sqlite3 dependency
+ */
+
+import log from '../../utils/colors.js';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { createJsonBackend } from './jsonBackend.js';
+import { SCHEMA_VERSION } from '../migrations.js';
+
+const require = createRequire(import.meta.url);
+
+// Meta row recording that the config.json import already ran
+const LEGACY_IMPORT_KEY = 'legacyImportedAt';
+
+/**
+ * Create an SQLite storage backend
+ * Imports an existing config.json on first run so switching backends keeps all data
+ * The import is recorded in the meta table and never runs again, even if the database
+ * later becomes empty (every guild reset or purged)
+ * @param {string} dataDir - Directory holding the data files
+ * @returns {Object} Storage backend
+ * @throws {Error} If better-sqlite3 is not installed
+ */
+export function createSqliteBackend(dataDir) {
+  const Database = require('better-sqlite3');
+  const databaseFile = path.join(dataDir, 'storage.db');
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  let db = null;
+  let sql = null;
+  let openError = null;
+
+  /**
+   * Open the database, create tables and prepare statements
+   */
+  function open() {
+    db = new Database(databaseFile);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS entries (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      );
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+
+    const upsertEntry = db.prepare(
+      'INSERT INTO entries (collection, key, value) VALUES (?, ?, ?) ' +
+        'ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value'
+    );
+    const deleteEntry = db.prepare('DELETE FROM entries WHERE collection = ? AND key = ?');
+    const upsertMeta = db.prepare(
+      'INSERT INTO meta (key, value) VALUES (?, ?) ' +
+        'ON CONFLICT (key) DO UPDATE SET value = excluded.value'
+    );
+
+    sql = {
+      selectAll: db.prepare('SELECT collection, key, value FROM entries'),
+      countEntries: db.prepare('SELECT COUNT(*) AS count FROM entries'),
+      selectMeta: db.prepare('SELECT key, value FROM meta'),
+      selectMetaValue: db.prepare('SELECT value FROM meta WHERE key = ?'),
+      upsertMeta,
+
+      /**
+       * Write a full data object (same shape as config.json) in one transaction
+       * Keeps the source schema version so migrations still run on the imported data
+       */
+      importData: db.transaction((data) => {
+        for (const [name, entries] of Object.entries(data)) {
+          if (!Array.isArray(entries)) {
+            continue;
+          }
+          for (const [key, value] of entries) {
+            upsertEntry.run(name, key, JSON.stringify(value));
+          }
+        }
+        if (typeof data.version === 'string') {
+          upsertMeta.run('version', data.version);
+        }
+      }),
+
+      /**
+       * Apply a change set in one transaction
+       * Keys still present in their Map are upserted, missing keys are deleted
+       */
+      applyChanges: db.transaction((collections, changes) => {
+        for (const [name, keys] of changes) {
+          const entries = collections[name];
+          for (const key of keys) {
+            if (entries.has(key)) {
+              upsertEntry.run(name, key, JSON.stringify(entries.get(key)));
+            } else {
+              deleteEntry.run(name, key);
+            }
+          }
+        }
+        upsertMeta.run('lastSaved', new Date().toISOString());
+        upsertMeta.run('version', SCHEMA_VERSION);
+      })
+    };
+  }
+
+  try {
+    open();
+  } catch (error) {
+    // A corrupt database file is reported from load() so it can be quarantined
+    if (error.code !== 'SQLITE_CORRUPT' && error.code !== 'SQLITE_NOTADB') {
+      throw error;
+    }
+    db?.close();
+    db = null;
+    openError = error;
+  }
+
+  /**
+   * Read every entry from the database
+   * @returns {Object|null} Data in the same shape as config.json, or null if empty
+   */
+  function load() {
+    if (openError) {
+      throw openError;
+    }
+
+    if (!sql.selectMetaValue.get(LEGACY_IMPORT_KEY)) {
+      const legacy = sql.countEntries.get().count === 0 ? createJsonBackend(dataDir).load() : null;
+      if (legacy) {
+        log.system(`Importing existing config.json into SQLite database: ${databaseFile}`);
+        sql.importData(legacy);
+        log.success('config.json imported - SQLite is now the source of truth');
+      }
+      // A database that was filled or found in use is past its first run either way
+      sql.upsertMeta.run(LEGACY_IMPORT_KEY, new Date().toISOString());
+    }
+
+    if (sql.countEntries.get().count === 0) {
+      return null;
+    }
+
+    const data = {};
+    for (const row of sql.selectAll.iterate()) {
+      if (!data[row.collection]) {
+        data[row.collection] = [];
+      }
+      data[row.collection].push([row.key, JSON.parse(row.value)]);
+    }
+    for (const row of sql.selectMeta.all()) {
+      if (row.key !== LEGACY_IMPORT_KEY) {
+        data[row.key] = row.value;
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Persist changed entries
+   * @param {Object<string, Map>} collections - Collection name -> Map of entries
+   * @param {Map<string, Set<string>>} changes - Collection name -> keys changed since last write
+   * @returns {boolean} True if the changes were written
+   */
+  function write(collections, changes) {
+    try {
+      sql.applyChanges(collections, changes);
+
+      let changedCount = 0;
+      for (const keys of changes.values()) {
+        changedCount += keys.size;
+      }
+      log.system(
+        `Saved ${changedCount} changed entr${changedCount === 1 ? 'y' : 'ies'} to: ${databaseFile}`
+      );
+      return true;
+    } catch (error) {
+      log.error('Failed to save configurations to SQLite database', error);
+      log.failed('CRITICAL: Changes may be lost on restart!');
+      return false;
+    }
+  }
+
+  /**
+   * Get database file information for monitoring
+   * @returns {Object} { size, modified }
+   */
+  function stat() {
+    const stats = fs.statSync(databaseFile);
+    return { size: stats.size, modified: stats.mtime };
+  }
+
+  /**
+   * Move an unreadable database aside and start a fresh one
+   * @returns {string|null} Path of the quarantined database, or null if there was no file
+   */
+  function quarantine() {
+    db?.close();
+    db = null;
+
+    if (!fs.existsSync(databaseFile)) {
+      open();
+      return null;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const quarantineFile = `${databaseFile}.corrupt-${timestamp}`;
+    fs.renameSync(databaseFile, quarantineFile);
+    for (const suffix of ['-wal', '-shm']) {
+      if (fs.existsSync(`${databaseFile}${suffix}`)) {
+        fs.renameSync(`${databaseFile}${suffix}`, `${quarantineFile}${suffix}`);
+      }
+    }
+
+    openError = null;
+    open();
+    return quarantineFile;
+  }
+
+  return {
+    name: 'sqlite',
+    path: databaseFile,
+    load,
+    write,
+    stat,
+    quarantine,
+    close() {
+      db?.close();
+    }
+  };
+}
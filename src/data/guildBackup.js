@@ -0,0 +1,182 @@
+/**
+ * Guild Backup Format - Validation and diffing for per-guild configuration backups
+ * A backup uses the same collection layout as config.json, filtered to one guild,
+ * so schema migrations apply to backups exactly as they do to stored data.
+ */
+
+import { migrateData } from './migrations.js';
+
+export const GUILD_BACKUP_FORMAT = 'role-guardian-guild-backup';
+
+/**
+ * Collections keyed by guild ID
+ */
+export const GUILD_KEYED_COLLECTIONS = [
+  'welcomeConfigs',
+  'leaveConfigs',
+  'autoroleConfigs',
+  'stickyRoleConfigs',
+  'verificationConfigs',
+  'antiRaidConfigs',
+  'levelingConfigs',
+  'scheduledMessages',
+  'ticketConfigs',
+  'auditConfigs',
+  'diagnoseConfigs',
+  'notificationConfigs',
+  'roleGroups'
+];
+
+/**
+ * Collections keyed by panel message ID (guildId is stored on each role entry)
+ */
+export const MESSAGE_KEYED_COLLECTIONS = ['reactionRoles', 'buttonRoles', 'selectRoles'];
+
+/**
+ * Human-readable collection names for diffs
+ */
+export const COLLECTION_LABELS = {
+  welcomeConfigs: 'Welcome messages',
+  leaveConfigs: 'Leave messages',
+  autoroleConfigs: 'Autoroles',
+  stickyRoleConfigs: 'Sticky roles',
+  verificationConfigs: 'Verification gate',
+  antiRaidConfigs: 'Anti-raid',
+  levelingConfigs: 'Leveling system',
+  scheduledMessages: 'Scheduled messages',
+  ticketConfigs: 'Ticket system',
+  auditConfigs: 'Audit log settings',
+  diagnoseConfigs: 'Diagnostics settings',
+  notificationConfigs: 'Role notifications',
+  roleGroups: 'Exclusive role groups',
+  reactionRoles: 'Reaction roles',
+  buttonRoles: 'Button roles',
+  selectRoles: 'Select menu roles'
+};
+
+/**
+ * Validate a parsed backup file for a guild
+ * Older backups are migrated to the current schema
+ * @param {Object} backup - Parsed backup file
+ * @param {string} guildId - Guild the backup will be restored into
+ * @param {Function} [getPanelGuildId] - (collection, messageId) => guild that owns the stored panel, or null
+ * @returns {{ valid: boolean, errors: Array<string>, data: Object|null }} Validation result
+ */
+export function validateGuildBackup(backup, guildId, getPanelGuildId = () => null) {
+  const errors = [];
+
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    return { valid: false, errors: ['File is not a backup object'], data: null };
+  }
+
+  if (backup.format !== GUILD_BACKUP_FORMAT) {
+    return { valid: false, errors: ['File is not a Role Guardian guild backup'], data: null };
+  }
+
+  if (backup.guildId !== guildId) {
+    return {
+      valid: false,
+      errors: [`Backup belongs to server ${backup.guildId}, not this server`],
+      data: null
+    };
+  }
+
+  let data;
+  try {
+    data = migrateData(backup).data;
+  } catch (error) {
+    return { valid: false, errors: [error.message], data: null };
+  }
+
+  for (const name of [...GUILD_KEYED_COLLECTIONS, ...MESSAGE_KEYED_COLLECTIONS]) {
+    const entries = data[name] ?? [];
+    if (!Array.isArray(entries)) {
+      errors.push(`${COLLECTION_LABELS[name]}: expected a list of entries`);
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (!Array.isArray(entry) || entry.length !== 2 || typeof entry[0] !== 'string') {
+        errors.push(`${COLLECTION_LABELS[name]}: malformed entry`);
+        continue;
+      }
+
+      const [key, value] = entry;
+      if (GUILD_KEYED_COLLECTIONS.includes(name)) {
+        if (key !== guildId) {
+          errors.push(`${COLLECTION_LABELS[name]}: entry belongs to another server`);
+        } else if (!value || typeof value !== 'object') {
+          errors.push(`${COLLECTION_LABELS[name]}: invalid configuration`);
+        }
+      } else if (
+        !Array.isArray(value) ||
+        value.length === 0 ||
+        value.some((role) => typeof role?.roleId !== 'string' || role.guildId !== guildId)
+      ) {
+        errors.push(`${COLLECTION_LABELS[name]}: invalid panel ${key}`);
+      } else if ((getPanelGuildId(name, key) ?? guildId) !== guildId) {
+        // Restoring would overwrite a live panel of another server
+        errors.push(`${COLLECTION_LABELS[name]}: panel ${key} belongs to another server`);
+      }
+    }
+  }
+
+  const scheduled = data.scheduledMessages?.[0]?.[1];
+  if (scheduled && (!Array.isArray(scheduled) || scheduled.some((m) => !m?.id || !m?.schedule))) {
+    errors.push('Scheduled messages: invalid message list');
+  }
+
+  return { valid: errors.length === 0, errors, data: errors.length === 0 ? data : null };
+}
+
+/**
+ * Compare the current guild configuration with a backup
+ * @param {Object} current - Current guild data (same layout as a backup)
+ * @param {Object} incoming - Validated backup data
+ * @returns {Array<{ collection: string, change: string, key: string, fields: Array<string> }>} Changes
+ */
+export function diffGuildBackup(current, incoming) {
+  const changes = [];
+
+  for (const name of [...GUILD_KEYED_COLLECTIONS, ...MESSAGE_KEYED_COLLECTIONS]) {
+    const before = new Map(current[name] || []);
+    const after = new Map(incoming[name] || []);
+
+    for (const [key, value] of after) {
+      if (!before.has(key)) {
+        changes.push({ collection: name, change: 'added', key, fields: [] });
+      } else if (JSON.stringify(before.get(key)) !== JSON.stringify(value)) {
+        changes.push({
+          collection: name,
+          change: 'changed',
+          key,
+          fields: changedFields(before.get(key), value)
+        });
+      }
+    }
+
+    for (const key of before.keys()) {
+      if (!after.has(key)) {
+        changes.push({ collection: name, change: 'removed', key, fields: [] });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * List top-level fields that differ between two values
+ * Arrays are compared as a whole
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @returns {Array<string>} Changed field names
+ */
+function changedFields(before, after) {
+  if (Array.isArray(before) || Array.isArray(after) || !before || !after) {
+    return [];
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
@@ -0,0 +1,100 @@
+/**
+ * Storage Migrations - Upgrade stored data to the current schema version
+ * Every persisted file (or database) is stamped with the schema version that wrote it.
+ * On load, migrations are applied in order until the data reaches SCHEMA_VERSION.
+ *
+ * Adding a migration:
+ * 1. Bump SCHEMA_VERSION
+ * 2. Append an entry to `migrations` going from the previous version to the new one
+ * 3. Add a fixture in tests/fixtures/ and a test in tests/migrations.test.js
+ */
+
+/**
+ * Schema version written by this build of the bot
+ */
+export const SCHEMA_VERSION = '1.1.0';
+
+/**
+ * Version assumed for files written before versioning was checked
+ */
+const BASE_VERSION = '1.0.0';
+
+/**
+ * Ordered migration registry
+ * Each migration receives the data object (shaped like config.json) and mutates it in place
+ */
+export const migrations = [
+  {
+    from: '1.0.0',
+    to: '1.1.0',
+    description: 'Ticket configs: replace single staffRoleId with staffRoleIds array',
+    migrate(data) {
+      for (const [, config] of data.ticketConfigs || []) {
+        if (!config) {
+          continue;
+        }
+        if (!Array.isArray(config.staffRoleIds)) {
+          config.staffRoleIds = config.staffRoleId ? [config.staffRoleId] : [];
+        }
+        delete config.staffRoleId;
+      }
+    }
+  }
+];
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - First version (e.g., 1.0.0)
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Upgrade stored data to SCHEMA_VERSION
+ * The input is not modified - migrations run on a copy
+ * @param {Object} data - Loaded data (shaped like config.json)
+ * @returns {{ data: Object, fromVersion: string, applied: Array<Object> }} Migrated data and the steps applied
+ * @throws {Error} If the data was written by a newer version of the bot, or no migration path exists
+ */
+export function migrateData(data) {
+  const fromVersion = typeof data.version === 'string' ? data.version : BASE_VERSION;
+
+  if (compareVersions(fromVersion, SCHEMA_VERSION) > 0) {
+    const error = new Error(
+      `Stored data has schema version ${fromVersion}, but this bot only supports up to ${SCHEMA_VERSION}`
+    );
+    error.code = 'STORAGE_VERSION_TOO_NEW';
+    throw error;
+  }
+
+  const migrated = structuredClone(data);
+  const applied = [];
+  let version = fromVersion;
+
+  while (compareVersions(version, SCHEMA_VERSION) < 0) {
+    const step = migrations.find((m) => m.from === version);
+    if (!step) {
+      throw new Error(`No migration found from schema version ${version}`);
+    }
+
+    step.migrate(migrated);
+    applied.push(step);
+    version = step.to;
+  }
+
+  migrated.version = version;
+  return { data: migrated, fromVersion, applied };
+}
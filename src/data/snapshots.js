@@ -0,0 +1,81 @@
+/**
+ * Storage Snapshots - Rolling timestamped copies of all stored data
+ * Snapshots are plain JSON files (same shape as config.json) kept in DATA_DIR/snapshots,
+ * independent of the active storage backend. They are used to recover when the
+ * primary storage file is corrupt.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const SNAPSHOT_PREFIX = 'snapshot-';
+const SNAPSHOT_SUFFIX = '.json';
+
+/**
+ * List snapshot files, newest first
+ * @param {string} snapshotDir - Snapshot directory
+ * @returns {Array<string>} Absolute snapshot file paths
+ */
+export function listSnapshots(snapshotDir) {
+  if (!fs.existsSync(snapshotDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(snapshotDir)
+    .filter((file) => file.startsWith(SNAPSHOT_PREFIX) && file.endsWith(SNAPSHOT_SUFFIX))
+    .sort()
+    .reverse()
+    .map((file) => path.join(snapshotDir, file));
+}
+
+/**
+ * Write a new snapshot and delete the oldest ones beyond the retention count
+ * @param {string} snapshotDir - Snapshot directory
+ * @param {Object} data - Data to snapshot (shaped like config.json)
+ * @param {number} retention - Number of snapshots to keep
+ * @returns {string} Path of the new snapshot
+ */
+export function writeSnapshot(snapshotDir, data, retention) {
+  if (!fs.existsSync(snapshotDir)) {
+    fs.mkdirSync(snapshotDir, { recursive: true });
+  }
+
+  // ISO timestamps sort lexically, so file names sort by age
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const snapshotFile = path.join(snapshotDir, `${SNAPSHOT_PREFIX}${timestamp}${SNAPSHOT_SUFFIX}`);
+  const tempFile = `${snapshotFile}.tmp`;
+
+  fs.writeFileSync(tempFile, JSON.stringify(data), 'utf8');
+  fs.renameSync(tempFile, snapshotFile);
+
+  for (const oldSnapshot of listSnapshots(snapshotDir).slice(Math.max(retention, 1))) {
+    fs.unlinkSync(oldSnapshot);
+  }
+
+  return snapshotFile;
+}
+
+/**
+ * Find the newest snapshot that can be parsed
+ * Unreadable snapshots are skipped and reported
+ * @param {string} snapshotDir - Snapshot directory
+ * @returns {{ file: string, data: Object, skipped: Array<string> }|null} Snapshot or null if none is valid
+ */
+export function loadLatestValidSnapshot(snapshotDir) {
+  const skipped = [];
+
+  for (const file of listSnapshots(snapshotDir)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return { file, data, skipped };
+      }
+      skipped.push(file);
+    } catch {
+      skipped.push(file);
+    }
+  }
+
+  return null;
+}
@@ -1,38 +1,160 @@
 /**
- * Data Storage - Persistent file-based storage for bot configuration
- * Automatically saves to JSON file and loads on startup
+ * Data Storage - Persistent storage for bot configuration
+ * Keeps every collection in memory and persists changes through a pluggable backend
+ * Backend is selected with STORAGE_BACKEND (json or sqlite), see data/backends/
  * This is ready for future web dashboard integration
  */
 
 import log from '../utils/colors.js';
 import fs from 'fs';
 import path from 'path';
+import { createStorageBackend } from './backends/index.js';
+import { migrateData, SCHEMA_VERSION } from './migrations.js';
+import { writeSnapshot, listSnapshots, loadLatestValidSnapshot } from './snapshots.js';
+import {
+  GUILD_BACKUP_FORMAT,
+  GUILD_KEYED_COLLECTIONS,
+  MESSAGE_KEYED_COLLECTIONS
+} from './guildBackup.js';
+import { AUDIT_MODULES, getAuditActor, diffValues } from './audit.js';
+import { eventBus, Events } from '../utils/eventBus.js';
+import { formatEmoji } from '../utils/emoji.js';
 
 // Railway Volumes mount at /app/data, fallback to local ./data for development
 const DATA_DIR = process.env.DATA_PATH || path.join(process.cwd(), 'data');
-const STORAGE_FILE = path.join(DATA_DIR, 'config.json');
+
+// Rolling snapshots used to recover from a corrupt storage file
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'snapshots');
+const SNAPSHOT_RETENTION = parseInt(process.env.STORAGE_SNAPSHOT_RETENTION, 10) || 10;
+// Data of servers that removed the bot, archived after the grace period
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archives');
+const GUILD_GRACE_PERIOD_MS =
+  (parseInt(process.env.GUILD_GRACE_PERIOD_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const SNAPSHOT_INTERVAL_MS =
+  parseInt(process.env.STORAGE_SNAPSHOT_INTERVAL_MS, 10) || 60 * 60 * 1000;
 
 // Storage objects for bot configuration
-let reactionRoles = new Map(); // messageId -> roleConfig[]
-let buttonRoles = new Map(); // messageId -> roleConfig[]
-let welcomeConfigs = new Map(); // guildId -> welcomeConfig
-let leaveConfigs = new Map(); // guildId -> leaveConfig
-let levelingConfigs = new Map(); // guildId -> levelingConfig
-let userLevels = new Map(); // guildId-userId -> { xp, level }
-let scheduledMessages = new Map(); // guildId -> scheduledMessage[]
-let ticketConfigs = new Map(); // guildId -> ticketConfig
-let tickets = new Map(); // guildId -> ticket[]
+const reactionRoles = new Map(); // messageId -> roleConfig[]
+const buttonRoles = new Map(); // messageId -> roleConfig[]
+const selectRoles = new Map(); // messageId -> roleConfig[]
+const welcomeConfigs = new Map(); // guildId -> welcomeConfig
+const leaveConfigs = new Map(); // guildId -> leaveConfig
+const autoroleConfigs = new Map(); // guildId -> { humanRoleIds, botRoleIds, delaySeconds }
+const stickyRoleConfigs = new Map(); // guildId -> { mode, roleIds, retentionDays }
+const stickyRoles = new Map(); // guildId -> { userId: { roleIds, leftAt } }
+const verificationConfigs = new Map(); // guildId -> verificationConfig
+const pendingVerifications = new Map(); // guildId -> { userId: joinedAt }
+const antiRaidConfigs = new Map(); // guildId -> antiRaidConfig
+const lockdowns = new Map(); // guildId -> { startedAt, reason, startedBy, slowmode }
+const levelingConfigs = new Map(); // guildId -> levelingConfig
+const userLevels = new Map(); // guildId-userId -> { xp, level }
+const scheduledMessages = new Map(); // guildId -> scheduledMessage[]
+const ticketConfigs = new Map(); // guildId -> ticketConfig
+const tickets = new Map(); // guildId -> ticket[]
+const auditLogs = new Map(); // guildId -> auditEntry[] (oldest first)
+const auditConfigs = new Map(); // guildId -> { retentionDays }
+const resetSnapshots = new Map(); // guildId -> data removed by the last /reset
+const diagnoseConfigs = new Map(); // guildId -> { autoPrune }
+const notificationConfigs = new Map(); // guildId -> { dm, addTemplate, removeTemplate }
+const roleGroups = new Map(); // guildId -> [{ name, roleIds }]
+const inactiveGuilds = new Map(); // guildId -> { removedAt, purgeAfter }
+
+/**
+ * Persisted collections by name
+ * The names are the keys used in config.json and the SQLite entries table
+ */
+const collections = {
+  reactionRoles,
+  buttonRoles,
+  selectRoles,
+  welcomeConfigs,
+  leaveConfigs,
+  autoroleConfigs,
+  stickyRoleConfigs,
+  stickyRoles,
+  verificationConfigs,
+  pendingVerifications,
+  antiRaidConfigs,
+  lockdowns,
+  levelingConfigs,
+  userLevels,
+  scheduledMessages,
+  ticketConfigs,
+  tickets,
+  auditLogs,
+  auditConfigs,
+  resetSnapshots,
+  diagnoseConfigs,
+  notificationConfigs,
+  roleGroups,
+  inactiveGuilds
+};
+
+// Keys changed since the last write: collection name -> Set of keys
+const pendingChanges = new Map();
+
+// Write scheduler settings - frequent changes (XP gains) are coalesced into one write
+const FLUSH_INTERVAL_MS = parseInt(process.env.STORAGE_FLUSH_INTERVAL_MS, 10) || 5000;
+const FLUSH_THRESHOLD = parseInt(process.env.STORAGE_FLUSH_THRESHOLD, 10) || 1000;
+
+let flushTimer = null;
+let pendingCount = 0;
+let dirtySince = null;
+
+// Set when stored data cannot be loaded safely - prevents overwriting it
+let writesLocked = false;
+
+// Storage problems operators need to know about (shown in the health endpoint)
+const storageAlerts = [];
+
+let snapshotTimer = null;
+let changedSinceSnapshot = false;
+let lastSnapshot = null;
+
+// Flush metrics reported by getStorageStats()
+const flushMetrics = {
+  flushCount: 0,
+  lastFlushAt: null,
+  lastFlushDurationMs: 0,
+  lastFlushEntries: 0,
+  lastFlushLagMs: 0,
+  maxFlushLagMs: 0,
+  failedFlushCount: 0,
+  lastFailedFlushAt: null
+};
+
+// Audit trail settings - entries older than the guild's retention are pruned
+const DEFAULT_AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 90;
+const MAX_AUDIT_ENTRIES = 1000;
+
+// Collections whose changes are published as config events, by module name
+// Audited configs plus the module state that is saved without an audit entry
+const CONFIG_EVENT_MODULES = {
+  ...AUDIT_MODULES,
+  stickyRoles: 'sticky-role-snapshots',
+  pendingVerifications: 'pending-verifications',
+  lockdowns: 'lockdowns'
+};
+
+// Last published value of every config entry, used as the "before" side of events and audit diffs
+// Stored as JSON so commands that edit a config object in place still produce a diff
+const configBaseline = new Map();
+
+// How long a /reset can be undone with /reset-undo
+const RESET_UNDO_WINDOW_MS = parseInt(process.env.RESET_UNDO_WINDOW_MS, 10) || 24 * 60 * 60 * 1000;
 
 let botClient = null;
 
 /**
- * Set the Discord client instance for event emission
- * This allows the storage module to notify handlers when configurations are reset
+ * Set the Discord client instance
+ * Used to delete panel messages on reset and re-post them on undo
+ * Handlers are notified of changes through the event bus (utils/eventBus.js)
  * @param {Client} client - Discord client instance
  */
 export function setBotClient(client) {
   botClient = client;
-  log.system('Bot client registered with storage module for cache management');
+  log.system('Bot client registered with storage module for panel management');
 }
 
 /**
@@ -69,155 +191,500 @@ function ensureDataDirectory() {
 // Ensure directory exists on module load
 ensureDataDirectory();
 
+// Storage backend (JSON file by default)
+const backend = createStorageBackend(DATA_DIR);
+
 /**
- * Load all configurations from file on startup
+ * Load all configurations from the storage backend on startup
+ * Runs schema migrations on older data (after writing a backup)
+ * Recovers from the newest valid snapshot if the stored data is unreadable
+ * @throws {Error} If stored data was written by a newer version of the bot
  */
 export function loadAllConfigs() {
+  let data;
+  let source = backend.path;
+  let recovered = false;
+
   try {
-    if (fs.existsSync(STORAGE_FILE)) {
-      const data = JSON.parse(fs.readFileSync(STORAGE_FILE, 'utf8'));
+    data = backend.load();
+  } catch (error) {
+    const snapshot = recoverFromCorruption(error);
+    if (snapshot) {
+      data = snapshot.data;
+      source = snapshot.file;
+      recovered = true;
+    } else {
+      startSnapshotSchedule();
+      return;
+    }
+  }
 
-      if (data.reactionRoles) {
-        reactionRoles = new Map(data.reactionRoles);
-      }
-      if (data.buttonRoles) {
-        buttonRoles = new Map(data.buttonRoles);
-      }
-      if (data.welcomeConfigs) {
-        welcomeConfigs = new Map(data.welcomeConfigs);
-      }
-      if (data.leaveConfigs) {
-        leaveConfigs = new Map(data.leaveConfigs);
-      }
-      if (data.levelingConfigs) {
-        levelingConfigs = new Map(data.levelingConfigs);
-      }
-      if (data.userLevels) {
-        userLevels = new Map(data.userLevels);
-      }
-      if (data.scheduledMessages) {
-        scheduledMessages = new Map(data.scheduledMessages);
-      }
-      if (data.ticketConfigs) {
-        ticketConfigs = new Map(data.ticketConfigs);
-      }
-      if (data.tickets) {
-        tickets = new Map(data.tickets);
+  if (!data) {
+    log.info('No existing configuration file found, starting fresh');
+    log.warn('Remember to configure bot using slash commands!');
+    startSnapshotSchedule();
+    return;
+  }
+
+  let migration;
+  try {
+    migration = migrateData(data);
+  } catch (error) {
+    writesLocked = true;
+    log.failed(`Refusing to load configurations: ${error.message}`);
+    log.warn('Storage writes are disabled so the stored data is not overwritten');
+    throw error;
+  }
+
+  if (migration.applied.length > 0) {
+    backupBeforeMigration(data, migration.fromVersion);
+    for (const step of migration.applied) {
+      log.system(`[MIGRATION] ${step.from} -> ${step.to}: ${step.description}`);
+    }
+  }
+
+  for (const [name, entries] of Object.entries(collections)) {
+    if (migration.data[name]) {
+      entries.clear();
+      for (const [key, value] of migration.data[name]) {
+        entries.set(key, value);
       }
+    }
+  }
 
-      log.success(`Loaded configurations from: ${STORAGE_FILE}`);
-      log.info(
-        `Loaded: ${reactionRoles.size} reaction roles, ${buttonRoles.size} button roles, ${welcomeConfigs.size} welcome configs, ${leaveConfigs.size} leave configs`
-      );
-      log.info(
-        `Loaded: ${levelingConfigs.size} leveling configs, ${userLevels.size} user levels, ${scheduledMessages.size} scheduled messages`
-      );
-      log.info(`Loaded: ${ticketConfigs.size} ticket configs, ${tickets.size} ticket servers`);
-      log.success('Persistent storage verified - configurations survived restart!');
-    } else {
-      log.info('No existing configuration file found, starting fresh');
-      log.warn('Remember to configure bot using slash commands!');
+  seedConfigBaseline();
+  pruneResetSnapshots();
+
+  log.success(`Loaded configurations from: ${source}`);
+  log.info(
+    `Loaded: ${reactionRoles.size} reaction roles, ${buttonRoles.size} button roles, ${selectRoles.size} select roles, ${welcomeConfigs.size} welcome configs, ${leaveConfigs.size} leave configs`
+  );
+  log.info(
+    `Loaded: ${levelingConfigs.size} leveling configs, ${userLevels.size} user levels, ${scheduledMessages.size} scheduled messages`
+  );
+  log.info(`Loaded: ${ticketConfigs.size} ticket configs, ${tickets.size} ticket servers`);
+
+  if (migration.applied.length > 0 || recovered) {
+    // Rewrite every entry so the stored data matches the new schema / recovered snapshot
+    for (const [name, entries] of Object.entries(collections)) {
+      markChanged(name, ...entries.keys());
     }
-  } catch (error) {
-    log.error('Failed to load configurations from file', error);
-    log.warn('Starting with empty configuration - please reconfigure the bot');
+    persist();
   }
+
+  if (migration.applied.length > 0) {
+    log.success(
+      `[MIGRATION] Upgraded stored data from ${migration.fromVersion} to ${migration.data.version}`
+    );
+  }
+
+  log.success('Persistent storage verified - configurations survived restart!');
+
+  // Loaded data is known good - keep a snapshot of it
+  createSnapshot();
+  startSnapshotSchedule();
 }
 
 /**
- * Save all configurations to file with enhanced error handling
- * Fixed: Improved Railway volume compatibility with retry mechanism
+ * Handle unreadable stored data
+ * Quarantines the broken file so it is never overwritten, then looks for the newest valid snapshot
+ * @param {Error} error - Error thrown by the backend while loading
+ * @returns {{ file: string, data: Object }|null} Snapshot to load, or null to start empty
  */
-function saveToFile() {
+function recoverFromCorruption(error) {
+  log.error('Failed to load configurations from storage', error);
+
   try {
-    if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o777 });
-      log.system(`Created data directory at: ${DATA_DIR}`);
-    }
+    const quarantineFile = backend.quarantine();
+    raiseStorageAlert(
+      'critical',
+      `Stored configuration was unreadable (${error.message}) and was moved to ${quarantineFile}`
+    );
+  } catch (quarantineError) {
+    // Could not move the broken file - never write over it
+    writesLocked = true;
+    log.error('Failed to quarantine unreadable storage file', quarantineError);
+    raiseStorageAlert(
+      'critical',
+      `Stored configuration is unreadable (${error.message}) and could not be quarantined - storage writes are disabled`
+    );
+  }
 
-    const data = {
-      reactionRoles: Array.from(reactionRoles.entries()),
-      buttonRoles: Array.from(buttonRoles.entries()),
-      welcomeConfigs: Array.from(welcomeConfigs.entries()),
-      leaveConfigs: Array.from(leaveConfigs.entries()),
-      levelingConfigs: Array.from(levelingConfigs.entries()),
-      userLevels: Array.from(userLevels.entries()),
-      scheduledMessages: Array.from(scheduledMessages.entries()),
-      ticketConfigs: Array.from(ticketConfigs.entries()),
-      tickets: Array.from(tickets.entries()),
-      lastSaved: new Date().toISOString(),
-      version: '1.0.0'
-    };
+  const snapshot = loadLatestValidSnapshot(SNAPSHOT_DIR);
+  const snapshotCount = listSnapshots(SNAPSHOT_DIR).length;
 
-    const jsonData = JSON.stringify(data, null, 2);
+  if (!snapshot) {
+    raiseStorageAlert(
+      'critical',
+      `No valid snapshot found (${snapshotCount} checked) - starting with empty configuration`
+    );
+    log.warn('Please reconfigure the bot or restore the quarantined file manually');
+    return null;
+  }
 
-    let writeSuccess = false;
+  if (snapshot.skipped.length > 0) {
+    log.warn(`Skipped ${snapshot.skipped.length} unreadable snapshot(s)`);
+  }
+  raiseStorageAlert(
+    'critical',
+    `Configuration restored from snapshot ${path.basename(snapshot.file)} - changes made after it was taken are lost`
+  );
+  return snapshot;
+}
 
-    // Strategy 1: Direct write with explicit permissions
-    if (!writeSuccess) {
-      try {
-        fs.writeFileSync(STORAGE_FILE, jsonData, { encoding: 'utf8', mode: 0o666 });
-        writeSuccess = true;
-        log.system(`Saved configurations to: ${STORAGE_FILE}`);
-      } catch (error) {
-        // Continue to next strategy
-      }
+/**
+ * Record a storage problem for operators
+ * Alerts are logged and exposed through getStorageHealth() for the health endpoint
+ * @param {string} level - 'critical' or 'warning'
+ * @param {string} message - Alert description
+ */
+function raiseStorageAlert(level, message) {
+  storageAlerts.push({ level, message, timestamp: new Date().toISOString() });
+  if (level === 'critical') {
+    log.failed(`[STORAGE ALERT] ${message}`);
+  } else {
+    log.warn(`[STORAGE ALERT] ${message}`);
+  }
+}
+
+/**
+ * Write a snapshot of all in-memory data and prune old snapshots
+ * @returns {string|null} Snapshot path, or null if it could not be written
+ */
+export function createSnapshot() {
+  if (writesLocked) {
+    return null;
+  }
+
+  try {
+    const data = serializeCollections();
+    data.version = SCHEMA_VERSION;
+    data.snapshotAt = new Date().toISOString();
+
+    const snapshotFile = writeSnapshot(SNAPSHOT_DIR, data, SNAPSHOT_RETENTION);
+    lastSnapshot = { file: snapshotFile, createdAt: data.snapshotAt };
+    changedSinceSnapshot = false;
+    log.system(`Saved storage snapshot: ${snapshotFile}`);
+    return snapshotFile;
+  } catch (error) {
+    log.error('Failed to write storage snapshot', error);
+    return null;
+  }
+}
+
+/**
+ * Take a snapshot every SNAPSHOT_INTERVAL_MS if anything changed since the last one
+ */
+function startSnapshotSchedule() {
+  if (snapshotTimer) {
+    return;
+  }
+
+  snapshotTimer = setInterval(() => {
+    if (changedSinceSnapshot) {
+      createSnapshot();
     }
+  }, SNAPSHOT_INTERVAL_MS);
+  snapshotTimer.unref?.();
+}
 
-    // Strategy 2: Temp file with rename (atomic write)
-    if (!writeSuccess) {
-      try {
-        const tempFile = `${STORAGE_FILE}.tmp`;
-        fs.writeFileSync(tempFile, jsonData, { encoding: 'utf8', mode: 0o666 });
-        fs.renameSync(tempFile, STORAGE_FILE);
-        writeSuccess = true;
-        log.system(`Saved configurations to: ${STORAGE_FILE} (temp file method)`);
-      } catch (error) {
-        // Continue to next strategy
-      }
+/**
+ * Get storage health for monitoring
+ * @returns {Object} { status, writesLocked, alerts, lastSnapshot }
+ */
+export function getStorageHealth() {
+  return {
+    status: storageAlerts.some((alert) => alert.level === 'critical') ? 'degraded' : 'ok',
+    writesLocked,
+    alerts: storageAlerts,
+    lastSnapshot
+  };
+}
+
+/**
+ * Copy every collection into a plain object (same shape as config.json)
+ * @returns {Object} Serialized collections
+ */
+function serializeCollections() {
+  const data = {};
+  for (const [name, entries] of Object.entries(collections)) {
+    data[name] = Array.from(entries.entries());
+  }
+  return data;
+}
+
+/**
+ * Write a copy of the loaded data before migrations change it
+ * @param {Object} data - Data as loaded from the backend
+ * @param {string} version - Schema version of the data
+ */
+function backupBeforeMigration(data, version) {
+  try {
+    const backupDir = path.join(DATA_DIR, 'backups');
+    if (!fs.existsSync(backupDir)) {
+      fs.mkdirSync(backupDir, { recursive: true });
     }
 
-    // Strategy 3: Write to alternative location and copy
-    if (!writeSuccess) {
-      try {
-        const altFile = path.join('/tmp', 'config.json');
-        fs.writeFileSync(altFile, jsonData, { encoding: 'utf8' });
-        fs.copyFileSync(altFile, STORAGE_FILE);
-        fs.unlinkSync(altFile);
-        writeSuccess = true;
-        log.system(`Saved configurations to: ${STORAGE_FILE} (alternative path method)`);
-      } catch (error) {
-        // Continue to error handling
-      }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupFile = path.join(backupDir, `pre-migration-v${version}-${timestamp}.json`);
+    fs.writeFileSync(backupFile, JSON.stringify(data, null, 2), 'utf8');
+    log.system(`[MIGRATION] Saved pre-migration backup to: ${backupFile}`);
+  } catch (error) {
+    log.error('[MIGRATION] Failed to write pre-migration backup', error);
+  }
+}
+
+/**
+ * Record that entries in a collection changed and need to be written
+ * @param {string} collection - Collection name (key of `collections`)
+ * @param {...string} keys - Changed (or deleted) keys
+ */
+function markChanged(collection, ...keys) {
+  trackChanges(collection, keys);
+  if (CONFIG_EVENT_MODULES[collection]) {
+    for (const key of keys) {
+      recordConfigChange(collection, key);
     }
+  }
+}
 
-    if (writeSuccess) {
-      log.success('All configurations persisted successfully!');
-    } else {
-      throw new Error('All write strategies failed');
+/**
+ * Mark a bookkeeping update of a config entry, like a counter bump, as changed
+ * It is written like any change but not audited, since nobody edited the config
+ * @param {string} collection - Collection name
+ * @param {string} key - Changed key
+ */
+function markCounterChanged(collection, key) {
+  trackChanges(collection, [key]);
+  // Move the baseline along so the next real edit doesn't list the counter
+  if (CONFIG_EVENT_MODULES[collection] && collections[collection].has(key)) {
+    configBaseline.set(`${collection}:${key}`, JSON.stringify(collections[collection].get(key)));
+  }
+}
+
+/**
+ * Add keys to the pending change set
+ * @param {string} collection - Collection name
+ * @param {Array<string>} keys - Changed (or deleted) keys
+ */
+function trackChanges(collection, keys) {
+  if (!pendingChanges.has(collection)) {
+    pendingChanges.set(collection, new Set());
+  }
+  const changed = pendingChanges.get(collection);
+  for (const key of keys) {
+    if (!changed.has(key)) {
+      changed.add(key);
+      pendingCount++;
     }
-  } catch (error) {
-    log.error('Failed to save configurations to file', error);
-    log.failed('CRITICAL: Changes may be lost on restart!');
-    log.warn('Check Railway Volume configuration and permissions in dashboard');
-
-    if (error.code === 'EACCES') {
-      log.error(`Permission denied writing to: ${STORAGE_FILE}`);
-      log.warn('Railway volume may need permission adjustment');
-      log.info('Trying to fix permissions...');
-
-      try {
-        fs.chmodSync(DATA_DIR, 0o777);
-        log.success('Fixed data directory permissions - next save should work');
-      } catch (chmodError) {
-        log.error('Could not fix permissions automatically');
-      }
-    } else {
-      log.error(`Write error: ${error.message}`);
+  }
+  if (dirtySince === null) {
+    dirtySince = Date.now();
+  }
+}
+
+/**
+ * AUDIT TRAIL
+ */
+
+/**
+ * Remember the loaded value of every config entry
+ */
+function seedConfigBaseline() {
+  configBaseline.clear();
+  for (const name of Object.keys(CONFIG_EVENT_MODULES)) {
+    for (const [key, value] of collections[name]) {
+      configBaseline.set(`${name}:${key}`, JSON.stringify(value));
     }
   }
 }
 
+/**
+ * Publish a config event for a changed entry, and record an audit entry for audited collections
+ * Called from markChanged so every config mutation is covered
+ * Every save is published, even one that changed nothing; only real changes are audited
+ * @param {string} collection - Collection name (key of CONFIG_EVENT_MODULES)
+ * @param {string} key - Changed (or deleted) key
+ */
+function recordConfigChange(collection, key) {
+  const baselineKey = `${collection}:${key}`;
+  const previous = configBaseline.get(baselineKey);
+  const before = previous === undefined ? undefined : JSON.parse(previous);
+  const after = collections[collection].get(key);
+
+  // Deleting a key that was never stored changes nothing
+  if (before === undefined && after === undefined) {
+    return;
+  }
+  if (after === undefined) {
+    configBaseline.delete(baselineKey);
+  } else {
+    configBaseline.set(baselineKey, JSON.stringify(after));
+  }
+
+  const guildId = MESSAGE_KEYED_COLLECTIONS.includes(collection)
+    ? (after ?? before)?.[0]?.guildId
+    : key;
+  if (!guildId) {
+    return;
+  }
+
+  const action = before === undefined ? 'create' : after === undefined ? 'delete' : 'update';
+  const changes = diffValues(before, after);
+  if (AUDIT_MODULES[collection] && changes.length > 0) {
+    const entries = auditLogs.get(guildId) || [];
+    entries.push({
+      timestamp: new Date().toISOString(),
+      ...getAuditActor(),
+      module: AUDIT_MODULES[collection],
+      action,
+      target: key === guildId ? null : key,
+      changes
+    });
+    auditLogs.set(guildId, pruneAuditEntries(guildId, entries));
+    markChanged('auditLogs', guildId);
+  }
+
+  const module = CONFIG_EVENT_MODULES[collection];
+  if (action === 'create') {
+    eventBus.emit(Events.CONFIG_CREATED, { module, guildId, key, config: after });
+  } else if (action === 'update') {
+    eventBus.emit(Events.CONFIG_UPDATED, { module, guildId, key, config: after, previous: before });
+  } else {
+    eventBus.emit(Events.CONFIG_REMOVED, { module, guildId, key, previous: before });
+  }
+}
+
+/**
+ * Drop audit entries outside the guild's retention window
+ * @param {string} guildId - Discord guild ID
+ * @param {Array} entries - Audit entries (oldest first)
+ * @returns {Array} Entries to keep
+ */
+function pruneAuditEntries(guildId, entries) {
+  const cutoff = Date.now() - getAuditRetention(guildId) * 24 * 60 * 60 * 1000;
+  return entries.filter((entry) => Date.parse(entry.timestamp) >= cutoff).slice(-MAX_AUDIT_ENTRIES);
+}
+
+/**
+ * Get audit entries for a guild, newest first
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.module - Only entries for this module
+ * @param {string} filters.userId - Only entries made by this user
+ * @returns {Array} Audit entries
+ */
+export function getAuditLog(guildId, { module = null, userId = null } = {}) {
+  const entries = pruneAuditEntries(guildId, auditLogs.get(guildId) || []);
+  return entries
+    .filter((entry) => !module || entry.module === module)
+    .filter((entry) => !userId || entry.actorId === userId)
+    .reverse();
+}
+
+/**
+ * Get how many days audit entries are kept for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {number} Retention in days
+ */
+export function getAuditRetention(guildId) {
+  return auditConfigs.get(guildId)?.retentionDays || DEFAULT_AUDIT_RETENTION_DAYS;
+}
+
+/**
+ * Set how many days audit entries are kept for a guild
+ * Entries older than the new retention are removed right away
+ * @param {string} guildId - Discord guild ID
+ * @param {number} retentionDays - Retention in days
+ */
+export function setAuditRetention(guildId, retentionDays) {
+  auditConfigs.set(guildId, { retentionDays });
+  markChanged('auditConfigs', guildId);
+
+  if (auditLogs.has(guildId)) {
+    auditLogs.set(guildId, pruneAuditEntries(guildId, auditLogs.get(guildId)));
+    markChanged('auditLogs', guildId);
+  }
+
+  persist();
+  log.system(`Set audit log retention to ${retentionDays} day(s) for guild: ${guildId}`);
+}
+
+/**
+ * Write all pending changes through the storage backend right away
+ * Used for critical config changes that must not be lost
+ */
+function persist() {
+  flushStorage();
+}
+
+/**
+ * Schedule a write of pending changes
+ * Changes are flushed after FLUSH_INTERVAL_MS, or immediately once
+ * FLUSH_THRESHOLD changed entries have piled up
+ */
+function schedulePersist() {
+  if (pendingCount >= FLUSH_THRESHOLD) {
+    flushStorage();
+    return;
+  }
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushStorage, FLUSH_INTERVAL_MS);
+    // Don't keep the process alive just to flush - shutdown flushes explicitly
+    flushTimer.unref?.();
+  }
+}
+
+/**
+ * Flush all pending changes to the storage backend
+ * Called by the write scheduler and during graceful shutdown
+ * A failed write is retried after FLUSH_INTERVAL_MS
+ * @returns {number} Number of changed entries written
+ */
+export function flushStorage() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  if (pendingCount === 0) {
+    return 0;
+  }
+
+  if (writesLocked) {
+    log.warn(`Storage writes are disabled, ${pendingCount} change(s) not saved`);
+    return 0;
+  }
+
+  const startedAt = Date.now();
+  const entries = pendingCount;
+  const lag = startedAt - dirtySince;
+
+  // A failed write keeps every pending key, so the SQLite backend writes them on the next try
+  if (!backend.write(collections, pendingChanges)) {
+    flushMetrics.failedFlushCount++;
+    flushMetrics.lastFailedFlushAt = new Date().toISOString();
+    flushTimer = setTimeout(flushStorage, FLUSH_INTERVAL_MS);
+    flushTimer.unref?.();
+    return 0;
+  }
+
+  pendingChanges.clear();
+  pendingCount = 0;
+  dirtySince = null;
+  changedSinceSnapshot = true;
+
+  flushMetrics.flushCount++;
+  flushMetrics.lastFlushAt = new Date().toISOString();
+  flushMetrics.lastFlushDurationMs = Date.now() - startedAt;
+  flushMetrics.lastFlushEntries = entries;
+  flushMetrics.lastFlushLagMs = lag;
+  flushMetrics.maxFlushLagMs = Math.max(flushMetrics.maxFlushLagMs, lag);
+
+  return entries;
+}
+
 /**
  * REACTION ROLES STORAGE
  */
@@ -229,7 +696,8 @@ function saveToFile() {
  */
 export function saveReactionRoleConfig(messageId, config) {
   reactionRoles.set(messageId, config);
-  saveToFile(); // Persist to file
+  markChanged('reactionRoles', messageId);
+  persist();
   log.system(`Saved reaction role config for message: ${messageId}`);
   log.info(`Roles configured: ${config.length}`);
 }
@@ -251,7 +719,8 @@ export function getReactionRoleConfig(messageId) {
 export function removeReactionRoleConfig(messageId) {
   const result = reactionRoles.delete(messageId);
   if (result) {
-    saveToFile(); // Persist to file
+    markChanged('reactionRoles', messageId);
+    persist();
     log.system(`Removed reaction role config for message: ${messageId}`);
   }
   return result;
@@ -292,7 +761,8 @@ export function getGuildReactionRoleMessages(guildId) {
  */
 export function saveButtonRoleConfig(messageId, config) {
   buttonRoles.set(messageId, config);
-  saveToFile(); // Persist to file
+  markChanged('buttonRoles', messageId);
+  persist();
   log.system(`Saved button role config for message: ${messageId}`);
   log.info(`Roles configured: ${config.length}`);
 }
@@ -314,7 +784,8 @@ export function getButtonRoleConfig(messageId) {
 export function removeButtonRoleConfig(messageId) {
   const result = buttonRoles.delete(messageId);
   if (result) {
-    saveToFile(); // Persist to file
+    markChanged('buttonRoles', messageId);
+    persist();
     log.system(`Removed button role config for message: ${messageId}`);
   }
   return result;
@@ -344,6 +815,55 @@ export function getGuildButtonRoleMessages(guildId) {
   return messageIds;
 }
 
+/**
+ * SELECT MENU ROLES STORAGE
+ */
+
+/**
+ * Save select menu role configuration
+ * @param {string} messageId - Discord message ID
+ * @param {Array} config - Role configuration array
+ */
+export function saveSelectRoleConfig(messageId, config) {
+  selectRoles.set(messageId, config);
+  markChanged('selectRoles', messageId);
+  persist();
+  log.system(`Saved select role config for message: ${messageId}`);
+  log.info(`Roles configured: ${config.length}`);
+}
+
+/**
+ * Get select menu role configuration
+ * @param {string} messageId - Discord message ID
+ * @returns {Array|null} Role configuration or null
+ */
+export function getSelectRoleConfig(messageId) {
+  return selectRoles.get(messageId) || null;
+}
+
+/**
+ * Remove select menu role configuration
+ * @param {string} messageId - Discord message ID
+ * @returns {boolean} True if removed, false if not found
+ */
+export function removeSelectRoleConfig(messageId) {
+  const result = selectRoles.delete(messageId);
+  if (result) {
+    markChanged('selectRoles', messageId);
+    persist();
+    log.system(`Removed select role config for message: ${messageId}`);
+  }
+  return result;
+}
+
+/**
+ * Get all select menu role configurations
+ * @returns {Map} All select role configs
+ */
+export function getAllSelectRoleConfigs() {
+  return selectRoles;
+}
+
 /**
  * WELCOME MESSAGE STORAGE
  */
@@ -355,7 +875,8 @@ export function getGuildButtonRoleMessages(guildId) {
  */
 export function saveWelcomeConfig(guildId, config) {
   welcomeConfigs.set(guildId, config);
-  saveToFile(); // Persist to file
+  markChanged('welcomeConfigs', guildId);
+  persist();
   log.system(`Saved welcome config for guild: ${guildId}`);
   log.info(`Channel: ${config.channelId}, Color: ${config.embedColor}`);
 }
@@ -377,7 +898,8 @@ export function getWelcomeConfig(guildId) {
 export function removeWelcomeConfig(guildId) {
   const result = welcomeConfigs.delete(guildId);
   if (result) {
-    saveToFile(); // Persist to file
+    markChanged('welcomeConfigs', guildId);
+    persist();
     log.system(`Removed welcome config for guild: ${guildId}`);
   }
   return result;
@@ -394,7 +916,8 @@ export function removeWelcomeConfig(guildId) {
  */
 export function saveLeaveConfig(guildId, config) {
   leaveConfigs.set(guildId, config);
-  saveToFile(); // Persist to file
+  markChanged('leaveConfigs', guildId);
+  persist();
   log.system(`Saved leave config for guild: ${guildId}`);
   log.info(`Channel: ${config.channelId}, Color: ${config.embedColor}`);
 }
@@ -413,11 +936,321 @@ export function getLeaveConfig(guildId) {
  * @param {string} guildId - Discord guild ID
  * @returns {boolean} True if removed, false if not found
  */
-export function removeLeaveConfig(guildId) {
-  const result = leaveConfigs.delete(guildId);
+export function removeLeaveConfig(guildId) {
+  const result = leaveConfigs.delete(guildId);
+  if (result) {
+    markChanged('leaveConfigs', guildId);
+    persist();
+    log.system(`Removed leave config for guild: ${guildId}`);
+  }
+  return result;
+}
+
+/**
+ * AUTOROLE STORAGE
+ */
+
+/**
+ * Save the roles given to new members
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} config - Autorole settings ({ humanRoleIds, botRoleIds, delaySeconds })
+ */
+export function saveAutoroleConfig(guildId, config) {
+  autoroleConfigs.set(guildId, config);
+  markChanged('autoroleConfigs', guildId);
+  persist();
+  log.system(`Saved autorole config for guild: ${guildId}`);
+  log.info(
+    `Humans: ${config.humanRoleIds.length} role(s), Bots: ${config.botRoleIds.length} role(s), Delay: ${config.delaySeconds}s`
+  );
+}
+
+/**
+ * Get the roles given to new members
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Autorole config or null
+ */
+export function getAutoroleConfig(guildId) {
+  return autoroleConfigs.get(guildId) || null;
+}
+
+/**
+ * Stop giving roles to new members
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True if removed, false if not found
+ */
+export function removeAutoroleConfig(guildId) {
+  const result = autoroleConfigs.delete(guildId);
+  if (result) {
+    markChanged('autoroleConfigs', guildId);
+    persist();
+    log.system(`Removed autorole config for guild: ${guildId}`);
+  }
+  return result;
+}
+
+/**
+ * STICKY ROLE STORAGE
+ */
+
+/**
+ * Save which roles members get back when they rejoin
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} config - Sticky role settings ({ mode, roleIds, retentionDays })
+ */
+export function saveStickyRoleConfig(guildId, config) {
+  stickyRoleConfigs.set(guildId, config);
+  markChanged('stickyRoleConfigs', guildId);
+  persist();
+  log.system(`Saved sticky role config for guild: ${guildId}`);
+  log.info(
+    `Mode: ${config.mode}, Roles: ${config.roleIds.length}, Kept for: ${config.retentionDays} days`
+  );
+}
+
+/**
+ * Get which roles members get back when they rejoin
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Sticky role config or null
+ */
+export function getStickyRoleConfig(guildId) {
+  return stickyRoleConfigs.get(guildId) || null;
+}
+
+/**
+ * Stop restoring roles, and forget the roles of members who left
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True if removed, false if not found
+ */
+export function removeStickyRoleConfig(guildId) {
+  const result = stickyRoleConfigs.delete(guildId);
+  if (result) {
+    markChanged('stickyRoleConfigs', guildId);
+    if (stickyRoles.delete(guildId)) {
+      markChanged('stickyRoles', guildId);
+    }
+    persist();
+    log.system(`Removed sticky role config for guild: ${guildId}`);
+  }
+  return result;
+}
+
+/**
+ * Remember the roles of a member who left
+ * Snapshots older than the retention period are dropped at the same time
+ * Roles of a snapshot that was never given back are kept
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {Array<string>} roleIds - Roles to give back
+ * @param {number} retentionMs - How long snapshots are kept
+ */
+export function saveStickyRoleSnapshot(guildId, userId, roleIds, retentionMs) {
+  const now = Date.now();
+  const snapshots = Object.fromEntries(
+    Object.entries(stickyRoles.get(guildId) || {}).filter(
+      ([, snapshot]) => now - Date.parse(snapshot.leftAt) < retentionMs
+    )
+  );
+  // Still stored if the member rejoined during a lockdown, or left again before passing
+  // screening or verification - dropping it would lose a mute
+  const kept = snapshots[userId]?.roleIds || [];
+  snapshots[userId] = {
+    roleIds: [...new Set([...kept, ...roleIds])],
+    leftAt: new Date(now).toISOString()
+  };
+
+  stickyRoles.set(guildId, snapshots);
+  markChanged('stickyRoles', guildId);
+  schedulePersist(); // Every leave writes a snapshot, so batch them like XP
+}
+
+/**
+ * Take the roles of a returning member - the snapshot is removed
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @returns {{roleIds: Array<string>, leftAt: string}|null} Snapshot or null
+ */
+export function takeStickyRoleSnapshot(guildId, userId) {
+  const snapshots = stickyRoles.get(guildId);
+  const snapshot = snapshots?.[userId];
+  if (!snapshot) {
+    return null;
+  }
+
+  const rest = { ...snapshots };
+  delete rest[userId];
+  if (Object.keys(rest).length > 0) {
+    stickyRoles.set(guildId, rest);
+  } else {
+    stickyRoles.delete(guildId);
+  }
+  markChanged('stickyRoles', guildId);
+  schedulePersist();
+  return snapshot;
+}
+
+/**
+ * VERIFICATION STORAGE
+ */
+
+/**
+ * Save verification gate configuration for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} config - Verification configuration
+ */
+export function saveVerificationConfig(guildId, config) {
+  verificationConfigs.set(guildId, config);
+  markChanged('verificationConfigs', guildId);
+  persist();
+  log.system(`Saved verification config for guild: ${guildId}`);
+  log.info(`Channel: ${config.channelId}, Verified role: ${config.verifiedRoleId}`);
+}
+
+/**
+ * Get verification gate configuration for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Verification config or null
+ */
+export function getVerificationConfig(guildId) {
+  return verificationConfigs.get(guildId) || null;
+}
+
+/**
+ * Remove the verification gate, and forget the members waiting to verify
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True if removed, false if not found
+ */
+export function removeVerificationConfig(guildId) {
+  const result = verificationConfigs.delete(guildId);
+  if (result) {
+    markChanged('verificationConfigs', guildId);
+    if (pendingVerifications.delete(guildId)) {
+      markChanged('pendingVerifications', guildId);
+    }
+    persist();
+    log.system(`Removed verification config for guild: ${guildId}`);
+  }
+  return result;
+}
+
+/**
+ * Remember a member who joined and hasn't verified yet
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @param {string} joinedAt - When the member joined (ISO timestamp)
+ */
+export function addPendingVerification(guildId, userId, joinedAt) {
+  pendingVerifications.set(guildId, { ...pendingVerifications.get(guildId), [userId]: joinedAt });
+  markChanged('pendingVerifications', guildId);
+  schedulePersist(); // Every join adds one, so batch them like XP
+}
+
+/**
+ * Get the members of a guild who haven't verified yet
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object} userId -> when they joined (ISO timestamp)
+ */
+export function getPendingVerifications(guildId) {
+  return pendingVerifications.get(guildId) || {};
+}
+
+/**
+ * Forget a member waiting to verify - they verified, left or were kicked
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @returns {boolean} True if the member was waiting
+ */
+export function removePendingVerification(guildId, userId) {
+  const pending = pendingVerifications.get(guildId);
+  if (!pending?.[userId]) {
+    return false;
+  }
+
+  const rest = { ...pending };
+  delete rest[userId];
+  if (Object.keys(rest).length > 0) {
+    pendingVerifications.set(guildId, rest);
+  } else {
+    pendingVerifications.delete(guildId);
+  }
+  markChanged('pendingVerifications', guildId);
+  schedulePersist();
+  return true;
+}
+
+/**
+ * ANTI-RAID STORAGE
+ */
+
+/**
+ * Save anti-raid configuration for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} config - Anti-raid configuration
+ */
+export function saveAntiRaidConfig(guildId, config) {
+  antiRaidConfigs.set(guildId, config);
+  markChanged('antiRaidConfigs', guildId);
+  persist();
+  log.system(`Saved anti-raid config for guild: ${guildId}`);
+  log.info(
+    `Threshold: ${config.joinThreshold} joins in ${config.windowSeconds}s, Action: ${config.action}`
+  );
+}
+
+/**
+ * Get anti-raid configuration for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Anti-raid config or null
+ */
+export function getAntiRaidConfig(guildId) {
+  return antiRaidConfigs.get(guildId) || null;
+}
+
+/**
+ * Remove anti-raid configuration for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True if removed, false if not found
+ */
+export function removeAntiRaidConfig(guildId) {
+  const result = antiRaidConfigs.delete(guildId);
+  if (result) {
+    markChanged('antiRaidConfigs', guildId);
+    persist();
+    log.system(`Removed anti-raid config for guild: ${guildId}`);
+  }
+  return result;
+}
+
+/**
+ * Save the lockdown of a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} lockdown - Lockdown state ({ startedAt, reason, startedBy, slowmode })
+ */
+export function saveLockdown(guildId, lockdown) {
+  lockdowns.set(guildId, lockdown);
+  markChanged('lockdowns', guildId);
+  persist();
+}
+
+/**
+ * Get the lockdown of a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Lockdown state, or null if the guild isn't locked down
+ */
+export function getLockdown(guildId) {
+  return lockdowns.get(guildId) || null;
+}
+
+/**
+ * End the lockdown of a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True if the guild was locked down
+ */
+export function removeLockdown(guildId) {
+  const result = lockdowns.delete(guildId);
   if (result) {
-    saveToFile(); // Persist to file
-    log.system(`Removed leave config for guild: ${guildId}`);
+    markChanged('lockdowns', guildId);
+    persist();
   }
   return result;
 }
@@ -433,7 +1266,8 @@ export function removeLeaveConfig(guildId) {
  */
 export function saveLevelingConfig(guildId, config) {
   levelingConfigs.set(guildId, config);
-  saveToFile();
+  markChanged('levelingConfigs', guildId);
+  persist();
   log.system(`Saved leveling config for guild: ${guildId}`);
   log.info(`Enabled: ${config.enabled}, XP range: ${config.xpMin}-${config.xpMax}`);
 }
@@ -471,7 +1305,8 @@ export function addUserXP(guildId, userId, xpAmount) {
   current.xp += xpAmount;
 
   userLevels.set(key, current);
-  saveToFile();
+  markChanged('userLevels', key);
+  schedulePersist(); // XP changes are frequent, coalesce them into one write
 
   return current.xp;
 }
@@ -515,7 +1350,8 @@ export function saveScheduledMessage(guildId, message) {
   }
 
   scheduledMessages.set(guildId, current);
-  saveToFile();
+  markChanged('scheduledMessages', guildId);
+  persist();
   log.system(`Saved scheduled message for guild: ${guildId}`);
   log.info(`Message: ${message.name}, Type: ${message.schedule.type}`);
 }
@@ -549,7 +1385,8 @@ export function removeScheduledMessage(guildId, messageId) {
 
   if (filtered.length < current.length) {
     scheduledMessages.set(guildId, filtered);
-    saveToFile();
+    markChanged('scheduledMessages', guildId);
+    persist();
     log.system(`Removed scheduled message: ${messageId}`);
     return true;
   }
@@ -567,12 +1404,9 @@ export function removeScheduledMessage(guildId, messageId) {
  * @param {Object} config - Ticket configuration
  */
 export function saveTicketConfig(guildId, config) {
-  if (config.staffRoleId && !config.staffRoleIds) {
-    config.staffRoleIds = [config.staffRoleId];
-  }
-
   ticketConfigs.set(guildId, config);
-  saveToFile();
+  markChanged('ticketConfigs', guildId);
+  persist();
   log.system(`Saved ticket config for guild: ${guildId}`);
   log.info(`Panel: ${config.panelChannelId}, Category: ${config.categoryId}`);
   log.info(`Staff roles: ${config.staffRoleIds?.length || 0} configured`);
@@ -601,9 +1435,11 @@ export function createTicket(guildId, ticketData) {
   if (config) {
     config.ticketCount = (config.ticketCount || 0) + 1;
     ticketConfigs.set(guildId, config);
+    markCounterChanged('ticketConfigs', guildId);
   }
 
-  saveToFile();
+  markChanged('tickets', guildId);
+  persist();
   log.system(`Created ticket ${ticketData.ticketNumber} for guild: ${guildId}`);
 }
 
@@ -631,7 +1467,8 @@ export function updateTicket(guildId, ticketId, updates) {
   if (ticketIndex >= 0) {
     guildTickets[ticketIndex] = { ...guildTickets[ticketIndex], ...updates };
     tickets.set(guildId, guildTickets);
-    saveToFile();
+    markChanged('tickets', guildId);
+    persist();
     log.system(`Updated ticket ${ticketId}`);
   }
 }
@@ -649,7 +1486,8 @@ export function closeTicket(guildId, ticketId) {
     guildTickets[ticketIndex].status = 'closed';
     guildTickets[ticketIndex].closedAt = Date.now();
     tickets.set(guildId, guildTickets);
-    saveToFile();
+    markChanged('tickets', guildId);
+    persist();
     log.system(`Closed ticket ${ticketId}`);
   }
 }
@@ -672,136 +1510,578 @@ export function getActiveTickets(guildId, userId = null) {
 }
 
 /**
- * RESET ALL CONFIGURATIONS
+ * DIAGNOSTICS STORAGE
+ */
+
+/**
+ * Save diagnostics settings for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} config - Diagnostics settings ({ autoPrune })
  */
+export function saveDiagnoseConfig(guildId, config) {
+  diagnoseConfigs.set(guildId, config);
+  markChanged('diagnoseConfigs', guildId);
+  persist();
+  log.system(`Saved diagnostics config for guild: ${guildId}`);
+  log.info(`Auto-prune: ${config.autoPrune}`);
+}
 
 /**
- * Reset all configurations for a specific guild
- * FIXED: Now properly clears in-memory caches and notifies all handlers
- * ENHANCED: Deletes all bot configuration messages (reaction role panels, ticket panels)
- * CRITICAL FIX: Emits reset event BEFORE clearing storage so handlers can access data
+ * Get diagnostics settings for a guild
  * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Diagnostics settings or null
  */
-export async function resetGuildConfig(guildId) {
-  log.system(`[RESET] Starting configuration reset for guild: ${guildId}`);
+export function getDiagnoseConfig(guildId) {
+  return diagnoseConfigs.get(guildId) || null;
+}
 
-  let deletedMessages = 0;
+/**
+ * ROLE NOTIFICATION STORAGE
+ */
 
-  if (botClient) {
-    log.system('[RESET] Notifying handlers to clear caches before data deletion...');
-    botClient.emit('guildConfigReset', guildId);
+/**
+ * Save role notification settings for a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} config - Notification settings ({ dm, addTemplate, removeTemplate })
+ */
+export function saveNotificationConfig(guildId, config) {
+  notificationConfigs.set(guildId, config);
+  markChanged('notificationConfigs', guildId);
+  persist();
+  log.system(`Saved role notification config for guild: ${guildId}`);
+  log.info(`DMs: ${config.dm}`);
+}
+
+/**
+ * Get role notification settings for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Notification settings or null
+ */
+export function getNotificationConfig(guildId) {
+  return notificationConfigs.get(guildId) || null;
+}
+
+/**
+ * ROLE GROUP STORAGE
+ */
 
-    await new Promise((resolve) => setTimeout(resolve, 500));
+/**
+ * Save the exclusive role groups of a guild
+ * An empty list removes the entry
+ * @param {string} guildId - Discord guild ID
+ * @param {Array} groups - Role groups ({ name, roleIds })
+ */
+export function saveRoleGroups(guildId, groups) {
+  if (groups.length > 0) {
+    roleGroups.set(guildId, groups);
+  } else {
+    roleGroups.delete(guildId);
   }
+  markChanged('roleGroups', guildId);
+  persist();
+  log.system(`Saved role groups for guild: ${guildId}`);
+  log.info(`Groups configured: ${groups.length}`);
+}
 
-  if (botClient) {
-    log.system('[RESET] Deleting reaction role panel messages...');
-    for (const [messageId, config] of reactionRoles.entries()) {
-      // Check if any role in the config belongs to this guild
-      if (config && config.length > 0 && config[0]?.guildId === guildId) {
-        try {
-          // Get channel and message IDs from config
-          const channelId = config[0]?.channelId;
-          if (channelId) {
-            const channel = await botClient.channels.fetch(channelId).catch(() => null);
-            if (channel) {
-              const message = await channel.messages.fetch(messageId).catch(() => null);
-              if (message) {
-                await message.delete();
-                deletedMessages++;
-                log.system(`[RESET] Deleted reaction role message: ${messageId}`);
-              }
-            }
-          }
-        } catch (error) {
-          log.warn(`[RESET] Could not delete reaction role message ${messageId}: ${error.message}`);
+/**
+ * Get the exclusive role groups of a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Array} Role groups ({ name, roleIds }), empty if none
+ */
+export function getRoleGroups(guildId) {
+  return roleGroups.get(guildId) || [];
+}
+
+/**
+ * GUILD LIFECYCLE
+ */
+
+/**
+ * Get the IDs of every guild with stored data
+ * @returns {Set<string>} Guild IDs
+ */
+export function getStoredGuildIds() {
+  const guildIds = new Set();
+  for (const [name, entries] of Object.entries(collections)) {
+    for (const [key, value] of entries) {
+      if (MESSAGE_KEYED_COLLECTIONS.includes(name)) {
+        if (value?.[0]?.guildId) {
+          guildIds.add(value[0].guildId);
         }
+      } else if (name === 'userLevels') {
+        guildIds.add(key.split('-')[0]);
+      } else {
+        guildIds.add(key);
       }
     }
+  }
+  return guildIds;
+}
 
-    const ticketConfig = ticketConfigs.get(guildId);
-    if (ticketConfig && ticketConfig.panelMessageId) {
-      try {
-        const channel = await botClient.channels
-          .fetch(ticketConfig.panelChannelId)
-          .catch(() => null);
-        if (channel) {
-          const message = await channel.messages
-            .fetch(ticketConfig.panelMessageId)
-            .catch(() => null);
-          if (message) {
-            await message.delete();
-            deletedMessages++;
-            log.system(`[RESET] Deleted ticket panel message: ${ticketConfig.panelMessageId}`);
-          }
-        }
-      } catch (error) {
-        log.warn(`[RESET] Could not delete ticket panel message: ${error.message}`);
+/**
+ * Mark a guild inactive after the bot was removed from it
+ * Its data is kept until the grace period ends
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True if the guild was newly marked
+ */
+export function markGuildInactive(guildId) {
+  if (inactiveGuilds.has(guildId)) {
+    return false;
+  }
+
+  const removedAt = Date.now();
+  inactiveGuilds.set(guildId, {
+    removedAt: new Date(removedAt).toISOString(),
+    purgeAfter: new Date(removedAt + GUILD_GRACE_PERIOD_MS).toISOString()
+  });
+  markChanged('inactiveGuilds', guildId);
+  persist();
+  log.system(`Marked guild inactive: ${guildId} (data kept until grace period ends)`);
+  eventBus.emit(Events.GUILD_DEACTIVATED, { guildId });
+  return true;
+}
+
+/**
+ * Mark a guild active again after the bot was re-added
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True if the guild was inactive
+ */
+export function reactivateGuild(guildId) {
+  if (!inactiveGuilds.delete(guildId)) {
+    return false;
+  }
+
+  markChanged('inactiveGuilds', guildId);
+  persist();
+  log.success(`Reactivated guild: ${guildId} - all configurations kept`);
+  eventBus.emit(Events.GUILD_REACTIVATED, { guildId });
+  return true;
+}
+
+/**
+ * Archive and purge guilds whose grace period has ended
+ * Data is written to DATA_DIR/archives before it is removed from the live store
+ * @returns {number} Number of guilds purged
+ */
+export function purgeInactiveGuilds() {
+  if (writesLocked) {
+    return 0;
+  }
+
+  let purged = 0;
+  for (const [guildId, status] of [...inactiveGuilds]) {
+    if (Date.parse(status.purgeAfter) > Date.now()) {
+      continue;
+    }
+
+    const archive = {
+      format: 'role-guardian-guild-archive',
+      version: SCHEMA_VERSION,
+      guildId,
+      removedAt: status.removedAt,
+      archivedAt: new Date().toISOString()
+    };
+    for (const name of Object.keys(collections)) {
+      if (name !== 'inactiveGuilds') {
+        archive[name] = getGuildEntries(name, guildId);
       }
     }
-  } else {
-    log.warn('[RESET] Bot client not set, cannot delete configuration messages or notify handlers');
+
+    try {
+      fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+      const timestamp = archive.archivedAt.replace(/[:.]/g, '-');
+      const archiveFile = path.join(ARCHIVE_DIR, `guild-${guildId}-${timestamp}.json`);
+      fs.writeFileSync(archiveFile, JSON.stringify(archive, null, 2), 'utf8');
+      log.system(`Archived data of removed guild ${guildId} to: ${archiveFile}`);
+    } catch (error) {
+      // Keep the data in the live store until it can be archived
+      log.error(`Failed to archive guild ${guildId}, keeping its data`, error);
+      continue;
+    }
+
+    // Audit logs go last - removing audited entries adds audit entries for the guild
+    const names = Object.keys(collections).filter((name) => name !== 'auditLogs');
+    for (const name of [...names, 'auditLogs']) {
+      for (const [key] of getGuildEntries(name, guildId)) {
+        collections[name].delete(key);
+        markChanged(name, key);
+      }
+    }
+    purged++;
   }
 
-  welcomeConfigs.delete(guildId);
-  leaveConfigs.delete(guildId);
-  levelingConfigs.delete(guildId);
+  if (purged > 0) {
+    persist();
+    log.success(`Purged ${purged} removed guild(s) from storage`);
+  }
+  return purged;
+}
+
+/**
+ * RESET AND UNDO
+ */
+
+/**
+ * Parts of a guild's data that /reset can wipe, and the collections each one covers
+ */
+export const RESET_SCOPES = {
+  welcome: ['welcomeConfigs'],
+  leave: ['leaveConfigs'],
+  autorole: ['autoroleConfigs'],
+  'sticky-roles': ['stickyRoleConfigs', 'stickyRoles'],
+  verification: ['verificationConfigs', 'pendingVerifications'],
+  'anti-raid': ['antiRaidConfigs', 'lockdowns'],
+  'reaction-roles': ['reactionRoles'],
+  'button-roles': ['buttonRoles'],
+  'select-roles': ['selectRoles'],
+  leveling: ['levelingConfigs'],
+  'xp-data': ['userLevels'],
+  scheduled: ['scheduledMessages'],
+  tickets: ['ticketConfigs', 'tickets'],
+  notifications: ['notificationConfigs'],
+  'role-groups': ['roleGroups'],
+  diagnose: ['diagnoseConfigs']
+};
+
+/**
+ * Collections that /reset deliberately leaves alone
+ * The audit trail and its retention outlive a reset so the reset itself stays on record,
+ * reset snapshots are what /reset-undo restores from, and inactiveGuilds tracks bot membership
+ */
+const RESET_EXCLUDED_COLLECTIONS = [
+  'auditLogs',
+  'auditConfigs',
+  'resetSnapshots',
+  'inactiveGuilds'
+];
 
-  const hadScheduledMessages = scheduledMessages.has(guildId);
-  scheduledMessages.delete(guildId);
+/**
+ * Get the collections that are neither covered by a reset scope nor deliberately excluded
+ * Every new collection must be placed in one or the other
+ * @returns {Array<string>} Collection names
+ */
+export function getUnscopedCollections() {
+  const covered = new Set([...Object.values(RESET_SCOPES).flat(), ...RESET_EXCLUDED_COLLECTIONS]);
+  return Object.keys(collections).filter((name) => !covered.has(name));
+}
 
-  ticketConfigs.delete(guildId);
-  tickets.delete(guildId);
+/**
+ * Get every entry of a collection that belongs to a guild
+ * @param {string} name - Collection name
+ * @param {string} guildId - Discord guild ID
+ * @returns {Array<[string, *]>} Matching [key, value] entries
+ */
+function getGuildEntries(name, guildId) {
+  const entries = Array.from(collections[name].entries());
 
-  let removedCount = 0;
-  for (const [messageId, config] of reactionRoles.entries()) {
-    // Check if any role in the config belongs to this guild
-    if (config && config.length > 0 && config[0]?.guildId === guildId) {
-      reactionRoles.delete(messageId);
-      removedCount++;
-      log.system(`[RESET] Removed reaction role config for message: ${messageId}`);
+  if (MESSAGE_KEYED_COLLECTIONS.includes(name)) {
+    return entries.filter(([, config]) => config?.[0]?.guildId === guildId);
+  }
+  if (name === 'userLevels') {
+    return entries.filter(([key]) => key.startsWith(`${guildId}-`));
+  }
+  return entries.filter(([key]) => key === guildId);
+}
+
+/**
+ * Count what a reset would remove, per scope
+ * @param {string} guildId - Discord guild ID
+ * @param {Array<string>} scopes - Scopes to reset
+ * @returns {Object} Scope name -> number of entries
+ */
+export function getResetPreview(guildId, scopes) {
+  const preview = {};
+  for (const scope of scopes) {
+    preview[scope] = RESET_SCOPES[scope].reduce(
+      (sum, name) => sum + getGuildEntries(name, guildId).length,
+      0
+    );
+  }
+  return preview;
+}
+
+/**
+ * Delete a panel message and keep its content so it can be re-posted by /reset-undo
+ * @param {string} channelId - Channel the panel was posted in
+ * @param {string} messageId - Panel message ID
+ * @returns {Object|null} Message content, or null if the message could not be deleted
+ */
+async function deletePanelMessage(channelId, messageId) {
+  try {
+    const channel = await botClient.channels.fetch(channelId).catch(() => null);
+    const message = channel ? await channel.messages.fetch(messageId).catch(() => null) : null;
+    if (!message) {
+      return null;
     }
+
+    const content = {
+      embeds: message.embeds.map((embed) => embed.toJSON()),
+      components: message.components.map((row) => row.toJSON())
+    };
+    await message.delete();
+    log.system(`[RESET] Deleted panel message: ${messageId}`);
+    return content;
+  } catch (error) {
+    log.warn(`[RESET] Could not delete panel message ${messageId}: ${error.message}`);
+    return null;
   }
+}
 
-  let buttonRemovedCount = 0;
-  for (const [messageId, config] of buttonRoles.entries()) {
-    // Check if any role in the config belongs to this guild
-    if (config && config.length > 0 && config[0]?.guildId === guildId) {
-      buttonRoles.delete(messageId);
-      buttonRemovedCount++;
-      log.system(`[RESET] Removed button role config for message: ${messageId}`);
+/**
+ * Remove the bot's reactions from a panel attached to an existing message
+ * The message itself belongs to the server and is never deleted
+ * @param {string} channelId - Channel of the message
+ * @param {string} messageId - Message ID
+ * @returns {boolean} True if the reactions were removed
+ */
+async function detachPanelMessage(channelId, messageId) {
+  try {
+    const channel = await botClient.channels.fetch(channelId).catch(() => null);
+    const message = channel ? await channel.messages.fetch(messageId).catch(() => null) : null;
+    if (!message) {
+      return false;
+    }
+
+    for (const reaction of message.reactions.cache.values()) {
+      if (reaction.me) {
+        await reaction.users.remove(botClient.user.id);
+      }
     }
+    log.system(`[RESET] Removed reactions from attached message: ${messageId}`);
+    return true;
+  } catch (error) {
+    log.warn(`[RESET] Could not remove reactions from message ${messageId}: ${error.message}`);
+    return false;
   }
+}
 
-  let removedLevels = 0;
-  for (const [key] of userLevels) {
-    if (key.startsWith(`${guildId}-`)) {
-      userLevels.delete(key);
-      removedLevels++;
+/**
+ * Reset configurations for a specific guild
+ * Saves a snapshot first so the reset can be undone with undoGuildReset
+ * Waits for GUILD_RESET handlers BEFORE clearing storage so handlers can access data
+ * @param {string} guildId - Discord guild ID
+ * @param {Array<string>} scopes - Scopes to reset (defaults to everything)
+ * @returns {Promise<Object>} Removed entry counts per scope, deleted panels and undo deadline
+ */
+export async function resetGuildConfig(guildId, scopes = Object.keys(RESET_SCOPES)) {
+  log.system(`[RESET] Starting configuration reset for guild: ${guildId} (${scopes.join(', ')})`);
+
+  const data = {};
+  for (const scope of scopes) {
+    for (const name of RESET_SCOPES[scope]) {
+      data[name] = structuredClone(getGuildEntries(name, guildId));
+    }
+  }
+
+  const panels = [];
+
+  log.system('[RESET] Notifying handlers to clear caches before data deletion...');
+  await eventBus.emit(Events.GUILD_RESET, { guildId, scopes });
+
+  if (botClient) {
+    log.system('[RESET] Deleting panel messages...');
+    for (const name of MESSAGE_KEYED_COLLECTIONS) {
+      for (const [messageId, config] of data[name] || []) {
+        const channelId = config[0]?.channelId;
+        if (!channelId) {
+          continue;
+        }
+
+        if (config[0].attached) {
+          if (await detachPanelMessage(channelId, messageId)) {
+            panels.push({ collection: name, messageId, channelId, attached: true });
+          }
+          continue;
+        }
+
+        const content = await deletePanelMessage(channelId, messageId);
+        if (content) {
+          panels.push({ collection: name, messageId, channelId, content });
+        }
+      }
+    }
+
+    const ticketConfig = data.ticketConfigs?.[0]?.[1];
+    if (ticketConfig?.panelMessageId) {
+      const content = await deletePanelMessage(
+        ticketConfig.panelChannelId,
+        ticketConfig.panelMessageId
+      );
+      if (content) {
+        panels.push({
+          collection: 'ticketConfigs',
+          messageId: ticketConfig.panelMessageId,
+          channelId: ticketConfig.panelChannelId,
+          content
+        });
+      }
+    }
+  } else {
+    log.warn('[RESET] Bot client not set, cannot delete configuration messages or notify handlers');
+  }
+
+  const removed = {};
+  for (const scope of scopes) {
+    removed[scope] = 0;
+    for (const name of RESET_SCOPES[scope]) {
+      for (const [key] of data[name]) {
+        collections[name].delete(key);
+        markChanged(name, key);
+        removed[scope]++;
+      }
     }
   }
 
-  saveToFile();
+  const createdAt = Date.now();
+  resetSnapshots.set(guildId, {
+    createdAt: new Date(createdAt).toISOString(),
+    expiresAt: new Date(createdAt + RESET_UNDO_WINDOW_MS).toISOString(),
+    scopes,
+    data,
+    panels
+  });
+  markChanged('resetSnapshots', guildId);
+
+  persist();
 
   log.success(`[RESET] Configuration reset complete for guild: ${guildId}`);
   log.info(
-    `[RESET] Removed: welcome config, leave config, ${removedCount} reaction role configs, ${buttonRemovedCount} button role configs, leveling config, ${removedLevels} user levels, ${hadScheduledMessages ? 'scheduled messages' : 'no scheduled messages'}, ticket config`
+    `[RESET] Removed: ${Object.entries(removed)
+      .map(([scope, count]) => `${scope} (${count})`)
+      .join(', ')}`
   );
-  log.info(`[RESET] Deleted ${deletedMessages} configuration message(s) from server`);
+  const messagesDeleted = panels.filter((panel) => !panel.attached).length;
+  log.info(`[RESET] Deleted ${messagesDeleted} configuration message(s) from server`);
 
   return {
-    welcomeRemoved: true,
-    leaveRemoved: true,
-    reactionRolesRemoved: removedCount,
-    buttonRolesRemoved: buttonRemovedCount,
-    levelingRemoved: true,
-    userLevelsRemoved: removedLevels,
-    scheduledMessagesRemoved: hadScheduledMessages,
-    ticketConfigRemoved: true,
-    messagesDeleted: deletedMessages
+    removed,
+    messagesDeleted,
+    undoExpiresAt: resetSnapshots.get(guildId).expiresAt
   };
 }
 
+/**
+ * Drop reset snapshots whose undo window has passed
+ */
+function pruneResetSnapshots() {
+  let pruned = 0;
+  for (const [guildId, snapshot] of resetSnapshots) {
+    if (Date.parse(snapshot.expiresAt) < Date.now()) {
+      resetSnapshots.delete(guildId);
+      markChanged('resetSnapshots', guildId);
+      pruned++;
+    }
+  }
+  if (pruned > 0) {
+    persist();
+    log.system(`[RESET] Dropped ${pruned} expired reset snapshot(s)`);
+  }
+}
+
+/**
+ * Get the reset that can still be undone for a guild
+ * Expired snapshots are dropped
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Snapshot ({ createdAt, expiresAt, scopes, data, panels }) or null
+ */
+export function getResetSnapshot(guildId) {
+  const snapshot = resetSnapshots.get(guildId);
+  if (snapshot && Date.parse(snapshot.expiresAt) < Date.now()) {
+    resetSnapshots.delete(guildId);
+    markChanged('resetSnapshots', guildId);
+    persist();
+    return null;
+  }
+  return snapshot || null;
+}
+
+/**
+ * Undo the last reset of a guild
+ * Restores the snapshot taken before the reset and re-posts deleted panel messages
+ * Entries created after the reset in the same scopes are replaced
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Object|null>} Restored scopes and panel counts, or null if nothing to undo
+ */
+export async function undoGuildReset(guildId) {
+  const snapshot = getResetSnapshot(guildId);
+  if (!snapshot) {
+    return null;
+  }
+
+  const { data, panels } = snapshot;
+  let repostedPanels = 0;
+  let failedPanels = 0;
+
+  for (const panel of panels) {
+    const newMessageId = botClient ? await repostPanel(panel, data) : null;
+    if (!newMessageId) {
+      failedPanels++;
+      continue;
+    }
+
+    if (panel.collection === 'ticketConfigs') {
+      data.ticketConfigs[0][1].panelMessageId = newMessageId;
+    } else {
+      const entry = data[panel.collection].find(([key]) => key === panel.messageId);
+      entry[0] = newMessageId;
+    }
+    repostedPanels++;
+  }
+
+  for (const [name, entries] of Object.entries(data)) {
+    for (const [key] of getGuildEntries(name, guildId)) {
+      collections[name].delete(key);
+      markChanged(name, key);
+    }
+    for (const [key, value] of entries) {
+      collections[name].set(key, value);
+      markChanged(name, key);
+    }
+  }
+
+  resetSnapshots.delete(guildId);
+  markChanged('resetSnapshots', guildId);
+  persist();
+
+  log.success(`[RESET] Undid reset for guild: ${guildId} (${snapshot.scopes.join(', ')})`);
+  log.info(`[RESET] Re-posted ${repostedPanels} panel message(s), ${failedPanels} failed`);
+
+  return { scopes: snapshot.scopes, repostedPanels, failedPanels };
+}
+
+/**
+ * Re-post a panel message deleted by a reset
+ * Attached panels keep their message and only get their reactions back
+ * @param {Object} panel - Saved panel ({ collection, messageId, channelId, content, attached })
+ * @param {Object} data - Snapshot data (reaction panels need their emojis re-added)
+ * @returns {Promise<string|null>} New message ID, or null if it could not be posted
+ */
+async function repostPanel(panel, data) {
+  try {
+    const channel = await botClient.channels.fetch(panel.channelId).catch(() => null);
+    if (!channel) {
+      return null;
+    }
+
+    const message = panel.attached
+      ? await channel.messages.fetch(panel.messageId)
+      : await channel.send(panel.content);
+
+    if (panel.collection === 'reactionRoles') {
+      const config = data.reactionRoles.find(([key]) => key === panel.messageId)[1];
+      for (const role of config) {
+        await message.react(formatEmoji(role));
+      }
+    }
+
+    log.system(`[RESET] Re-posted panel ${panel.messageId} as ${message.id}`);
+    return message.id;
+  } catch (error) {
+    log.warn(`[RESET] Could not re-post panel ${panel.messageId}: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * UTILITY FUNCTIONS FOR FUTURE WEB DASHBOARD
  */
@@ -812,17 +2092,7 @@ export async function resetGuildConfig(guildId) {
  */
 export function exportAllConfigs() {
   log.info('Exporting all configurations');
-  return {
-    reactionRoles: Array.from(reactionRoles.entries()),
-    buttonRoles: Array.from(buttonRoles.entries()),
-    welcomeConfigs: Array.from(welcomeConfigs.entries()),
-    leaveConfigs: Array.from(leaveConfigs.entries()),
-    levelingConfigs: Array.from(levelingConfigs.entries()),
-    userLevels: Array.from(userLevels.entries()),
-    scheduledMessages: Array.from(scheduledMessages.entries()),
-    ticketConfigs: Array.from(ticketConfigs.entries()),
-    tickets: Array.from(tickets.entries())
-  };
+  return serializeCollections();
 }
 
 /**
@@ -830,38 +2100,121 @@ export function exportAllConfigs() {
  * @param {Object} data - Configuration data to import
  */
 export function importConfigs(data) {
-  if (data.reactionRoles) {
-    data.reactionRoles.forEach(([key, value]) => reactionRoles.set(key, value));
-  }
-  if (data.buttonRoles) {
-    data.buttonRoles.forEach(([key, value]) => buttonRoles.set(key, value));
-  }
-  if (data.welcomeConfigs) {
-    data.welcomeConfigs.forEach(([key, value]) => welcomeConfigs.set(key, value));
-  }
-  if (data.leaveConfigs) {
-    data.leaveConfigs.forEach(([key, value]) => leaveConfigs.set(key, value));
+  for (const [name, entries] of Object.entries(collections)) {
+    if (data[name]) {
+      data[name].forEach(([key, value]) => {
+        entries.set(key, value);
+        markChanged(name, key);
+      });
+    }
   }
-  if (data.levelingConfigs) {
-    data.levelingConfigs.forEach(([key, value]) => levelingConfigs.set(key, value));
+  persist();
+  log.success('Configurations imported successfully');
+  log.info(
+    `Imported: ${data.reactionRoles?.length || 0} reaction roles, ${data.buttonRoles?.length || 0} button roles, ${data.selectRoles?.length || 0} select roles, ${data.welcomeConfigs?.length || 0} welcome configs, ${data.leaveConfigs?.length || 0} leave configs, ${data.ticketConfigs?.length || 0} ticket configs`
+  );
+}
+
+/**
+ * Export one guild's configuration as a backup
+ * Member XP and ticket history are not included
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object} Backup in the guild backup format
+ */
+export function exportGuildConfig(guildId) {
+  const backup = {
+    format: GUILD_BACKUP_FORMAT,
+    version: SCHEMA_VERSION,
+    guildId,
+    exportedAt: new Date().toISOString()
+  };
+
+  for (const name of [...GUILD_KEYED_COLLECTIONS, ...MESSAGE_KEYED_COLLECTIONS]) {
+    backup[name] = getGuildEntries(name, guildId);
   }
-  if (data.userLevels) {
-    data.userLevels.forEach(([key, value]) => userLevels.set(key, value));
+
+  return backup;
+}
+
+/**
+ * Get the guild that owns a stored role panel
+ * @param {string} name - Message-keyed collection name
+ * @param {string} messageId - Panel message ID
+ * @returns {string|null} Guild ID, or null if the panel isn't stored
+ */
+export function getPanelGuildId(name, messageId) {
+  return collections[name].get(messageId)?.[0]?.guildId ?? null;
+}
+
+/**
+ * Replace one guild's configuration with validated backup data
+ * Entries missing from the backup are removed
+ * Nothing is restored if a backup panel is stored for another guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} data - Backup data returned by validateGuildBackup
+ * @returns {boolean} True if restored
+ */
+export function restoreGuildConfig(guildId, data) {
+  // Checked again here since a panel can be set up between the preview and the confirmation
+  for (const name of MESSAGE_KEYED_COLLECTIONS) {
+    for (const [messageId] of data[name] || []) {
+      if ((getPanelGuildId(name, messageId) ?? guildId) !== guildId) {
+        log.warn(
+          `Restore for guild ${guildId} rejected: panel ${messageId} belongs to another guild`
+        );
+        return false;
+      }
+    }
   }
-  if (data.scheduledMessages) {
-    data.scheduledMessages.forEach(([key, value]) => scheduledMessages.set(key, value));
+
+  for (const name of GUILD_KEYED_COLLECTIONS) {
+    const entry = (data[name] || []).find(([key]) => key === guildId);
+    if (entry) {
+      collections[name].set(guildId, entry[1]);
+    } else {
+      collections[name].delete(guildId);
+    }
+    markChanged(name, guildId);
   }
-  if (data.ticketConfigs) {
-    data.ticketConfigs.forEach(([key, value]) => ticketConfigs.set(key, value));
+
+  for (const name of MESSAGE_KEYED_COLLECTIONS) {
+    for (const [messageId, config] of collections[name].entries()) {
+      if (config?.[0]?.guildId === guildId) {
+        collections[name].delete(messageId);
+        markChanged(name, messageId);
+      }
+    }
+
+    for (const [messageId, config] of data[name] || []) {
+      collections[name].set(messageId, config);
+      markChanged(name, messageId);
+    }
   }
-  if (data.tickets) {
-    data.tickets.forEach(([key, value]) => tickets.set(key, value));
+
+  persist();
+  log.success(`Restored configuration backup for guild: ${guildId}`);
+  return true;
+}
+
+/**
+ * Count inactive and archived guilds
+ * @returns {{ inactive: number, archived: number, gracePeriodDays: number }} Lifecycle counts
+ */
+function getGuildLifecycleStats() {
+  let archived = 0;
+  try {
+    archived = fs.existsSync(ARCHIVE_DIR)
+      ? fs.readdirSync(ARCHIVE_DIR).filter((file) => file.endsWith('.json')).length
+      : 0;
+  } catch (error) {
+    log.warn(`Could not read archive directory: ${error.message}`);
   }
-  saveToFile();
-  log.success('Configurations imported successfully');
-  log.info(
-    `Imported: ${data.reactionRoles?.length || 0} reaction roles, ${data.buttonRoles?.length || 0} button roles, ${data.welcomeConfigs?.length || 0} welcome configs, ${data.leaveConfigs?.length || 0} leave configs, ${data.ticketConfigs?.length || 0} ticket configs`
-  );
+
+  return {
+    inactive: inactiveGuilds.size,
+    archived,
+    gracePeriodDays: GUILD_GRACE_PERIOD_MS / (24 * 60 * 60 * 1000)
+  };
 }
 
 /**
@@ -869,28 +2222,74 @@ export function importConfigs(data) {
  * Useful for web dashboard and debugging
  */
 export function getStorageStats() {
+  const persistence = {
+    pendingChanges: pendingCount,
+    dirtySince: dirtySince ? new Date(dirtySince).toISOString() : null,
+    currentLagMs: dirtySince ? Date.now() - dirtySince : 0,
+    flushIntervalMs: FLUSH_INTERVAL_MS,
+    flushThreshold: FLUSH_THRESHOLD,
+    ...flushMetrics
+  };
+
   try {
-    const stats = fs.statSync(STORAGE_FILE);
+    const stats = backend.stat();
     return {
       exists: true,
-      path: STORAGE_FILE,
+      backend: backend.name,
+      path: backend.path,
       size: stats.size,
-      modified: stats.mtime,
+      modified: stats.modified,
       reactionRoleCount: reactionRoles.size,
       buttonRoleCount: buttonRoles.size,
+      selectRoleCount: selectRoles.size,
       welcomeConfigCount: welcomeConfigs.size,
       leaveConfigCount: leaveConfigs.size,
+      autoroleConfigCount: autoroleConfigs.size,
+      stickyRoleConfigCount: stickyRoleConfigs.size,
+      verificationConfigCount: verificationConfigs.size,
+      antiRaidConfigCount: antiRaidConfigs.size,
       levelingConfigCount: levelingConfigs.size,
       userLevelCount: userLevels.size,
       scheduledMessageCount: scheduledMessages.size,
       ticketConfigCount: ticketConfigs.size,
-      ticketCount: tickets.size
+      ticketCount: tickets.size,
+      auditLogCount: auditLogs.size,
+      guildLifecycle: getGuildLifecycleStats(),
+      persistence,
+      snapshots: {
+        count: listSnapshots(SNAPSHOT_DIR).length,
+        retention: SNAPSHOT_RETENTION,
+        last: lastSnapshot
+      },
+      health: getStorageHealth()
     };
   } catch (error) {
     return {
       exists: false,
-      path: STORAGE_FILE,
-      error: error.message
+      backend: backend.name,
+      path: backend.path,
+      error: error.message,
+      persistence,
+      health: getStorageHealth()
     };
   }
 }
+
+/**
+ * Flush pending changes and release the storage backend (closes database handles)
+ * Called during graceful shutdown, and by tests once a file is done with storage
+ */
+export function closeStorage() {
+  flushStorage();
+  // A failed flush schedules a retry, which must not run against a closed backend
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (snapshotTimer) {
+    clearInterval(snapshotTimer);
+    snapshotTimer = null;
+  }
+  backend.close();
+  log.system(`Closed ${backend.name} storage backend`);
+}
@@ -0,0 +1,316 @@
+/**
+ * Anti-Raid Handler - Join-rate detection and lockdown mode
+ * Joins are counted in a sliding window per server; crossing the threshold starts a lockdown
+ * During a lockdown welcome messages and autoroles pause, and new members are quarantined or kicked
+ */
+
+import { ChannelType, EmbedBuilder, PermissionFlagsBits } from 'discord.js';
+import { getAntiRaidConfig, getLockdown, saveLockdown, removeLockdown } from '../data/storage.js';
+import { eventBus, Events } from '../utils/eventBus.js';
+import { checkRoleAssignable } from '../utils/roles.js';
+import log from '../utils/colors.js';
+
+/**
+ * What happens to members who join during a lockdown
+ */
+export const LOCKDOWN_ACTIONS = {
+  quarantine: 'Give them the quarantine role',
+  kick: 'Kick them'
+};
+
+const LOCKDOWN_REASON = 'Lockdown';
+
+// Accounts listed in alerts before the list is cut short
+const MAX_LISTED_ACCOUNTS = 30;
+
+// Recent joins per server - guildId -> [{ userId, tag, joinedAt }], oldest first
+const recentJoins = new Map();
+
+/**
+ * Check whether a server is locked down
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True during a lockdown
+ */
+export function isLockedDown(guildId) {
+  return getLockdown(guildId) !== null;
+}
+
+/**
+ * Count a join, forgetting joins that left the window
+ * @param {GuildMember} member - The member who joined
+ * @param {Object} config - Anti-raid settings
+ * @returns {Array<Object>} Joins in the window, this one included
+ */
+export function recordJoin(member, config) {
+  const now = Date.now();
+  const joins = (recentJoins.get(member.guild.id) || []).filter(
+    (join) => now - join.joinedAt < config.windowSeconds * 1000
+  );
+  joins.push({ userId: member.id, tag: member.user.tag, joinedAt: now });
+  recentJoins.set(member.guild.id, joins);
+  return joins;
+}
+
+/**
+ * Screen a new member for raids
+ * Starts a lockdown when the join rate crosses the threshold
+ * @param {GuildMember} member - The member who joined
+ * @returns {Promise<boolean>} True if the server is locked down and the join was handled
+ */
+export async function screenJoin(member) {
+  const { guild } = member;
+  const config = getAntiRaidConfig(guild.id);
+  if (!config) {
+    return false;
+  }
+
+  const joins = recordJoin(member, config);
+
+  if (isLockedDown(guild.id)) {
+    await applyLockdownAction(member, config);
+    return true;
+  }
+
+  if (joins.length < config.joinThreshold) {
+    return false;
+  }
+
+  log.warn(`[ANTI-RAID] ${joins.length} joins in ${config.windowSeconds}s in ${guild.name}`);
+  await startLockdown(guild, {
+    reason: `${joins.length} joins in ${config.windowSeconds} seconds`,
+    startedBy: null,
+    accounts: joins
+  });
+
+  // The accounts that crossed the threshold are part of the raid too
+  for (const join of joins) {
+    const raider = guild.members.cache.get(join.userId);
+    if (raider) {
+      await applyLockdownAction(raider, config);
+    }
+  }
+  return true;
+}
+
+/**
+ * Quarantine or kick a member who joined during a lockdown
+ * @param {GuildMember} member - Guild member
+ * @param {Object} config - Anti-raid settings
+ */
+async function applyLockdownAction(member, config) {
+  const { guild } = member;
+
+  try {
+    if (config.action === 'kick') {
+      if (!member.kickable) {
+        log.warn(`[ANTI-RAID] Cannot kick ${member.user.tag} from ${guild.name}`);
+        return;
+      }
+      await member.kick(LOCKDOWN_REASON);
+      log.info(`[ANTI-RAID] Kicked ${member.user.tag} from ${guild.name}`);
+      return;
+    }
+
+    const role = guild.roles.cache.get(config.quarantineRoleId);
+    const problem = role
+      ? checkRoleAssignable(guild, role)
+      : `quarantine role ${config.quarantineRoleId} was deleted`;
+    if (problem) {
+      log.error(`[ANTI-RAID] Cannot quarantine ${member.user.tag}: ${problem}`);
+      return;
+    }
+    await member.roles.add(role, LOCKDOWN_REASON);
+    log.info(`[ANTI-RAID] Quarantined ${member.user.tag} in ${guild.name}`);
+  } catch (error) {
+    log.error(`[ANTI-RAID] Failed to handle ${member.user.tag} in ${guild.name}`, error);
+  }
+}
+
+/**
+ * Lock a server down
+ * Raises slowmode if configured and alerts the mod channel
+ * @param {Guild} guild - Discord guild
+ * @param {Object} options - Lockdown details
+ * @param {string} options.reason - Why the server is locked down
+ * @param {?string} options.startedBy - Tag of the moderator, or null when the detector started it
+ * @param {Array<Object>} [options.accounts] - Joins that triggered the lockdown
+ * @returns {Promise<?Object>} The lockdown, or null if the server was already locked down
+ */
+export async function startLockdown(guild, { reason, startedBy, accounts = [] }) {
+  if (isLockedDown(guild.id)) {
+    return null;
+  }
+
+  const config = getAntiRaidConfig(guild.id);
+  const lockdown = {
+    startedAt: new Date().toISOString(),
+    reason,
+    startedBy,
+    slowmode: {}
+  };
+  // Saved before slowmode is raised so joins during the channel edits are already handled
+  saveLockdown(guild.id, lockdown);
+
+  if (config?.slowmodeSeconds) {
+    lockdown.slowmode = await raiseSlowmode(guild, config.slowmodeSeconds);
+    saveLockdown(guild.id, lockdown);
+  }
+
+  log.warn(`[ANTI-RAID] ${guild.name} locked down: ${reason}`);
+
+  const embed = new EmbedBuilder()
+    .setTitle('🚨 Lockdown started')
+    .setColor(0xed4245)
+    .setDescription(
+      `**Reason:** ${reason}\n**Started by:** ${startedBy ?? 'Raid detection'}\n\n` +
+        'Welcome messages and autoroles are paused and new members are ' +
+        `${config?.action === 'kick' ? 'kicked' : 'quarantined'}. Use \`/unlock\` to end it.`
+    )
+    .setTimestamp();
+  if (accounts.length > 0) {
+    embed.addFields({ name: `Accounts (${accounts.length})`, value: listAccounts(accounts) });
+  }
+  const slowedChannels = Object.keys(lockdown.slowmode).length;
+  if (slowedChannels > 0) {
+    embed.addFields({
+      name: 'Slowmode',
+      value: `${config.slowmodeSeconds} seconds in ${slowedChannels} channel(s)`
+    });
+  }
+  await sendAlert(guild, config, embed);
+
+  return lockdown;
+}
+
+/**
+ * End the lockdown of a server and put slowmode back
+ * @param {Guild} guild - Discord guild
+ * @param {string} endedBy - Tag of the moderator
+ * @returns {Promise<?Object>} The lockdown that ended, or null if there was none
+ */
+export async function endLockdown(guild, endedBy) {
+  const lockdown = getLockdown(guild.id);
+  if (!lockdown) {
+    return null;
+  }
+
+  removeLockdown(guild.id);
+  recentJoins.delete(guild.id);
+  await restoreSlowmode(guild, lockdown.slowmode);
+
+  log.success(`[ANTI-RAID] ${guild.name} lockdown ended by ${endedBy}`);
+
+  const embed = new EmbedBuilder()
+    .setTitle('✅ Lockdown ended')
+    .setColor(0x57f287)
+    .setDescription(
+      `**Ended by:** ${endedBy}\n**Started:** <t:${Math.floor(Date.parse(lockdown.startedAt) / 1000)}:R>`
+    )
+    .setTimestamp();
+  await sendAlert(guild, getAntiRaidConfig(guild.id), embed);
+
+  return lockdown;
+}
+
+/**
+ * Raise slowmode in every text channel below the lockdown value
+ * @param {Guild} guild - Discord guild
+ * @param {number} seconds - Slowmode during the lockdown
+ * @returns {Promise<Object>} channelId -> slowmode before the lockdown
+ */
+async function raiseSlowmode(guild, seconds) {
+  const previous = {};
+
+  for (const channel of guild.channels.cache.values()) {
+    if (channel.type !== ChannelType.GuildText || channel.rateLimitPerUser >= seconds) {
+      continue;
+    }
+    if (!channel.permissionsFor(guild.members.me)?.has(PermissionFlagsBits.ManageChannels)) {
+      continue;
+    }
+
+    try {
+      const before = channel.rateLimitPerUser;
+      await channel.setRateLimitPerUser(seconds, LOCKDOWN_REASON);
+      previous[channel.id] = before;
+    } catch (error) {
+      log.warn(`[ANTI-RAID] Could not raise slowmode in #${channel.name}: ${error.message}`);
+    }
+  }
+
+  return previous;
+}
+
+/**
+ * Put slowmode back to what it was before the lockdown
+ * @param {Guild} guild - Discord guild
+ * @param {Object} previous - channelId -> slowmode before the lockdown
+ */
+async function restoreSlowmode(guild, previous) {
+  for (const [channelId, seconds] of Object.entries(previous)) {
+    try {
+      const channel = await guild.channels.fetch(channelId);
+      await channel.setRateLimitPerUser(seconds, 'Lockdown ended');
+    } catch (error) {
+      log.warn(`[ANTI-RAID] Could not restore slowmode in ${channelId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * List the accounts of a raid for an alert
+ * @param {Array<Object>} accounts - Joins
+ * @returns {string} Mentions with tags, cut short for long raids
+ */
+function listAccounts(accounts) {
+  const lines = accounts
+    .slice(0, MAX_LISTED_ACCOUNTS)
+    .map((account) => `<@${account.userId}> (${account.tag})`);
+  if (accounts.length > MAX_LISTED_ACCOUNTS) {
+    lines.push(`…and ${accounts.length - MAX_LISTED_ACCOUNTS} more`);
+  }
+  return lines.join('\n').slice(0, 1024);
+}
+
+/**
+ * Post an alert in the mod channel
+ * @param {Guild} guild - Discord guild
+ * @param {?Object} config - Anti-raid settings
+ * @param {EmbedBuilder} embed - Alert
+ */
+async function sendAlert(guild, config, embed) {
+  if (!config?.alertChannelId) {
+    return;
+  }
+
+  try {
+    const channel = await guild.channels.fetch(config.alertChannelId);
+    await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+  } catch (error) {
+    log.warn(`[ANTI-RAID] Could not alert the mod channel of ${guild.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Initialize the anti-raid handler
+ * Joins are screened by the member events handler, before welcome messages
+ * @param {Client} client - Discord client instance
+ */
+export function setupAntiRaid(client) {
+  // Reset is announced before the lockdown is removed, so slowmode can still be put back
+  eventBus.on(Events.GUILD_RESET, async ({ guildId, scopes }) => {
+    if (!scopes.includes('anti-raid')) {
+      return;
+    }
+
+    recentJoins.delete(guildId);
+    const lockdown = getLockdown(guildId);
+    const guild = client.guilds.cache.get(guildId);
+    if (lockdown && guild) {
+      await restoreSlowmode(guild, lockdown.slowmode);
+      log.system(`[RESET] Lockdown of ${guild.name} ended by reset`);
+    }
+  });
+
+  log.success('Anti-raid handler initialized');
+}
@@ -2,6 +2,33 @@ import { log } from '../utils/colors.js';
 import { getButtonRoleConfig } from '../data/storage.js';
 import { MessageFlags, ActivityType } from 'discord.js';
 import { setTemporaryStatus } from '../utils/activityManager.js';
+import { checkRequirements } from './roleRequirements.js';
+import { notifyRoleChange } from './roleNotifications.js';
+import { removeConflictingRoles } from './roleGroups.js';
+
+/**
+ * Panel Modes
+ * Stored on every button entry of a panel, like guildId and channelId
+ * - toggle: click to get the role, click again to lose it
+ * - add: clicking only gives roles
+ * - remove: clicking only takes roles away
+ * - unique: only one role from the panel at a time
+ */
+export const BUTTON_PANEL_MODES = {
+  toggle: 'Toggle - click to add, click again to remove',
+  add: 'Add only - clicking only gives roles',
+  remove: 'Remove only - clicking only takes roles',
+  unique: 'Unique - only one role from the panel'
+};
+
+/**
+ * Get the mode of a button role panel
+ * @param {Array} config - Panel button entries
+ * @returns {string} Panel mode (panels from before modes existed toggle)
+ */
+export function getButtonPanelMode(config) {
+  return config[0]?.mode || 'toggle';
+}
 
 /**
  * Handle button role interactions
@@ -25,8 +52,8 @@ export async function handleButtonRole(interaction) {
 
   const roleId = interaction.customId.replace('button_role_', '');
 
-  const roleInConfig = config.some((r) => r.roleId === roleId);
-  if (!roleInConfig) {
+  const roleConfig = config.find((r) => r.roleId === roleId);
+  if (!roleConfig) {
     log.warn(`Role ${roleId} not found in config for message: ${interaction.message.id}`);
     return interaction.editReply({
       content: '❌ This role is no longer available!'
@@ -43,9 +70,17 @@ export async function handleButtonRole(interaction) {
     });
   }
 
+  const mode = getButtonPanelMode(config);
+
   try {
     // Toggle role - add if user doesn't have it, remove if they do
     if (member.roles.cache.has(roleId)) {
+      if (mode === 'add') {
+        return interaction.editReply({
+          content: `You already have the **${role.name}** role!`
+        });
+      }
+
       setTemporaryStatus(
         `Removing ${role.name} from ${member.user.username}`,
         ActivityType.Playing,
@@ -55,38 +90,49 @@ export async function handleButtonRole(interaction) {
       await member.roles.remove(role);
       log.info(`Removed role ${role.name} from ${member.user.tag}`);
 
-      try {
-        await member.user.send(
-          `Your **${role.name}** role has been removed in **${interaction.guild.name}**.`
-        );
-        log.success(`Sent role removal DM to ${member.user.tag}`);
-      } catch (dmError) {
-        log.info(`Could not DM ${member.user.tag} (DMs disabled)`);
-      }
+      await notifyRoleChange(member, role, 'remove', config);
 
       await interaction.editReply({
         content: `Your **${role.name}** role has been removed!`
       });
     } else {
+      if (mode === 'remove') {
+        return interaction.editReply({
+          content: `You don't have the **${role.name}** role.`
+        });
+      }
+
+      const failed = checkRequirements(member, roleConfig.requirements);
+      if (failed) {
+        log.info(`${member.user.tag} is not eligible for role ${role.name}: ${failed}`);
+        return interaction.editReply({
+          content: `❌ You can't get the **${role.name}** role. ${failed}`
+        });
+      }
+
       setTemporaryStatus(
         `Assigning ${role.name} to ${member.user.username}`,
         ActivityType.Playing,
         3000
       );
-      setTemporaryStatus(`Assigning Role: ${user.username}`, ActivityType.Playing, 4000);
 
       await member.roles.add(role);
       log.success(`Added role ${role.name} to ${member.user.tag}`);
+      await removeConflictingRoles(member, [roleId]);
 
-      try {
-        await member.user.send(
-          `You've been given the **${role.name}** role in **${interaction.guild.name}**!`
+      // Unique panels swap the previous role for the new one
+      if (mode === 'unique') {
+        const held = config.filter(
+          (entry) => entry.roleId !== roleId && member.roles.cache.has(entry.roleId)
         );
-        log.success(`Sent role assignment DM to ${member.user.tag}`);
-      } catch (dmError) {
-        log.info(`Could not DM ${member.user.tag} (DMs disabled)`);
+        if (held.length > 0) {
+          await member.roles.remove(held.map((entry) => entry.roleId));
+          log.info(`Swapped ${held.length} role(s) of ${member.user.tag} for ${role.name}`);
+        }
       }
 
+      await notifyRoleChange(member, role, 'add', config);
+
       await interaction.editReply({
         content: `You've been given the **${role.name}** role!`
       });
@@ -0,0 +1,119 @@
+/**
+ * Confirmation Handler - Confirm/Cancel buttons for destructive commands
+ * Commands register a pending action and the button click runs or discards it
+ */
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { runWithAuditActor } from '../data/audit.js';
+import log from '../utils/colors.js';
+
+const CONFIRMATION_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+
+// token -> { userId, guildId, command, onConfirm, expiresAt }
+const pendingConfirmations = new Map();
+
+/**
+ * Register a pending action and build its Confirm/Cancel buttons
+ * @param {Object} options - Confirmation options
+ * @param {string} options.userId - Only this user may confirm
+ * @param {string} options.guildId - Guild the action applies to
+ * @param {string} options.command - Command name the action is recorded under in the audit log
+ * @param {string} options.confirmLabel - Label for the confirm button
+ * @param {Function} options.onConfirm - Async callback receiving the button interaction,
+ *   returns the message content shown after the action runs
+ * @returns {ActionRowBuilder} Button row to attach to the reply
+ */
+export function createConfirmation({
+  userId,
+  guildId,
+  command,
+  confirmLabel = 'Confirm',
+  onConfirm
+}) {
+  pruneExpired();
+
+  const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  pendingConfirmations.set(token, {
+    userId,
+    guildId,
+    command,
+    onConfirm,
+    expiresAt: Date.now() + CONFIRMATION_TIMEOUT_MS
+  });
+
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`confirm_yes_${token}`)
+      .setLabel(confirmLabel)
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`confirm_no_${token}`)
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+/**
+ * Handle a Confirm or Cancel button click
+ * @param {ButtonInteraction} interaction - Button interaction
+ */
+export async function handleConfirmationButton(interaction) {
+  const confirmed = interaction.customId.startsWith('confirm_yes_');
+  const token = interaction.customId.replace(/^confirm_(yes|no)_/, '');
+  const pending = pendingConfirmations.get(token);
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    pendingConfirmations.delete(token);
+    return interaction.update({
+      content: '⏱️ This confirmation has expired. Please run the command again.',
+      embeds: [],
+      components: []
+    });
+  }
+
+  if (pending.userId !== interaction.user.id || pending.guildId !== interaction.guildId) {
+    return interaction.reply({
+      content: 'Only the user who ran this command can confirm it.',
+      flags: 64 // 64 = MessageFlags.Ephemeral
+    });
+  }
+
+  pendingConfirmations.delete(token);
+
+  if (!confirmed) {
+    log.info(`Confirmation cancelled by ${interaction.user.tag}`);
+    return interaction.update({
+      content: '❌ Cancelled. No changes were made.',
+      embeds: [],
+      components: []
+    });
+  }
+
+  await interaction.deferUpdate();
+
+  try {
+    const content = await runWithAuditActor({ command: pending.command }, () =>
+      pending.onConfirm(interaction)
+    );
+    await interaction.editReply({ content, embeds: [], components: [] });
+  } catch (error) {
+    log.error('Error running confirmed action', error);
+    await interaction.editReply({
+      content: 'An error occurred while applying this action. Please try again.',
+      embeds: [],
+      components: []
+    });
+  }
+}
+
+/**
+ * Drop confirmations nobody answered
+ */
+function pruneExpired() {
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expiresAt < now) {
+      pendingConfirmations.delete(token);
+    }
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Guild Lifecycle Handler - Keep, restore or archive data when the bot leaves a server
+ * Removed servers are marked inactive; their data comes back if the bot is re-added
+ * within the grace period, otherwise it is archived to a file and purged
+ */
+
+import {
+  markGuildInactive,
+  reactivateGuild,
+  purgeInactiveGuilds,
+  getStoredGuildIds
+} from '../data/storage.js';
+import { runAsSystem } from '../data/audit.js';
+import log from '../utils/colors.js';
+
+const PURGE_CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+let purgeTimer = null;
+
+/**
+ * Handle the bot being removed from a server
+ * @param {Guild} guild - Discord guild
+ */
+export function handleGuildRemove(guild) {
+  // guildDelete also fires during Discord outages - the bot was not removed then
+  if (guild.available === false) {
+    log.warn(`Guild became unavailable: ${guild.id} - keeping it active`);
+    return;
+  }
+
+  log.event(`Removed from server: ${guild.name || guild.id}`);
+
+  // Scheduled message timers are stopped by the guild deactivated event
+  markGuildInactive(guild.id);
+}
+
+/**
+ * Handle the bot being added to a server
+ * Restores a server that was removed within the grace period
+ * @param {Guild} guild - Discord guild
+ */
+export function handleGuildAdd(guild) {
+  log.event(`Added to server: ${guild.name}`);
+
+  if (!reactivateGuild(guild.id)) {
+    return;
+  }
+
+  log.success(`Restored configuration for returning server: ${guild.name}`);
+}
+
+/**
+ * Initialize guild lifecycle handling
+ * Also catches up on servers that removed or re-added the bot while it was offline
+ * @param {Client} client - Discord client instance
+ */
+export function setupGuildLifecycle(client) {
+  for (const guildId of getStoredGuildIds()) {
+    const present = client.guilds.cache.has(guildId);
+
+    if (present) {
+      reactivateGuild(guildId);
+      continue;
+    }
+
+    if (markGuildInactive(guildId)) {
+      log.warn(`Bot is no longer in server ${guildId} - starting grace period`);
+    }
+  }
+
+  client.on('guildDelete', (guild) => runAsSystem(() => handleGuildRemove(guild)));
+  client.on('guildCreate', (guild) => runAsSystem(() => handleGuildAdd(guild)));
+
+  runAsSystem(() => purgeInactiveGuilds());
+  purgeTimer = setInterval(() => runAsSystem(() => purgeInactiveGuilds()), PURGE_CHECK_INTERVAL_MS);
+  purgeTimer.unref();
+
+  log.success('Guild lifecycle handler initialized');
+}
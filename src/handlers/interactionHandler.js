@@ -1,15 +1,31 @@
 /**
  * Interaction Handler - Process all Discord interactions
- * Handles slash commands, buttons, autocomplete, and shows typing indicator
+ * Handles slash commands, buttons, select menus, modals, autocomplete, and shows typing indicator
  */
 
 import { setupReactionRolesCommand } from '../commands/setupReactionRoles.js';
+import { attachReactionRolesCommand } from '../commands/attachReactionRoles.js';
+import { editReactionRolesCommand } from '../commands/editReactionRoles.js';
+import { syncReactionRolesCommand } from '../commands/syncReactionRoles.js';
+import { roleRequirementsCommand } from '../commands/roleRequirements.js';
+import { roleNotificationsCommand } from '../commands/roleNotifications.js';
+import { roleGroupCommand } from '../commands/roleGroup.js';
 import { setupButtonRolesCommand } from '../commands/setupButtonRoles.js';
+import { editButtonRolesCommand } from '../commands/editButtonRoles.js';
 import { removeButtonRolesCommand } from '../commands/removeButtonRoles.js';
+import { setupSelectRolesCommand } from '../commands/setupSelectRoles.js';
+import { removeSelectRolesCommand } from '../commands/removeSelectRoles.js';
 import { setupWelcomeCommand } from '../commands/setupWelcome.js';
 import { setupLeaveCommand } from '../commands/setupLeave.js';
+import { setupAutoroleCommand } from '../commands/setupAutorole.js';
+import { setupStickyRolesCommand } from '../commands/setupStickyRoles.js';
+import { setupVerificationCommand } from '../commands/setupVerification.js';
+import { setupAntiRaidCommand } from '../commands/setupAntiRaid.js';
+import { lockdownCommand } from '../commands/lockdown.js';
+import { unlockCommand } from '../commands/unlock.js';
 import { removeReactionRolesCommand } from '../commands/removeReactionRoles.js';
 import { resetCommand } from '../commands/reset.js';
+import { resetUndoCommand } from '../commands/resetUndo.js';
 import { setupLevelingCommand } from '../commands/setupLeveling.js';
 import { addLevelRoleCommand } from '../commands/addLevelRole.js';
 import { rankCommand } from '../commands/rank.js';
@@ -22,24 +38,53 @@ import { ActivityType } from 'discord.js';
 import log from '../utils/colors.js';
 import { setupTicketCommand } from '../commands/setupTicket.js';
 import { ticketStatsCommand } from '../commands/ticketStats.js';
+import { backupCommand } from '../commands/backup.js';
+import { restoreCommand } from '../commands/restore.js';
+import { auditLogCommand, handleAuditLogPage } from '../commands/auditLog.js';
+import { diagnoseCommand } from '../commands/diagnose.js';
 import {
   handleTicketCreate,
   handleTicketClaim,
   handleTicketClose
 } from '../handlers/ticketSystem.js';
 import { handleButtonRole } from '../handlers/buttonRoles.js';
+import { handleSelectRole } from '../handlers/selectRoles.js';
+import { handleConfirmationButton } from '../handlers/confirmations.js';
+import {
+  VERIFY_BUTTON_ID,
+  VERIFY_MODAL_ID,
+  handleVerifyButton,
+  handleVerifyModal
+} from '../handlers/verification.js';
+import { runWithAuditActor } from '../data/audit.js';
 
 /**
  * Map of command names to their handler functions
  */
 const commands = {
   'setup-reaction-roles': setupReactionRolesCommand,
+  'attach-reaction-roles': attachReactionRolesCommand,
+  'edit-reaction-roles': editReactionRolesCommand,
+  'sync-reaction-roles': syncReactionRolesCommand,
+  'role-requirements': roleRequirementsCommand,
+  'role-notifications': roleNotificationsCommand,
+  'role-group': roleGroupCommand,
   'setup-button-roles': setupButtonRolesCommand,
+  'edit-button-roles': editButtonRolesCommand,
+  'setup-select-roles': setupSelectRolesCommand,
   'setup-welcome': setupWelcomeCommand,
   'setup-leave': setupLeaveCommand,
+  'setup-autorole': setupAutoroleCommand,
+  'setup-sticky-roles': setupStickyRolesCommand,
+  'setup-verification': setupVerificationCommand,
+  'setup-anti-raid': setupAntiRaidCommand,
+  lockdown: lockdownCommand,
+  unlock: unlockCommand,
   'remove-reaction-roles': removeReactionRolesCommand,
   'remove-button-roles': removeButtonRolesCommand,
+  'remove-select-roles': removeSelectRolesCommand,
   reset: resetCommand,
+  'reset-undo': resetUndoCommand,
   'setup-leveling': setupLevelingCommand,
   'add-level-role': addLevelRoleCommand,
   rank: rankCommand,
@@ -48,7 +93,11 @@ const commands = {
   'list-scheduled': listScheduledCommand,
   'remove-scheduled': removeScheduledCommand,
   'setup-ticket': setupTicketCommand,
-  'ticket-stats': ticketStatsCommand
+  'ticket-stats': ticketStatsCommand,
+  backup: backupCommand,
+  restore: restoreCommand,
+  'audit-log': auditLogCommand,
+  diagnose: diagnoseCommand
 };
 
 /**
@@ -57,12 +106,28 @@ const commands = {
  */
 const commandStatusText = {
   'setup-reaction-roles': 'Setting up Reaction Roles',
+  'attach-reaction-roles': 'Attaching Reaction Roles',
+  'edit-reaction-roles': 'Editing Reaction Roles',
+  'sync-reaction-roles': 'Syncing Reaction Roles',
+  'role-requirements': 'Updating Role Requirements',
+  'role-notifications': 'Updating Role Notifications',
+  'role-group': 'Updating Role Groups',
   'setup-button-roles': 'Setting up Button Roles',
+  'edit-button-roles': 'Editing Button Roles',
+  'setup-select-roles': 'Setting up Select Roles',
   'setup-welcome': 'Configuring Welcome Messages',
   'setup-leave': 'Configuring Leave Messages',
+  'setup-autorole': 'Configuring Autoroles',
+  'setup-sticky-roles': 'Configuring Sticky Roles',
+  'setup-verification': 'Setting up Verification',
+  'setup-anti-raid': 'Configuring Anti-Raid',
+  lockdown: 'Locking Down Server',
+  unlock: 'Ending Lockdown',
   'remove-reaction-roles': 'Removing Reaction Roles',
   'remove-button-roles': 'Removing Button Roles',
+  'remove-select-roles': 'Removing Select Roles',
   reset: 'Resetting Configuration',
+  'reset-undo': 'Undoing Reset',
   'setup-leveling': 'Setting up Leveling System',
   'add-level-role': 'Adding Level Role Reward',
   rank: 'Checking User Rank',
@@ -71,7 +136,11 @@ const commandStatusText = {
   'list-scheduled': 'Listing Scheduled Messages',
   'remove-scheduled': 'Removing Scheduled Message',
   'setup-ticket': 'Setting up Ticket System',
-  'ticket-stats': 'Fetching Ticket Statistics'
+  'ticket-stats': 'Fetching Ticket Statistics',
+  backup: 'Backing up Configuration',
+  restore: 'Restoring Configuration',
+  'audit-log': 'Reading Audit Log',
+  diagnose: 'Diagnosing Configuration'
 };
 
 /**
@@ -89,7 +158,19 @@ export async function handleInteractionCreate(interaction) {
   }
 
   if (interaction.isButton()) {
-    await handleButtonInteraction(interaction);
+    await runWithAuditActor({ actorId: interaction.user.id, actorTag: interaction.user.tag }, () =>
+      handleButtonInteraction(interaction)
+    );
+  }
+
+  if (interaction.isStringSelectMenu()) {
+    await runWithAuditActor({ actorId: interaction.user.id, actorTag: interaction.user.tag }, () =>
+      handleSelectMenuInteraction(interaction)
+    );
+  }
+
+  if (interaction.isModalSubmit()) {
+    await handleModalSubmit(interaction);
   }
 }
 
@@ -119,8 +200,15 @@ async function handleSlashCommand(interaction) {
     // Simulate processing time (realistic bot behavior)
     await new Promise((resolve) => setTimeout(resolve, 800));
 
-    // Execute the command
-    await command.execute(interaction);
+    // Execute the command - config changes it makes are attributed to this user in the audit log
+    await runWithAuditActor(
+      {
+        actorId: interaction.user.id,
+        actorTag: interaction.user.tag,
+        command: interaction.commandName
+      },
+      () => command.execute(interaction)
+    );
 
     log.command(`Command executed: /${interaction.commandName} by ${interaction.user.tag}`);
   } catch (error) {
@@ -159,6 +247,30 @@ async function handleAutocomplete(interaction) {
   }
 }
 
+/**
+ * Handle select menu interactions
+ * @param {StringSelectMenuInteraction} interaction - Select menu interaction
+ */
+async function handleSelectMenuInteraction(interaction) {
+  log.event(`Select menu used: ${interaction.customId} by ${interaction.user.tag}`);
+
+  if (interaction.customId.startsWith('select_role_')) {
+    return handleSelectRole(interaction);
+  }
+}
+
+/**
+ * Handle modal submissions
+ * @param {ModalSubmitInteraction} interaction - Modal submit interaction
+ */
+async function handleModalSubmit(interaction) {
+  log.event(`Modal submitted: ${interaction.customId} by ${interaction.user.tag}`);
+
+  if (interaction.customId === VERIFY_MODAL_ID) {
+    return handleVerifyModal(interaction);
+  }
+}
+
 /**
  * Handle button click interactions
  * @param {ButtonInteraction} interaction - Button interaction
@@ -181,4 +293,16 @@ async function handleButtonInteraction(interaction) {
   if (interaction.customId.startsWith('ticket_close_')) {
     return handleTicketClose(interaction);
   }
+
+  if (interaction.customId === VERIFY_BUTTON_ID) {
+    return handleVerifyButton(interaction);
+  }
+
+  if (interaction.customId.startsWith('confirm_')) {
+    return handleConfirmationButton(interaction);
+  }
+
+  if (interaction.customId.startsWith('audit_page_')) {
+    return handleAuditLogPage(interaction);
+  }
 }
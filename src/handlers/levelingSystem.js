@@ -15,6 +15,10 @@ import { PermissionsBitField, ActivityType } from 'discord.js';
 import { getUserLevel, addUserXP, getLevelingConfig } from '../data/storage.js';
 import { setTemporaryStatus } from '../utils/activityManager.js';
 import log from '../utils/colors.js';
+import { eventBus, Events } from '../utils/eventBus.js';
+import { removeConflictingRoles } from './roleGroups.js';
+import { checkRoleAssignable } from '../utils/roles.js';
+import { memberVariables, renderOrFallback } from '../utils/templates.js';
 
 /**
  * Calculate required XP for a specific level
@@ -33,7 +37,7 @@ function calculateRequiredXP(level) {
  * @param {number} totalXP - User's total experience points
  * @returns {number} Current level
  */
-function calculateLevel(totalXP) {
+export function calculateLevel(totalXP) {
   let level = 0;
   while (totalXP >= calculateRequiredXP(level + 1)) {
     level++;
@@ -104,18 +108,10 @@ async function awardLevelRole(member, newLevel) {
       return;
     }
 
-    // Check bot permissions before assigning role
-    const botMember = member.guild.members.me;
-    if (!botMember.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
-      log.error('Bot missing MANAGE_ROLES permission for leveling system');
-      log.warn(`Cannot assign ${role.name} to ${member.user.tag} - missing permissions`);
-      return;
-    }
-
-    // Check if bot's role is higher than the role being assigned
-    if (botMember.roles.highest.position <= role.position) {
-      log.error(`Bot role position too low to assign ${role.name}`);
-      log.warn(`Move bot's role above ${role.name} in server settings`);
+    // Check bot permissions and role hierarchy before assigning role
+    const problem = checkRoleAssignable(member.guild, role);
+    if (problem) {
+      log.error(`Cannot assign level role ${role.name} to ${member.user.tag}: ${problem}`);
       return;
     }
 
@@ -127,6 +123,7 @@ async function awardLevelRole(member, newLevel) {
     // Assign the role
     await member.roles.add(role);
     log.success(`Awarded ${role.name} to ${member.user.tag} for reaching level ${newLevel}`);
+    await removeConflictingRoles(member, [role.id]);
   } catch (error) {
     log.error('Error awarding level role', error);
   }
@@ -137,8 +134,9 @@ async function awardLevelRole(member, newLevel) {
  * Production-ready with comprehensive permission validation
  * @param {Message} message - Original message that triggered level up
  * @param {number} newLevel - Newly achieved level
+ * @param {number} totalXP - Total XP after the level up
  */
-async function sendLevelUpMessage(message, newLevel) {
+async function sendLevelUpMessage(message, newLevel, totalXP) {
   try {
     const config = getLevelingConfig(message.guild.id);
 
@@ -180,7 +178,18 @@ async function sendLevelUpMessage(message, newLevel) {
     const embed = {
       color: 0x00ff00, // Green color for success
       title: '🏆 Level Up!',
-      description: `Congratulations ${message.author}! You've reached **Level ${newLevel}**!`,
+      description: renderOrFallback(
+        config.levelUpMessage,
+        'levelUp',
+        {
+          ...memberVariables(message.member),
+          channel: channel.toString(),
+          level: newLevel,
+          xp: totalXP,
+          xp_needed: nextLevelXP - totalXP
+        },
+        `Congratulations ${message.author}! You've reached **Level ${newLevel}**!`
+      ),
       fields: [
         {
           name: '𝐋𝑉 Progress',
@@ -286,7 +295,11 @@ export function setupLevelingSystem(client) {
     }
   }, CLEANUP_INTERVAL);
 
-  client.on('guildConfigReset', (guildId) => {
+  eventBus.on(Events.GUILD_RESET, ({ guildId, scopes }) => {
+    if (!scopes.includes('leveling') && !scopes.includes('xp-data')) {
+      return;
+    }
+
     log.system(`[RESET] Clearing leveling cooldowns for guild: ${guildId}`);
 
     let clearedCount = 0;
@@ -346,7 +359,7 @@ export function setupLevelingSystem(client) {
       }
 
       if (config.announceLevel) {
-        await sendLevelUpMessage(message, newLevel);
+        await sendLevelUpMessage(message, newLevel, newXP);
       }
     }
   });
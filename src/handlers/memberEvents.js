@@ -6,14 +6,82 @@
  * Features:
  * - Customizable welcome messages with user mentions
  * - Leave/goodbye messages
+ * - Message templates with placeholders and conditionals (utils/templates.js)
+ * - Autoroles for humans and bots, after an optional delay and membership screening
+ * - Sticky roles: roles of members who leave are given back when they rejoin
+ * - Verification gate: new members get the unverified role, and sticky roles and autoroles
+ *   wait until they verify
+ * - Raid screening: during a lockdown, joins skip welcome messages, sticky roles and autoroles,
+ *   and leaves skip leave messages
  * - Server statistics in messages
  * - Beautiful embeds
  */
 
-import { EmbedBuilder, ActivityType } from 'discord.js';
+import { EmbedBuilder, ActivityType, escapeMarkdown } from 'discord.js';
 import { setTemporaryStatus } from '../utils/activityManager.js';
 import log from '../utils/colors.js';
-import { getWelcomeConfig, getLeaveConfig } from '../data/storage.js';
+import {
+  getWelcomeConfig,
+  getLeaveConfig,
+  getAutoroleConfig,
+  getStickyRoleConfig,
+  saveStickyRoleSnapshot,
+  takeStickyRoleSnapshot
+} from '../data/storage.js';
+import { eventBus, Events } from '../utils/eventBus.js';
+import { memberVariables, renderOrFallback } from '../utils/templates.js';
+import { checkRoleAssignable } from '../utils/roles.js';
+import { removeConflictingRoles } from './roleGroups.js';
+import { screenJoin, isLockedDown } from './antiRaid.js';
+import { handleVerificationJoin, isAwaitingVerification, hasJustVerified } from './verification.js';
+
+const AUTOROLE_REASON = 'Autorole';
+const STICKY_REASON = 'Sticky roles';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Which roles of a member who leaves are given back
+ */
+export const STICKY_MODES = {
+  all: 'Every role',
+  allow: 'Only the listed roles',
+  deny: 'Every role except the listed ones'
+};
+
+// Autoroles waiting for their delay - `${guildId}-${userId}` -> timeout
+const pendingAutoroles = new Map();
+
+/**
+ * Template values of a welcome message
+ * @param {GuildMember} member - The member who joined
+ * @param {TextChannel} channel - Welcome channel
+ * @param {Object} welcomeConfig - Welcome settings
+ * @returns {Object} Variable name -> value
+ */
+export function welcomeVariables(member, channel, welcomeConfig) {
+  return {
+    ...memberVariables(member),
+    channel: channel.toString(),
+    rules: welcomeConfig.rulesChannelId ? `<#${welcomeConfig.rulesChannelId}>` : null,
+    role_channel: welcomeConfig.roleChannelId ? `<#${welcomeConfig.roleChannelId}>` : null
+  };
+}
+
+/**
+ * Template values of a leave message
+ * The member can no longer be mentioned, so {user} is their name
+ * @param {GuildMember} member - The member who left
+ * @param {TextChannel} channel - Leave channel
+ * @returns {Object} Variable name -> value
+ */
+export function leaveVariables(member, channel) {
+  return {
+    ...memberVariables(member),
+    user: () => escapeMarkdown(member.user.tag),
+    channel: channel.toString()
+  };
+}
 
 /**
  * Handle Member Join
@@ -22,6 +90,8 @@ import { getWelcomeConfig, getLeaveConfig } from '../data/storage.js';
  * @param {GuildMember} member - The member who joined
  */
 export async function handleMemberJoin(member) {
+  await restoreStickyRoles(member);
+
   try {
     const welcomeConfig = getWelcomeConfig(member.guild.id);
 
@@ -55,12 +125,12 @@ export async function handleMemberJoin(member) {
     // Get member count
     const memberCount = member.guild.memberCount;
 
-    let descriptionText = welcomeConfig.message
-      ? welcomeConfig.message
-          .replace('{user}', member.toString())
-          .replace('{server}', member.guild.name)
-          .replace('{count}', memberCount.toString())
-      : `Welcome ${member} to ${member.guild.name}! You are member #${memberCount}!`;
+    let descriptionText = renderOrFallback(
+      welcomeConfig.message,
+      'welcome',
+      welcomeVariables(member, channel, welcomeConfig),
+      `Welcome ${member} to ${member.guild.name}! You are member #${memberCount}!`
+    );
 
     if (welcomeConfig.rulesChannelId && welcomeConfig.roleChannelId) {
       descriptionText += `\n\nPlease read our <#${welcomeConfig.rulesChannelId}> & get <#${welcomeConfig.roleChannelId}> to get started!`;
@@ -102,6 +172,13 @@ export async function handleMemberJoin(member) {
  * @param {GuildMember} member - The member who left
  */
 export async function handleMemberLeave(member) {
+  saveStickyRoles(member);
+
+  // Members kicked during a raid would flood the leave channel
+  if (isLockedDown(member.guild.id)) {
+    return;
+  }
+
   try {
     const leaveConfig = getLeaveConfig(member.guild.id);
 
@@ -146,11 +223,12 @@ export async function handleMemberLeave(member) {
       .setColor(leaveConfig.embedColor || '#ED4245') // Use saved color or default red
       .setTitle('Member Left')
       .setDescription(
-        leaveConfig.message
-          ? leaveConfig.message
-              .replace('{user}', member.user.tag)
-              .replace('{server}', member.guild.name)
-          : `**${member.user.tag}** has left the server.\n\n` + `We hope to see you again!`
+        renderOrFallback(
+          leaveConfig.message,
+          'leave',
+          leaveVariables(member, channel),
+          `**${member.user.tag}** has left the server.\n\n` + 'We hope to see you again!'
+        )
       )
       .setThumbnail(member.user.displayAvatarURL({ dynamic: true, size: 256 }))
       .addFields(
@@ -174,25 +252,293 @@ export async function handleMemberLeave(member) {
   }
 }
 
+/**
+ * Give a member their autoroles, now or after the configured delay
+ * Members still in membership screening get them once they pass it
+ * @param {GuildMember} member - Guild member
+ */
+export function queueAutoroles(member) {
+  const config = getAutoroleConfig(member.guild.id);
+  if (!config) {
+    return;
+  }
+
+  if (member.pending) {
+    log.info(`${member.user.tag} is pending membership screening, autoroles wait until they pass`);
+    return;
+  }
+
+  if (isAwaitingVerification(member)) {
+    log.info(`${member.user.tag} has not verified yet, autoroles wait until they do`);
+    return;
+  }
+
+  if (!config.delaySeconds) {
+    assignAutoroles(member);
+    return;
+  }
+
+  const key = `${member.guild.id}-${member.id}`;
+  clearTimeout(pendingAutoroles.get(key));
+  pendingAutoroles.set(
+    key,
+    setTimeout(async () => {
+      pendingAutoroles.delete(key);
+      // Fetch again - roles may have changed during the delay
+      const current = await member.guild.members.fetch(member.id).catch(() => null);
+      if (current) {
+        await assignAutoroles(current);
+      }
+    }, config.delaySeconds * 1000)
+  );
+}
+
+/**
+ * Give a member the autoroles of their server
+ * Roles the bot can't give are skipped and logged
+ * @param {GuildMember} member - Guild member
+ * @returns {Promise<Array<Role>>} Roles given
+ */
+export async function assignAutoroles(member) {
+  // Read again, the config may have changed during the delay
+  const config = getAutoroleConfig(member.guild.id);
+  // Delayed autoroles of members who joined just before a lockdown are dropped too
+  if (
+    !config ||
+    member.pending ||
+    isAwaitingVerification(member) ||
+    isLockedDown(member.guild.id)
+  ) {
+    return [];
+  }
+
+  const roleIds = member.user.bot ? config.botRoleIds : config.humanRoleIds;
+  const roles = getGivableRoles(member, roleIds, 'autorole');
+  if (roles.length === 0) {
+    return [];
+  }
+
+  try {
+    await member.roles.add(roles, AUTOROLE_REASON);
+    log.success(`Gave ${roles.length} autorole(s) to ${member.user.tag} in ${member.guild.name}`);
+    await removeConflictingRoles(
+      member,
+      roles.map((role) => role.id)
+    );
+    return roles;
+  } catch (error) {
+    log.error(`Failed to give autoroles to ${member.user.tag} in ${member.guild.name}`, error);
+    return [];
+  }
+}
+
+/**
+ * Get the roles of a list that the bot can give a member and they don't have yet
+ * Deleted roles and roles the bot can't give are logged and skipped
+ * @param {GuildMember} member - Guild member
+ * @param {Array<string>} roleIds - Role IDs
+ * @param {string} kind - Kind of role, for the logs
+ * @returns {Array<Role>} Roles to give
+ */
+function getGivableRoles(member, roleIds, kind) {
+  const roles = [];
+  for (const roleId of roleIds) {
+    const role = member.guild.roles.cache.get(roleId);
+    if (!role) {
+      log.warn(`Cannot find ${kind} ${roleId} in ${member.guild.name}`);
+      continue;
+    }
+
+    const problem = checkRoleAssignable(member.guild, role);
+    if (problem) {
+      log.error(`Cannot give ${kind} ${role.name} to ${member.user.tag}: ${problem}`);
+      continue;
+    }
+
+    if (!member.roles.cache.has(role.id)) {
+      roles.push(role);
+    }
+  }
+  return roles;
+}
+
+/**
+ * Check whether a role sticks, following the sticky role settings
+ * @param {Role} role - Role of the member
+ * @param {Object} config - Sticky role settings
+ * @returns {boolean} True if the role is given back on rejoin
+ */
+function isStickyRole(role, config) {
+  // @everyone and bot or booster roles are handed out by Discord itself
+  if (role.id === role.guild.id || role.managed) {
+    return false;
+  }
+
+  if (config.mode === 'allow') {
+    return config.roleIds.includes(role.id);
+  }
+  if (config.mode === 'deny') {
+    return !config.roleIds.includes(role.id);
+  }
+  return true;
+}
+
+/**
+ * Remember the roles of a member who leaves
+ * @param {GuildMember} member - The member who left
+ */
+export function saveStickyRoles(member) {
+  const config = getStickyRoleConfig(member.guild.id);
+  if (!config) {
+    return;
+  }
+
+  // Saved roles from an earlier leave are kept rather than replaced with nothing
+  if (member.partial) {
+    log.warn(
+      `Roles of ${member.user.tag} in ${member.guild.name} are unknown (member was not cached), no sticky roles saved`
+    );
+    return;
+  }
+
+  const roleIds = member.roles.cache
+    .filter((role) => isStickyRole(role, config))
+    .map((role) => role.id);
+  if (roleIds.length === 0) {
+    return;
+  }
+
+  saveStickyRoleSnapshot(member.guild.id, member.id, roleIds, config.retentionDays * DAY_MS);
+  log.info(`Saved ${roleIds.length} sticky role(s) of ${member.user.tag} in ${member.guild.name}`);
+}
+
+/**
+ * Give a returning member the roles they had when they left
+ * Members still in membership screening or verification get them once they pass it
+ * @param {GuildMember} member - Guild member
+ * @returns {Promise<Array<Role>>} Roles given back
+ */
+export async function restoreStickyRoles(member) {
+  const config = getStickyRoleConfig(member.guild.id);
+  if (!config || member.pending || isAwaitingVerification(member)) {
+    return [];
+  }
+
+  const snapshot = takeStickyRoleSnapshot(member.guild.id, member.id);
+  if (!snapshot) {
+    return [];
+  }
+
+  if (Date.now() - Date.parse(snapshot.leftAt) >= config.retentionDays * DAY_MS) {
+    log.info(`Sticky roles of ${member.user.tag} expired, they left ${snapshot.leftAt}`);
+    return [];
+  }
+
+  // The settings may have changed since the member left
+  const stickyRoleIds = snapshot.roleIds.filter((roleId) => {
+    const role = member.guild.roles.cache.get(roleId);
+    return !role || isStickyRole(role, config);
+  });
+  const roles = getGivableRoles(member, stickyRoleIds, 'sticky role');
+  if (roles.length === 0) {
+    return [];
+  }
+
+  try {
+    await member.roles.add(roles, STICKY_REASON);
+    log.success(
+      `Gave ${roles.length} sticky role(s) back to ${member.user.tag} in ${member.guild.name}`
+    );
+    return roles;
+  } catch (error) {
+    log.error(
+      `Failed to give sticky roles back to ${member.user.tag} in ${member.guild.name}`,
+      error
+    );
+    return [];
+  }
+}
+
+/**
+ * Forget the delayed autoroles of a guild, or of one member
+ * @param {string} guildId - Discord guild ID
+ * @param {string} [userId] - Only this member
+ * @returns {number} Number of cancelled autoroles
+ */
+function cancelAutoroles(guildId, userId) {
+  let cancelled = 0;
+  for (const [key, timer] of pendingAutoroles) {
+    if (key === `${guildId}-${userId}` || (!userId && key.startsWith(`${guildId}-`))) {
+      clearTimeout(timer);
+      pendingAutoroles.delete(key);
+      cancelled++;
+    }
+  }
+  return cancelled;
+}
+
 /**
  * Setup member event listeners
- * FIXED: Now listens for guild reset events (no specific cache to clear for this handler)
+ * Listens for guild reset events to cancel delayed autoroles
  * @param {Client} client - Discord client instance
  */
 export function setupMemberEvents(client) {
   // Handle member join - fires every time a member joins/rejoins
   client.on('guildMemberAdd', async (member) => {
+    if (await screenJoin(member)) {
+      return;
+    }
+
+    await handleVerificationJoin(member);
     await handleMemberJoin(member);
+    queueAutoroles(member);
+  });
+
+  // Members who pass membership screening or verification get their sticky roles and autoroles
+  // An uncached member (partial) has no old pending state, so screening is only seen for cached ones
+  client.on('guildMemberUpdate', async (oldMember, newMember) => {
+    const passedScreening = oldMember.pending && !newMember.pending;
+    if (!passedScreening && !hasJustVerified(oldMember, newMember)) {
+      return;
+    }
+
+    if (!isLockedDown(newMember.guild.id)) {
+      await restoreStickyRoles(newMember);
+      queueAutoroles(newMember);
+    }
   });
 
   // Handle member leave - fires every time a member leaves
   client.on('guildMemberRemove', async (member) => {
+    cancelAutoroles(member.guild.id, member.id);
     await handleMemberLeave(member);
   });
 
-  client.on('guildConfigReset', (guildId) => {
+  // Members that leave uncached have no roles to save, so servers with sticky roles cache them all
+  for (const guild of client.guilds.cache.values()) {
+    if (!getStickyRoleConfig(guild.id)) {
+      continue;
+    }
+    guild.members
+      .fetch()
+      .catch((error) =>
+        log.warn(`Could not load members of ${guild.name} for sticky roles: ${error.message}`)
+      );
+  }
+
+  eventBus.on(Events.GUILD_RESET, ({ guildId, scopes }) => {
+    if (scopes.includes('autorole')) {
+      const cancelled = cancelAutoroles(guildId);
+      log.system(`[RESET] Cancelled ${cancelled} delayed autorole(s) for guild: ${guildId}`);
+    }
+
+    const cleared = scopes.filter((scope) => scope === 'welcome' || scope === 'leave');
+    if (cleared.length === 0) {
+      return;
+    }
+
     log.system(`[RESET] Member events handler notified of reset for guild: ${guildId}`);
-    log.info(`[RESET] Welcome and leave configs cleared from storage`);
+    log.info(`[RESET] ${cleared.join(' and ')} config cleared from storage`);
   });
 
   log.success('Member event handler initialized');
@@ -7,6 +7,9 @@
  * Features:
  * - Dynamic role assignment based on reactions
  * - Automatic role removal when reaction is removed
+ * - Per-panel modes: unique, verify, drop and limit
+ * - Per-role eligibility requirements
+ * - Exclusive role groups shared with every other panel
  * - Handles both cached and uncached reactions
  * - Multi-server support with guild-specific message tracking
  */
@@ -15,6 +18,11 @@ import { EmbedBuilder, ActivityType } from 'discord.js';
 import { setTemporaryStatus } from '../utils/activityManager.js';
 import log from '../utils/colors.js';
 import { getReactionRoleConfig } from '../data/storage.js';
+import { eventBus, Events } from '../utils/eventBus.js';
+import { emojiKey, formatEmoji } from '../utils/emoji.js';
+import { checkRequirements } from './roleRequirements.js';
+import { getNotificationSettings, notifyRoleChange, sendDm } from './roleNotifications.js';
+import { removeConflictingRoles } from './roleGroups.js';
 
 /**
  * Role Configuration
@@ -92,7 +100,7 @@ export async function setupReactionRoles(client) {
     const roleConfig = getReactionRoleConfig(reactionRoleMessageId);
     if (roleConfig) {
       for (const config of roleConfig) {
-        await message.react(config.emoji);
+        await message.react(formatEmoji(config));
       }
     }
 
@@ -103,9 +111,138 @@ export async function setupReactionRoles(client) {
   }
 }
 
+/**
+ * Panel Modes
+ * Stored on every role entry of a panel, like guildId and channelId
+ * - normal: react to get the role, remove the reaction to lose it
+ * - unique: only one role from the panel at a time
+ * - verify: reacting only adds roles, removing the reaction keeps them
+ * - drop: reacting only removes roles
+ * - limit: at most `limit` roles from the panel at a time
+ */
+export const REACTION_PANEL_MODES = {
+  normal: 'Normal - react to add, unreact to remove',
+  unique: 'Unique - only one role from the panel',
+  verify: 'Verify - reacting only adds roles',
+  drop: 'Drop - reacting only removes roles',
+  limit: 'Limit - cap roles held from the panel'
+};
+
+/**
+ * Reactions the bot removed itself - key -> expiry timestamp
+ * Their remove events must not take roles away again
+ * Entries expire so a missed remove event can't swallow a later unreact
+ */
+const botRemovedReactions = new Map();
+const BOT_REMOVAL_TTL_MS = 30 * 1000;
+
+/**
+ * Check and forget a reaction the bot removed itself
+ * @param {string} key - `${messageId}-${userId}-${emoji}`
+ * @returns {boolean} True if the bot removed it within the TTL
+ */
+function consumeBotRemoval(key) {
+  const expiresAt = botRemovedReactions.get(key);
+  botRemovedReactions.delete(key);
+  return expiresAt !== undefined && expiresAt >= Date.now();
+}
+
+/**
+ * Get the mode of a reaction role panel
+ * @param {Array} roleConfig - Panel role entries
+ * @returns {{mode: string, limit: number}} Panel mode and role limit
+ */
+export function getPanelMode(roleConfig) {
+  return { mode: roleConfig[0]?.mode || 'normal', limit: roleConfig[0]?.limit || 0 };
+}
+
+/**
+ * Remove a member's reaction from a panel
+ * Needs Manage Messages - failures are logged and ignored
+ * @param {Message} message - Panel message
+ * @param {string} emoji - Emoji identity (custom emoji ID or unicode)
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<boolean>} True if the reaction was removed
+ */
+export async function clearUserReaction(message, emoji, userId) {
+  const reaction = message.reactions.cache.get(emoji);
+  if (!reaction) {
+    return false;
+  }
+
+  const now = Date.now();
+  for (const [staleKey, expiresAt] of botRemovedReactions) {
+    if (expiresAt < now) {
+      botRemovedReactions.delete(staleKey);
+    }
+  }
+
+  const key = `${message.id}-${userId}-${emoji}`;
+  botRemovedReactions.set(key, now + BOT_REMOVAL_TTL_MS);
+
+  try {
+    await reaction.users.remove(userId);
+    return true;
+  } catch (error) {
+    botRemovedReactions.delete(key);
+    log.warn(`Could not remove reaction on panel ${message.id}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Tell a member why a reaction was refused, unless the panel has DMs turned off
+ * @param {GuildMember} member - Guild member
+ * @param {Array} roleConfig - Panel role entries
+ * @param {string} content - Message content
+ */
+async function notifyRefusal(member, roleConfig, content) {
+  if (getNotificationSettings(member.guild.id, roleConfig).dm === 'off') {
+    return;
+  }
+  await sendDm(member.user, content);
+}
+
+/**
+ * Give a panel role to a member and let them know
+ * @param {GuildMember} member - Guild member
+ * @param {Object} roleMapping - Panel role entry
+ * @param {Array} roleConfig - Panel role entries
+ */
+async function giveRole(member, roleMapping, roleConfig) {
+  setTemporaryStatus(`Assigning Role: ${member.user.username}`, ActivityType.Playing, 4000);
+
+  await member.roles.add(roleMapping.roleId);
+  log.success(`Assigned role to ${member.user.tag} (${formatEmoji(roleMapping)})`);
+  await removeConflictingRoles(member, [roleMapping.roleId]);
+
+  const role = await member.guild.roles.fetch(roleMapping.roleId).catch(() => null);
+  if (role) {
+    await notifyRoleChange(member, role, 'add', roleConfig);
+  }
+}
+
+/**
+ * Take a panel role from a member and let them know
+ * @param {GuildMember} member - Guild member
+ * @param {Object} roleMapping - Panel role entry
+ * @param {Array} roleConfig - Panel role entries
+ */
+async function takeRole(member, roleMapping, roleConfig) {
+  setTemporaryStatus(`Removing Role: ${member.user.username}`, ActivityType.Playing, 4000);
+
+  await member.roles.remove(roleMapping.roleId);
+  log.success(`Removed role from ${member.user.tag} (${formatEmoji(roleMapping)})`);
+
+  const role = await member.guild.roles.fetch(roleMapping.roleId).catch(() => null);
+  if (role) {
+    await notifyRoleChange(member, role, 'remove', roleConfig);
+  }
+}
+
 /**
  * Handle Reaction Add
- * Assigns a role to the user when they react
+ * Assigns a role to the user when they react, following the panel mode
  *
  * @param {MessageReaction} reaction - The reaction object
  * @param {User} user - The user who reacted
@@ -124,12 +261,14 @@ export async function handleReactionAdd(reaction, user) {
     }
   }
 
-  const roleConfig = getReactionRoleConfig(reaction.message.id);
+  const message = reaction.message;
+  const roleConfig = getReactionRoleConfig(message.id);
 
   // If this message doesn't have reaction roles configured, ignore
   if (!roleConfig) return;
 
-  const emoji = reaction.emoji.name;
+  // Custom emojis are matched by ID, unicode emojis by the emoji itself
+  const emoji = emojiKey(reaction.emoji);
 
   const roleMapping = roleConfig.find((config) => config.emoji === emoji);
 
@@ -137,10 +276,22 @@ export async function handleReactionAdd(reaction, user) {
   if (!roleMapping) return;
 
   const roleId = roleMapping.roleId;
+  const { mode, limit } = getPanelMode(roleConfig);
 
   try {
     // Get the guild member
-    const member = await reaction.message.guild.members.fetch(user.id);
+    const member = await message.guild.members.fetch(user.id);
+
+    // Drop panels only take roles away - clear the reaction so it can be used again
+    if (mode === 'drop') {
+      await clearUserReaction(message, emoji, user.id);
+      if (member.roles.cache.has(roleId)) {
+        await takeRole(member, roleMapping, roleConfig);
+      } else {
+        log.info(`${user.tag} doesn't have the role to remove`);
+      }
+      return;
+    }
 
     // Check if member already has the role
     if (member.roles.cache.has(roleId)) {
@@ -148,21 +299,47 @@ export async function handleReactionAdd(reaction, user) {
       return;
     }
 
-    setTemporaryStatus(`Assigning Role: ${user.username}`, ActivityType.Playing, 4000);
-
-    // Assign the role
-    await member.roles.add(roleId);
-    log.success(`Assigned role to ${user.tag} (${emoji})`);
+    // Refused reactions are removed so the panel shows what the member really has
+    const failed = checkRequirements(member, roleMapping.requirements);
+    if (failed) {
+      log.info(`${user.tag} is not eligible for role ${roleId}: ${failed}`);
+      await clearUserReaction(message, emoji, user.id);
+      await notifyRefusal(
+        member,
+        roleConfig,
+        `You can't get that role in **${message.guild.name}**. ${failed}`
+      );
+      return;
+    }
 
-    // Optional: Send DM to user (can be disabled if annoying)
-    try {
-      const role = await reaction.message.guild.roles.fetch(roleId);
-      await user.send(
-        `You've been given the **${role.name}** role in **${reaction.message.guild.name}**!`
+    const otherRoles = roleConfig.filter((config) => config.roleId !== roleId);
+    const heldRoles = otherRoles.filter((config) => member.roles.cache.has(config.roleId));
+
+    if (mode === 'limit' && heldRoles.length >= limit) {
+      log.info(`${user.tag} already has ${limit} role(s) from panel ${message.id}`);
+      await clearUserReaction(message, emoji, user.id);
+      await notifyRefusal(
+        member,
+        roleConfig,
+        `You can only have ${limit} role(s) from that panel in **${message.guild.name}**. ` +
+          'Remove one of your reactions first.'
       );
-    } catch {
-      // User has DMs disabled, ignore
-      log.info(`Could not DM ${user.tag} (DMs disabled)`);
+      return;
+    }
+
+    await giveRole(member, roleMapping, roleConfig);
+
+    // Unique panels swap the previous role for the new one and clear its reaction
+    if (mode === 'unique') {
+      if (heldRoles.length > 0) {
+        await member.roles.remove(heldRoles.map((config) => config.roleId));
+      }
+      for (const config of otherRoles) {
+        const reacted = message.reactions.cache.get(config.emoji)?.users.cache.has(user.id);
+        if (reacted || heldRoles.includes(config)) {
+          await clearUserReaction(message, config.emoji, user.id);
+        }
+      }
     }
   } catch (error) {
     log.error(`Error assigning role to ${user.tag}`, error);
@@ -176,7 +353,7 @@ export async function handleReactionAdd(reaction, user) {
 
 /**
  * Handle Reaction Remove
- * Removes a role from the user when they unreact
+ * Removes a role from the user when they unreact, following the panel mode
  *
  * @param {MessageReaction} reaction - The reaction object
  * @param {User} user - The user who unreacted
@@ -200,41 +377,35 @@ export async function handleReactionRemove(reaction, user) {
   // If this message doesn't have reaction roles configured, ignore
   if (!roleConfig) return;
 
-  const emoji = reaction.emoji.name;
+  const emoji = emojiKey(reaction.emoji);
+
+  // The bot removed this reaction itself - roles were already handled
+  if (consumeBotRemoval(`${reaction.message.id}-${user.id}-${emoji}`)) {
+    return;
+  }
+
+  // Verify panels keep roles, drop panels never hand them out
+  const { mode } = getPanelMode(roleConfig);
+  if (mode === 'verify' || mode === 'drop') {
+    return;
+  }
 
   const roleMapping = roleConfig.find((config) => config.emoji === emoji);
 
   // Check if emoji is mapped to a role
   if (!roleMapping) return;
 
-  const roleId = roleMapping.roleId;
-
   try {
     // Get the guild member
     const member = await reaction.message.guild.members.fetch(user.id);
 
     // Check if member has the role
-    if (!member.roles.cache.has(roleId)) {
+    if (!member.roles.cache.has(roleMapping.roleId)) {
       log.info(`${user.tag} doesn't have the role to remove`);
       return;
     }
 
-    setTemporaryStatus(`Removing Role: ${user.username}`, ActivityType.Playing, 4000);
-
-    // Remove the role
-    await member.roles.remove(roleId);
-    log.success(`Removed role from ${user.tag} (${emoji})`);
-
-    // Optional: Send DM to user
-    try {
-      const role = await reaction.message.guild.roles.fetch(roleId);
-      await user.send(
-        `Your **${role.name}** role has been removed in **${reaction.message.guild.name}**.`
-      );
-    } catch {
-      // User has DMs disabled, ignore
-      log.info(`Could not DM ${user.tag} (DMs disabled)`);
-    }
+    await takeRole(member, roleMapping, roleConfig);
   } catch (error) {
     log.error(`Error removing role from ${user.tag}`, error);
   }
@@ -271,7 +442,11 @@ export function setupReactionRoleHandler(client) {
    * Clears in-memory cache for the specific guild when /reset is executed
    * This ensures the bot immediately stops using old reaction role configurations
    */
-  client.on('guildConfigReset', (guildId) => {
+  eventBus.on(Events.GUILD_RESET, ({ guildId, scopes }) => {
+    if (!scopes.includes('reaction-roles')) {
+      return;
+    }
+
     log.system(`[RESET] Clearing reaction role cache for guild: ${guildId}`);
 
     // Remove guild-specific message ID from memory
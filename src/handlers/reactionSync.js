@@ -0,0 +1,323 @@
+/**
+ * Reaction Sync Handler - Catch up on reactions added or removed while the bot was offline
+ * Walks every stored reaction role panel, fetches who reacts with each mapped emoji
+ * and fixes member roles the way the panel mode would have
+ * Runs on startup and on demand with /sync-reaction-roles
+ * The startup run only adds roles unless REACTION_SYNC_REMOVE_ON_STARTUP=true, since members
+ * may hold panel roles given some other way (by hand, level rewards, autoroles, sticky roles)
+ */
+
+import { getAllReactionRoleConfigs } from '../data/storage.js';
+import { getPanelMode, clearUserReaction } from './reactionRoles.js';
+import { checkRequirements } from './roleRequirements.js';
+import { getConflictingRoles, removeConflictingRoles } from './roleGroups.js';
+import log from '../utils/colors.js';
+import { formatEmoji } from '../utils/emoji.js';
+
+const SYNC_ON_STARTUP = process.env.REACTION_SYNC_ON_STARTUP !== 'false';
+const REMOVE_ON_STARTUP = process.env.REACTION_SYNC_REMOVE_ON_STARTUP === 'true';
+
+// Pause between panels so a large sync doesn't crowd out live events
+const PANEL_DELAY_MS = 1000;
+
+const REACTION_USERS_PAGE_SIZE = 100; // Discord maximum
+
+const SYNC_REASON = 'Reaction role sync';
+
+// Guilds with a sync in progress - a second run would race the first
+const runningGuilds = new Set();
+
+/**
+ * Sync the reaction role panels of a guild
+ * @param {Guild} guild - Discord guild
+ * @param {Object} options - Sync options
+ * @param {string} [options.messageId] - Only sync this panel
+ * @param {boolean} [options.removeRoles=true] - Remove roles of members who don't react
+ * @returns {Promise<Object|null>} Totals ({ panels, added, removed, cleared, skipped }), or null if already running
+ */
+export async function syncGuildReactionRoles(guild, { messageId, removeRoles = true } = {}) {
+  if (runningGuilds.has(guild.id)) {
+    return null;
+  }
+
+  const panels = [...getAllReactionRoleConfigs()].filter(
+    ([id, config]) => config?.[0]?.guildId === guild.id && (!messageId || id === messageId)
+  );
+  const totals = { panels: panels.length, added: 0, removed: 0, cleared: 0, skipped: 0 };
+  if (panels.length === 0) {
+    return totals;
+  }
+
+  runningGuilds.add(guild.id);
+  try {
+    // Members holding panel roles are needed to find reactions removed while offline
+    const members = await guild.members.fetch();
+
+    for (const [index, [panelId, config]] of panels.entries()) {
+      const result = await syncPanel(guild, members, panelId, config, { removeRoles });
+
+      if (!result) {
+        totals.skipped++;
+        log.warn(
+          `[REACTION SYNC] (${index + 1}/${panels.length}) ${guild.name}: panel ${panelId} skipped - message not found`
+        );
+      } else {
+        totals.added += result.added;
+        totals.removed += result.removed;
+        totals.cleared += result.cleared;
+        log.system(
+          `[REACTION SYNC] (${index + 1}/${panels.length}) ${guild.name}: panel ${panelId} - ${result.added} added, ${result.removed} removed`
+        );
+      }
+
+      if (index < panels.length - 1) {
+        await new Promise((resolve) => setTimeout(resolve, PANEL_DELAY_MS));
+      }
+    }
+  } finally {
+    runningGuilds.delete(guild.id);
+  }
+
+  return totals;
+}
+
+/**
+ * Sync every guild the bot is in
+ * @param {Client} client - Discord client instance
+ * @param {Object} [options] - Sync options, see syncGuildReactionRoles
+ */
+export async function syncAllReactionRoles(client, options = {}) {
+  const totals = { panels: 0, added: 0, removed: 0, cleared: 0, skipped: 0 };
+
+  for (const guild of client.guilds.cache.values()) {
+    try {
+      const result = await syncGuildReactionRoles(guild, options);
+      for (const key of Object.keys(totals)) {
+        totals[key] += result?.[key] || 0;
+      }
+    } catch (error) {
+      log.error(`[REACTION SYNC] Failed to sync ${guild.name}`, error);
+    }
+  }
+
+  log.success(
+    `[REACTION SYNC] Checked ${totals.panels} panel(s): ${totals.added} role(s) added, ${totals.removed} removed, ${totals.skipped} panel(s) skipped`
+  );
+}
+
+/**
+ * Initialize reaction sync - catches up once on startup
+ * Discord rate limits hit during the sync are logged so slow syncs can be explained
+ * @param {Client} client - Discord client instance
+ */
+export function setupReactionSync(client) {
+  client.rest.on('rateLimited', (info) => {
+    if (runningGuilds.size === 0) {
+      return;
+    }
+    log.warn(
+      `[REACTION SYNC] Rate limited on ${info.route} - waiting ${Math.ceil(info.timeToReset / 1000)}s`
+    );
+  });
+
+  log.success('Reaction sync handler initialized');
+
+  if (!SYNC_ON_STARTUP) {
+    log.info('[REACTION SYNC] Startup sync disabled (REACTION_SYNC_ON_STARTUP=false)');
+    return;
+  }
+
+  syncAllReactionRoles(client, { removeRoles: REMOVE_ON_STARTUP }).catch((error) =>
+    log.error('Startup reaction sync failed', error)
+  );
+}
+
+/**
+ * Sync one panel
+ * Role removals run before additions so unique and limit panels have room for new roles
+ * @param {Guild} guild - Discord guild
+ * @param {Collection} members - Every member of the guild
+ * @param {string} messageId - Panel message ID
+ * @param {Array} config - Panel role entries
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.removeRoles=true] - Remove roles of members who don't react;
+ *   when false only reactions decide removals (drop panels and unique swaps)
+ * @returns {Promise<Object|null>} { added, removed, cleared }, or null if the message is gone
+ */
+export async function syncPanel(guild, members, messageId, config, { removeRoles = true } = {}) {
+  const channel = await guild.channels.fetch(config[0].channelId).catch(() => null);
+  const message = channel ? await channel.messages.fetch(messageId).catch(() => null) : null;
+  if (!message) {
+    return null;
+  }
+
+  const { mode, limit } = getPanelMode(config);
+  const result = { added: 0, removed: 0, cleared: 0 };
+
+  // Who reacts with each emoji (bots and members who left are ignored)
+  const reactors = new Map();
+  const cleared = new Set();
+  for (const entry of config) {
+    const reaction = message.reactions.cache.get(entry.emoji);
+    const users = await fetchReactionUsers(reaction);
+    reactors.set(entry, new Set([...users].filter((userId) => members.has(userId))));
+
+    // The bot always reacts to its panels - without its reaction someone cleared them,
+    // and taking the role from everyone would be wrong
+    if (!reaction?.me) {
+      cleared.add(entry);
+    }
+  }
+  if (cleared.size > 0) {
+    log.warn(
+      `[REACTION SYNC] Reactions on panel ${messageId} were cleared - not removing roles for ${[...cleared].map(formatEmoji).join(' ')}`
+    );
+  }
+
+  // Panel roles each member holds, kept up to date as roles change
+  const held = new Map();
+  for (const member of members.values()) {
+    const roles = config.filter((entry) => member.roles.cache.has(entry.roleId));
+    if (roles.length > 0) {
+      held.set(member.id, new Set(roles));
+    }
+  }
+  const holds = (userId, entry) => held.get(userId)?.has(entry) ?? false;
+
+  const clearReaction = async (entry, userId) => {
+    if (await clearUserReaction(message, entry.emoji, userId)) {
+      result.cleared++;
+    }
+  };
+
+  const changeRole = async (userId, entry, add) => {
+    const member = members.get(userId);
+    try {
+      if (add) {
+        await member.roles.add(entry.roleId, SYNC_REASON);
+        if (!held.has(userId)) {
+          held.set(userId, new Set());
+        }
+        held.get(userId).add(entry);
+        result.added++;
+      } else {
+        await member.roles.remove(entry.roleId, SYNC_REASON);
+        held.get(userId)?.delete(entry);
+        result.removed++;
+      }
+    } catch (error) {
+      log.warn(`[REACTION SYNC] Could not update roles of ${member.user.tag}: ${error.message}`);
+    }
+  };
+
+  // Drop panels: every reaction is a request to lose the role
+  if (mode === 'drop') {
+    for (const [entry, userIds] of reactors) {
+      for (const userId of userIds) {
+        if (holds(userId, entry)) {
+          await changeRole(userId, entry, false);
+        }
+        await clearReaction(entry, userId);
+      }
+    }
+    return result;
+  }
+
+  // Unique panels: a member reacting with several emojis keeps the role they hold, or the first one
+  if (mode === 'unique') {
+    for (const userId of new Set([...reactors.values()].flatMap((ids) => [...ids]))) {
+      const reacted = config.filter((entry) => reactors.get(entry).has(userId));
+      if (reacted.length < 2) {
+        continue;
+      }
+
+      const keep = reacted.find((entry) => holds(userId, entry)) || reacted[0];
+      for (const entry of reacted) {
+        if (entry === keep) {
+          continue;
+        }
+        reactors.get(entry).delete(userId);
+        await clearReaction(entry, userId);
+      }
+    }
+  }
+
+  // Roles of members who removed their reaction - verify panels keep them
+  if (removeRoles && mode !== 'verify') {
+    for (const [userId, entries] of held) {
+      for (const entry of [...entries]) {
+        if (cleared.has(entry) || reactors.get(entry).has(userId)) {
+          continue;
+        }
+        await changeRole(userId, entry, false);
+      }
+    }
+  }
+
+  // Roles of members who reacted - reactions over the limit or failing requirements are cleared
+  for (const [entry, userIds] of reactors) {
+    const conflicts = getConflictingRoles(guild.id, entry.roleId);
+
+    for (const userId of userIds) {
+      if (holds(userId, entry)) {
+        continue;
+      }
+
+      const member = members.get(userId);
+      const overLimit = mode === 'limit' && (held.get(userId)?.size || 0) >= limit;
+      if (overLimit || checkRequirements(member, entry.requirements)) {
+        await clearReaction(entry, userId);
+        continue;
+      }
+      await changeRole(userId, entry, true);
+      if (!holds(userId, entry)) {
+        continue;
+      }
+
+      // Like a live reaction, the new role swaps out the other roles on a unique panel
+      // and the other roles of its exclusive groups. Panel roles are tracked in held,
+      // since the member cache is not updated by the sync
+      for (const other of [...(held.get(userId) || [])]) {
+        if (other === entry || (mode !== 'unique' && !conflicts.has(other.roleId))) {
+          continue;
+        }
+        await changeRole(userId, other, false);
+        // A reaction kept for a role lost to a group would hand it back on the next sync
+        if (reactors.get(other).delete(userId)) {
+          await clearReaction(other, userId);
+        }
+      }
+      await removeConflictingRoles(member, [entry.roleId]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fetch every user who reacted with an emoji, page by page
+ * @param {MessageReaction} [reaction] - Reaction on the panel message
+ * @returns {Promise<Set<string>>} IDs of users (not bots) who reacted
+ */
+async function fetchReactionUsers(reaction) {
+  const userIds = new Set();
+  if (!reaction) {
+    return userIds;
+  }
+
+  let after;
+  for (;;) {
+    const page = await reaction.users.fetch({ limit: REACTION_USERS_PAGE_SIZE, after });
+    for (const user of page.values()) {
+      if (!user.bot) {
+        userIds.add(user.id);
+      }
+    }
+    if (page.size < REACTION_USERS_PAGE_SIZE) {
+      break;
+    }
+    after = page.lastKey();
+  }
+
+  return userIds;
+}
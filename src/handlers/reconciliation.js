@@ -0,0 +1,645 @@
+/**
+ * Reconciliation Handler - Find stored configs that point at deleted messages, channels or roles
+ * Runs when the bot starts, on a schedule, and on demand with /diagnose
+ * Dangling entries are only reported unless pruning is requested or enabled for the server
+ */
+
+import { RESTJSONErrorCodes } from 'discord.js';
+import {
+  getWelcomeConfig,
+  saveWelcomeConfig,
+  removeWelcomeConfig,
+  getLeaveConfig,
+  removeLeaveConfig,
+  getAutoroleConfig,
+  saveAutoroleConfig,
+  removeAutoroleConfig,
+  getStickyRoleConfig,
+  saveStickyRoleConfig,
+  removeStickyRoleConfig,
+  getVerificationConfig,
+  saveVerificationConfig,
+  removeVerificationConfig,
+  getAntiRaidConfig,
+  saveAntiRaidConfig,
+  getAllReactionRoleConfigs,
+  getReactionRoleConfig,
+  saveReactionRoleConfig,
+  removeReactionRoleConfig,
+  getAllButtonRoleConfigs,
+  getButtonRoleConfig,
+  saveButtonRoleConfig,
+  removeButtonRoleConfig,
+  getAllSelectRoleConfigs,
+  getSelectRoleConfig,
+  saveSelectRoleConfig,
+  removeSelectRoleConfig,
+  getLevelingConfig,
+  saveLevelingConfig,
+  getGuildScheduledMessages,
+  removeScheduledMessage,
+  getTicketConfig,
+  saveTicketConfig,
+  getDiagnoseConfig
+} from '../data/storage.js';
+import { runAsSystem } from '../data/audit.js';
+import { cancelScheduledMessage } from './scheduledMessages.js';
+import log from '../utils/colors.js';
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+
+let reconcileTimer = null;
+
+/**
+ * Check every stored reference of a guild against Discord
+ * @param {Guild} guild - Discord guild
+ * @param {Object} options - Reconciliation options
+ * @param {boolean} options.prune - Remove dangling entries that can be fixed automatically
+ * @returns {Promise<{ issues: Array, unchecked: Array, pruned: number }>} Reconciliation report
+ */
+export async function reconcileGuild(guild, { prune = false } = {}) {
+  const issues = [];
+  const unchecked = [];
+
+  const checks = [
+    ['welcome and leave', checkMemberMessages],
+    ['autorole', checkAutoroles],
+    ['sticky-roles', checkStickyRoles],
+    ['verification', checkVerification],
+    ['anti-raid', checkAntiRaid],
+    ['reaction-roles', checkReactionRolePanels],
+    ['button-roles', checkButtonRolePanels],
+    ['select-roles', checkSelectRolePanels],
+    ['leveling', checkLeveling],
+    ['scheduled-messages', checkScheduledMessages],
+    ['tickets', checkTickets]
+  ];
+
+  for (const [module, check] of checks) {
+    try {
+      await check(guild, issues);
+    } catch (error) {
+      // Missing access or API errors - don't report entries we could not verify as dangling
+      unchecked.push({ module, reason: error.message });
+      log.warn(`[RECONCILE] Could not check ${module} in ${guild.name}: ${error.message}`);
+    }
+  }
+
+  let pruned = 0;
+  if (prune) {
+    for (const issue of issues) {
+      if (issue.fix) {
+        issue.fix();
+        issue.pruned = true;
+        pruned++;
+      }
+    }
+  }
+
+  return { issues, unchecked, pruned };
+}
+
+/**
+ * Reconcile every guild the bot is in
+ * Servers that enabled auto-prune with /diagnose get dangling entries removed
+ * @param {Client} client - Discord client instance
+ */
+export async function reconcileAllGuilds(client) {
+  let totalIssues = 0;
+  let totalPruned = 0;
+
+  for (const guild of client.guilds.cache.values()) {
+    const prune = getDiagnoseConfig(guild.id)?.autoPrune === true;
+    const { issues, pruned } = await runAsSystem(() => reconcileGuild(guild, { prune }));
+
+    for (const issue of issues) {
+      const action = issue.pruned ? 'pruned' : issue.suggestion;
+      log.warn(`[RECONCILE] ${guild.name} - ${issue.module}: ${issue.problem} (${action})`);
+    }
+
+    totalIssues += issues.length;
+    totalPruned += pruned;
+  }
+
+  log.system(
+    `[RECONCILE] Checked ${client.guilds.cache.size} server(s): ${totalIssues} dangling entr(ies), ${totalPruned} pruned`
+  );
+}
+
+/**
+ * Initialize reconciliation - runs once now and then on a schedule
+ * @param {Client} client - Discord client instance
+ */
+export function setupReconciliation(client) {
+  log.success('Reconciliation handler initialized');
+
+  reconcileAllGuilds(client).catch((error) => log.error('Startup reconciliation failed', error));
+
+  reconcileTimer = setInterval(() => {
+    reconcileAllGuilds(client).catch((error) =>
+      log.error('Scheduled reconciliation failed', error)
+    );
+  }, RECONCILE_INTERVAL_MS);
+  reconcileTimer.unref();
+}
+
+/**
+ * Fetch a channel of the guild
+ * @param {Guild} guild - Discord guild
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<GuildChannel|null>} Channel, or null if it was deleted
+ */
+async function findChannel(guild, channelId) {
+  return guild.channels.fetch(channelId).catch((error) => {
+    if (error.code === RESTJSONErrorCodes.UnknownChannel) {
+      return null;
+    }
+    throw error;
+  });
+}
+
+/**
+ * Fetch a message of a channel
+ * @param {TextChannel} channel - Discord channel
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Message|null>} Message, or null if it was deleted
+ */
+async function findMessage(channel, messageId) {
+  return channel.messages.fetch(messageId).catch((error) => {
+    if (error.code === RESTJSONErrorCodes.UnknownMessage) {
+      return null;
+    }
+    throw error;
+  });
+}
+
+/**
+ * Welcome and leave channels
+ */
+async function checkMemberMessages(guild, issues) {
+  const welcome = getWelcomeConfig(guild.id);
+  if (welcome && !(await findChannel(guild, welcome.channelId))) {
+    issues.push({
+      module: 'welcome',
+      target: welcome.channelId,
+      problem: 'Welcome channel was deleted',
+      suggestion: 'Run /setup-welcome with an existing channel',
+      fix: () => removeWelcomeConfig(guild.id)
+    });
+  } else if (welcome) {
+    for (const [field, label] of [
+      ['rulesChannelId', 'Rules'],
+      ['roleChannelId', 'Roles']
+    ]) {
+      if (welcome[field] && !(await findChannel(guild, welcome[field]))) {
+        issues.push({
+          module: 'welcome',
+          target: welcome[field],
+          problem: `${label} channel linked in the welcome message was deleted`,
+          suggestion: 'Run /setup-welcome to pick another channel',
+          fix: () => {
+            const current = getWelcomeConfig(guild.id);
+            if (current) {
+              saveWelcomeConfig(guild.id, { ...current, [field]: null });
+            }
+          }
+        });
+      }
+    }
+  }
+
+  const leave = getLeaveConfig(guild.id);
+  if (leave && !(await findChannel(guild, leave.channelId))) {
+    issues.push({
+      module: 'leave',
+      target: leave.channelId,
+      problem: 'Leave channel was deleted',
+      suggestion: 'Run /setup-leave with an existing channel',
+      fix: () => removeLeaveConfig(guild.id)
+    });
+  }
+}
+
+/**
+ * Reaction role panels
+ */
+async function checkReactionRolePanels(guild, issues) {
+  await checkRolePanels(guild, issues, {
+    module: 'reaction-roles',
+    configs: getAllReactionRoleConfigs(),
+    getConfig: getReactionRoleConfig,
+    saveConfig: saveReactionRoleConfig,
+    removeConfig: removeReactionRoleConfig,
+    removeCommand: '/remove-reaction-roles'
+  });
+}
+
+/**
+ * Button role panels
+ */
+async function checkButtonRolePanels(guild, issues) {
+  await checkRolePanels(guild, issues, {
+    module: 'button-roles',
+    configs: getAllButtonRoleConfigs(),
+    getConfig: getButtonRoleConfig,
+    saveConfig: saveButtonRoleConfig,
+    removeConfig: removeButtonRoleConfig,
+    removeCommand: '/remove-button-roles'
+  });
+}
+
+/**
+ * Select menu role panels
+ */
+async function checkSelectRolePanels(guild, issues) {
+  await checkRolePanels(guild, issues, {
+    module: 'select-roles',
+    configs: getAllSelectRoleConfigs(),
+    getConfig: getSelectRoleConfig,
+    saveConfig: saveSelectRoleConfig,
+    removeConfig: removeSelectRoleConfig,
+    removeCommand: '/remove-select-roles'
+  });
+}
+
+/**
+ * Check role panels: panel message, its channel, and every role on it
+ * @param {Guild} guild - Discord guild
+ * @param {Array} issues - Issue list to add to
+ * @param {Object} panelType - Panel storage accessors and names
+ */
+async function checkRolePanels(guild, issues, panelType) {
+  const { module, configs, getConfig, saveConfig, removeConfig, removeCommand } = panelType;
+
+  for (const [messageId, config] of [...configs.entries()]) {
+    if (config?.[0]?.guildId !== guild.id) {
+      continue;
+    }
+
+    const channel = await findChannel(guild, config[0].channelId);
+    const message = channel ? await findMessage(channel, messageId) : null;
+
+    if (!message) {
+      issues.push({
+        module,
+        target: messageId,
+        problem: channel ? 'Panel message was deleted' : 'Panel channel was deleted',
+        suggestion: `Remove it with ${removeCommand} and set the panel up again`,
+        fix: () => removeConfig(messageId)
+      });
+      continue;
+    }
+
+    for (const role of config) {
+      if (guild.roles.cache.has(role.roleId)) {
+        continue;
+      }
+
+      issues.push({
+        module,
+        target: messageId,
+        problem: `Role ${role.roleId} on the panel was deleted`,
+        suggestion: 'Set the panel up again without this role',
+        fix: () => {
+          const current = getConfig(messageId);
+          if (!current) {
+            return;
+          }
+
+          const remaining = current.filter((entry) => entry.roleId !== role.roleId);
+          if (remaining.length > 0) {
+            saveConfig(messageId, remaining);
+          } else {
+            removeConfig(messageId);
+          }
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Roles given to new members
+ */
+async function checkAutoroles(guild, issues) {
+  const config = getAutoroleConfig(guild.id);
+  if (!config) {
+    return;
+  }
+
+  for (const roleId of [...config.humanRoleIds, ...config.botRoleIds]) {
+    if (guild.roles.cache.has(roleId)) {
+      continue;
+    }
+
+    issues.push({
+      module: 'autorole',
+      target: roleId,
+      problem: `Autorole ${roleId} was deleted`,
+      suggestion: 'Run /setup-autorole with the current roles',
+      fix: () => {
+        const current = getAutoroleConfig(guild.id);
+        if (!current) {
+          return;
+        }
+
+        const updated = {
+          ...current,
+          humanRoleIds: current.humanRoleIds.filter((id) => id !== roleId),
+          botRoleIds: current.botRoleIds.filter((id) => id !== roleId)
+        };
+        if (updated.humanRoleIds.length === 0 && updated.botRoleIds.length === 0) {
+          removeAutoroleConfig(guild.id);
+        } else {
+          saveAutoroleConfig(guild.id, updated);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Roles listed for sticky roles
+ */
+async function checkStickyRoles(guild, issues) {
+  const config = getStickyRoleConfig(guild.id);
+  if (!config) {
+    return;
+  }
+
+  for (const roleId of config.roleIds) {
+    if (guild.roles.cache.has(roleId)) {
+      continue;
+    }
+
+    issues.push({
+      module: 'sticky-roles',
+      target: roleId,
+      problem: `Sticky role list entry ${roleId} was deleted`,
+      suggestion: 'Run /setup-sticky-roles with the current roles',
+      fix: () => {
+        const current = getStickyRoleConfig(guild.id);
+        if (!current) {
+          return;
+        }
+
+        const roleIds = current.roleIds.filter((id) => id !== roleId);
+        if (roleIds.length === 0 && current.mode === 'allow') {
+          // Nothing would be given back any more
+          removeStickyRoleConfig(guild.id);
+        } else {
+          saveStickyRoleConfig(guild.id, {
+            ...current,
+            roleIds,
+            mode: roleIds.length === 0 ? 'all' : current.mode
+          });
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Verification panel, roles and log channel
+ */
+async function checkVerification(guild, issues) {
+  const config = getVerificationConfig(guild.id);
+  if (!config) {
+    return;
+  }
+
+  // Without the panel or the verified role nobody can verify, so only a new setup helps
+  const channel = await findChannel(guild, config.channelId);
+  if (!channel) {
+    issues.push({
+      module: 'verification',
+      target: config.channelId,
+      problem: 'Verification channel was deleted',
+      suggestion: 'Run /setup-verification with an existing channel',
+      fix: () => removeVerificationConfig(guild.id)
+    });
+  } else if (config.messageId && !(await findMessage(channel, config.messageId))) {
+    issues.push({
+      module: 'verification',
+      target: config.messageId,
+      problem: 'Verify panel message was deleted',
+      suggestion: 'Run /setup-verification with a channel to post a new panel'
+    });
+  }
+
+  if (!guild.roles.cache.has(config.verifiedRoleId)) {
+    issues.push({
+      module: 'verification',
+      target: config.verifiedRoleId,
+      problem: 'Verified role was deleted',
+      suggestion: 'Run /setup-verification with an existing verified-role',
+      fix: () => removeVerificationConfig(guild.id)
+    });
+  }
+
+  const clearField = (field) => () => {
+    const current = getVerificationConfig(guild.id);
+    if (current) {
+      saveVerificationConfig(guild.id, { ...current, [field]: null });
+    }
+  };
+
+  if (config.unverifiedRoleId && !guild.roles.cache.has(config.unverifiedRoleId)) {
+    issues.push({
+      module: 'verification',
+      target: config.unverifiedRoleId,
+      problem: 'Unverified role was deleted',
+      suggestion: 'Run /setup-verification with an existing unverified-role',
+      fix: clearField('unverifiedRoleId')
+    });
+  }
+
+  if (config.logChannelId && !(await findChannel(guild, config.logChannelId))) {
+    issues.push({
+      module: 'verification',
+      target: config.logChannelId,
+      problem: 'Verification log channel was deleted',
+      suggestion: 'Run /setup-verification with an existing log-channel',
+      fix: clearField('logChannelId')
+    });
+  }
+}
+
+/**
+ * Quarantine role and alert channel used during lockdowns
+ */
+async function checkAntiRaid(guild, issues) {
+  const config = getAntiRaidConfig(guild.id);
+  if (!config) {
+    return;
+  }
+
+  // Kicking instead is a moderation choice, so there's nothing to prune
+  if (config.action === 'quarantine' && !guild.roles.cache.has(config.quarantineRoleId)) {
+    issues.push({
+      module: 'anti-raid',
+      target: config.quarantineRoleId,
+      problem: 'Quarantine role was deleted',
+      suggestion: 'Run /setup-anti-raid with an existing quarantine-role'
+    });
+  }
+
+  if (config.alertChannelId && !(await findChannel(guild, config.alertChannelId))) {
+    issues.push({
+      module: 'anti-raid',
+      target: config.alertChannelId,
+      problem: 'Anti-raid alert channel was deleted',
+      suggestion: 'Run /setup-anti-raid with an existing alert-channel',
+      fix: () => {
+        const current = getAntiRaidConfig(guild.id);
+        if (current) {
+          saveAntiRaidConfig(guild.id, { ...current, alertChannelId: null });
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Level-up announcement channel and level roles
+ */
+async function checkLeveling(guild, issues) {
+  const config = getLevelingConfig(guild.id);
+  if (!config) {
+    return;
+  }
+
+  if (config.announceChannel && !(await findChannel(guild, config.announceChannel))) {
+    issues.push({
+      module: 'leveling',
+      target: config.announceChannel,
+      problem: 'Level-up announcement channel was deleted',
+      suggestion: 'Run /setup-leveling with an existing channel',
+      fix: () => {
+        const current = getLevelingConfig(guild.id);
+        if (current) {
+          saveLevelingConfig(guild.id, { ...current, announceChannel: null });
+        }
+      }
+    });
+  }
+
+  for (const levelRole of config.levelRoles || []) {
+    if (guild.roles.cache.has(levelRole.roleId)) {
+      continue;
+    }
+
+    issues.push({
+      module: 'leveling',
+      target: levelRole.roleId,
+      problem: `Level ${levelRole.level} reward role${levelRole.roleName ? ` "${levelRole.roleName}"` : ''} was deleted`,
+      suggestion: 'Add a new reward role with /add-level-role',
+      fix: () => {
+        const current = getLevelingConfig(guild.id);
+        if (!current) {
+          return;
+        }
+        saveLevelingConfig(guild.id, {
+          ...current,
+          levelRoles: current.levelRoles.filter((entry) => entry.roleId !== levelRole.roleId)
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Scheduled message channels
+ */
+async function checkScheduledMessages(guild, issues) {
+  for (const message of getGuildScheduledMessages(guild.id)) {
+    if (await findChannel(guild, message.channelId)) {
+      continue;
+    }
+
+    issues.push({
+      module: 'scheduled-messages',
+      target: message.name,
+      problem: `Channel of scheduled message "${message.name}" was deleted`,
+      suggestion: 'Remove it with /remove-scheduled and schedule it again',
+      fix: () => {
+        cancelScheduledMessage(message.id);
+        removeScheduledMessage(guild.id, message.id);
+      }
+    });
+  }
+}
+
+/**
+ * Ticket panel, category, transcript channel and staff roles
+ */
+async function checkTickets(guild, issues) {
+  const config = getTicketConfig(guild.id);
+  if (!config) {
+    return;
+  }
+
+  const updateConfig = (changes) => {
+    const current = getTicketConfig(guild.id);
+    if (current) {
+      saveTicketConfig(guild.id, { ...current, ...changes(current) });
+    }
+  };
+
+  if (!(await findChannel(guild, config.categoryId))) {
+    issues.push({
+      module: 'tickets',
+      target: config.categoryId,
+      problem: 'Ticket category was deleted',
+      suggestion: 'Run /setup-ticket with an existing category',
+      fix: null
+    });
+  }
+
+  const panelChannel = await findChannel(guild, config.panelChannelId);
+  if (!panelChannel) {
+    issues.push({
+      module: 'tickets',
+      target: config.panelChannelId,
+      problem: 'Ticket panel channel was deleted',
+      suggestion: 'Run /setup-ticket to post a new panel',
+      fix: null
+    });
+  } else if (config.panelMessageId && !(await findMessage(panelChannel, config.panelMessageId))) {
+    issues.push({
+      module: 'tickets',
+      target: config.panelMessageId,
+      problem: 'Ticket panel message was deleted',
+      suggestion: 'Run /setup-ticket to post a new panel',
+      fix: () => updateConfig(() => ({ panelMessageId: null }))
+    });
+  }
+
+  if (config.transcriptChannelId && !(await findChannel(guild, config.transcriptChannelId))) {
+    issues.push({
+      module: 'tickets',
+      target: config.transcriptChannelId,
+      problem: 'Transcript channel was deleted',
+      suggestion: 'Run /setup-ticket with an existing transcript channel',
+      fix: () => updateConfig(() => ({ transcriptChannelId: null }))
+    });
+  }
+
+  const missingRoles = config.staffRoleIds.filter((roleId) => !guild.roles.cache.has(roleId));
+  for (const roleId of missingRoles) {
+    const isLastRole = missingRoles.length === config.staffRoleIds.length;
+    issues.push({
+      module: 'tickets',
+      target: roleId,
+      problem: `Staff role ${roleId} was deleted`,
+      suggestion: 'Run /setup-ticket with the current staff roles',
+      // Keep at least one staff role so ticket permissions stay valid
+      fix: isLastRole
+        ? null
+        : () =>
+            updateConfig((current) => ({
+              staffRoleIds: current.staffRoleIds.filter((id) => id !== roleId)
+            }))
+    });
+  }
+}
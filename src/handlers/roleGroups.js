@@ -0,0 +1,96 @@
+/**
+ * Exclusive Role Groups - A member holds at most one role of each group
+ * Groups are per server and span every panel: granting a role from a group
+ * through reaction, button or select menu panels, level rewards or autoroles
+ * removes the other roles of that group
+ */
+
+import { getRoleGroups } from '../data/storage.js';
+import log from '../utils/colors.js';
+
+const GROUP_REASON = 'Exclusive role group';
+
+/**
+ * Get the groups a role belongs to
+ * @param {string} guildId - Discord guild ID
+ * @param {string} roleId - Discord role ID
+ * @returns {Array} Role groups ({ name, roleIds })
+ */
+export function getGroupsOfRole(guildId, roleId) {
+  return getRoleGroups(guildId).filter((group) => group.roleIds.includes(roleId));
+}
+
+/**
+ * Get the roles that conflict with a role - every other role of its groups
+ * @param {string} guildId - Discord guild ID
+ * @param {string} roleId - Discord role ID
+ * @returns {Set<string>} Conflicting role IDs
+ */
+export function getConflictingRoles(guildId, roleId) {
+  const conflicts = new Set();
+  for (const group of getGroupsOfRole(guildId, roleId)) {
+    for (const id of group.roleIds) {
+      if (id !== roleId) {
+        conflicts.add(id);
+      }
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Find roles of a list that share a group with an earlier role of the list
+ * Used when several roles are granted at once, where only one per group can stay
+ * @param {string} guildId - Discord guild ID
+ * @param {Array<string>} roleIds - Roles about to be granted, in order of preference
+ * @returns {Map<string, string>} Dropped role ID -> name of the group it clashed in
+ */
+export function findGroupClashes(guildId, roleIds) {
+  const clashes = new Map();
+  const kept = [];
+
+  for (const roleId of roleIds) {
+    const group = getGroupsOfRole(guildId, roleId).find((candidate) =>
+      kept.some((keptId) => candidate.roleIds.includes(keptId))
+    );
+    if (group) {
+      clashes.set(roleId, group.name);
+    } else {
+      kept.push(roleId);
+    }
+  }
+
+  return clashes;
+}
+
+/**
+ * Remove the roles that conflict with roles a member was just given
+ * Failures are logged - the granted roles stay either way
+ * @param {GuildMember} member - Guild member
+ * @param {Array<string>} grantedRoleIds - Roles the member was given
+ * @returns {Promise<Array<string>>} IDs of the roles removed
+ */
+export async function removeConflictingRoles(member, grantedRoleIds) {
+  const conflicts = new Set();
+  for (const roleId of grantedRoleIds) {
+    for (const id of getConflictingRoles(member.guild.id, roleId)) {
+      conflicts.add(id);
+    }
+  }
+
+  const held = [...conflicts].filter(
+    (roleId) => !grantedRoleIds.includes(roleId) && member.roles.cache.has(roleId)
+  );
+  if (held.length === 0) {
+    return [];
+  }
+
+  try {
+    await member.roles.remove(held, GROUP_REASON);
+    log.info(`Removed ${held.length} role(s) from ${member.user.tag} (exclusive role group)`);
+    return held;
+  } catch (error) {
+    log.warn(`Could not remove group roles of ${member.user.tag}: ${error.message}`);
+    return [];
+  }
+}
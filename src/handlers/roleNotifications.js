@@ -0,0 +1,100 @@
+/**
+ * Role Notifications - DMs sent when a panel gives or takes a role
+ * Settings come from the panel, then the server, then the defaults below:
+ * - dm: 'all' (every change), 'add' (only when a role is given) or 'off'
+ * - addTemplate / removeTemplate: message templates (see utils/templates.js), where {user}
+ *   is the member's name and {role} the role name
+ * - ephemeralOnly (button panels): answer in the ephemeral reply and never DM
+ */
+
+import { escapeMarkdown } from 'discord.js';
+import { getNotificationConfig } from '../data/storage.js';
+import log from '../utils/colors.js';
+import { memberVariables, renderOrFallback, renderTemplate } from '../utils/templates.js';
+
+export const DM_MODES = {
+  all: 'Every role change',
+  add: 'Only when a role is given',
+  off: 'Never'
+};
+
+export const DEFAULT_TEMPLATES = {
+  add: "You've been given the **{role}** role in **{server}**!",
+  remove: 'Your **{role}** role has been removed in **{server}**.'
+};
+
+// Users whose DMs failed - logged once per user, not on every role change
+const closedDms = new Set();
+
+/**
+ * Resolve the notification settings of a panel
+ * @param {string} guildId - Discord guild ID
+ * @param {Array} [panelConfig] - Panel role entries
+ * @returns {{dm: string, addTemplate: string, removeTemplate: string, ephemeralOnly: boolean}} Settings
+ */
+export function getNotificationSettings(guildId, panelConfig) {
+  const server = getNotificationConfig(guildId) || {};
+  const panel = panelConfig?.[0]?.notifications || {};
+
+  return {
+    dm: panel.dm || server.dm || 'all',
+    addTemplate: panel.addTemplate || server.addTemplate || DEFAULT_TEMPLATES.add,
+    removeTemplate: panel.removeTemplate || server.removeTemplate || DEFAULT_TEMPLATES.remove,
+    ephemeralOnly: panel.ephemeralOnly === true
+  };
+}
+
+/**
+ * Send a DM, logging members with DMs disabled once
+ * @param {User} user - Discord user
+ * @param {string} content - Message content
+ * @returns {Promise<boolean>} True if the DM was sent
+ */
+export async function sendDm(user, content) {
+  try {
+    await user.send(content);
+    closedDms.delete(user.id);
+    return true;
+  } catch {
+    if (!closedDms.has(user.id)) {
+      closedDms.add(user.id);
+      log.info(`Could not DM ${user.tag} (DMs disabled) - further failures are not logged`);
+    }
+    return false;
+  }
+}
+
+/**
+ * DM a member about a role a panel gave or took, following the panel settings
+ * @param {GuildMember} member - Guild member
+ * @param {Role} role - Role that changed
+ * @param {string} action - 'add' or 'remove'
+ * @param {Array} [panelConfig] - Panel role entries
+ * @returns {Promise<boolean>} True if a DM was sent
+ */
+export async function notifyRoleChange(member, role, action, panelConfig) {
+  const settings = getNotificationSettings(member.guild.id, panelConfig);
+
+  if (settings.ephemeralOnly || settings.dm === 'off') {
+    return false;
+  }
+  if (settings.dm === 'add' && action !== 'add') {
+    return false;
+  }
+
+  const template = action === 'add' ? settings.addTemplate : settings.removeTemplate;
+  const values = {
+    ...memberVariables(member),
+    // A DM mention of the member themselves reads oddly, so {user} is their name here
+    user: () => escapeMarkdown(member.user.username),
+    role: () => escapeMarkdown(role.name)
+  };
+  const content = renderOrFallback(
+    template,
+    'roleNotification',
+    values,
+    renderTemplate(DEFAULT_TEMPLATES[action], 'roleNotification', values)
+  );
+
+  return sendDm(member.user, content);
+}
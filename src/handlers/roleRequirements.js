@@ -0,0 +1,84 @@
+/**
+ * Role Requirements - Eligibility checks for self-assignable panel roles
+ * A panel role entry can carry `requirements`:
+ * - requiredRoleId: role the member must already have
+ * - blockedRoleId: role that stops the member from taking this one
+ * - minLevel: minimum level in the leveling system
+ * - minAccountAgeDays: minimum age of the Discord account
+ * - minMemberDays: minimum time in the server
+ */
+
+import { getUserLevel } from '../data/storage.js';
+import { calculateLevel } from './levelingSystem.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a member against the requirements of a role entry
+ * @param {GuildMember} member - Guild member taking the role
+ * @param {Object} [requirements] - Requirements of the role entry
+ * @returns {string|null} The failed requirement, worded for the member, or null if eligible
+ */
+export function checkRequirements(member, requirements) {
+  if (!requirements) {
+    return null;
+  }
+
+  const { requiredRoleId, blockedRoleId, minLevel, minAccountAgeDays, minMemberDays } =
+    requirements;
+  const roleName = (roleId) => member.guild.roles.cache.get(roleId)?.name || 'a required';
+
+  if (requiredRoleId && !member.roles.cache.has(requiredRoleId)) {
+    return `You need the **${roleName(requiredRoleId)}** role first.`;
+  }
+
+  if (blockedRoleId && member.roles.cache.has(blockedRoleId)) {
+    return `Members with the **${roleName(blockedRoleId)}** role can't take this role.`;
+  }
+
+  if (minLevel) {
+    const level = calculateLevel(getUserLevel(member.guild.id, member.id).xp);
+    if (level < minLevel) {
+      return `You need to reach level ${minLevel} first (you are level ${level}).`;
+    }
+  }
+
+  if (minAccountAgeDays && Date.now() - member.user.createdTimestamp < minAccountAgeDays * DAY_MS) {
+    return `Your Discord account must be at least ${minAccountAgeDays} day(s) old.`;
+  }
+
+  if (minMemberDays && Date.now() - member.joinedTimestamp < minMemberDays * DAY_MS) {
+    return `You must be in the server for at least ${minMemberDays} day(s).`;
+  }
+
+  return null;
+}
+
+/**
+ * Describe requirements for admins
+ * @param {Object} [requirements] - Requirements of the role entry
+ * @returns {string} Short description, e.g. "needs @Member • level 5+"
+ */
+export function describeRequirements(requirements) {
+  if (!requirements) {
+    return 'no requirements';
+  }
+
+  const parts = [];
+  if (requirements.requiredRoleId) {
+    parts.push(`needs <@&${requirements.requiredRoleId}>`);
+  }
+  if (requirements.blockedRoleId) {
+    parts.push(`blocked by <@&${requirements.blockedRoleId}>`);
+  }
+  if (requirements.minLevel) {
+    parts.push(`level ${requirements.minLevel}+`);
+  }
+  if (requirements.minAccountAgeDays) {
+    parts.push(`account ${requirements.minAccountAgeDays}+ day(s) old`);
+  }
+  if (requirements.minMemberDays) {
+    parts.push(`in server ${requirements.minMemberDays}+ day(s)`);
+  }
+  return parts.join(' • ');
+}
@@ -6,9 +6,12 @@
  */
 
 import { getScheduledMessages, removeScheduledMessage } from '../data/storage.js';
-import { ActivityType } from 'discord.js';
+import { ActivityType, escapeMarkdown } from 'discord.js';
 import { setTemporaryStatus } from '../utils/activityManager.js';
+import { runAsSystem } from '../data/audit.js';
+import { eventBus, Events } from '../utils/eventBus.js';
 import log from '../utils/colors.js';
+import { renderOrFallback } from '../utils/templates.js';
 
 // Store active timers so they can be cleared on reset or bot shutdown
 const activeTimers = new Map();
@@ -117,10 +120,16 @@ async function executeScheduledMessage(client, messageConfig) {
 
     // Create message content
     const messageData = {};
+    const variables = {
+      server: () => escapeMarkdown(channel.guild.name),
+      count: () => channel.guild.memberCount,
+      channel: () => channel.toString()
+    };
+    const render = (text) => renderOrFallback(text, 'scheduled', variables, text);
 
     // Add text content if provided
     if (messageConfig.content) {
-      messageData.content = messageConfig.content;
+      messageData.content = render(messageConfig.content);
     }
 
     // Add embed if configured
@@ -129,7 +138,7 @@ async function executeScheduledMessage(client, messageConfig) {
         {
           color: parseInt(messageConfig.embed.color.replace('#', ''), 16) || 0x0099ff,
           title: messageConfig.embed.title,
-          description: messageConfig.embed.description,
+          description: messageConfig.embed.description && render(messageConfig.embed.description),
           timestamp: new Date().toISOString(),
           footer: messageConfig.embed.footer
             ? { text: messageConfig.embed.footer }
@@ -148,7 +157,7 @@ async function executeScheduledMessage(client, messageConfig) {
     } else {
       // Remove one-time messages after execution
       log.info(`One-time message "${messageConfig.name}" completed, removing from schedule`);
-      removeScheduledMessage(messageConfig.guildId, messageConfig.id);
+      runAsSystem(() => removeScheduledMessage(messageConfig.guildId, messageConfig.id));
       activeTimers.delete(messageConfig.id);
     }
   } catch (error) {
@@ -206,6 +215,11 @@ export function setupScheduledMessages(client) {
   const allScheduled = getScheduledMessages();
 
   for (const [guildId, messages] of allScheduled) {
+    // Servers that removed the bot keep their messages until they are archived
+    if (!client.guilds.cache.has(guildId)) {
+      continue;
+    }
+
     for (const message of messages) {
       if (message.enabled) {
         scheduleMessage(client, message);
@@ -213,14 +227,34 @@ export function setupScheduledMessages(client) {
     }
   }
 
-  // Listen for new scheduled messages being added
-  client.on('scheduleAdded', (messageConfig) => {
-    log.info(`Activating new scheduled message: ${messageConfig.name}`);
-    scheduleMessage(client, messageConfig);
+  // Keep timers in sync with storage - covers new, removed, restored and undone messages
+  const syncTimers = ({ module, config = [], previous = [] }) => {
+    if (module !== 'scheduled-messages') {
+      return;
+    }
+    syncGuildTimers(client, previous, config);
+  };
+  eventBus.on(Events.CONFIG_CREATED, syncTimers);
+  eventBus.on(Events.CONFIG_UPDATED, syncTimers);
+  eventBus.on(Events.CONFIG_REMOVED, syncTimers);
+
+  // Messages can't be sent while the bot is not in the server
+  eventBus.on(Events.GUILD_DEACTIVATED, ({ guildId }) => {
+    for (const message of getScheduledMessages().get(guildId) || []) {
+      cancelScheduledMessage(message.id);
+    }
+  });
+
+  eventBus.on(Events.GUILD_REACTIVATED, ({ guildId }) => {
+    syncGuildTimers(client, [], getScheduledMessages().get(guildId) || []);
   });
 
   // This ensures scheduled messages stop immediately when /reset is used
-  client.on('guildConfigReset', (guildId) => {
+  eventBus.on(Events.GUILD_RESET, ({ guildId, scopes }) => {
+    if (!scopes.includes('scheduled')) {
+      return;
+    }
+
     log.system(`[RESET] Clearing scheduled messages for guild: ${guildId}`);
 
     // Get the guild's scheduled messages BEFORE they're deleted from storage
@@ -245,6 +279,35 @@ export function setupScheduledMessages(client) {
   log.info('Scheduled messages active - automatic announcements enabled');
 }
 
+/**
+ * Start, restart or cancel timers after a guild's scheduled messages changed
+ * @param {Client} client - Discord client instance
+ * @param {Array} previous - Scheduled messages before the change
+ * @param {Array} current - Scheduled messages after the change
+ */
+function syncGuildTimers(client, previous, current) {
+  const currentIds = new Set(current.map((message) => message.id));
+  for (const message of previous) {
+    if (!currentIds.has(message.id)) {
+      cancelScheduledMessage(message.id);
+    }
+  }
+
+  const previousById = new Map(previous.map((message) => [message.id, JSON.stringify(message)]));
+  for (const message of current) {
+    if (previousById.get(message.id) === JSON.stringify(message)) {
+      continue;
+    }
+
+    if (message.enabled) {
+      log.info(`Activating scheduled message: ${message.name}`);
+      scheduleMessage(client, message);
+    } else {
+      cancelScheduledMessage(message.id);
+    }
+  }
+}
+
 /**
  * Cancel a specific scheduled message
  * Used by the remove-scheduled command
@@ -0,0 +1,132 @@
+/**
+ * Select Menu Roles Handler
+ * A member's picks in a select menu become their roles: chosen roles are added,
+ * roles of the same menu that were not chosen are removed
+ */
+
+import { MessageFlags, ActivityType } from 'discord.js';
+import { log } from '../utils/colors.js';
+import { getSelectRoleConfig } from '../data/storage.js';
+import { setTemporaryStatus } from '../utils/activityManager.js';
+import { checkRequirements } from './roleRequirements.js';
+import { notifyRoleChange } from './roleNotifications.js';
+import { findGroupClashes, removeConflictingRoles } from './roleGroups.js';
+
+const SELECT_REASON = 'Select menu roles';
+
+/**
+ * Handle select menu role interactions
+ * @param {StringSelectMenuInteraction} interaction - Select menu interaction
+ */
+export async function handleSelectRole(interaction) {
+  if (!interaction.customId.startsWith('select_role_')) {
+    return;
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const config = getSelectRoleConfig(interaction.message.id);
+  if (!config) {
+    log.warn(`Select role configuration removed for message: ${interaction.message.id}`);
+    return interaction.editReply({
+      content: '❌ This select menu role configuration has been removed by an administrator!'
+    });
+  }
+
+  // Only roles offered by this menu change - a panel can have several menus
+  const offered = new Set(interaction.component.options.map((option) => option.value));
+  const entries = config.filter((entry) => offered.has(entry.roleId));
+
+  const member = interaction.member;
+  const selected = new Set(interaction.values);
+
+  let toAdd = [];
+  const toRemove = [];
+  const refused = [];
+
+  for (const entry of entries) {
+    const role = interaction.guild.roles.cache.get(entry.roleId);
+    if (!role) {
+      log.warn(`Select role not found: ${entry.roleId}`);
+      continue;
+    }
+
+    const has = member.roles.cache.has(role.id);
+    if (selected.has(role.id) && !has) {
+      const failed = checkRequirements(member, entry.requirements);
+      if (failed) {
+        refused.push(`❌ **${role.name}**: ${failed}`);
+      } else {
+        toAdd.push(role);
+      }
+    } else if (!selected.has(role.id) && has) {
+      toRemove.push(role);
+    }
+  }
+
+  // One role per exclusive group - roles the member keeps win over new picks
+  const kept = entries
+    .filter((entry) => selected.has(entry.roleId) && member.roles.cache.has(entry.roleId))
+    .map((entry) => entry.roleId);
+  const clashes = findGroupClashes(interaction.guild.id, [
+    ...kept,
+    ...toAdd.map((role) => role.id)
+  ]);
+  for (const role of toAdd.filter((candidate) => clashes.has(candidate.id))) {
+    refused.push(`❌ **${role.name}**: only one role of **${clashes.get(role.id)}** can be picked`);
+  }
+  toAdd = toAdd.filter((role) => !clashes.has(role.id));
+
+  if (toAdd.length === 0 && toRemove.length === 0) {
+    return interaction.editReply({
+      content: refused.length > 0 ? refused.join('\n') : 'Your roles already match your selection.'
+    });
+  }
+
+  try {
+    setTemporaryStatus(`Updating roles of ${member.user.username}`, ActivityType.Playing, 3000);
+
+    if (toRemove.length > 0) {
+      await member.roles.remove(toRemove, SELECT_REASON);
+    }
+    if (toAdd.length > 0) {
+      await member.roles.add(toAdd, SELECT_REASON);
+      const replaced = await removeConflictingRoles(
+        member,
+        toAdd.map((role) => role.id)
+      );
+      // The member cache can still list roles removed above
+      const removedIds = new Set(toRemove.map((role) => role.id));
+      toRemove.push(
+        ...replaced
+          .filter((roleId) => !removedIds.has(roleId))
+          .map((roleId) => interaction.guild.roles.cache.get(roleId))
+          .filter(Boolean)
+      );
+    }
+    log.success(
+      `Updated select roles of ${member.user.tag}: +${toAdd.length} -${toRemove.length} (panel ${interaction.message.id})`
+    );
+
+    for (const role of toAdd) {
+      await notifyRoleChange(member, role, 'add', config);
+    }
+    for (const role of toRemove) {
+      await notifyRoleChange(member, role, 'remove', config);
+    }
+
+    const names = (roles) => roles.map((role) => `**${role.name}**`).join(', ');
+    const lines = [
+      toAdd.length > 0 && `You've been given ${names(toAdd)}!`,
+      toRemove.length > 0 && `Removed ${names(toRemove)}.`,
+      ...refused
+    ];
+    await interaction.editReply({ content: lines.filter(Boolean).join('\n') });
+  } catch (error) {
+    log.error(`Failed to update select roles for ${member.user.tag}`, error);
+
+    await interaction.editReply({
+      content: 'Failed to update your roles. Please contact a server administrator!'
+    });
+  }
+}
@@ -211,9 +211,7 @@ export async function handleTicketCreate(interaction) {
       });
     }
 
-    const staffRoleIds = Array.isArray(config.staffRoleIds)
-      ? config.staffRoleIds
-      : [config.staffRoleId];
+    const staffRoleIds = config.staffRoleIds;
     const botRole = botMember.roles.highest;
 
     for (const staffRoleId of staffRoleIds) {
@@ -450,9 +448,7 @@ export async function handleTicketClaim(interaction) {
     }
 
     const config = getTicketConfig(guildId);
-    const staffRoleIds = Array.isArray(config.staffRoleIds)
-      ? config.staffRoleIds
-      : [config.staffRoleId];
+    const staffRoleIds = config.staffRoleIds;
     const member = interaction.member;
 
     const hasStaffRole = member.roles.cache.some((role) => staffRoleIds.includes(role.id));
@@ -518,9 +514,7 @@ export async function handleTicketClose(interaction) {
     }
 
     const config = getTicketConfig(guildId);
-    const staffRoleIds = Array.isArray(config.staffRoleIds)
-      ? config.staffRoleIds
-      : [config.staffRoleId];
+    const staffRoleIds = config.staffRoleIds;
     const member = interaction.member;
 
     const hasStaffRole = member.roles.cache.some((role) => staffRoleIds.includes(role.id));
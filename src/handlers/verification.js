@@ -0,0 +1,363 @@
+/**
+ * Verification Handler - Gate new members behind a verify button
+ * New members get the unverified role and only see the verification channel
+ * Clicking the panel button (and answering the challenge question, if set) gives the verified role
+ * Members who don't verify in time are kicked
+ * Joins reach the gate through the member events handler, after raid screening,
+ * and sticky roles and autoroles wait there until the member verifies
+ */
+
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  MessageFlags,
+  ModalBuilder,
+  PermissionFlagsBits,
+  RESTJSONErrorCodes,
+  TextInputBuilder,
+  TextInputStyle
+} from 'discord.js';
+import {
+  getVerificationConfig,
+  addPendingVerification,
+  getPendingVerifications,
+  removePendingVerification
+} from '../data/storage.js';
+import { checkRoleAssignable } from '../utils/roles.js';
+import log from '../utils/colors.js';
+
+export const VERIFY_BUTTON_ID = 'verify_member';
+export const VERIFY_MODAL_ID = 'verify_challenge';
+const ANSWER_INPUT_ID = 'verify_answer';
+
+const VERIFY_REASON = 'Verification';
+const HOUR_MS = 60 * 60 * 1000;
+const KICK_CHECK_INTERVAL_MS =
+  parseInt(process.env.VERIFY_KICK_CHECK_INTERVAL_MS, 10) || 10 * 60 * 1000;
+
+let kickTimer = null;
+
+/**
+ * Post the verification panel
+ * @param {TextChannel} channel - Verification channel
+ * @returns {Promise<Message>} The panel message
+ */
+export async function postVerifyPanel(channel) {
+  const embed = new EmbedBuilder()
+    .setTitle('✅ Verification')
+    .setDescription(
+      `Welcome to **${channel.guild.name}**!\n\n` +
+        'Click the button below to verify and unlock the rest of the server.'
+    )
+    .setColor(0x57f287);
+
+  const button = new ButtonBuilder()
+    .setCustomId(VERIFY_BUTTON_ID)
+    .setLabel('Verify')
+    .setEmoji('✅')
+    .setStyle(ButtonStyle.Success);
+
+  return channel.send({
+    embeds: [embed],
+    components: [new ActionRowBuilder().addComponents(button)]
+  });
+}
+
+/**
+ * Compare challenge answers without caring about case or extra spaces
+ * @param {string} answer - Answer typed by the member or the admin
+ * @returns {string} Normalized answer
+ */
+export function normalizeAnswer(answer) {
+  return answer.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Handle a click on the verify button
+ * Opens the challenge question when one is set, otherwise verifies right away
+ * @param {ButtonInteraction} interaction - Button interaction
+ */
+export async function handleVerifyButton(interaction) {
+  const config = getVerificationConfig(interaction.guildId);
+  if (!config) {
+    return interaction.reply({
+      content: '❌ Verification is not set up on this server anymore.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  if (interaction.member.roles.cache.has(config.verifiedRoleId)) {
+    return interaction.reply({
+      content: 'You are already verified!',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  // A modal has to be the first response, so the challenge can't wait behind a deferred reply
+  if (config.question) {
+    const input = new TextInputBuilder()
+      .setCustomId(ANSWER_INPUT_ID)
+      .setLabel(config.question)
+      .setStyle(TextInputStyle.Short)
+      .setMaxLength(100)
+      .setRequired(true);
+
+    return interaction.showModal(
+      new ModalBuilder()
+        .setCustomId(VERIFY_MODAL_ID)
+        .setTitle('Verification')
+        .addComponents(new ActionRowBuilder().addComponents(input))
+    );
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  await replyWithOutcome(interaction, config);
+}
+
+/**
+ * Handle an answer to the challenge question
+ * @param {ModalSubmitInteraction} interaction - Modal submit interaction
+ */
+export async function handleVerifyModal(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const config = getVerificationConfig(interaction.guildId);
+  if (!config) {
+    return interaction.editReply({
+      content: '❌ Verification is not set up on this server anymore.'
+    });
+  }
+
+  const answer = interaction.fields.getTextInputValue(ANSWER_INPUT_ID);
+  if (config.answer && normalizeAnswer(answer) !== normalizeAnswer(config.answer)) {
+    await logOutcome(
+      interaction.guild,
+      config,
+      `❌ ${interaction.user.tag} (${interaction.user.id}) gave a wrong answer: "${answer}"`
+    );
+    return interaction.editReply({ content: "❌ That's not the right answer. Try again!" });
+  }
+
+  await replyWithOutcome(interaction, config);
+}
+
+/**
+ * Verify the member of an interaction and tell them how it went
+ * @param {ButtonInteraction|ModalSubmitInteraction} interaction - Deferred interaction
+ * @param {Object} config - Verification settings
+ */
+async function replyWithOutcome(interaction, config) {
+  const problem = await verifyMember(interaction.member, config);
+  if (problem) {
+    return interaction.editReply({
+      content: '❌ I could not verify you. Please contact a server admin.'
+    });
+  }
+
+  await interaction.editReply({
+    content: `✅ You are verified, welcome to **${interaction.guild.name}**!`
+  });
+}
+
+/**
+ * Give the verified role and take the unverified role
+ * @param {GuildMember} member - Member who passed verification
+ * @param {Object} config - Verification settings
+ * @returns {Promise<string|null>} Reason the member couldn't be verified, or null on success
+ */
+export async function verifyMember(member, config) {
+  const { guild } = member;
+  const verifiedRole = guild.roles.cache.get(config.verifiedRoleId);
+  const problem = verifiedRole
+    ? checkRoleAssignable(guild, verifiedRole)
+    : `verified role ${config.verifiedRoleId} was deleted`;
+  if (problem) {
+    await logOutcome(guild, config, `⚠️ Could not verify ${member.user.tag}: ${problem}`);
+    return problem;
+  }
+
+  try {
+    await member.roles.add(verifiedRole, VERIFY_REASON);
+    if (config.unverifiedRoleId && member.roles.cache.has(config.unverifiedRoleId)) {
+      await member.roles.remove(config.unverifiedRoleId, VERIFY_REASON);
+    }
+  } catch (error) {
+    log.error(`Failed to verify ${member.user.tag} in ${guild.name}`, error);
+    await logOutcome(guild, config, `⚠️ Could not verify ${member.user.tag}: ${error.message}`);
+    return error.message;
+  }
+
+  removePendingVerification(guild.id, member.id);
+  await logOutcome(guild, config, `✅ ${member.user.tag} (${member.id}) verified`);
+  return null;
+}
+
+/**
+ * Check whether a member still has to verify
+ * Bots skip verification
+ * @param {GuildMember} member - Guild member
+ * @returns {boolean} True if the server has a gate and the member lacks the verified role
+ */
+export function isAwaitingVerification(member) {
+  const config = getVerificationConfig(member.guild.id);
+  return Boolean(config) && !member.user.bot && !member.roles.cache.has(config.verifiedRoleId);
+}
+
+/**
+ * Check whether a member update is the member getting past the gate
+ * Covers the verify button as well as a moderator giving the verified role
+ * @param {GuildMember} oldMember - Member before the update
+ * @param {GuildMember} newMember - Member after the update
+ * @returns {boolean} True if the member just got the verified role
+ */
+export function hasJustVerified(oldMember, newMember) {
+  const config = getVerificationConfig(newMember.guild.id);
+  if (!config || !newMember.roles.cache.has(config.verifiedRoleId)) {
+    return false;
+  }
+
+  // An uncached member arrives without its old roles - a member still waiting to verify
+  // is one who didn't have the verified role
+  if (oldMember.partial) {
+    return newMember.id in getPendingVerifications(newMember.guild.id);
+  }
+  return !oldMember.roles.cache.has(config.verifiedRoleId);
+}
+
+/**
+ * Put a new member behind the gate
+ * Called by the member events handler for joins that passed raid screening
+ * @param {GuildMember} member - The member who joined
+ */
+export async function handleVerificationJoin(member) {
+  const config = getVerificationConfig(member.guild.id);
+  if (!config || member.user.bot) {
+    return;
+  }
+
+  addPendingVerification(member.guild.id, member.id, (member.joinedAt ?? new Date()).toISOString());
+
+  if (!config.unverifiedRoleId) {
+    return;
+  }
+
+  const role = member.guild.roles.cache.get(config.unverifiedRoleId);
+  const problem = role
+    ? checkRoleAssignable(member.guild, role)
+    : `unverified role ${config.unverifiedRoleId} was deleted`;
+  if (problem) {
+    log.error(`Cannot give the unverified role to ${member.user.tag}: ${problem}`);
+    return;
+  }
+
+  try {
+    await member.roles.add(role, VERIFY_REASON);
+  } catch (error) {
+    log.error(`Failed to give the unverified role to ${member.user.tag}`, error);
+  }
+}
+
+/**
+ * Kick the members of a guild who didn't verify in time
+ * @param {Guild} guild - Discord guild
+ * @returns {Promise<number>} Number of members kicked
+ */
+export async function kickUnverifiedMembers(guild) {
+  const config = getVerificationConfig(guild.id);
+  if (!config?.kickAfterHours) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - config.kickAfterHours * HOUR_MS;
+  let kicked = 0;
+
+  for (const [userId, joinedAt] of Object.entries(getPendingVerifications(guild.id))) {
+    if (Date.parse(joinedAt) > cutoff) {
+      continue;
+    }
+
+    const member = await guild.members.fetch(userId).catch((error) => {
+      if (error.code === RESTJSONErrorCodes.UnknownMember) {
+        return null;
+      }
+      throw error;
+    });
+
+    // Left already, or verified some other way, like a moderator giving the role
+    if (!member || member.roles.cache.has(config.verifiedRoleId)) {
+      removePendingVerification(guild.id, userId);
+      continue;
+    }
+
+    if (!guild.members.me.permissions.has(PermissionFlagsBits.KickMembers) || !member.kickable) {
+      log.warn(`Cannot kick unverified member ${member.user.tag} from ${guild.name}`);
+      continue;
+    }
+
+    try {
+      await member.kick(`Did not verify within ${config.kickAfterHours} hour(s)`);
+    } catch (error) {
+      log.error(`Failed to kick unverified member ${member.user.tag} from ${guild.name}`, error);
+      continue;
+    }
+    removePendingVerification(guild.id, userId);
+    kicked++;
+    await logOutcome(
+      guild,
+      config,
+      `👢 ${member.user.tag} (${member.id}) was kicked for not verifying within ${config.kickAfterHours} hour(s)`
+    );
+  }
+
+  return kicked;
+}
+
+/**
+ * Log a verification outcome, and post it in the log channel if one is set
+ * @param {Guild} guild - Discord guild
+ * @param {Object} config - Verification settings
+ * @param {string} text - What happened
+ */
+async function logOutcome(guild, config, text) {
+  log.info(`[VERIFY] ${guild.name}: ${text}`);
+  if (!config.logChannelId) {
+    return;
+  }
+
+  try {
+    const channel = await guild.channels.fetch(config.logChannelId);
+    await channel.send({ content: text, allowedMentions: { parse: [] } });
+  } catch (error) {
+    log.warn(`Could not post in the verification log channel of ${guild.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Initialize the verification gate
+ * @param {Client} client - Discord client instance
+ */
+export function setupVerification(client) {
+  // Only IDs are needed, so members that left while uncached (partials) are covered too
+  client.on('guildMemberRemove', (member) => {
+    removePendingVerification(member.guild.id, member.id);
+  });
+
+  // Deadlines are stored, so members who joined before a restart are still kicked
+  const checkDeadlines = async () => {
+    for (const guild of client.guilds.cache.values()) {
+      try {
+        await kickUnverifiedMembers(guild);
+      } catch (error) {
+        log.error(`Failed to kick unverified members of ${guild.name}`, error);
+      }
+    }
+  };
+
+  checkDeadlines();
+  kickTimer = setInterval(checkDeadlines, KICK_CHECK_INTERVAL_MS);
+  kickTimer.unref();
+
+  log.success('Verification handler initialized');
+}
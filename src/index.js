@@ -14,12 +14,23 @@ import { setupMemberEvents } from './handlers/memberEvents.js';
 import { startActivityRotation } from './utils/activityManager.js';
 import { handleInteractionCreate } from './handlers/interactionHandler.js';
 import log from './utils/colors.js';
-import { loadAllConfigs, setBotClient } from './data/storage.js';
+import {
+  loadAllConfigs,
+  setBotClient,
+  flushStorage,
+  closeStorage,
+  getStorageHealth
+} from './data/storage.js';
 import { setupLevelingSystem } from './handlers/levelingSystem.js';
 import {
   setupScheduledMessages,
   cancelAllScheduledMessages
 } from './handlers/scheduledMessages.js';
+import { setupReconciliation } from './handlers/reconciliation.js';
+import { setupGuildLifecycle } from './handlers/guildLifecycle.js';
+import { setupReactionSync } from './handlers/reactionSync.js';
+import { setupVerification } from './handlers/verification.js';
+import { setupAntiRaid } from './handlers/antiRaid.js';
 
 // Load environment variables
 dotenv.config();
@@ -57,7 +68,8 @@ const client = new Client({
   partials: [
     Partials.Message, // Receive events for uncached messages
     Partials.Channel, // Receive events for uncached channels
-    Partials.Reaction // Receive events for uncached reactions
+    Partials.Reaction, // Receive events for uncached reactions
+    Partials.GuildMember // Receive updates and leaves of uncached members
   ]
 });
 
@@ -71,6 +83,7 @@ const PORT = process.env.PORT || 3000;
 const server = http.createServer((req, res) => {
   // Health check endpoint for monitoring services
   if (req.url === '/health' || req.url === '/') {
+    const storageHealth = getStorageHealth();
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(
       JSON.stringify({
@@ -81,7 +94,11 @@ const server = http.createServer((req, res) => {
         timestamp: new Date().toISOString(),
         storage: {
           configured: client.guilds.cache.size > 0,
-          dataPath: process.env.DATA_PATH || 'local'
+          dataPath: process.env.DATA_PATH || 'local',
+          status: storageHealth.status, // 'degraded' after a corrupt file was recovered
+          writesLocked: storageHealth.writesLocked,
+          alerts: storageHealth.alerts,
+          lastSnapshot: storageHealth.lastSnapshot
         }
       })
     );
@@ -108,7 +125,14 @@ client.once('clientReady', async () => {
   log.info(`Monitoring ${client.users.cache.size} user(s)`);
 
   log.system('Loading persistent configurations from Railway Volume...');
-  loadAllConfigs();
+  try {
+    loadAllConfigs();
+  } catch (error) {
+    // Stored data is from a newer bot version - stop instead of running on empty config
+    log.failed('Cannot start with the stored configuration, please upgrade the bot');
+    log.error('Storage load error', error);
+    process.exit(1);
+  }
 
   setBotClient(client);
 
@@ -127,9 +151,24 @@ client.once('clientReady', async () => {
   setupReactionRoleHandler(client);
   setupMemberEvents(client);
 
+  // Join-rate raid detection - joins are screened by the member events handler
+  setupAntiRaid(client);
+
+  // Kick members who don't verify in time - joins are gated by the member events handler
+  setupVerification(client);
+
   setupLevelingSystem(client);
   setupScheduledMessages(client);
 
+  // Keep data of removed servers for a grace period, then archive it
+  setupGuildLifecycle(client);
+
+  // Check stored configs for deleted messages, channels and roles
+  setupReconciliation(client);
+
+  // Catch up on reactions added or removed while the bot was offline
+  setupReactionSync(client);
+
   log.system('All systems operational!');
 });
 
@@ -162,6 +201,11 @@ async function gracefulShutdown(signal) {
   try {
     cancelAllScheduledMessages();
 
+    // Write any batched changes (XP gains) before the process exits
+    const flushed = flushStorage();
+    log.system(`Flushed ${flushed} pending storage change(s)`);
+    closeStorage();
+
     // Close HTTP health check server
     server.close(() => {
       log.system('Health check server closed');
@@ -5,12 +5,28 @@
 
 import { REST, Routes } from 'discord.js';
 import { setupReactionRolesCommand } from '../commands/setupReactionRoles.js';
+import { attachReactionRolesCommand } from '../commands/attachReactionRoles.js';
+import { editReactionRolesCommand } from '../commands/editReactionRoles.js';
+import { syncReactionRolesCommand } from '../commands/syncReactionRoles.js';
+import { roleRequirementsCommand } from '../commands/roleRequirements.js';
+import { roleNotificationsCommand } from '../commands/roleNotifications.js';
+import { roleGroupCommand } from '../commands/roleGroup.js';
 import { setupButtonRolesCommand } from '../commands/setupButtonRoles.js';
+import { editButtonRolesCommand } from '../commands/editButtonRoles.js';
 import { removeButtonRolesCommand } from '../commands/removeButtonRoles.js';
+import { setupSelectRolesCommand } from '../commands/setupSelectRoles.js';
+import { removeSelectRolesCommand } from '../commands/removeSelectRoles.js';
 import { setupWelcomeCommand } from '../commands/setupWelcome.js';
 import { setupLeaveCommand } from '../commands/setupLeave.js';
+import { setupAutoroleCommand } from '../commands/setupAutorole.js';
+import { setupStickyRolesCommand } from '../commands/setupStickyRoles.js';
+import { setupVerificationCommand } from '../commands/setupVerification.js';
+import { setupAntiRaidCommand } from '../commands/setupAntiRaid.js';
+import { lockdownCommand } from '../commands/lockdown.js';
+import { unlockCommand } from '../commands/unlock.js';
 import { removeReactionRolesCommand } from '../commands/removeReactionRoles.js';
 import { resetCommand } from '../commands/reset.js';
+import { resetUndoCommand } from '../commands/resetUndo.js';
 import { setupLevelingCommand } from '../commands/setupLeveling.js';
 import { addLevelRoleCommand } from '../commands/addLevelRole.js';
 import { rankCommand } from '../commands/rank.js';
@@ -20,6 +36,10 @@ import { listScheduledCommand } from '../commands/listScheduled.js';
 import { removeScheduledCommand } from '../commands/removeScheduled.js';
 import { setupTicketCommand } from '../commands/setupTicket.js';
 import { ticketStatsCommand } from '../commands/ticketStats.js';
+import { backupCommand } from '../commands/backup.js';
+import { restoreCommand } from '../commands/restore.js';
+import { auditLogCommand } from '../commands/auditLog.js';
+import { diagnoseCommand } from '../commands/diagnose.js';
 import log from './colors.js';
 
 /**
@@ -29,12 +49,28 @@ import log from './colors.js';
 export async function registerCommands(client) {
   const commands = [
     setupReactionRolesCommand,
+    attachReactionRolesCommand,
+    editReactionRolesCommand,
+    syncReactionRolesCommand,
+    roleRequirementsCommand,
+    roleNotificationsCommand,
+    roleGroupCommand,
     setupButtonRolesCommand,
+    editButtonRolesCommand,
+    setupSelectRolesCommand,
     setupWelcomeCommand,
     setupLeaveCommand,
+    setupAutoroleCommand,
+    setupStickyRolesCommand,
+    setupVerificationCommand,
+    setupAntiRaidCommand,
+    lockdownCommand,
+    unlockCommand,
     removeReactionRolesCommand,
     removeButtonRolesCommand,
+    removeSelectRolesCommand,
     resetCommand,
+    resetUndoCommand,
     setupLevelingCommand,
     addLevelRoleCommand,
     rankCommand,
@@ -43,7 +79,11 @@ export async function registerCommands(client) {
     listScheduledCommand,
     removeScheduledCommand,
     setupTicketCommand,
-    ticketStatsCommand
+    ticketStatsCommand,
+    backupCommand,
+    restoreCommand,
+    auditLogCommand,
+    diagnoseCommand
   ];
 
   const commandsData = commands.map((cmd) => cmd.data.toJSON());
@@ -0,0 +1,112 @@
+/**
+ * Emoji Helpers - Parse, identify and format unicode and custom emojis
+ * Reaction role configs identify an emoji by its unicode string or its custom emoji ID,
+ * so two custom emojis with the same name never collide
+ */
+
+import { PermissionFlagsBits } from 'discord.js';
+
+// <:name:id> or <a:name:id> for animated emojis
+const CUSTOM_EMOJI_PATTERN = /^<(a?):(\w{2,32}):(\d{17,20})>$/;
+
+// Pictographs, flags and keycaps (1️⃣) - plain text is not an emoji
+const UNICODE_EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|⃣/u;
+
+/**
+ * Parse an emoji typed by a user
+ * @param {string} input - Unicode emoji or custom emoji (<:name:id> / <a:name:id>)
+ * @returns {{id: string|null, name: string, animated: boolean}|null} Parsed emoji, or null if invalid
+ */
+export function parseEmoji(input) {
+  const text = input?.trim();
+  if (!text) {
+    return null;
+  }
+
+  const custom = text.match(CUSTOM_EMOJI_PATTERN);
+  if (custom) {
+    return { id: custom[3], name: custom[2], animated: custom[1] === 'a' };
+  }
+
+  if (text.startsWith('<') || !UNICODE_EMOJI_PATTERN.test(text)) {
+    return null;
+  }
+
+  return { id: null, name: text, animated: false };
+}
+
+/**
+ * Get the stored identity of an emoji - custom emoji ID or unicode string
+ * Works for parsed emojis and discord.js emojis (ReactionEmoji, GuildEmoji)
+ * @param {{id: ?string, name: string}} emoji - Emoji
+ * @returns {string} Emoji identity
+ */
+export function emojiKey(emoji) {
+  return emoji.id || emoji.name;
+}
+
+/**
+ * Build the stored fields of a reaction role emoji
+ * @param {{id: ?string, name: string, animated: boolean}} emoji - Parsed emoji
+ * @returns {Object} { emoji } for unicode, { emoji, emojiName, animated } for custom emojis
+ */
+export function toEmojiConfig(emoji) {
+  if (!emoji.id) {
+    return { emoji: emoji.name };
+  }
+  return { emoji: emoji.id, emojiName: emoji.name, animated: emoji.animated };
+}
+
+/**
+ * Format a stored reaction role emoji for messages and message.react()
+ * @param {Object} config - Reaction role entry ({ emoji, emojiName?, animated? })
+ * @returns {string} Unicode emoji or <:name:id> / <a:name:id>
+ */
+export function formatEmoji(config) {
+  if (!config.emojiName) {
+    return config.emoji;
+  }
+  return `<${config.animated ? 'a' : ''}:${config.emojiName}:${config.emoji}>`;
+}
+
+/**
+ * Format a stored emoji for message components (buttons, select menu options)
+ * @param {Object} config - Stored entry ({ emoji, emojiName?, animated? })
+ * @returns {{id?: string, name: string, animated?: boolean}} Component emoji
+ */
+export function toComponentEmoji(config) {
+  if (!config.emojiName) {
+    return { name: config.emoji };
+  }
+  return { id: config.emoji, name: config.emojiName, animated: config.animated };
+}
+
+/**
+ * Check that the bot can react with an emoji in a channel
+ * Custom emojis must come from a server the bot is in, and emojis from
+ * other servers need the Use External Emojis permission
+ * @param {TextChannel} channel - Channel the panel is posted in
+ * @param {{id: ?string, name: string}} emoji - Parsed emoji
+ * @returns {string|null} Reason the emoji can't be used, or null if it can
+ */
+export function checkEmojiUsable(channel, emoji) {
+  if (!emoji.id) {
+    return null;
+  }
+
+  const guildEmoji = channel.client.emojis.cache.get(emoji.id);
+  if (!guildEmoji) {
+    return `:${emoji.name}: is from a server the bot is not in`;
+  }
+  if (guildEmoji.available === false) {
+    return `:${emoji.name}: is not available (the server may have lost its boosts)`;
+  }
+
+  const external = guildEmoji.guild.id !== channel.guild.id;
+  const permissions = channel.permissionsFor(channel.guild.members.me);
+  if (external && !permissions?.has(PermissionFlagsBits.UseExternalEmojis)) {
+    return `:${emoji.name}: is from another server and the bot lacks Use External Emojis in ${channel}`;
+  }
+
+  return null;
+}
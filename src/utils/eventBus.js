@@ -0,0 +1,124 @@
+/**
+ * Event Bus - Named in-process events between storage and handlers
+ * Replaces custom events emitted on the Discord client: emit() waits for every
+ * handler to finish, and modules can be tested without a Discord client
+ */
+
+import log from './colors.js';
+
+/**
+ * Event names
+ * Payloads:
+ * - CONFIG_CREATED: { module, guildId, key, config }
+ * - CONFIG_UPDATED: { module, guildId, key, config, previous }
+ * - CONFIG_REMOVED: { module, guildId, key, previous }
+ * - GUILD_RESET: { guildId, scopes } - sent before the data is removed
+ * - GUILD_DEACTIVATED: { guildId } - the bot was removed from the guild
+ * - GUILD_REACTIVATED: { guildId } - the bot was re-added within the grace period
+ * `module` is the config module name used in the audit log (welcome, scheduled-messages, ...)
+ * or, for module state that isn't audited, its own name (sticky-role-snapshots, lockdowns, ...)
+ */
+export const Events = Object.freeze({
+  CONFIG_CREATED: 'config:created',
+  CONFIG_UPDATED: 'config:updated',
+  CONFIG_REMOVED: 'config:removed',
+  GUILD_RESET: 'guild:reset',
+  GUILD_DEACTIVATED: 'guild:deactivated',
+  GUILD_REACTIVATED: 'guild:reactivated'
+});
+
+// Fields every payload of an event must have
+const PAYLOAD_FIELDS = {
+  [Events.CONFIG_CREATED]: ['module', 'guildId', 'key', 'config'],
+  [Events.CONFIG_UPDATED]: ['module', 'guildId', 'key', 'config', 'previous'],
+  [Events.CONFIG_REMOVED]: ['module', 'guildId', 'key', 'previous'],
+  [Events.GUILD_RESET]: ['guildId', 'scopes'],
+  [Events.GUILD_DEACTIVATED]: ['guildId'],
+  [Events.GUILD_REACTIVATED]: ['guildId']
+};
+
+/**
+ * Throw on event names that are not in Events
+ * @param {string} event - Event name
+ */
+function assertKnownEvent(event) {
+  if (!PAYLOAD_FIELDS[event]) {
+    throw new TypeError(`Unknown event: ${event}`);
+  }
+}
+
+/**
+ * Create an event bus
+ * @returns {Object} Event bus with on, off, emit and listenerCount
+ */
+export function createEventBus() {
+  const listeners = new Map(); // event -> Set of handlers
+
+  /**
+   * Run every handler of an event one after another
+   * A failing handler is logged and does not stop the others
+   */
+  async function runHandlers(event, payload) {
+    for (const handler of [...(listeners.get(event) || [])]) {
+      try {
+        await handler(payload);
+      } catch (error) {
+        log.error(`Event handler for ${event} failed`, error);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name (one of Events)
+     * @param {Function} handler - Handler receiving the payload, may be async
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      assertKnownEvent(event);
+      if (!listeners.has(event)) {
+        listeners.set(event, new Set());
+      }
+      listeners.get(event).add(handler);
+      return () => this.off(event, handler);
+    },
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+      listeners.get(event)?.delete(handler);
+    },
+
+    /**
+     * Publish an event
+     * Throws right away on unknown events or missing payload fields
+     * @param {string} event - Event name (one of Events)
+     * @param {Object} payload - Event payload
+     * @returns {Promise<void>} Resolves when every handler has finished
+     */
+    emit(event, payload) {
+      assertKnownEvent(event);
+      const missing = PAYLOAD_FIELDS[event].filter((field) => !(field in (payload || {})));
+      if (missing.length > 0) {
+        throw new TypeError(`Event ${event} is missing payload field(s): ${missing.join(', ')}`);
+      }
+      return runHandlers(event, payload);
+    },
+
+    /**
+     * Count handlers subscribed to an event
+     * @param {string} event - Event name
+     * @returns {number} Number of handlers
+     */
+    listenerCount(event) {
+      return listeners.get(event)?.size || 0;
+    }
+  };
+}
+
+// Shared bus used by storage and handlers
+export const eventBus = createEventBus();
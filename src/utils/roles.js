@@ -0,0 +1,41 @@
+/**
+ * Role Helpers - Role lists typed in commands, and the checks shared by everything
+ * that hands out roles on its own, like level rewards and autoroles
+ */
+
+import { PermissionFlagsBits } from 'discord.js';
+
+// Role mentions (<@&id>) or plain role IDs
+const ROLE_ID_PATTERN = /\d{17,20}/g;
+
+/**
+ * Read a list of roles typed in a command option
+ * @param {string} input - Role mentions or IDs, separated by anything
+ * @returns {Array<string>} Role IDs without duplicates, in the order typed
+ */
+export function parseRoleIds(input) {
+  return [...new Set(input.match(ROLE_ID_PATTERN))];
+}
+
+/**
+ * Check that the bot can give a role
+ * @param {Guild} guild - Discord guild
+ * @param {Role} role - Role to give
+ * @returns {string|null} Reason the role can't be given, or null if it can
+ */
+export function checkRoleAssignable(guild, role) {
+  const botMember = guild.members.me;
+
+  if (!botMember.permissions.has(PermissionFlagsBits.ManageRoles)) {
+    return 'the bot is missing the Manage Roles permission';
+  }
+  if (role.managed) {
+    return `${role.name} is managed by an integration`;
+  }
+  // The bot's highest role must be above the role being assigned
+  if (botMember.roles.highest.position <= role.position) {
+    return `the bot's role must be above ${role.name} in server settings`;
+  }
+
+  return null;
+}
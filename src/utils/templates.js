@@ -0,0 +1,258 @@
+/**
+ * Message Templates - Placeholders shared by welcome, leave, level-up, scheduled
+ * and role notification messages
+ *
+ * Syntax:
+ * - {name} is replaced everywhere it appears, unknown names are rejected
+ * - {channel:ID} and {role:ID} mention any channel or role
+ * - {if name}...{else}...{end} shows a part only when the value is set
+ * - \{ and \} write a literal brace
+ */
+
+import { escapeMarkdown } from 'discord.js';
+import log from './colors.js';
+
+export const TEMPLATE_VARIABLES = {
+  user: 'Mention of the member',
+  username: 'Name of the member',
+  user_id: 'ID of the member',
+  nickname: 'Server nickname of the member (empty if none)',
+  account_age: 'How long ago the account was created',
+  join_position: 'When the member joined, like 42nd',
+  server: 'Server name',
+  count: 'Member count',
+  channel: 'Mention of the channel the message is sent in',
+  rules: 'Mention of the rules channel',
+  role_channel: 'Mention of the role channel',
+  role: 'Name of the role',
+  level: 'Level reached',
+  xp: 'Total XP',
+  xp_needed: 'XP needed for the next level'
+};
+
+const MEMBER_VARIABLES = [
+  'user',
+  'username',
+  'user_id',
+  'nickname',
+  'account_age',
+  'join_position',
+  'server',
+  'count'
+];
+
+/**
+ * Variables each kind of message can use
+ */
+export const TEMPLATE_CONTEXTS = {
+  welcome: [...MEMBER_VARIABLES, 'channel', 'rules', 'role_channel'],
+  leave: [...MEMBER_VARIABLES, 'channel'],
+  levelUp: [...MEMBER_VARIABLES, 'channel', 'level', 'xp', 'xp_needed'],
+  scheduled: ['server', 'count', 'channel'],
+  roleNotification: [...MEMBER_VARIABLES, 'role']
+};
+
+// Variables taking an ID turn into a mention of it
+const MENTIONS = {
+  channel: (id) => `<#${id}>`,
+  role: (id) => `<@&${id}>`
+};
+
+// \{, \} or anything in braces
+const TOKEN_PATTERN = /\\([{}])|\{([^{}]*)\}/g;
+
+/**
+ * Parse a template into text, variable and condition nodes
+ * @param {string} template - Template text
+ * @param {string} context - Key of TEMPLATE_CONTEXTS
+ * @returns {{nodes: ?Array, error: ?string}} Parsed nodes, or the reason the template is invalid
+ */
+function parseTemplate(template, context) {
+  const allowed = TEMPLATE_CONTEXTS[context];
+  const root = { nodes: [] };
+  // Open blocks - nodes is the branch new nodes go to
+  const stack = [root];
+  let lastIndex = 0;
+
+  const current = () => stack[stack.length - 1];
+  const checkName = (name) =>
+    allowed.includes(name)
+      ? null
+      : `Unknown placeholder {${name}}. Available: ${allowed.map((variable) => `{${variable}}`).join(', ')}`;
+
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    current().nodes.push({ text: template.slice(lastIndex, match.index) });
+    lastIndex = match.index + match[0].length;
+
+    if (match[1]) {
+      current().nodes.push({ text: match[1] });
+      continue;
+    }
+
+    const tag = match[2].trim();
+    const condition = tag.match(/^if\s+(\w+)$/);
+
+    if (condition) {
+      const error = checkName(condition[1]);
+      if (error) {
+        return { error };
+      }
+
+      const block = { condition: condition[1], then: [], otherwise: [] };
+      current().nodes.push(block);
+      stack.push({ block, nodes: block.then });
+    } else if (tag === 'else') {
+      const frame = current();
+      if (frame === root || frame.nodes === frame.block.otherwise) {
+        return { error: '{else} must be inside an {if ...} block, once' };
+      }
+      frame.nodes = frame.block.otherwise;
+    } else if (tag === 'end') {
+      if (current() === root) {
+        return { error: '{end} has no matching {if ...}' };
+      }
+      stack.pop();
+    } else {
+      const [name, id] = tag.split(':');
+      if (id !== undefined) {
+        if (!MENTIONS[name] || !/^\d{17,20}$/.test(id)) {
+          return { error: `Invalid placeholder {${tag}}. Use {channel:ID} or {role:ID}.` };
+        }
+        current().nodes.push({ text: MENTIONS[name](id) });
+      } else {
+        const error = checkName(name);
+        if (error) {
+          return { error };
+        }
+        current().nodes.push({ variable: name });
+      }
+    }
+  }
+
+  if (current() !== root) {
+    return { error: `{if ${current().block.condition}} is missing its {end}` };
+  }
+
+  root.nodes.push({ text: template.slice(lastIndex) });
+  return { nodes: root.nodes };
+}
+
+/**
+ * Check a template before saving it
+ * @param {string} template - Template text
+ * @param {string} context - Key of TEMPLATE_CONTEXTS
+ * @returns {string|null} Reason the template is invalid, or null if it is fine
+ */
+export function findTemplateError(template, context) {
+  return parseTemplate(template, context).error || null;
+}
+
+/**
+ * Fill a template
+ * Values can be functions, which are only called when the template uses them
+ * @param {string} template - Template text
+ * @param {string} context - Key of TEMPLATE_CONTEXTS
+ * @param {Object} values - Variable name -> value
+ * @returns {string} Message text
+ * @throws {Error} If the template is invalid
+ */
+export function renderTemplate(template, context, values) {
+  const { nodes, error } = parseTemplate(template, context);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const resolved = new Map();
+  const valueOf = (name) => {
+    if (!resolved.has(name)) {
+      const value = typeof values[name] === 'function' ? values[name]() : values[name];
+      resolved.set(name, value === null || value === undefined ? '' : String(value));
+    }
+    return resolved.get(name);
+  };
+
+  const render = (list) =>
+    list
+      .map((node) => {
+        if ('text' in node) {
+          return node.text;
+        }
+        if ('variable' in node) {
+          return valueOf(node.variable);
+        }
+
+        return render(valueOf(node.condition) ? node.then : node.otherwise);
+      })
+      .join('');
+
+  return render(nodes);
+}
+
+/**
+ * Fill a saved template, falling back when it is missing or no longer valid
+ * @param {?string} template - Template text
+ * @param {string} context - Key of TEMPLATE_CONTEXTS
+ * @param {Object} values - Variable name -> value
+ * @param {string} fallback - Text used instead of the template
+ * @returns {string} Message text
+ */
+export function renderOrFallback(template, context, values, fallback) {
+  if (!template) {
+    return fallback;
+  }
+
+  try {
+    return renderTemplate(template, context, values);
+  } catch (error) {
+    log.warn(`Invalid ${context} template, using the default message: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Format a number as an ordinal - 1st, 2nd, 3rd, 11th, 22nd
+ * @param {number} number - Number to format
+ * @returns {string} Ordinal text
+ */
+export function ordinal(number) {
+  const lastTwo = number % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) {
+    return `${number}th`;
+  }
+  return `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th'}`;
+}
+
+/**
+ * Get the join position of a member
+ * Members who joined later are usually cached, since the bot saw them join
+ * @param {GuildMember} member - Guild member
+ * @returns {number} 1 for the first member to join
+ */
+function getJoinPosition(member) {
+  const { members, memberCount } = member.guild;
+  const joinedLater = members.cache.filter(
+    (other) => other.joinedTimestamp > member.joinedTimestamp
+  ).size;
+  const leftServer = members.cache.has(member.id) ? 0 : 1;
+
+  return memberCount - joinedLater + leftServer;
+}
+
+/**
+ * Build the member variables of a template
+ * Names are markdown-escaped, so a username like *bob* is shown as typed
+ * @param {GuildMember} member - Guild member
+ * @returns {Object} Variable name -> value
+ */
+export function memberVariables(member) {
+  return {
+    user: () => member.toString(),
+    username: () => escapeMarkdown(member.user.username),
+    user_id: () => member.user.id,
+    nickname: () => (member.nickname ? escapeMarkdown(member.nickname) : null),
+    account_age: () => `<t:${Math.floor(member.user.createdTimestamp / 1000)}:R>`,
+    join_position: () => ordinal(getJoinPosition(member)),
+    server: () => escapeMarkdown(member.guild.name),
+    count: () => member.guild.memberCount
+  };
+}
@@ -0,0 +1,105 @@
+// Anti-raid tests - join-rate detection, lockdown actions and manual unlock
+import { jest } from '@jest/globals';
+import { ChannelType } from 'discord.js';
+import { useTempDataDir, createGuild as createTestGuild, createMember } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-anti-raid-tests');
+
+// Each test gets its own server, so joins counted by one test don't leak into the next
+let guildId;
+let nextGuildId = 949494940;
+
+/**
+ * Test server with one text channel, an alert channel and a quarantine role below the bot
+ */
+function createGuild() {
+  const guild = createTestGuild(guildId, ['quarantine']);
+  const channel = {
+    id: 'general',
+    name: 'general',
+    type: ChannelType.GuildText,
+    rateLimitPerUser: 0,
+    permissionsFor: () => ({ has: () => true }),
+    setRateLimitPerUser: jest.fn(async (seconds) => {
+      channel.rateLimitPerUser = seconds;
+    })
+  };
+  const alerts = { id: 'mod-alerts', send: jest.fn() };
+  guild.channels.cache.set(channel.id, channel);
+  guild.channels.cache.set(alerts.id, alerts);
+  return { guild, channel, alerts };
+}
+
+describe('Anti-raid', () => {
+  let storage;
+  let antiRaid;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    antiRaid = await import('../src/handlers/antiRaid.js');
+  });
+
+  beforeEach(() => {
+    guildId = String(nextGuildId++);
+    storage.saveAntiRaidConfig(guildId, {
+      joinThreshold: 3,
+      windowSeconds: 10,
+      action: 'quarantine',
+      quarantineRoleId: 'quarantine',
+      slowmodeSeconds: 30,
+      alertChannelId: 'mod-alerts'
+    });
+  });
+
+  test('should lock down and quarantine the raid once the threshold is crossed', async () => {
+    const { guild, channel, alerts } = createGuild();
+    const members = ['a', 'b', 'c'].map((id) => createMember(guild, { id }));
+
+    expect(await antiRaid.screenJoin(members[0])).toBe(false);
+    expect(await antiRaid.screenJoin(members[1])).toBe(false);
+    expect(await antiRaid.screenJoin(members[2])).toBe(true);
+
+    expect(antiRaid.isLockedDown(guildId)).toBe(true);
+    expect(members.every((member) => member.roles.cache.has('quarantine'))).toBe(true);
+    expect(channel.rateLimitPerUser).toBe(30);
+    expect(alerts.send).toHaveBeenCalledTimes(1);
+
+    // Joins during the lockdown are handled right away
+    const late = createMember(guild, { id: 'd' });
+    expect(await antiRaid.screenJoin(late)).toBe(true);
+    expect(late.roles.cache.has('quarantine')).toBe(true);
+  });
+
+  test('should not count joins that left the window', async () => {
+    const { guild } = createGuild();
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now');
+
+    spy.mockReturnValue(now);
+    await antiRaid.screenJoin(createMember(guild, { id: 'a' }));
+    await antiRaid.screenJoin(createMember(guild, { id: 'b' }));
+    spy.mockReturnValue(now + 11 * 1000);
+    const joined = await antiRaid.screenJoin(createMember(guild, { id: 'c' }));
+    spy.mockRestore();
+
+    expect(joined).toBe(false);
+    expect(antiRaid.isLockedDown(guildId)).toBe(false);
+  });
+
+  test('should kick new members when configured, and put slowmode back on unlock', async () => {
+    storage.saveAntiRaidConfig(guildId, {
+      ...storage.getAntiRaidConfig(guildId),
+      action: 'kick'
+    });
+    const { guild, channel } = createGuild();
+
+    await antiRaid.startLockdown(guild, { reason: 'Manual', startedBy: 'mod#0001' });
+    const member = createMember(guild, { id: 'e' });
+    await antiRaid.screenJoin(member);
+    expect(member.kick).toHaveBeenCalled();
+
+    expect(await antiRaid.endLockdown(guild, 'mod#0001')).not.toBeNull();
+    expect(channel.setRateLimitPerUser).toHaveBeenLastCalledWith(0, 'Lockdown ended');
+    expect(antiRaid.isLockedDown(guildId)).toBe(false);
+  });
+});
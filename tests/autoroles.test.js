@@ -0,0 +1,63 @@
+// Autorole tests - new humans and bots get their roles once they can
+import { jest } from '@jest/globals';
+import { useTempDataDir, createGuild as createTestGuild, createMember } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-autorole-tests');
+
+const guildId = '919191919';
+
+const createGuild = () => createTestGuild(guildId, ['human', 'bot', ['above-bot', 20]]);
+
+describe('Autoroles', () => {
+  let storage;
+  let memberEvents;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    memberEvents = await import('../src/handlers/memberEvents.js');
+  });
+
+  beforeEach(() => {
+    storage.saveAutoroleConfig(guildId, {
+      humanRoleIds: ['human', 'above-bot'],
+      botRoleIds: ['bot'],
+      delaySeconds: 0
+    });
+  });
+
+  test('should give humans and bots their own roles, skipping roles above the bot', async () => {
+    const guild = createGuild();
+    const human = createMember(guild);
+    const bot = createMember(guild, { bot: true });
+
+    expect((await memberEvents.assignAutoroles(human)).map((role) => role.id)).toEqual(['human']);
+    expect((await memberEvents.assignAutoroles(bot)).map((role) => role.id)).toEqual(['bot']);
+  });
+
+  test('should wait for membership screening', async () => {
+    const member = createMember(createGuild(), { pending: true });
+
+    memberEvents.queueAutoroles(member);
+    expect(await memberEvents.assignAutoroles(member)).toEqual([]);
+    expect(member.roles.add).not.toHaveBeenCalled();
+  });
+
+  test('should give the roles after the delay', async () => {
+    jest.useFakeTimers();
+    storage.saveAutoroleConfig(guildId, {
+      humanRoleIds: ['human'],
+      botRoleIds: [],
+      delaySeconds: 30
+    });
+    const member = createMember(createGuild());
+    member.guild.members.fetch.mockResolvedValue(member);
+
+    memberEvents.queueAutoroles(member);
+    expect(member.roles.add).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    jest.useRealTimers();
+
+    expect([...member.roles.cache.keys()]).toEqual(['human']);
+  });
+});
@@ -0,0 +1,103 @@
+// Button role tests - panel modes decide what a click does
+import { jest } from '@jest/globals';
+import { useTempDataDir, createGuild, createMember } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-button-role-tests');
+
+const guildId = '717171717';
+const messageId = 'button-panel-1';
+
+/**
+ * Minimal button interaction stand-in
+ * @param {string} roleId - Role of the clicked button
+ * @param {Array<string>} heldRoles - Roles the member has
+ */
+function createClick(roleId, heldRoles = []) {
+  const guild = createGuild(guildId, ['r1', 'r2']);
+  const member = createMember(guild, { roleIds: heldRoles });
+
+  return {
+    roles: member.roles.cache,
+    interaction: {
+      customId: `button_role_${roleId}`,
+      message: { id: messageId },
+      member,
+      guild,
+      deferReply: jest.fn(async () => {}),
+      editReply: jest.fn(async () => {})
+    }
+  };
+}
+
+describe('Button Role Panel Modes', () => {
+  let storage;
+  let handler;
+  let parseRoleConfig;
+
+  const savePanel = (mode) =>
+    storage.saveButtonRoleConfig(
+      messageId,
+      ['r1', 'r2'].map((roleId) => ({
+        label: `Label ${roleId}`,
+        roleId,
+        style: 'primary',
+        guildId,
+        channelId: 'c1',
+        ...(mode && { mode })
+      }))
+    );
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    handler = await import('../src/handlers/buttonRoles.js');
+    ({ parseRoleConfig } = await import('../src/commands/setupButtonRoles.js'));
+    storage.saveNotificationConfig(guildId, { dm: 'off' });
+  });
+
+  test('should parse styles and optional emojis', () => {
+    expect(parseRoleConfig('Gamer:111:success:🎮,Artist:222:<:brush:123456789012345678>')).toEqual([
+      { label: 'Gamer', roleId: '111', style: 'success', emoji: '🎮' },
+      {
+        label: 'Artist',
+        roleId: '222',
+        style: 'primary',
+        emoji: '123456789012345678',
+        emojiName: 'brush',
+        animated: false
+      }
+    ]);
+    expect(parseRoleConfig('Gamer:111:primary:not-an-emoji')).toBeNull();
+  });
+
+  test('should toggle roles on panels without a mode', async () => {
+    savePanel();
+    const { roles, interaction } = createClick('r1', ['r1']);
+
+    await handler.handleButtonRole(interaction);
+
+    expect(handler.getButtonPanelMode(storage.getButtonRoleConfig(messageId))).toBe('toggle');
+    expect(roles.has('r1')).toBe(false);
+  });
+
+  test('should only add or only remove roles in add and remove modes', async () => {
+    savePanel('add');
+    const held = createClick('r1', ['r1']);
+    await handler.handleButtonRole(held.interaction);
+    expect(held.roles.has('r1')).toBe(true);
+
+    savePanel('remove');
+    const missing = createClick('r1');
+    await handler.handleButtonRole(missing.interaction);
+    expect(missing.roles.has('r1')).toBe(false);
+    expect(missing.interaction.editReply.mock.calls[0][0].content).toMatch(/don't have/);
+  });
+
+  test('should swap roles in unique mode', async () => {
+    savePanel('unique');
+    const { roles, interaction } = createClick('r2', ['r1']);
+
+    await handler.handleButtonRole(interaction);
+
+    expect([...roles.keys()]).toEqual(['r2']);
+  });
+});
@@ -0,0 +1,46 @@
+// Emoji tests - parsing and identity of unicode and custom emojis
+import { parseEmoji, emojiKey, toEmojiConfig, formatEmoji } from '../src/utils/emoji.js';
+
+describe('Emoji Helpers', () => {
+  test('should parse unicode emojis', () => {
+    expect(parseEmoji('🔴')).toEqual({ id: null, name: '🔴', animated: false });
+    expect(parseEmoji(' 👍🏽 ')).toEqual({ id: null, name: '👍🏽', animated: false });
+    expect(parseEmoji('1️⃣').name).toBe('1️⃣');
+  });
+
+  test('should parse static and animated custom emojis', () => {
+    expect(parseEmoji('<:pepe:112233445566778899>')).toEqual({
+      id: '112233445566778899',
+      name: 'pepe',
+      animated: false
+    });
+    expect(parseEmoji('<a:party_blob:998877665544332211>')).toEqual({
+      id: '998877665544332211',
+      name: 'party_blob',
+      animated: true
+    });
+  });
+
+  test('should reject text that is not an emoji', () => {
+    expect(parseEmoji('pepe')).toBeNull();
+    expect(parseEmoji('<:pepe>')).toBeNull();
+    expect(parseEmoji('<:pepe:123>')).toBeNull();
+    expect(parseEmoji('')).toBeNull();
+  });
+
+  test('should tell apart custom emojis with the same name', () => {
+    const first = toEmojiConfig(parseEmoji('<:pepe:112233445566778899>'));
+    const second = toEmojiConfig(parseEmoji('<:pepe:998877665544332211>'));
+
+    expect(first.emoji).not.toBe(second.emoji);
+    // Reactions are matched on the same identity
+    expect(emojiKey({ id: '998877665544332211', name: 'pepe' })).toBe(second.emoji);
+    expect(emojiKey({ id: null, name: '🔴' })).toBe('🔴');
+  });
+
+  test('should format stored emojis back for reactions', () => {
+    const animated = parseEmoji('<a:party:998877665544332211>');
+    expect(formatEmoji(toEmojiConfig(animated))).toBe('<a:party:998877665544332211>');
+    expect(formatEmoji(toEmojiConfig(parseEmoji('🔴')))).toBe('🔴');
+  });
+});
@@ -0,0 +1,57 @@
+// Event bus tests - validation, awaited handlers and error isolation
+import { jest } from '@jest/globals';
+import { createEventBus, Events } from '../src/utils/eventBus.js';
+
+describe('Event Bus', () => {
+  let bus;
+
+  beforeEach(() => {
+    bus = createEventBus();
+  });
+
+  test('should reject unknown events', () => {
+    expect(() => bus.on('guildConfigReset', () => {})).toThrow(TypeError);
+    expect(() => bus.emit('guildConfigReset', {})).toThrow(TypeError);
+  });
+
+  test('should reject payloads with missing fields', () => {
+    expect(() => bus.emit(Events.GUILD_RESET, { guildId: '1' })).toThrow(/scopes/);
+    expect(() => bus.emit(Events.GUILD_DEACTIVATED)).toThrow(/guildId/);
+  });
+
+  test('should wait for async handlers in subscription order', async () => {
+    const calls = [];
+    bus.on(Events.GUILD_RESET, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      calls.push('first');
+    });
+    bus.on(Events.GUILD_RESET, () => calls.push('second'));
+
+    await bus.emit(Events.GUILD_RESET, { guildId: '1', scopes: ['welcome'] });
+
+    expect(calls).toEqual(['first', 'second']);
+  });
+
+  test('should keep running handlers after one fails', async () => {
+    const handler = jest.fn();
+    bus.on(Events.GUILD_DEACTIVATED, () => {
+      throw new Error('boom');
+    });
+    bus.on(Events.GUILD_DEACTIVATED, handler);
+
+    await expect(bus.emit(Events.GUILD_DEACTIVATED, { guildId: '1' })).resolves.toBeUndefined();
+    expect(handler).toHaveBeenCalledWith({ guildId: '1' });
+  });
+
+  test('should stop calling unsubscribed handlers', async () => {
+    const handler = jest.fn();
+    const unsubscribe = bus.on(Events.GUILD_REACTIVATED, handler);
+    expect(bus.listenerCount(Events.GUILD_REACTIVATED)).toBe(1);
+
+    unsubscribe();
+    await bus.emit(Events.GUILD_REACTIVATED, { guildId: '1' });
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(bus.listenerCount(Events.GUILD_REACTIVATED)).toBe(0);
+  });
+});
@@ -0,0 +1,98 @@
+// Guild backup tests - restore must reject foreign or malformed backups
+import {
+  validateGuildBackup,
+  diffGuildBackup,
+  GUILD_BACKUP_FORMAT
+} from '../src/data/guildBackup.js';
+import { SCHEMA_VERSION } from '../src/data/migrations.js';
+
+const guildId = '111111111';
+
+function makeBackup(overrides = {}) {
+  return {
+    format: GUILD_BACKUP_FORMAT,
+    version: SCHEMA_VERSION,
+    guildId,
+    welcomeConfigs: [[guildId, { channelId: '1', message: 'Welcome {user}!' }]],
+    leaveConfigs: [],
+    levelingConfigs: [],
+    scheduledMessages: [],
+    ticketConfigs: [],
+    reactionRoles: [['msg-1', [{ emoji: '🎮', roleId: 'r1', guildId, channelId: 'c1' }]]],
+    buttonRoles: [],
+    ...overrides
+  };
+}
+
+describe('Guild Backups', () => {
+  test('should accept a valid backup', () => {
+    const { valid, errors, data } = validateGuildBackup(makeBackup(), guildId);
+
+    expect(errors).toEqual([]);
+    expect(valid).toBe(true);
+    expect(data.welcomeConfigs).toHaveLength(1);
+  });
+
+  test('should reject files that are not backups', () => {
+    expect(validateGuildBackup([], guildId).valid).toBe(false);
+    expect(validateGuildBackup({ reactionRoles: [] }, guildId).valid).toBe(false);
+  });
+
+  test('should reject a backup from another server', () => {
+    const { valid, errors } = validateGuildBackup(makeBackup(), '999999999');
+
+    expect(valid).toBe(false);
+    expect(errors[0]).toMatch(/not this server/);
+  });
+
+  test('should reject a backup from a newer version', () => {
+    expect(validateGuildBackup(makeBackup({ version: '99.0.0' }), guildId).valid).toBe(false);
+  });
+
+  test('should migrate a backup from an older version', () => {
+    const backup = makeBackup({
+      version: '1.0.0',
+      ticketConfigs: [[guildId, { categoryId: 'cat', staffRoleId: 'staff' }]]
+    });
+    const { valid, data } = validateGuildBackup(backup, guildId);
+
+    expect(valid).toBe(true);
+    expect(data.ticketConfigs[0][1].staffRoleIds).toEqual(['staff']);
+  });
+
+  test('should reject panels that belong to another server', () => {
+    const backup = makeBackup({
+      buttonRoles: [['msg-2', [{ roleId: 'r2', label: 'A', guildId: '222222222' }]]]
+    });
+    const { valid, errors } = validateGuildBackup(backup, guildId);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(['Button roles: invalid panel msg-2']);
+  });
+
+  test('should reject panels stored for another server', () => {
+    const owners = { 'msg-1': '222222222' };
+    const getPanelGuildId = (name, messageId) => owners[messageId] ?? null;
+    const { valid, errors } = validateGuildBackup(makeBackup(), guildId, getPanelGuildId);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(['Reaction roles: panel msg-1 belongs to another server']);
+
+    owners['msg-1'] = guildId;
+    expect(validateGuildBackup(makeBackup(), guildId, getPanelGuildId).valid).toBe(true);
+  });
+
+  test('should list added, removed and changed entries', () => {
+    const current = makeBackup({
+      welcomeConfigs: [[guildId, { channelId: '1', message: 'Hi' }]],
+      leaveConfigs: [[guildId, { channelId: '2', message: 'Bye' }]]
+    });
+    const changes = diffGuildBackup(current, makeBackup({ reactionRoles: [] }));
+
+    expect(changes).toEqual([
+      { collection: 'welcomeConfigs', change: 'changed', key: guildId, fields: ['message'] },
+      { collection: 'leaveConfigs', change: 'removed', key: guildId, fields: [] },
+      { collection: 'reactionRoles', change: 'removed', key: 'msg-1', fields: [] }
+    ]);
+  });
+});
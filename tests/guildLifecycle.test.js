@@ -0,0 +1,70 @@
+// Guild lifecycle tests - removed servers keep their data for a grace period, then get archived
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { useTempDataDir } from './guildStandIns.js';
+
+const testDataDir = useTempDataDir('role-guardian-lifecycle-tests');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Guild Lifecycle', () => {
+  let storage;
+  let lifecycle;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    lifecycle = await import('../src/handlers/guildLifecycle.js');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should ignore guilds that are only unavailable', () => {
+    storage.saveWelcomeConfig('100', { channelId: '1', message: 'Hi' });
+    lifecycle.handleGuildRemove({ id: '100', available: false });
+
+    expect(storage.getStorageStats().guildLifecycle.inactive).toBe(0);
+  });
+
+  test('should keep data of a guild that re-adds the bot within the grace period', () => {
+    storage.saveWelcomeConfig('200', { channelId: '1', message: 'Hi' });
+    lifecycle.handleGuildRemove({ id: '200', name: 'Leaving Server', available: true });
+    expect(storage.getStorageStats().guildLifecycle.inactive).toBe(1);
+
+    lifecycle.handleGuildAdd({ id: '200', name: 'Leaving Server' });
+
+    expect(storage.getStorageStats().guildLifecycle.inactive).toBe(0);
+    expect(storage.getWelcomeConfig('200').message).toBe('Hi');
+  });
+
+  test('should archive and purge a guild after the grace period', () => {
+    storage.saveWelcomeConfig('300', { channelId: '1', message: 'Hi' });
+    storage.addUserXP('300', 'member-1', 25);
+    storage.saveReactionRoleConfig('panel-300', [{ emoji: '🎮', roleId: 'r1', guildId: '300' }]);
+    lifecycle.handleGuildRemove({ id: '300', name: 'Old Server', available: true });
+
+    // Nothing is purged during the grace period
+    expect(storage.purgeInactiveGuilds()).toBe(0);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 31 * DAY_MS);
+    expect(storage.purgeInactiveGuilds()).toBe(1);
+
+    expect(storage.getWelcomeConfig('300')).toBeNull();
+    expect(storage.getReactionRoleConfig('panel-300')).toBeNull();
+    expect(storage.getUserLevel('300', 'member-1').xp).toBe(0);
+    expect(storage.getAuditLog('300')).toEqual([]);
+    expect(storage.getStoredGuildIds().has('300')).toBe(false);
+
+    const stats = storage.getStorageStats().guildLifecycle;
+    expect(stats).toMatchObject({ inactive: 0, archived: 1 });
+
+    const [archiveFile] = fs.readdirSync(path.join(testDataDir, 'archives'));
+    const archive = JSON.parse(fs.readFileSync(path.join(testDataDir, 'archives', archiveFile)));
+    expect(archive.guildId).toBe('300');
+    expect(archive.welcomeConfigs).toEqual([['300', { channelId: '1', message: 'Hi' }]]);
+    expect(archive.userLevels[0][0]).toBe('300-member-1');
+  });
+});
@@ -0,0 +1,142 @@
+// Shared guild and member stand-ins for the handler tests
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Point storage at an empty temp data directory, removed again after the file's tests
+ * Call at the top of a test file, before storage is imported
+ * @param {string} name - Directory name under the system temp directory
+ * @returns {string} Path of the directory
+ */
+export function useTempDataDir(name) {
+  const testDataDir = path.join(os.tmpdir(), name);
+  process.env.DATA_PATH = testDataDir;
+
+  beforeAll(() => fs.rmSync(testDataDir, { recursive: true, force: true }));
+  afterAll(async () => {
+    // Batched writes would otherwise land after the directory is removed
+    const { closeStorage } = await import('../src/data/storage.js');
+    closeStorage();
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+  return testDataDir;
+}
+
+/**
+ * Map that filters, maps and searches its values like a discord.js Collection
+ * @param {Iterable} [entries] - Initial [key, value] entries
+ */
+export function createCollection(entries = []) {
+  const collection = new Map(entries);
+  collection.filter = (fn) => createCollection([...collection].filter(([, value]) => fn(value)));
+  collection.map = (fn) => [...collection.values()].map(fn);
+  collection.some = (fn) => [...collection.values()].some(fn);
+  return collection;
+}
+
+// Fetching an ID that doesn't exist fails like the Discord API does
+const unknown = (what, code) => Object.assign(new Error(`Unknown ${what}`), { code });
+
+/**
+ * Minimal guild stand-in with a bot member placed above the test roles
+ * Channels and members are fetched from their caches; members add themselves on creation
+ * @param {string} id - Guild ID
+ * @param {Array<string|Array>} [roles] - Role IDs, or [id, position, managed] (position 5 by default)
+ * @param {Object} [options] - Guild details
+ */
+export function createGuild(id, roles = [], { name = 'Test Server' } = {}) {
+  const guild = {
+    id,
+    name,
+    get memberCount() {
+      return guild.members.cache.size;
+    }
+  };
+  guild.roles = {
+    cache: createCollection(
+      roles.map((role) => {
+        const [roleId, position = 5, managed = false] = [role].flat();
+        return [roleId, { id: roleId, name: `Role ${roleId}`, position, managed, guild }];
+      })
+    ),
+    fetch: jest.fn(async (roleId) => guild.roles.cache.get(roleId) ?? null)
+  };
+  guild.channels = {
+    cache: createCollection(),
+    fetch: jest.fn(async (channelId) => {
+      if (!guild.channels.cache.has(channelId)) {
+        throw unknown('Channel', 10003);
+      }
+      return guild.channels.cache.get(channelId);
+    })
+  };
+  guild.members = {
+    cache: createCollection(),
+    me: { permissions: { has: () => true }, roles: { highest: { position: 10 } } },
+    fetch: jest.fn(async (memberId) => {
+      if (!guild.members.cache.has(memberId)) {
+        throw unknown('Member', 10007);
+      }
+      return guild.members.cache.get(memberId);
+    })
+  };
+  return guild;
+}
+
+/**
+ * Member stand-in whose role cache filters like a discord.js Collection
+ * Role changes take roles, role IDs or lists of either; a partial member has no known roles
+ * @param {Object} guild - Guild stand-in
+ * @param {Object} [options] - Member details
+ */
+export function createMember(
+  guild,
+  {
+    id = 'member-1',
+    username = id,
+    nickname = null,
+    roleIds = [],
+    bot = false,
+    pending = false,
+    joinedAt = new Date(),
+    createdAt = new Date('2020-01-01'),
+    partial = false
+  } = {}
+) {
+  const toRole = (roleId) =>
+    guild.roles.cache.get(roleId) ?? { id: roleId, name: `Role ${roleId}` };
+  const roles = createCollection(roleIds.map((roleId) => [roleId, toRole(roleId)]));
+  const toIds = (list) => [list].flat().map((role) => role.id ?? role);
+
+  const member = {
+    id,
+    partial,
+    nickname,
+    pending,
+    guild,
+    joinedAt,
+    joinedTimestamp: joinedAt.getTime(),
+    kickable: true,
+    kick: jest.fn(async () => {}),
+    user: {
+      id,
+      username,
+      tag: `${username}#0001`,
+      bot,
+      createdTimestamp: createdAt.getTime(),
+      send: jest.fn(async () => {})
+    },
+    roles: {
+      cache: roles,
+      add: jest.fn(async (list) =>
+        toIds(list).forEach((roleId) => roles.set(roleId, toRole(roleId)))
+      ),
+      remove: jest.fn(async (list) => toIds(list).forEach((roleId) => roles.delete(roleId)))
+    },
+    toString: () => `<@${id}>`
+  };
+  guild.members.cache.set(id, member);
+  return member;
+}
@@ -0,0 +1,56 @@
+// Migration tests - stored data from older versions must upgrade cleanly
+import fs from 'fs';
+import path from 'path';
+import { migrateData, compareVersions, SCHEMA_VERSION } from '../src/data/migrations.js';
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(process.cwd(), 'tests', 'fixtures', name), 'utf8'));
+}
+
+describe('Storage Migrations', () => {
+  test('should compare versions numerically', () => {
+    expect(compareVersions('1.0.0', '1.1.0')).toBeLessThan(0);
+    expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+    expect(compareVersions('1.1.0', '1.1.0')).toBe(0);
+  });
+
+  test('1.0.0 -> 1.1.0 converts staffRoleId to staffRoleIds', () => {
+    const fixture = loadFixture('config-v1.0.0.json');
+    const { data, fromVersion, applied } = migrateData(fixture);
+
+    expect(fromVersion).toBe('1.0.0');
+    expect(applied.map((m) => m.to)).toEqual(['1.1.0']);
+    expect(data.version).toBe(SCHEMA_VERSION);
+
+    const ticketConfigs = new Map(data.ticketConfigs);
+    expect(ticketConfigs.get('111111111').staffRoleIds).toEqual(['666666666']);
+    expect(ticketConfigs.get('111111111').staffRoleId).toBeUndefined();
+    expect(ticketConfigs.get('777777777').staffRoleIds).toEqual(['123123123', '456456456']);
+
+    // Unrelated collections are untouched
+    expect(data.userLevels).toEqual(fixture.userLevels);
+  });
+
+  test('should not modify the loaded data', () => {
+    const fixture = loadFixture('config-v1.0.0.json');
+    migrateData(fixture);
+
+    expect(new Map(fixture.ticketConfigs).get('111111111').staffRoleId).toBe('666666666');
+  });
+
+  test('should treat unversioned data as 1.0.0', () => {
+    const fixture = loadFixture('config-v1.0.0.json');
+    delete fixture.version;
+
+    expect(migrateData(fixture).fromVersion).toBe('1.0.0');
+  });
+
+  test('should not run migrations on current data', () => {
+    const { applied } = migrateData({ welcomeConfigs: [], version: SCHEMA_VERSION });
+    expect(applied).toHaveLength(0);
+  });
+
+  test('should refuse data from a newer version', () => {
+    expect(() => migrateData({ version: '99.0.0' })).toThrow(/newer|only supports/);
+  });
+});
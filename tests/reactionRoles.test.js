@@ -0,0 +1,318 @@
+// Reaction role tests - panel modes decide which roles a reaction adds or removes
+import { jest } from '@jest/globals';
+import { useTempDataDir, createGuild, createMember } from './guildStandIns.js';
+
+// Every block below shares the data directory, so it is removed once they are all done
+useTempDataDir('role-guardian-reaction-role-tests');
+
+const guildId = '515151515';
+const messageId = 'panel-1';
+
+/**
+ * Panel message and reaction stand-ins for a member of the test server
+ */
+function createPanel(heldRoles = []) {
+  const guild = createGuild(guildId, ['r1', 'r2', 'r3']);
+  const member = createMember(guild, { roleIds: heldRoles });
+  const { user } = member;
+
+  const message = { id: messageId, guild, reactions: { cache: new Map() } };
+  const react = (emoji) => {
+    const reaction = {
+      partial: false,
+      emoji: { id: null, name: emoji },
+      message,
+      users: { cache: new Set([user.id]), remove: jest.fn(async () => {}) }
+    };
+    message.reactions.cache.set(emoji, reaction);
+    return reaction;
+  };
+
+  return { user, member, roles: member.roles.cache, react };
+}
+
+describe('Reaction Role Panel Modes', () => {
+  let storage;
+  let handler;
+
+  const savePanel = (mode, extra = {}) =>
+    storage.saveReactionRoleConfig(
+      messageId,
+      ['🔴', '🔵', '🟢'].map((emoji, index) => ({
+        emoji,
+        roleId: `r${index + 1}`,
+        guildId,
+        channelId: 'c1',
+        mode,
+        ...extra
+      }))
+    );
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    handler = await import('../src/handlers/reactionRoles.js');
+  });
+
+  test('should default old panels to normal mode', () => {
+    expect(handler.getPanelMode([{ emoji: '🔴', roleId: 'r1' }])).toEqual({
+      mode: 'normal',
+      limit: 0
+    });
+  });
+
+  test('unique mode should swap the held role and clear its reaction', async () => {
+    savePanel('unique');
+    const { user, roles, react } = createPanel(['r1']);
+    const oldReaction = react('🔴');
+
+    await handler.handleReactionAdd(react('🔵'), user);
+
+    expect([...roles.keys()]).toEqual(['r2']);
+    expect(oldReaction.users.remove).toHaveBeenCalledWith(user.id);
+
+    // The bot's own reaction removal must not take the new role away
+    await handler.handleReactionRemove(oldReaction, user);
+    expect([...roles.keys()]).toEqual(['r2']);
+  });
+
+  test('should forget reactions the bot removed once the remove event is overdue', async () => {
+    savePanel('unique');
+    const { user, roles, react } = createPanel(['r1']);
+    const oldReaction = react('🔴');
+
+    // The remove event for the cleared reaction never arrives
+    await handler.handleReactionAdd(react('🔵'), user);
+    expect([...roles.keys()]).toEqual(['r2']);
+
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 1000);
+    await handler.handleReactionAdd(oldReaction, user);
+    await handler.handleReactionRemove(oldReaction, user);
+    clock.mockRestore();
+
+    // A later unreact by the member takes the role away as usual
+    expect([...roles.keys()]).toEqual([]);
+  });
+
+  test('verify mode should keep roles when the reaction is removed', async () => {
+    savePanel('verify');
+    const { user, roles, react } = createPanel();
+    const reaction = react('🔴');
+
+    await handler.handleReactionAdd(reaction, user);
+    await handler.handleReactionRemove(reaction, user);
+
+    expect([...roles.keys()]).toEqual(['r1']);
+  });
+
+  test('drop mode should only remove roles', async () => {
+    savePanel('drop');
+    const { user, roles, react } = createPanel(['r1']);
+
+    const held = react('🔴');
+    await handler.handleReactionAdd(held, user);
+    await handler.handleReactionAdd(react('🔵'), user);
+
+    expect([...roles.keys()]).toEqual([]);
+    expect(held.users.remove).toHaveBeenCalledWith(user.id);
+  });
+
+  test('limit mode should refuse roles over the limit', async () => {
+    savePanel('limit', { limit: 2 });
+    const { user, member, roles, react } = createPanel(['r1', 'r2']);
+    const reaction = react('🟢');
+
+    await handler.handleReactionAdd(reaction, user);
+
+    expect(member.roles.add).not.toHaveBeenCalled();
+    expect([...roles.keys()]).toEqual(['r1', 'r2']);
+    expect(reaction.users.remove).toHaveBeenCalledWith(user.id);
+    expect(user.send).toHaveBeenCalledWith(expect.stringContaining('only have 2 role(s)'));
+  });
+
+  test('should refuse roles whose requirements are not met', async () => {
+    savePanel('normal', { requirements: { minMemberDays: 7 } });
+    const { user, member, roles, react } = createPanel();
+    member.joinedTimestamp = Date.now();
+    const reaction = react('🔴');
+
+    await handler.handleReactionAdd(reaction, user);
+
+    expect([...roles.keys()]).toEqual([]);
+    expect(reaction.users.remove).toHaveBeenCalledWith(user.id);
+    expect(user.send).toHaveBeenCalledWith(expect.stringContaining('at least 7 day(s)'));
+  });
+});
+
+describe('Attached Reaction Role Panels', () => {
+  let storage;
+  let attach;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    attach = await import('../src/commands/attachReactionRoles.js');
+  });
+
+  test('should parse message links and IDs', () => {
+    expect(
+      attach.parseMessageReference(
+        'https://discord.com/channels/111111111111111111/222222222222222222/333333333333333333'
+      )
+    ).toEqual({
+      guildId: '111111111111111111',
+      channelId: '222222222222222222',
+      messageId: '333333333333333333'
+    });
+    expect(
+      attach.parseMessageReference(
+        'https://canary.discordapp.com/channels/111111111111111111/222222222222222222/333333333333333333'
+      ).messageId
+    ).toBe('333333333333333333');
+    expect(attach.parseMessageReference('333333333333333333')).toEqual({
+      messageId: '333333333333333333'
+    });
+    expect(attach.parseMessageReference('not a message')).toBeNull();
+  });
+
+  test('reset should keep the attached message and only remove the bot reactions', async () => {
+    const attachedGuildId = '626262626';
+    const botReaction = { me: true, users: { remove: jest.fn(async () => {}) } };
+    const message = {
+      id: 'rules-post',
+      delete: jest.fn(),
+      react: jest.fn(async () => {}),
+      reactions: { cache: new Map([['🔴', botReaction]]) }
+    };
+    const channel = { send: jest.fn(), messages: { fetch: async () => message } };
+    storage.setBotClient({ user: { id: 'bot' }, channels: { fetch: async () => channel } });
+
+    storage.saveReactionRoleConfig('rules-post', [
+      { emoji: '🔴', roleId: 'r1', guildId: attachedGuildId, channelId: 'c1', attached: true }
+    ]);
+
+    const result = await storage.resetGuildConfig(attachedGuildId, ['reaction-roles']);
+    expect(result.messagesDeleted).toBe(0);
+    expect(message.delete).not.toHaveBeenCalled();
+    expect(botReaction.users.remove).toHaveBeenCalledWith('bot');
+
+    // Undo puts the reactions back on the same message
+    const undo = await storage.undoGuildReset(attachedGuildId);
+    expect(undo.repostedPanels).toBe(1);
+    expect(channel.send).not.toHaveBeenCalled();
+    expect(message.react).toHaveBeenCalledWith('🔴');
+    expect(storage.getReactionRoleConfig('rules-post')).not.toBeNull();
+
+    storage.setBotClient(null);
+  });
+});
+
+describe('Editing Reaction Role Panels', () => {
+  let storage;
+  let edit;
+
+  const panelId = 'panel-edit';
+  const editGuildId = '737373737';
+
+  /**
+   * Panel message with the bot's reactions and an edit interaction for it
+   */
+  function createEdit(options) {
+    const reactions = new Map(
+      ['🔴', '🔵'].map((emoji) => [
+        emoji,
+        { me: true, count: emoji === '🔴' ? 3 : 1, users: { remove: jest.fn(async () => {}) } }
+      ])
+    );
+    const message = {
+      id: panelId,
+      embeds: [],
+      reactions: { cache: reactions },
+      react: jest.fn(async () => {})
+    };
+    const channel = { id: 'c1', messages: { fetch: async () => message } };
+    message.channel = channel;
+
+    const interaction = {
+      guildId: editGuildId,
+      guild: { channels: { cache: new Map([['c1', channel]]) } },
+      client: { user: { id: 'bot' } },
+      options: {
+        getSubcommand: () => options.subcommand,
+        getString: (name) => options[name] ?? null,
+        getRole: () => options.role
+      },
+      editReply: jest.fn(async () => {})
+    };
+    return { message, interaction };
+  }
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    edit = await import('../src/commands/editReactionRoles.js');
+  });
+
+  beforeEach(() => {
+    storage.saveReactionRoleConfig(
+      panelId,
+      ['🔴', '🔵'].map((emoji, index) => ({
+        emoji,
+        roleId: `r${index + 1}`,
+        guildId: editGuildId,
+        channelId: 'c1',
+        mode: 'limit',
+        limit: 1
+      }))
+    );
+  });
+
+  test('add should keep the message and copy the panel settings', async () => {
+    const { message, interaction } = createEdit({
+      subcommand: 'add',
+      'message-id': panelId,
+      emoji: '🟢',
+      role: { id: 'r3', name: 'Green' }
+    });
+
+    await edit.editReactionRolesCommand.execute(interaction);
+
+    expect(message.react).toHaveBeenCalledWith('🟢');
+    expect(storage.getReactionRoleConfig(panelId)[2]).toEqual({
+      emoji: '🟢',
+      roleId: 'r3',
+      guildId: editGuildId,
+      channelId: 'c1',
+      mode: 'limit',
+      limit: 1
+    });
+  });
+
+  test('reorder should only move reactions no member has used', async () => {
+    const { message, interaction } = createEdit({
+      subcommand: 'reorder',
+      'message-id': panelId,
+      order: '🔵, 🔴'
+    });
+
+    await edit.editReactionRolesCommand.execute(interaction);
+
+    expect(storage.getReactionRoleConfig(panelId).map((entry) => entry.emoji)).toEqual([
+      '🔵',
+      '🔴'
+    ]);
+    expect(message.reactions.cache.get('🔴').users.remove).not.toHaveBeenCalled();
+    expect(message.reactions.cache.get('🔵').users.remove).toHaveBeenCalledWith('bot');
+    expect(message.react).toHaveBeenCalledWith('🔵');
+  });
+
+  test('reorder should reject lists that miss an emoji', async () => {
+    const { interaction } = createEdit({
+      subcommand: 'reorder',
+      'message-id': panelId,
+      order: '🔵'
+    });
+
+    await edit.editReactionRolesCommand.execute(interaction);
+
+    expect(interaction.editReply.mock.calls[0][0].content).toMatch(/exactly once/);
+  });
+});
@@ -0,0 +1,143 @@
+// Reaction sync tests - roles are fixed to match the reactions on a panel after downtime
+import { jest } from '@jest/globals';
+import { useTempDataDir, createGuild as createTestGuild, createMember } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-reaction-sync-tests');
+
+/**
+ * Guild with members holding the given roles and a panel message with the given reactions
+ * @param {Object} memberRoles - userId -> role IDs held
+ * @param {Object} reactions - emoji -> user IDs reacting (the bot's reaction is added)
+ */
+function createGuild(memberRoles, reactions) {
+  const guild = createTestGuild('g1', ['r1', 'r2', 'r9']);
+  for (const [id, roleIds] of Object.entries(memberRoles)) {
+    createMember(guild, { id, roleIds });
+  }
+
+  const reactionCache = new Map(
+    Object.entries(reactions).map(([emoji, userIds]) => {
+      const users = [{ id: 'bot', bot: true }, ...userIds.map((id) => ({ id, bot: false }))];
+      return [
+        emoji,
+        {
+          me: true,
+          users: {
+            fetch: async () => new Map(users.map((user) => [user.id, user])),
+            remove: jest.fn(async () => {})
+          }
+        }
+      ];
+    })
+  );
+
+  const message = { id: 'panel', reactions: { cache: reactionCache } };
+  guild.channels.cache.set('c1', { id: 'c1', messages: { fetch: async () => message } });
+  return { guild, members: guild.members.cache, message };
+}
+
+const panel = (mode, extra = {}) =>
+  ['🔴', '🔵'].map((emoji, index) => ({
+    emoji,
+    roleId: `r${index + 1}`,
+    guildId: 'g1',
+    channelId: 'c1',
+    mode,
+    ...extra
+  }));
+
+describe('Reaction Sync', () => {
+  let sync;
+  let storage;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    sync = await import('../src/handlers/reactionSync.js');
+  });
+
+  test('should add missing roles and remove roles of members who stopped reacting', async () => {
+    const { guild, members } = createGuild({ a: [], b: ['r1'] }, { '🔴': ['a'], '🔵': [] });
+
+    const result = await sync.syncPanel(guild, members, 'panel', panel('normal'));
+
+    expect(result).toEqual({ added: 1, removed: 1, cleared: 0 });
+    expect([...members.get('a').roles.cache.keys()]).toEqual(['r1']);
+    expect([...members.get('b').roles.cache.keys()]).toEqual([]);
+  });
+
+  test('should keep panel roles given outside the panel when removals are off', async () => {
+    // b was given r1 by hand and never reacted
+    const { guild, members } = createGuild({ a: [], b: ['r1'] }, { '🔴': ['a'], '🔵': [] });
+
+    const result = await sync.syncPanel(guild, members, 'panel', panel('normal'), {
+      removeRoles: false
+    });
+
+    expect(result).toEqual({ added: 1, removed: 0, cleared: 0 });
+    expect([...members.get('a').roles.cache.keys()]).toEqual(['r1']);
+    expect([...members.get('b').roles.cache.keys()]).toEqual(['r1']);
+  });
+
+  test('unique panels should still swap roles for new reactions when removals are off', async () => {
+    const { guild, members } = createGuild({ a: ['r1'] }, { '🔴': [], '🔵': ['a'] });
+
+    const result = await sync.syncPanel(guild, members, 'panel', panel('unique'), {
+      removeRoles: false
+    });
+
+    expect(result).toEqual({ added: 1, removed: 1, cleared: 0 });
+    expect([...members.get('a').roles.cache.keys()]).toEqual(['r2']);
+  });
+
+  test('verify panels should never remove roles', async () => {
+    const { guild, members } = createGuild({ b: ['r1'] }, { '🔴': [], '🔵': [] });
+
+    const result = await sync.syncPanel(guild, members, 'panel', panel('verify'));
+
+    expect(result.removed).toBe(0);
+    expect(members.get('b').roles.cache.has('r1')).toBe(true);
+  });
+
+  test('should not remove roles when the reactions were cleared', async () => {
+    const { guild, members, message } = createGuild({ b: ['r1'] }, { '🔵': [] });
+    expect(message.reactions.cache.has('🔴')).toBe(false);
+
+    const result = await sync.syncPanel(guild, members, 'panel', panel('normal'));
+
+    expect(result.removed).toBe(0);
+    expect(members.get('b').roles.cache.has('r1')).toBe(true);
+  });
+
+  test('limit panels should clear reactions over the limit', async () => {
+    const { guild, members, message } = createGuild({ a: [] }, { '🔴': ['a'], '🔵': ['a'] });
+
+    const result = await sync.syncPanel(guild, members, 'panel', panel('limit', { limit: 1 }));
+
+    expect(result).toEqual({ added: 1, removed: 0, cleared: 1 });
+    expect([...members.get('a').roles.cache.keys()]).toEqual(['r1']);
+    expect(message.reactions.cache.get('🔵').users.remove).toHaveBeenCalledWith('a');
+  });
+
+  test('should give the reacted role and take the other roles of its group', async () => {
+    storage.saveRoleGroups('g1', [{ name: 'Colors', roleIds: ['r1', 'r2', 'r9'] }]);
+    // a holds a group role from outside the panel, b reacted for two roles of the group
+    const { guild, members, message } = createGuild(
+      { a: ['r9'], b: [] },
+      { '🔴': ['a', 'b'], '🔵': ['b'] }
+    );
+
+    const result = await sync.syncPanel(guild, members, 'panel', panel('normal'));
+    storage.saveRoleGroups('g1', []);
+
+    expect(result).toEqual({ added: 3, removed: 1, cleared: 1 });
+    expect([...members.get('a').roles.cache.keys()]).toEqual(['r1']);
+    expect([...members.get('b').roles.cache.keys()]).toEqual(['r2']);
+    expect(message.reactions.cache.get('🔴').users.remove).toHaveBeenCalledWith('b');
+  });
+
+  test('should skip panels whose message was deleted', async () => {
+    const guild = createTestGuild('g1');
+
+    expect(await sync.syncPanel(guild, new Map(), 'panel', panel('normal'))).toBeNull();
+  });
+});
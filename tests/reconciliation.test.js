@@ -0,0 +1,83 @@
+// Reconciliation tests - dangling references are reported and only pruned on request
+import { useTempDataDir, createGuild } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-reconcile-tests');
+
+const guildId = '424242424';
+
+function createChannel(messageIds) {
+  return {
+    messages: {
+      fetch: async (id) => {
+        if (!messageIds.includes(id)) {
+          throw Object.assign(new Error('Unknown Message'), { code: 10008 });
+        }
+        return { id };
+      }
+    }
+  };
+}
+
+describe('Reconciliation', () => {
+  let storage;
+  let reconcileGuild;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    ({ reconcileGuild } = await import('../src/handlers/reconciliation.js'));
+  });
+
+  beforeEach(() => {
+    storage.saveWelcomeConfig(guildId, { channelId: 'gone-channel', message: 'Hi' });
+    storage.saveAutoroleConfig(guildId, {
+      humanRoleIds: ['role-ok', 'role-gone'],
+      botRoleIds: [],
+      delaySeconds: 0
+    });
+    storage.saveReactionRoleConfig('panel-ok', [
+      { emoji: '🎮', roleId: 'role-ok', guildId, channelId: 'roles' },
+      { emoji: '🎨', roleId: 'role-gone', guildId, channelId: 'roles' }
+    ]);
+    storage.saveReactionRoleConfig('panel-gone', [
+      { emoji: '🎮', roleId: 'role-ok', guildId, channelId: 'roles' }
+    ]);
+    storage.saveSelectRoleConfig('menu-gone', [
+      { label: 'Gamer', roleId: 'role-ok', guildId, channelId: 'roles' }
+    ]);
+  });
+
+  const createTestGuild = () => {
+    const guild = createGuild(guildId, ['role-ok']);
+    guild.channels.cache.set('roles', createChannel(['panel-ok']));
+    return guild;
+  };
+
+  test('should report dangling entries without changing storage', async () => {
+    const { issues, pruned } = await reconcileGuild(createTestGuild());
+
+    expect(pruned).toBe(0);
+    expect(issues.map((issue) => [issue.module, issue.target])).toEqual([
+      ['welcome', 'gone-channel'],
+      ['autorole', 'role-gone'],
+      ['reaction-roles', 'panel-ok'],
+      ['reaction-roles', 'panel-gone'],
+      ['select-roles', 'menu-gone']
+    ]);
+    expect(issues.every((issue) => issue.suggestion)).toBe(true);
+    expect(storage.getWelcomeConfig(guildId)).not.toBeNull();
+    expect(storage.getReactionRoleConfig('panel-gone')).not.toBeNull();
+  });
+
+  test('should prune dangling entries when asked', async () => {
+    const { pruned } = await reconcileGuild(createTestGuild(), { prune: true });
+
+    expect(pruned).toBe(5);
+    expect(storage.getWelcomeConfig(guildId)).toBeNull();
+    expect(storage.getAutoroleConfig(guildId).humanRoleIds).toEqual(['role-ok']);
+    expect(storage.getReactionRoleConfig('panel-gone')).toBeNull();
+    expect(storage.getSelectRoleConfig('menu-gone')).toBeNull();
+    expect(storage.getReactionRoleConfig('panel-ok').map((role) => role.roleId)).toEqual([
+      'role-ok'
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+// Exclusive role group tests - one role per group, whichever panel grants it
+import { useTempDataDir, createGuild, createMember } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-role-group-tests');
+
+const guildId = '818181818';
+
+describe('Exclusive Role Groups', () => {
+  let storage;
+  let groups;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    groups = await import('../src/handlers/roleGroups.js');
+
+    storage.saveRoleGroups(guildId, [
+      { name: 'Colors', roleIds: ['red', 'blue', 'green'] },
+      { name: 'Regions', roleIds: ['eu', 'na'] }
+    ]);
+  });
+
+  test('should list the other roles of a group as conflicting', () => {
+    expect([...groups.getConflictingRoles(guildId, 'red')].sort()).toEqual(['blue', 'green']);
+    expect(groups.getConflictingRoles(guildId, 'moderator').size).toBe(0);
+  });
+
+  test('should keep the first role of each group when several are granted', () => {
+    const clashes = groups.findGroupClashes(guildId, ['blue', 'eu', 'red', 'na', 'green']);
+
+    expect([...clashes]).toEqual([
+      ['red', 'Colors'],
+      ['na', 'Regions'],
+      ['green', 'Colors']
+    ]);
+  });
+
+  test('should remove group roles the member already held', async () => {
+    const member = createMember(createGuild(guildId), { roleIds: ['red', 'eu', 'moderator'] });
+    await member.roles.add('blue');
+
+    const removed = await groups.removeConflictingRoles(member, ['blue']);
+
+    expect(removed).toEqual(['red']);
+    expect([...member.roles.cache.keys()].sort()).toEqual(['blue', 'eu', 'moderator']);
+  });
+
+  test('should drop a server entry once its last group is deleted', () => {
+    storage.saveRoleGroups('other-guild', [{ name: 'Pronouns', roleIds: ['a', 'b'] }]);
+    storage.saveRoleGroups('other-guild', []);
+
+    expect(storage.getRoleGroups('other-guild')).toEqual([]);
+    expect(storage.getRoleGroups(guildId)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,76 @@
+// Role notification tests - panel DMs follow the panel, then the server settings
+import { useTempDataDir, createGuild, createMember } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-notification-tests');
+
+const guildId = '727272727';
+const role = { name: 'Gamer' };
+
+function createTestMember({ dmsOpen = true } = {}) {
+  const member = createMember(createGuild(guildId), { username: 'alice' });
+  if (!dmsOpen) {
+    member.user.send.mockRejectedValue(new Error('Cannot send messages to this user'));
+  }
+  return member;
+}
+
+// DMs sent to a member, oldest first
+const sentDms = (member) => member.user.send.mock.calls.map(([content]) => content);
+
+describe('Role Notifications', () => {
+  let storage;
+  let notifications;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    notifications = await import('../src/handlers/roleNotifications.js');
+  });
+
+  test('should DM every change with the built-in text by default', async () => {
+    const member = createTestMember();
+
+    await notifications.notifyRoleChange(member, role, 'add', [{ guildId }]);
+    await notifications.notifyRoleChange(member, role, 'remove', [{ guildId }]);
+
+    expect(sentDms(member)).toEqual([
+      "You've been given the **Gamer** role in **Test Server**!",
+      'Your **Gamer** role has been removed in **Test Server**.'
+    ]);
+  });
+
+  test('should fill every placeholder of a server template', async () => {
+    storage.saveNotificationConfig(guildId, {
+      dm: 'add',
+      addTemplate: '{user} got {role} in {server} - welcome, {user}!'
+    });
+    const member = createTestMember();
+
+    await notifications.notifyRoleChange(member, role, 'add', [{ guildId }]);
+    await notifications.notifyRoleChange(member, role, 'remove', [{ guildId }]);
+
+    expect(sentDms(member)).toEqual(['alice got Gamer in Test Server - welcome, alice!']);
+  });
+
+  test('should let panel settings override the server settings', async () => {
+    const quietPanel = [{ guildId, notifications: { dm: 'off' } }];
+    const buttonPanel = [{ guildId, label: 'Gamer', notifications: { ephemeralOnly: true } }];
+    const member = createTestMember();
+
+    expect(await notifications.notifyRoleChange(member, role, 'add', quietPanel)).toBe(false);
+    expect(await notifications.notifyRoleChange(member, role, 'add', buttonPanel)).toBe(false);
+    expect(sentDms(member)).toEqual([]);
+
+    const settings = notifications.getNotificationSettings(guildId, [
+      { guildId, notifications: { removeTemplate: 'Bye {role}' } }
+    ]);
+    expect(settings).toMatchObject({ dm: 'add', removeTemplate: 'Bye {role}' });
+    expect(settings.addTemplate).toMatch(/welcome/);
+  });
+
+  test('should report closed DMs without throwing', async () => {
+    storage.saveNotificationConfig(guildId, { dm: 'all' });
+
+    const member = createTestMember({ dmsOpen: false });
+    expect(await notifications.notifyRoleChange(member, role, 'add', [{ guildId }])).toBe(false);
+  });
+});
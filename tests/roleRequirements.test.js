@@ -0,0 +1,61 @@
+// Role requirement tests - members are refused panel roles they are not eligible for
+import { useTempDataDir, createGuild, createMember } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-requirements-tests');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const guildId = '818181818';
+
+function createTestMember({ roles = [], accountDays = 365, memberDays = 30 } = {}) {
+  return createMember(createGuild(guildId, ['verified', 'muted']), {
+    roleIds: roles,
+    joinedAt: new Date(Date.now() - memberDays * DAY_MS),
+    createdAt: new Date(Date.now() - accountDays * DAY_MS)
+  });
+}
+
+describe('Role Requirements', () => {
+  let storage;
+  let checkRequirements;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    ({ checkRequirements } = await import('../src/handlers/roleRequirements.js'));
+  });
+
+  test('should allow everyone when a role has no requirements', () => {
+    expect(checkRequirements(createTestMember(), undefined)).toBeNull();
+  });
+
+  test('should name the missing or blocking role', () => {
+    expect(checkRequirements(createTestMember(), { requiredRoleId: 'verified' })).toMatch(
+      /Role verified/
+    );
+    expect(
+      checkRequirements(createTestMember({ roles: ['verified', 'muted'] }), {
+        requiredRoleId: 'verified',
+        blockedRoleId: 'muted'
+      })
+    ).toMatch(/Role muted/);
+  });
+
+  test('should check the level from stored XP', () => {
+    const requirements = { minLevel: 2 };
+    expect(checkRequirements(createTestMember(), requirements)).toMatch(/level 2.*level 0/);
+
+    storage.addUserXP(guildId, 'member-1', 400);
+    expect(checkRequirements(createTestMember(), requirements)).toBeNull();
+  });
+
+  test('should check account age and time in the server', () => {
+    expect(
+      checkRequirements(createTestMember({ accountDays: 3 }), { minAccountAgeDays: 7 })
+    ).toMatch(/7 day/);
+    expect(checkRequirements(createTestMember({ memberDays: 1 }), { minMemberDays: 2 })).toMatch(
+      /in the server/
+    );
+    expect(
+      checkRequirements(createTestMember(), { minAccountAgeDays: 7, minMemberDays: 2 })
+    ).toBeNull();
+  });
+});
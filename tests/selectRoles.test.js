@@ -0,0 +1,110 @@
+// Select menu role tests - a submitted menu becomes the member's set of panel roles
+import { jest } from '@jest/globals';
+import { useTempDataDir, createGuild, createMember } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-select-role-tests');
+
+const guildId = '616161616';
+const messageId = 'select-panel-1';
+
+/**
+ * Minimal select menu interaction stand-in
+ * @param {Array<string>} heldRoles - Roles the member has
+ * @param {Array<string>} values - Roles picked in the menu
+ * @param {Array<string>} offered - Roles offered by the submitted menu
+ */
+function createInteraction(heldRoles, values, offered = ['r1', 'r2', 'r3']) {
+  const guild = createGuild(guildId, ['r1', 'r2', 'r3', 'r4']);
+  const member = createMember(guild, { roleIds: heldRoles });
+
+  return {
+    roles: member.roles.cache,
+    interaction: {
+      customId: 'select_role_0',
+      message: { id: messageId },
+      component: { options: offered.map((value) => ({ value })) },
+      values,
+      member,
+      guild,
+      deferReply: jest.fn(async () => {}),
+      editReply: jest.fn(async () => {})
+    }
+  };
+}
+
+describe('Select Menu Roles', () => {
+  let storage;
+  let handleSelectRole;
+  let parseRoleConfig;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    ({ handleSelectRole } = await import('../src/handlers/selectRoles.js'));
+    ({ parseRoleConfig } = await import('../src/commands/setupSelectRoles.js'));
+
+    storage.saveNotificationConfig(guildId, { dm: 'off' });
+    storage.saveSelectRoleConfig(
+      messageId,
+      ['r1', 'r2', 'r3', 'r4'].map((roleId) => ({
+        label: `Label ${roleId}`,
+        roleId,
+        guildId,
+        channelId: 'c1',
+        minValues: 0
+      }))
+    );
+  });
+
+  test('should parse labels, descriptions and emojis', () => {
+    expect(
+      parseRoleConfig(
+        'Gamer:111:Game night pings:🎮, Artist:222:<:brush:123456789012345678>,Dev:333'
+      )
+    ).toEqual([
+      { label: 'Gamer', roleId: '111', description: 'Game night pings', emoji: '🎮' },
+      {
+        label: 'Artist',
+        roleId: '222',
+        emoji: '123456789012345678',
+        emojiName: 'brush',
+        animated: false
+      },
+      { label: 'Dev', roleId: '333' }
+    ]);
+    expect(parseRoleConfig('Gamer')).toBeNull();
+    expect(parseRoleConfig(`${'x'.repeat(101)}:111`)).toBeNull();
+  });
+
+  test('should add picked roles and remove the ones left out', async () => {
+    const { roles, interaction } = createInteraction(['r1', 'r2'], ['r2', 'r3']);
+
+    await handleSelectRole(interaction);
+
+    expect([...roles.keys()].sort()).toEqual(['r2', 'r3']);
+    expect(interaction.editReply.mock.calls[0][0].content).toMatch(/Role r3.*\n.*Role r1/);
+  });
+
+  test('should leave roles of other menus alone', async () => {
+    const { roles, interaction } = createInteraction(['r1', 'r4'], [], ['r1', 'r2', 'r3']);
+
+    await handleSelectRole(interaction);
+
+    expect([...roles.keys()]).toEqual(['r4']);
+  });
+
+  test('should refuse roles the member is not eligible for', async () => {
+    const config = storage.getSelectRoleConfig(messageId);
+    storage.saveSelectRoleConfig(
+      messageId,
+      config.map((entry) =>
+        entry.roleId === 'r3' ? { ...entry, requirements: { requiredRoleId: 'r4' } } : entry
+      )
+    );
+    const { roles, interaction } = createInteraction([], ['r3']);
+
+    await handleSelectRole(interaction);
+
+    expect(roles.size).toBe(0);
+    expect(interaction.editReply.mock.calls[0][0].content).toMatch(/Role r3.*Role r4/);
+  });
+});
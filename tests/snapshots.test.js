@@ -0,0 +1,53 @@
+// Snapshot tests - rolling retention and recovery of the newest valid snapshot
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeSnapshot, listSnapshots, loadLatestValidSnapshot } from '../src/data/snapshots.js';
+
+const snapshotDir = path.join(os.tmpdir(), 'role-guardian-snapshot-tests');
+
+describe('Storage Snapshots', () => {
+  beforeEach(() => {
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  });
+
+  test('should keep only the configured number of snapshots', () => {
+    for (let i = 0; i < 5; i++) {
+      // Unique names - snapshot file names carry a millisecond timestamp
+      fs.mkdirSync(snapshotDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(snapshotDir, `snapshot-2025-01-0${i + 1}T00-00-00-000Z.json`),
+        JSON.stringify({ index: i })
+      );
+    }
+
+    writeSnapshot(snapshotDir, { index: 'latest' }, 3);
+
+    const snapshots = listSnapshots(snapshotDir);
+    expect(snapshots).toHaveLength(3);
+    expect(JSON.parse(fs.readFileSync(snapshots[0], 'utf8')).index).toBe('latest');
+  });
+
+  test('should skip unreadable snapshots when recovering', () => {
+    fs.mkdirSync(snapshotDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(snapshotDir, 'snapshot-2025-01-01T00-00-00-000Z.json'),
+      JSON.stringify({ welcomeConfigs: [['1', { channelId: '2' }]] })
+    );
+    fs.writeFileSync(path.join(snapshotDir, 'snapshot-2025-01-02T00-00-00-000Z.json'), '{broken');
+
+    const snapshot = loadLatestValidSnapshot(snapshotDir);
+
+    expect(snapshot.file).toMatch(/2025-01-01/);
+    expect(snapshot.data.welcomeConfigs).toEqual([['1', { channelId: '2' }]]);
+    expect(snapshot.skipped).toHaveLength(1);
+  });
+
+  test('should return null when no snapshot is valid', () => {
+    expect(loadLatestValidSnapshot(snapshotDir)).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+// Sticky role tests - members who leave get their roles back when they rejoin
+import { jest } from '@jest/globals';
+import { useTempDataDir, createGuild as createTestGuild, createMember } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-sticky-role-tests');
+
+const guildId = '929292929';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @everyone shares the guild ID, and boosters get a managed role
+const createGuild = () =>
+  createTestGuild(guildId, [
+    [guildId, 0],
+    'member',
+    'muted',
+    ['booster', 5, true],
+    ['above-bot', 20]
+  ]);
+
+describe('Sticky roles', () => {
+  let storage;
+  let memberEvents;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    memberEvents = await import('../src/handlers/memberEvents.js');
+  });
+
+  beforeEach(() => {
+    storage.removeStickyRoleConfig(guildId);
+    storage.saveStickyRoleConfig(guildId, { mode: 'all', roleIds: [], retentionDays: 30 });
+  });
+
+  test('should save every role except @everyone and managed roles', () => {
+    const guild = createGuild();
+    memberEvents.saveStickyRoles(
+      createMember(guild, { roleIds: [guildId, 'member', 'booster', 'muted'] })
+    );
+
+    expect(storage.takeStickyRoleSnapshot(guildId, 'member-1').roleIds).toEqual([
+      'member',
+      'muted'
+    ]);
+  });
+
+  test('should follow the allow and deny lists', () => {
+    const guild = createGuild();
+
+    storage.saveStickyRoleConfig(guildId, { mode: 'allow', roleIds: ['muted'], retentionDays: 30 });
+    memberEvents.saveStickyRoles(createMember(guild, { roleIds: ['member', 'muted'] }));
+    expect(storage.takeStickyRoleSnapshot(guildId, 'member-1').roleIds).toEqual(['muted']);
+
+    storage.saveStickyRoleConfig(guildId, { mode: 'deny', roleIds: ['muted'], retentionDays: 30 });
+    memberEvents.saveStickyRoles(createMember(guild, { roleIds: ['member', 'muted'] }));
+    expect(storage.takeStickyRoleSnapshot(guildId, 'member-1').roleIds).toEqual(['member']);
+  });
+
+  test('should keep roles that were never given back when the member leaves again', () => {
+    const guild = createGuild();
+    memberEvents.saveStickyRoles(createMember(guild, { roleIds: ['member', 'muted'] }));
+
+    // Rejoined during a lockdown, so nothing was given back, then left with a new role
+    memberEvents.saveStickyRoles(createMember(guild, { roleIds: ['above-bot'] }));
+
+    expect(storage.takeStickyRoleSnapshot(guildId, 'member-1').roleIds).toEqual([
+      'member',
+      'muted',
+      'above-bot'
+    ]);
+  });
+
+  test('should keep saved roles when a member leaves without being cached', () => {
+    const guild = createGuild();
+    memberEvents.saveStickyRoles(createMember(guild, { roleIds: ['member', 'muted'] }));
+    memberEvents.saveStickyRoles(createMember(guild, { partial: true }));
+
+    expect(storage.takeStickyRoleSnapshot(guildId, 'member-1').roleIds).toEqual([
+      'member',
+      'muted'
+    ]);
+  });
+
+  test('should give the saved roles back on rejoin, skipping roles above the bot', async () => {
+    const guild = createGuild();
+    memberEvents.saveStickyRoles(createMember(guild, { roleIds: ['member', 'above-bot'] }));
+
+    const rejoined = createMember(guild);
+    const restored = await memberEvents.restoreStickyRoles(rejoined);
+
+    expect(restored.map((role) => role.id)).toEqual(['member']);
+    expect(storage.takeStickyRoleSnapshot(guildId, 'member-1')).toBeNull();
+  });
+
+  test('should ignore roles saved longer ago than the retention period', async () => {
+    const guild = createGuild();
+    memberEvents.saveStickyRoles(createMember(guild, { roleIds: ['member'] }));
+
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 31 * DAY_MS);
+    const rejoined = createMember(guild);
+    const restored = await memberEvents.restoreStickyRoles(rejoined);
+    spy.mockRestore();
+
+    expect(restored).toEqual([]);
+    expect(rejoined.roles.add).not.toHaveBeenCalled();
+  });
+
+  test('should wait for membership screening', async () => {
+    const guild = createGuild();
+    memberEvents.saveStickyRoles(createMember(guild, { roleIds: ['member'] }));
+
+    const pending = createMember(guild, { pending: true });
+    expect(await memberEvents.restoreStickyRoles(pending)).toEqual([]);
+
+    const passed = createMember(guild);
+    expect((await memberEvents.restoreStickyRoles(passed)).map((role) => role.id)).toEqual([
+      'member'
+    ]);
+  });
+});
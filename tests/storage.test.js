@@ -19,6 +19,7 @@ describe('Storage Module', () => {
   });
 
   afterAll(() => {
+    storage.closeStorage();
     // Clean up test data directory
     if (fs.existsSync(testConfigFile)) {
       fs.unlinkSync(testConfigFile);
@@ -127,6 +128,58 @@ describe('Storage Module', () => {
     expect(updated.xp).toBe(50);
   });
 
+  test('should batch XP changes until flushed', () => {
+    storage.flushStorage();
+
+    storage.addUserXP('123456789', '111', 10);
+    storage.addUserXP('123456789', '111', 10);
+    storage.addUserXP('123456789', '222', 10);
+
+    // Repeated changes to the same user coalesce into one pending entry
+    expect(storage.getStorageStats().persistence.pendingChanges).toBe(2);
+
+    const before = storage.getStorageStats().persistence.flushCount;
+    expect(storage.flushStorage()).toBe(2);
+
+    const { persistence } = storage.getStorageStats();
+    expect(persistence.pendingChanges).toBe(0);
+    expect(persistence.flushCount).toBe(before + 1);
+    expect(persistence.lastFlushEntries).toBe(2);
+  });
+
+  test('should keep pending changes when a write fails', () => {
+    storage.flushStorage();
+    const writeFile = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+    const copyFile = jest.spyOn(fs, 'copyFileSync').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+
+    storage.addUserXP('123456789', '444', 10);
+    const before = storage.getStorageStats().persistence;
+    expect(storage.flushStorage()).toBe(0);
+
+    writeFile.mockRestore();
+    copyFile.mockRestore();
+
+    const failed = storage.getStorageStats().persistence;
+    expect(failed.pendingChanges).toBe(1);
+    expect(failed.dirtySince).not.toBeNull();
+    expect(failed.failedFlushCount).toBe(before.failedFlushCount + 1);
+    expect(failed.flushCount).toBe(before.flushCount);
+
+    // The next flush writes the kept changes
+    expect(storage.flushStorage()).toBe(1);
+  });
+
+  test('should write config changes immediately', () => {
+    storage.addUserXP('123456789', '333', 10);
+    storage.saveWelcomeConfig('123456789', { channelId: '1', message: 'Hi' });
+
+    expect(storage.getStorageStats().persistence.pendingChanges).toBe(0);
+  });
+
   test('should handle scheduled messages', () => {
     const guildId = '123456789';
     const message = {
@@ -143,4 +196,203 @@ describe('Storage Module', () => {
     expect(retrieved).toHaveLength(1);
     expect(retrieved[0]).toEqual(message);
   });
+
+  test('should export and restore a single guild', () => {
+    const guildId = '555555555';
+    storage.saveWelcomeConfig(guildId, { channelId: '1', message: 'Hi {user}' });
+    storage.saveButtonRoleConfig('panel-1', [{ roleId: 'r1', label: 'A', guildId }]);
+    storage.saveWelcomeConfig('other-guild', { channelId: '2', message: 'Other' });
+
+    const backup = storage.exportGuildConfig(guildId);
+    expect(backup.welcomeConfigs).toEqual([[guildId, { channelId: '1', message: 'Hi {user}' }]]);
+    expect(backup.buttonRoles.map(([id]) => id)).toEqual(['panel-1']);
+
+    storage.removeWelcomeConfig(guildId);
+    storage.saveButtonRoleConfig('panel-2', [{ roleId: 'r2', label: 'B', guildId }]);
+    storage.restoreGuildConfig(guildId, backup);
+
+    expect(storage.getWelcomeConfig(guildId).message).toBe('Hi {user}');
+    expect(storage.getButtonRoleConfig('panel-1')).not.toBeNull();
+    expect(storage.getButtonRoleConfig('panel-2')).toBeNull();
+    expect(storage.getWelcomeConfig('other-guild').message).toBe('Other');
+  });
+
+  test('should not restore a panel stored for another guild', () => {
+    const guildId = '444444444';
+    storage.saveButtonRoleConfig('panel-3', [{ roleId: 'r3', label: 'C', guildId: 'other-guild' }]);
+    storage.saveWelcomeConfig(guildId, { channelId: '1', message: 'Hi' });
+
+    const backup = storage.exportGuildConfig(guildId);
+    backup.welcomeConfigs = [];
+    backup.buttonRoles = [['panel-3', [{ roleId: 'r4', label: 'D', guildId }]]];
+
+    expect(storage.getPanelGuildId('buttonRoles', 'panel-3')).toBe('other-guild');
+    expect(storage.restoreGuildConfig(guildId, backup)).toBe(false);
+    expect(storage.getButtonRoleConfig('panel-3')[0].guildId).toBe('other-guild');
+    expect(storage.getWelcomeConfig(guildId)).not.toBeNull();
+  });
+
+  test('should record config changes in the audit log', async () => {
+    const { runWithAuditActor } = await import('../src/data/audit.js');
+    const guildId = '666666666';
+    const actor = { actorId: 'admin-1', actorTag: 'admin#0001', command: 'setup-leveling' };
+
+    runWithAuditActor(actor, () => {
+      storage.saveLevelingConfig(guildId, { enabled: true, levelRoles: [] });
+    });
+
+    // Commands edit the stored object in place before saving it
+    const config = storage.getLevelingConfig(guildId);
+    config.levelRoles.push({ level: 5, roleId: 'r5' });
+    runWithAuditActor({ ...actor, command: 'add-level-role' }, () => {
+      storage.saveLevelingConfig(guildId, config);
+    });
+    storage.removeWelcomeConfig(guildId);
+
+    const entries = storage.getAuditLog(guildId);
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({
+      actorId: 'admin-1',
+      command: 'add-level-role',
+      module: 'leveling',
+      action: 'update'
+    });
+    expect(entries[0].changes).toEqual([
+      { field: 'levelRoles', from: [], to: [{ level: 5, roleId: 'r5' }] }
+    ]);
+    expect(entries[1].action).toBe('create');
+
+    expect(storage.getAuditLog(guildId, { module: 'welcome' })).toHaveLength(0);
+    expect(storage.getAuditLog(guildId, { userId: 'someone-else' })).toHaveLength(0);
+  });
+
+  test('should apply per-guild audit retention', () => {
+    const guildId = '777777777';
+    storage.saveWelcomeConfig(guildId, { channelId: '1', message: 'Hi' });
+    expect(storage.getAuditLog(guildId)[0].actorTag).toBe('System');
+
+    const entry = storage.getAuditLog(guildId)[0];
+    entry.timestamp = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+    storage.setAuditRetention(guildId, 7);
+
+    expect(storage.getAuditRetention(guildId)).toBe(7);
+    // The retention change itself is the only entry left
+    expect(storage.getAuditLog(guildId).map((e) => e.module)).toEqual(['audit-log']);
+  });
+
+  test('should not audit the ticket counter when a ticket is opened', () => {
+    const guildId = '777777778';
+    storage.saveTicketConfig(guildId, { panelChannelId: '1', staffRoleIds: [], ticketCount: 0 });
+    storage.createTicket(guildId, { id: 'ticket-1', ticketNumber: 1, userId: 'member-1' });
+
+    expect(storage.getTicketConfig(guildId).ticketCount).toBe(1);
+    expect(storage.getAuditLog(guildId).map((e) => e.action)).toEqual(['create']);
+
+    // A later edit lists only what the admin changed
+    const config = storage.getTicketConfig(guildId);
+    storage.saveTicketConfig(guildId, { ...config, categoryId: '2' });
+    expect(storage.getAuditLog(guildId)[0].changes).toEqual([
+      { field: 'categoryId', from: null, to: '2' }
+    ]);
+  });
+
+  test('should reset only the chosen scopes and undo the reset', async () => {
+    const guildId = '888888888';
+    storage.saveWelcomeConfig(guildId, { channelId: '1', message: 'Hi' });
+    storage.saveLeaveConfig(guildId, { channelId: '2', message: 'Bye' });
+    storage.addUserXP(guildId, 'member-1', 50);
+
+    expect(storage.getResetPreview(guildId, ['welcome', 'xp-data'])).toEqual({
+      welcome: 1,
+      'xp-data': 1
+    });
+
+    const result = await storage.resetGuildConfig(guildId, ['welcome', 'xp-data']);
+    expect(result.removed).toEqual({ welcome: 1, 'xp-data': 1 });
+    expect(storage.getWelcomeConfig(guildId)).toBeNull();
+    expect(storage.getUserLevel(guildId, 'member-1').xp).toBe(0);
+    expect(storage.getLeaveConfig(guildId).message).toBe('Bye');
+
+    const undo = await storage.undoGuildReset(guildId);
+    expect(undo.scopes).toEqual(['welcome', 'xp-data']);
+    expect(storage.getWelcomeConfig(guildId).message).toBe('Hi');
+    expect(storage.getUserLevel(guildId, 'member-1').xp).toBe(50);
+
+    // A reset can only be undone once
+    expect(await storage.undoGuildReset(guildId)).toBeNull();
+  });
+
+  test('should cover every collection with a reset scope or an explicit exclusion', () => {
+    expect(storage.getUnscopedCollections()).toEqual([]);
+  });
+
+  test('should remove notification, role group and diagnostics settings on a full reset', async () => {
+    const guildId = '888888889';
+    storage.saveNotificationConfig(guildId, { dm: true });
+    storage.saveRoleGroups(guildId, [{ name: 'Colors', roleIds: ['r1', 'r2'] }]);
+    storage.saveDiagnoseConfig(guildId, { autoPrune: true });
+    storage.setAuditRetention(guildId, 30);
+
+    await storage.resetGuildConfig(guildId);
+
+    expect(storage.getNotificationConfig(guildId)).toBeNull();
+    expect(storage.getRoleGroups(guildId)).toEqual([]);
+    expect(storage.getDiagnoseConfig(guildId)).toBeNull();
+    expect(storage.getAuditRetention(guildId)).toBe(30);
+  });
+
+  test('should publish config changes and resets on the event bus', async () => {
+    const { eventBus, Events } = await import('../src/utils/eventBus.js');
+    const guildId = '999999999';
+    const received = [];
+    const unsubscribers = [
+      Events.CONFIG_CREATED,
+      Events.CONFIG_UPDATED,
+      Events.CONFIG_REMOVED,
+      Events.GUILD_RESET
+    ].map((event) => eventBus.on(event, (payload) => received.push({ event, ...payload })));
+
+    storage.saveLeaveConfig(guildId, { channelId: '2', message: 'Bye' });
+    storage.saveLeaveConfig(guildId, { channelId: '2', message: 'See you' });
+    await storage.resetGuildConfig(guildId, ['leave']);
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+
+    expect(received.map((payload) => payload.event)).toEqual([
+      Events.CONFIG_CREATED,
+      Events.CONFIG_UPDATED,
+      Events.GUILD_RESET,
+      Events.CONFIG_REMOVED
+    ]);
+    expect(received[1]).toMatchObject({
+      module: 'leave',
+      guildId,
+      config: { message: 'See you' },
+      previous: { message: 'Bye' }
+    });
+    expect(received[2].scopes).toEqual(['leave']);
+  });
+
+  test('should publish saves of collections that are not audited', async () => {
+    const { eventBus, Events } = await import('../src/utils/eventBus.js');
+    const guildId = '999999998';
+    const received = [];
+    const unsubscribers = [Events.CONFIG_CREATED, Events.CONFIG_UPDATED, Events.CONFIG_REMOVED].map(
+      (event) => eventBus.on(event, (payload) => received.push({ event, ...payload }))
+    );
+
+    const lockdown = { startedAt: '2026-01-01T00:00:00.000Z', channels: [] };
+    storage.saveLockdown(guildId, lockdown);
+    // A save that changes nothing still reaches subscribers
+    storage.saveLockdown(guildId, lockdown);
+    storage.removeLockdown(guildId);
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+
+    expect(received.map((payload) => payload.event)).toEqual([
+      Events.CONFIG_CREATED,
+      Events.CONFIG_UPDATED,
+      Events.CONFIG_REMOVED
+    ]);
+    expect(received[0]).toMatchObject({ module: 'lockdowns', guildId, config: lockdown });
+    expect(storage.getAuditLog(guildId)).toHaveLength(0);
+  });
 });
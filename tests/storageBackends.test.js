@@ -0,0 +1,113 @@
+// Storage backend tests - JSON and SQLite backends must round-trip the same data
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { createJsonBackend } from '../src/data/backends/jsonBackend.js';
+import { createSqliteBackend } from '../src/data/backends/sqliteBackend.js';
+import { SCHEMA_VERSION } from '../src/data/migrations.js';
+
+const require = createRequire(import.meta.url);
+const testDataDir = path.join(os.tmpdir(), 'role-guardian-backend-tests');
+
+let sqliteAvailable = true;
+try {
+  require('better-sqlite3');
+} catch {
+  sqliteAvailable = false;
+}
+
+function buildCollections() {
+  return {
+    welcomeConfigs: new Map([['123', { channelId: '456', message: 'Welcome {user}!' }]]),
+    userLevels: new Map([
+      ['123-1', { xp: 50, level: 0 }],
+      ['123-2', { xp: 400, level: 2 }]
+    ])
+  };
+}
+
+describe('Storage Backends', () => {
+  beforeEach(() => {
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+    fs.mkdirSync(testDataDir, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  test('json backend returns null when nothing is stored', () => {
+    const backend = createJsonBackend(testDataDir);
+    expect(backend.load()).toBeNull();
+  });
+
+  test('json backend round-trips collections', () => {
+    const backend = createJsonBackend(testDataDir);
+    const collections = buildCollections();
+
+    backend.write(collections, new Map());
+    const data = backend.load();
+
+    expect(new Map(data.welcomeConfigs)).toEqual(collections.welcomeConfigs);
+    expect(new Map(data.userLevels)).toEqual(collections.userLevels);
+    expect(data.version).toBe(SCHEMA_VERSION);
+  });
+
+  (sqliteAvailable ? test : test.skip)('sqlite backend only writes changed entries', () => {
+    const backend = createSqliteBackend(testDataDir);
+    const collections = buildCollections();
+
+    backend.write(
+      collections,
+      new Map([
+        ['welcomeConfigs', new Set(['123'])],
+        ['userLevels', new Set(['123-1'])]
+      ])
+    );
+
+    const data = backend.load();
+    expect(data.welcomeConfigs).toEqual([['123', collections.welcomeConfigs.get('123')]]);
+    expect(data.userLevels).toEqual([['123-1', { xp: 50, level: 0 }]]);
+
+    // Deleted keys are removed from the database
+    collections.userLevels.delete('123-1');
+    backend.write(collections, new Map([['userLevels', new Set(['123-1'])]]));
+    expect(backend.load().userLevels).toBeUndefined();
+
+    backend.close();
+  });
+
+  (sqliteAvailable ? test : test.skip)('sqlite backend imports an existing config.json', () => {
+    createJsonBackend(testDataDir).write(buildCollections(), new Map());
+
+    const backend = createSqliteBackend(testDataDir);
+    const data = backend.load();
+
+    expect(new Map(data.userLevels)).toEqual(buildCollections().userLevels);
+    backend.close();
+  });
+
+  (sqliteAvailable ? test : test.skip)(
+    'sqlite backend does not import config.json again once the database is emptied',
+    () => {
+      const collections = buildCollections();
+      createJsonBackend(testDataDir).write(collections, new Map());
+
+      let backend = createSqliteBackend(testDataDir);
+      expect(backend.load()).not.toBeNull();
+
+      // Every guild reset or purged
+      const changes = new Map(
+        Object.entries(collections).map(([name, entries]) => [name, new Set(entries.keys())])
+      );
+      Object.values(collections).forEach((entries) => entries.clear());
+      backend.write(collections, changes);
+      backend.close();
+
+      backend = createSqliteBackend(testDataDir);
+      expect(backend.load()).toBeNull();
+      backend.close();
+    }
+  );
+});
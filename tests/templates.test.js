@@ -0,0 +1,103 @@
+// Template tests - placeholders, conditionals and escaping shared by every message
+import {
+  renderTemplate,
+  renderOrFallback,
+  findTemplateError,
+  memberVariables,
+  ordinal
+} from '../src/utils/templates.js';
+import { createGuild, createMember } from './guildStandIns.js';
+
+/**
+ * Member who joined third of a four-member server
+ */
+function createTestMember({ nickname = null } = {}) {
+  const guild = createGuild('guild-1', [], { name: 'Test *Server*' });
+  [1000, 2000, 4000].forEach((joinedTimestamp, index) =>
+    createMember(guild, { id: `other-${index}`, joinedAt: new Date(joinedTimestamp) })
+  );
+  return createMember(guild, {
+    id: '100000000000000001',
+    username: 'cool_bob',
+    nickname,
+    joinedAt: new Date(3000),
+    createdAt: new Date(1700000000000)
+  });
+}
+
+describe('Message Templates', () => {
+  test('should replace every occurrence of a placeholder', () => {
+    expect(renderTemplate('{server} loves {server}', 'scheduled', { server: 'Home' })).toBe(
+      'Home loves Home'
+    );
+  });
+
+  test('should reject unknown placeholders and broken blocks', () => {
+    expect(findTemplateError('Hi {usr}', 'welcome')).toMatch(/Unknown placeholder \{usr\}/);
+    expect(findTemplateError('Level {level}', 'welcome')).toMatch(/Unknown placeholder/);
+    expect(findTemplateError('{if nickname}hi', 'welcome')).toMatch(/missing its \{end\}/);
+    expect(findTemplateError('hi{end}', 'welcome')).toMatch(/no matching/);
+    expect(findTemplateError('{role:abc}', 'welcome')).toMatch(/Invalid placeholder/);
+    expect(findTemplateError('{user} reached {level}', 'levelUp')).toBeNull();
+    expect(() => renderTemplate('{nope}', 'leave', {})).toThrow(/Unknown placeholder/);
+  });
+
+  test('should render conditionals, mentions and escaped braces', () => {
+    const template =
+      '{if nickname}aka {nickname}{else}no nickname{end} \\{user\\} {role:200000000000000002}';
+
+    expect(renderTemplate(template, 'welcome', { nickname: 'Bobby' })).toBe(
+      'aka Bobby {user} <@&200000000000000002>'
+    );
+    expect(renderTemplate(template, 'welcome', { nickname: null })).toBe(
+      'no nickname {user} <@&200000000000000002>'
+    );
+    expect(
+      renderTemplate('{if rules}{if role_channel}both{end}{end}', 'welcome', {
+        rules: '<#1>',
+        role_channel: '<#2>'
+      })
+    ).toBe('both');
+  });
+
+  test('should build escaped member values only when used', () => {
+    const member = createTestMember();
+    const values = memberVariables(member);
+
+    expect(
+      renderTemplate(
+        '{username} ({user_id}) is our {join_position} member of {server} {account_age}',
+        'welcome',
+        values
+      )
+    ).toBe(
+      'cool\\_bob (100000000000000001) is our 3rd member of Test \\*Server\\* <t:1700000000:R>'
+    );
+
+    delete member.guild.members;
+    expect(renderTemplate('{if nickname}{nickname}{else}{user}{end}', 'welcome', values)).toBe(
+      '<@100000000000000001>'
+    );
+  });
+
+  test('should fall back when a saved template is missing or invalid', () => {
+    expect(renderOrFallback(null, 'leave', {}, 'Goodbye')).toBe('Goodbye');
+    expect(renderOrFallback('Bye {unknown}', 'leave', {}, 'Goodbye')).toBe('Goodbye');
+  });
+
+  test('should format ordinals', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 101, 111].map(ordinal)).toEqual([
+      '1st',
+      '2nd',
+      '3rd',
+      '4th',
+      '11th',
+      '12th',
+      '13th',
+      '21st',
+      '22nd',
+      '101st',
+      '111th'
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+// Verification tests - new members are gated until they click the verify button
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { useTempDataDir, createGuild as createTestGuild, createMember } from './guildStandIns.js';
+
+useTempDataDir('role-guardian-verification-tests');
+
+const guildId = '939393939';
+const HOUR_MS = 60 * 60 * 1000;
+
+const createGuild = () =>
+  createTestGuild(guildId, ['verified', 'unverified', 'sticky', 'autorole']);
+
+/**
+ * Interaction stand-in for the verify button and the challenge modal
+ */
+function createInteraction(member, answer) {
+  return {
+    guildId,
+    guild: member.guild,
+    member,
+    user: member.user,
+    fields: { getTextInputValue: () => answer },
+    reply: jest.fn(),
+    deferReply: jest.fn(),
+    editReply: jest.fn(),
+    showModal: jest.fn()
+  };
+}
+
+describe('Verification', () => {
+  let storage;
+  let verification;
+
+  beforeAll(async () => {
+    storage = await import('../src/data/storage.js');
+    verification = await import('../src/handlers/verification.js');
+  });
+
+  beforeEach(() => {
+    storage.removeVerificationConfig(guildId);
+    storage.saveVerificationConfig(guildId, {
+      channelId: 'verify-channel',
+      messageId: 'panel',
+      verifiedRoleId: 'verified',
+      unverifiedRoleId: 'unverified',
+      question: null,
+      answer: null,
+      kickAfterHours: 0,
+      logChannelId: null
+    });
+  });
+
+  test('should give new members the unverified role and wait for them', async () => {
+    const member = createMember(createGuild());
+    await verification.handleVerificationJoin(member);
+
+    expect([...member.roles.cache.keys()]).toEqual(['unverified']);
+    expect(Object.keys(storage.getPendingVerifications(guildId))).toEqual(['member-1']);
+  });
+
+  test('should swap the roles when the button is clicked', async () => {
+    const member = createMember(createGuild());
+    await verification.handleVerificationJoin(member);
+    await verification.handleVerifyButton(createInteraction(member));
+
+    expect([...member.roles.cache.keys()]).toEqual(['verified']);
+    expect(storage.getPendingVerifications(guildId)).toEqual({});
+  });
+
+  test('should ask the challenge question and check the answer', async () => {
+    storage.saveVerificationConfig(guildId, {
+      ...storage.getVerificationConfig(guildId),
+      question: 'What color is the sky?',
+      answer: 'Blue'
+    });
+    const member = createMember(createGuild());
+
+    const click = createInteraction(member);
+    await verification.handleVerifyButton(click);
+    expect(click.showModal).toHaveBeenCalled();
+
+    await verification.handleVerifyModal(createInteraction(member, 'green'));
+    expect(member.roles.cache.has('verified')).toBe(false);
+
+    await verification.handleVerifyModal(createInteraction(member, '  BLUE '));
+    expect(member.roles.cache.has('verified')).toBe(true);
+  });
+
+  test('should hold sticky roles and autoroles until the member verifies', async () => {
+    const { setupMemberEvents } = await import('../src/handlers/memberEvents.js');
+    const client = new EventEmitter();
+    client.guilds = { cache: new Map() };
+    setupMemberEvents(client);
+    const [onJoin] = client.listeners('guildMemberAdd');
+    const [onUpdate] = client.listeners('guildMemberUpdate');
+
+    storage.saveStickyRoleConfig(guildId, { mode: 'all', roleIds: [], retentionDays: 30 });
+    storage.saveStickyRoleSnapshot(guildId, 'member-1', ['sticky'], 30 * 24 * HOUR_MS);
+    storage.saveAutoroleConfig(guildId, {
+      humanRoleIds: ['autorole'],
+      botRoleIds: [],
+      delaySeconds: 0
+    });
+
+    const guild = createGuild();
+    const member = createMember(guild);
+    await onJoin(member);
+    expect([...member.roles.cache.keys()]).toEqual(['unverified']);
+
+    const before = createMember(guild, { roleIds: ['unverified'] });
+    await verification.handleVerifyButton(createInteraction(member));
+    await onUpdate(before, member);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect([...member.roles.cache.keys()].sort()).toEqual(['autorole', 'sticky', 'verified']);
+
+    storage.removeStickyRoleConfig(guildId);
+    storage.removeAutoroleConfig(guildId);
+  });
+
+  test('should tell an uncached member got verified from the members waiting', async () => {
+    const guild = createGuild();
+    const member = createMember(guild, { roleIds: ['verified'] });
+    const uncached = createMember(guild, { partial: true });
+
+    storage.addPendingVerification(guildId, 'member-1', new Date().toISOString());
+    expect(verification.hasJustVerified(uncached, member)).toBe(true);
+
+    storage.removePendingVerification(guildId, 'member-1');
+    expect(verification.hasJustVerified(uncached, member)).toBe(false);
+  });
+
+  test('should kick members who did not verify in time', async () => {
+    storage.saveVerificationConfig(guildId, {
+      ...storage.getVerificationConfig(guildId),
+      kickAfterHours: 24
+    });
+    const guild = createGuild();
+    const late = createMember(guild, {
+      id: 'late',
+      joinedAt: new Date(Date.now() - 25 * HOUR_MS)
+    });
+    const recent = createMember(guild, { id: 'recent' });
+    await verification.handleVerificationJoin(late);
+    await verification.handleVerificationJoin(recent);
+    guild.members.fetch.mockResolvedValue(late);
+
+    expect(await verification.kickUnverifiedMembers(guild)).toBe(1);
+    expect(late.kick).toHaveBeenCalled();
+    expect(recent.kick).not.toHaveBeenCalled();
+    expect(Object.keys(storage.getPendingVerifications(guildId))).toEqual(['recent']);
+  });
+});